@@ -1,9 +1,21 @@
 import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
-import axios from 'axios';
 import { dbService } from './services/database.js';
+import { httpClient } from './services/http-client.js';
+import { CHAIN_CONFIG, PROTOCOL_CONFIG, PORTFOLIO_CONFIG, SIZING_CONFIG } from './config.js';
+import { resolveExitRules, validateExitRuleOverrides } from './services/exit-rules.js';
+import { validateOverrides } from './services/workflow-rules.js';
+import { portfolios } from './services/portfolios.js';
+import { vaults, depositorReturns } from './services/vault.js';
+import { planHarvest, harvestGrowthRate } from './services/harvest.js';
+import { summarizeFees, chargeFees } from './services/fees.js';
+import { reconciliation } from './services/reconciliation.js';
+import { positionExecution } from './services/position-execution.js';
+import { tokenPrices } from './services/token-prices.js';
+import { clock } from './services/clock.js';
 import yieldCalculator from './yield-calculator.js';
+import { fetchPoolById } from './functional_strategy.js';
 
 dotenv.config();
 
@@ -18,69 +30,396 @@ app.use(express.json());
 app.get('/health', async (req, res) => {
   try {
     const health = await dbService.healthCheck();
-    res.json(health);
+    res.json({ ...health, upstreamCircuits: httpClient.getCircuitStates() });
   } catch (error) {
     res.status(500).json({ status: 'error', message: error.message });
   }
 });
 
+// Routes over positions, watchlist, logs and results take ?portfolio=<id or name>
+// and default to the default portfolio
+async function withPortfolio(req, res, next) {
+  const portfolio = await portfolios.resolve(req.query.portfolio);
+  if (!portfolio) {
+    return res.status(404).json({ error: `No portfolio ${req.query.portfolio ?? PORTFOLIO_CONFIG.defaultName}` });
+  }
+  req.portfolio = portfolio;
+  next();
+}
+
 // =================== POSITIONS ENDPOINTS ===================
 
-app.get('/api/positions', async (req, res) => {
+app.get('/api/positions', withPortfolio, async (req, res) => {
   try {
-    const positions = await dbService.getAllPositions();
+    const { chain } = req.query;
+    const positions = await dbService.getAllPositions({ portfolioId: req.portfolio.id, chain });
     res.json(positions);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.get('/api/positions/active', async (req, res) => {
+app.get('/api/positions/active', withPortfolio, async (req, res) => {
   try {
-    const positions = await dbService.getActivePositions();
+    const { chain } = req.query;
+    const positions = await dbService.getActivePositions({ portfolioId: req.portfolio.id, chain });
     res.json(positions);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.get('/api/positions/exited', async (req, res) => {
+app.get('/api/positions/exited', withPortfolio, async (req, res) => {
   try {
-    const { limit = 50 } = req.query;
-    const positions = await dbService.getExitedPositions(parseInt(limit));
+    const { limit = 50, chain } = req.query;
+    const positions = await dbService.getExitedPositions(parseInt(limit), { portfolioId: req.portfolio.id, chain });
     res.json(positions);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// Current valuation of an active position: farming yield, price PnL, impermanent loss, costs and fees
+app.get('/api/positions/:poolId/yield', withPortfolio, async (req, res) => {
+  try {
+    const position = await dbService.getPositionByPoolId(req.params.poolId, { portfolioId: req.portfolio.id });
+    if (!position) {
+      return res.status(404).json({ error: `No active position in pool ${req.params.poolId}` });
+    }
+    const { positionYields } = await yieldCalculator.calculatePortfolioYield([position]);
+    res.json(positionYields[0].yieldData);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Yield accrual curve of an active position over the APY observed during its hold
+app.get('/api/positions/:poolId/accrual', withPortfolio, async (req, res) => {
+  try {
+    const position = await dbService.getPositionByPoolId(req.params.poolId, { portfolioId: req.portfolio.id });
+    if (!position) {
+      return res.status(404).json({ error: `No active position in pool ${req.params.poolId}` });
+    }
+    const now = new Date(clock.now());
+    const [current, observations] = await Promise.all([
+      fetchPoolById(position.poolId),
+      yieldCalculator.positionObservations(position, now)
+    ]);
+    const principal = position.principalUsd ?? yieldCalculator.PRINCIPAL_USD;
+    const accrual = yieldCalculator.calculateAccrualCurve(position, observations, now, current?.apy, principal);
+    res.json({
+      poolId: position.poolId,
+      symbol: position.symbol,
+      principal,
+      accrualMethod: accrual.observations > 0 ? 'observed' : 'twoPoint',
+      ...accrual
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Harvest schedule and history of an active position, with the net reward growth of each
+// candidate interval at the pool's current reward APY
+app.get('/api/positions/:poolId/harvests', withPortfolio, async (req, res) => {
+  try {
+    const position = await dbService.getPositionByPoolId(req.params.poolId, { portfolioId: req.portfolio.id });
+    if (!position) {
+      return res.status(404).json({ error: `No active position in pool ${req.params.poolId}` });
+    }
+    const { harvest: options } = portfolios.settings(req.portfolio);
+    const current = await fetchPoolById(position.poolId);
+    const pool = { ...position, tvlUsd: current?.tvlUsd ?? position.entryTvl };
+    const principal = position.principalUsd ?? yieldCalculator.PRINCIPAL_USD;
+    const valueUsd = principal + position.harvests.reduce((sum, h) => sum + h.compoundedUsd, 0);
+    const rewardApy = current?.apyReward ?? position.entryRewardApy ?? 0;
+    const rate = (hours) => {
+      const netRatePct = harvestGrowthRate(pool, valueUsd, rewardApy, hours);
+      return Number.isFinite(netRatePct) ? Math.round(netRatePct * 10000) / 10000 : null;
+    };
+
+    res.json({
+      poolId: position.poolId,
+      symbol: position.symbol,
+      intervalHours: position.harvestIntervalHours,
+      nextHarvestAt: position.nextHarvestAt,
+      plan: planHarvest(pool, { valueUsd, rewardApy }, options),
+      candidates: [...options.candidateHours, options.holdHours].map(hours => ({ hours, netRatePct: rate(hours) })),
+      totals: {
+        harvests: position.harvests.length,
+        rewardsUsd: Math.round(position.harvests.reduce((sum, h) => sum + h.rewardsUsd, 0) * 100) / 100,
+        costUsd: Math.round(position.harvests.reduce((sum, h) => sum + h.costUsd, 0) * 100) / 100,
+        compoundedUsd: Math.round(position.harvests.reduce((sum, h) => sum + h.compoundedUsd, 0) * 100) / 100
+      },
+      harvests: position.harvests
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Effective exit rules of an active position (the portfolio's exit rules merged with its overrides)
+app.get('/api/positions/:poolId/exit-rules', withPortfolio, async (req, res) => {
+  try {
+    const position = await dbService.getPositionByPoolId(req.params.poolId, { portfolioId: req.portfolio.id });
+    if (!position) {
+      return res.status(404).json({ error: `No active position in pool ${req.params.poolId}` });
+    }
+    res.json({ overrides: position.exitRules || {}, ...resolveExitRules(position.exitRules, portfolios.settings(req.portfolio).exitOptions) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Replaces the exit rule overrides of an active position, e.g. { "takeProfit": { "returnPct": 2 } }
+app.put('/api/positions/:poolId/exit-rules', withPortfolio, async (req, res) => {
+  try {
+    const error = validateExitRuleOverrides(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const updated = await dbService.setExitRules(req.params.poolId, req.body, { portfolioId: req.portfolio.id });
+    if (!updated) {
+      return res.status(404).json({ error: `No active position in pool ${req.params.poolId}` });
+    }
+    res.json({ overrides: req.body, ...resolveExitRules(req.body, portfolios.settings(req.portfolio).exitOptions) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Recent harvests of the portfolio's positions, newest first
+app.get('/api/harvests', withPortfolio, async (req, res) => {
+  try {
+    const { since, limit = 100 } = req.query;
+    const harvests = await dbService.getHarvests({ portfolioId: req.portfolio.id, since, limit: parseInt(limit) });
+    res.json(harvests);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Fee ledger of the portfolio's positions, newest first, with the totals of the returned entries by type
+app.get('/api/fees', withPortfolio, async (req, res) => {
+  try {
+    const { type, since, limit = 100 } = req.query;
+    if (type && !['management', 'performance'].includes(type)) {
+      return res.status(400).json({ error: 'type must be management or performance' });
+    }
+    const entries = await dbService.getFees({ portfolioId: req.portfolio.id, type, since, limit: parseInt(limit) });
+    res.json({ totals: summarizeFees(entries), entries });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/executions', withPortfolio, async (req, res) => {
+  try {
+    const { side, status, since, limit = 100 } = req.query;
+    if (side && !['open', 'close'].includes(side)) {
+      return res.status(400).json({ error: 'side must be open or close' });
+    }
+    if (status && !['filled', 'failed'].includes(status)) {
+      return res.status(400).json({ error: 'status must be filled or failed' });
+    }
+    // Failed opens have no position: ?side=open&status=failed lists entries that never started
+    const executions = await dbService.getExecutions({ portfolioId: req.portfolio.id, side, status, since, limit: parseInt(limit) });
+    res.json(executions);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Live comparison of the signing wallet with the active positions of all portfolios
+// (they share the wallet); not stored
+app.get('/api/reconciliation', async (req, res) => {
+  try {
+    const report = await reconciliation.run({ save: false });
+    if (report.status === 'error') {
+      return res.status(500).json({ error: report.error, wallet: report.wallet, rpcUrl: report.rpcUrl });
+    }
+    res.json(report);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Reports stored by the workflow and reconcile.js
+app.get('/api/reconciliation/history', async (req, res) => {
+  try {
+    const { status, since, limit = 20 } = req.query;
+    if (status && !['ok', 'drift', 'error'].includes(status)) {
+      return res.status(400).json({ error: 'status must be ok, drift or error' });
+    }
+    const reports = await dbService.getReconciliations({ status, since, limit: parseInt(limit) });
+    res.json(reports);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // =================== WATCHLIST ENDPOINTS ===================
 
-app.get('/api/watchlist', async (req, res) => {
+app.get('/api/watchlist', withPortfolio, async (req, res) => {
   try {
-    const watchlist = await dbService.getWatchlist();
+    const { chain } = req.query;
+    const watchlist = await dbService.getWatchlist({ portfolioId: req.portfolio.id, chain });
     res.json(watchlist);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.post('/api/watchlist/cleanup', async (req, res) => {
+app.post('/api/watchlist/cleanup', withPortfolio, async (req, res) => {
   try {
     const { days = 7 } = req.body;
-    const deletedCount = await dbService.cleanOldWatchlistEntries(days);
+    const deletedCount = await dbService.cleanOldWatchlistEntries(days, { portfolioId: req.portfolio.id });
     res.json({ message: `Cleaned up ${deletedCount} old watchlist entries` });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// =================== CHAIN ENDPOINTS ===================
+
+app.get('/api/chains', async (req, res) => {
+  try {
+    res.json({
+      enabledChains: CHAIN_CONFIG.enabledChains,
+      overrides: CHAIN_CONFIG.overrides
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// =================== PROTOCOL REGISTRY ENDPOINTS ===================
+
+// Picks the editable protocol fields from a request body; returns { data } or { error }
+function parseProtocolInput(body = {}) {
+  const data = {};
+  if (body.status !== undefined) {
+    if (!PROTOCOL_CONFIG.statuses.includes(body.status)) {
+      return { error: `status must be one of: ${PROTOCOL_CONFIG.statuses.join(', ')}` };
+    }
+    data.status = body.status;
+  }
+  if (body.audited !== undefined) data.audited = Boolean(body.audited);
+  if (body.launchDate !== undefined) {
+    const launchDate = body.launchDate === null ? null : new Date(body.launchDate);
+    if (launchDate && isNaN(launchDate.getTime())) return { error: 'launchDate must be a valid date' };
+    data.launchDate = launchDate;
+  }
+  if (body.reputationTier !== undefined) {
+    const tier = parseInt(body.reputationTier);
+    if (!PROTOCOL_CONFIG.reputationTiers.includes(tier)) {
+      return { error: `reputationTier must be one of: ${PROTOCOL_CONFIG.reputationTiers.join(', ')}` };
+    }
+    data.reputationTier = tier;
+  }
+  if (body.notes !== undefined) data.notes = body.notes;
+  return { data };
+}
+
+app.get('/api/protocols', async (req, res) => {
+  try {
+    const protocols = await dbService.getProtocols();
+    res.json(protocols);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/protocols/:project', async (req, res) => {
+  try {
+    const protocol = await dbService.getProtocol(req.params.project);
+    if (!protocol) {
+      return res.status(404).json({ error: `Protocol ${req.params.project} is not registered` });
+    }
+    res.json(protocol);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/protocols', async (req, res) => {
+  try {
+    const { project } = req.body;
+    if (!project) {
+      return res.status(400).json({ error: 'project is required' });
+    }
+    const { data, error } = parseProtocolInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (await dbService.getProtocol(project)) {
+      return res.status(409).json({ error: `Protocol ${project} is already registered` });
+    }
+    const protocol = await dbService.upsertProtocol(project, data);
+    res.status(201).json(protocol);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/protocols/:project', async (req, res) => {
+  try {
+    const { data, error } = parseProtocolInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const protocol = await dbService.upsertProtocol(req.params.project, data);
+    res.json(protocol);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Mid-incident shortcut: deny the protocol; the workflow exits its positions next cycle
+app.post('/api/protocols/:project/quarantine', async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+    const protocol = await dbService.upsertProtocol(req.params.project, {
+      status: 'denied',
+      ...(reason ? { notes: reason } : {})
+    });
+    res.json(protocol);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/protocols/:project', async (req, res) => {
+  try {
+    const deleted = await dbService.deleteProtocol(req.params.project);
+    if (!deleted) {
+      return res.status(404).json({ error: `Protocol ${req.params.project} is not registered` });
+    }
+    res.json({ message: `Removed ${req.params.project} from the protocol registry` });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// =================== POOL HISTORY ENDPOINTS ===================
+
+app.get('/api/pools/:poolId/history', async (req, res) => {
+  try {
+    const { poolId } = req.params;
+    const { since, until, limit = 500 } = req.query;
+    const history = await dbService.getPoolHistory(poolId, { since, until, limit: parseInt(limit) });
+    res.json(history);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // =================== LOGS ENDPOINTS ===================
 
-app.get('/api/logs', async (req, res) => {
+app.get('/api/logs', withPortfolio, async (req, res) => {
   try {
     const { limit = 100, level } = req.query;
-    const logs = await dbService.getLogs(parseInt(limit), level);
+    const logs = await dbService.getLogs(parseInt(limit), level, { portfolioId: req.portfolio.id });
     res.json(logs);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -89,10 +428,10 @@ app.get('/api/logs', async (req, res) => {
 
 // =================== CYCLES ENDPOINTS ===================
 
-app.get('/api/cycles', async (req, res) => {
+app.get('/api/cycles', withPortfolio, async (req, res) => {
   try {
     const { limit = 20 } = req.query;
-    const cycles = await dbService.getRecentCycles(parseInt(limit));
+    const cycles = await dbService.getRecentCycles(parseInt(limit), { portfolioId: req.portfolio.id });
     res.json(cycles);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -109,13 +448,20 @@ const COINGECKO_CONFIG = {
   timeout: 10000
 };
 
-// Advanced caching and rate limiting for CoinGecko API
-let lastApiCall = 0;
-const API_CALL_INTERVAL = 2000; // 2 seconds between calls (less strict)
+// Response caching for CoinGecko API (rate limiting, retries and stale fallback live in httpClient)
 const priceCache = new Map();
 const CACHE_DURATION = 30000; // 30 seconds cache (much shorter for real-time data)
 const pendingRequests = new Map(); // Request deduplication
 
+// Stale prices keep the CoinGecko body shape and are flagged through headers
+function sendPriceResult(res, result) {
+  if (result.stale) {
+    res.set('X-Data-Stale', 'true');
+    res.set('X-Data-Fetched-At', result.fetchedAt.toISOString());
+  }
+  res.json(result.data);
+}
+
 // CoinGecko API proxy to avoid CORS issues
 app.get('/api/coingecko/prices', async (req, res) => {
   try {
@@ -140,25 +486,15 @@ app.get('/api/coingecko/prices', async (req, res) => {
       console.log('⏳ Request already in progress, waiting...:', cacheKey);
       try {
         const result = await pendingRequests.get(cacheKey);
-        return res.json(result);
+        return sendPriceResult(res, result);
       } catch (error) {
         return res.status(500).json({ error: 'Request failed' });
       }
     }
 
-    // Rate limiting
-    const timeSinceLastCall = now - lastApiCall;
-    if (timeSinceLastCall < API_CALL_INTERVAL) {
-      const waitTime = API_CALL_INTERVAL - timeSinceLastCall;
-      console.log(`⏱️ Rate limiting: waiting ${waitTime}ms for ${cacheKey}`);
-      await new Promise(resolve => setTimeout(resolve, waitTime));
-    }
-
     // Create a promise for this request to avoid duplicates
     const requestPromise = (async () => {
       try {
-        lastApiCall = Date.now();
-
         console.log('🌐 Making fresh CoinGecko request:', { 
           ids, 
           vs_currencies, 
@@ -177,22 +513,24 @@ app.get('/api/coingecko/prices', async (req, res) => {
           headers['X-CG-Demo-API-Key'] = COINGECKO_CONFIG.apiKey;
         }
 
-        const response = await axios.get(`${COINGECKO_CONFIG.baseUrl}/simple/price`, {
+        const response = await httpClient.get(`${COINGECKO_CONFIG.baseUrl}/simple/price`, {
           params: { ids, vs_currencies },
           headers,
           timeout: COINGECKO_CONFIG.timeout
         });
 
-        const data = response.data;
+        const { data, stale } = response;
         
-        // Cache the result
-        priceCache.set(cacheKey, {
-          data,
-          timestamp: Date.now()
-        });
+        // Cache fresh results only so stale prices are retried on the next request
+        if (!stale) {
+          priceCache.set(cacheKey, {
+            data,
+            timestamp: Date.now()
+          });
+          console.log(' CoinGecko API response cached:', Object.keys(data));
+        }
 
-        console.log(' CoinGecko API response cached:', Object.keys(data));
-        return data;
+        return { data, stale, fetchedAt: response.fetchedAt };
 
       } finally {
         // Remove from pending requests
@@ -204,7 +542,7 @@ app.get('/api/coingecko/prices', async (req, res) => {
     pendingRequests.set(cacheKey, requestPromise);
 
     const result = await requestPromise;
-    res.json(result);
+    sendPriceResult(res, result);
     
   } catch (error) {
     console.error(' CoinGecko proxy error:', error.message);
@@ -230,31 +568,287 @@ app.get('/api/coingecko/prices', async (req, res) => {
 
 // =================== ANALYTICS ENDPOINTS ===================
 
-app.get('/api/analytics/metrics', async (req, res) => {
+app.get('/api/analytics/metrics', withPortfolio, async (req, res) => {
   try {
-    const metrics = await dbService.getPerformanceMetrics();
+    const metrics = await dbService.getPerformanceMetrics({ portfolioId: req.portfolio.id });
     res.json(metrics);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.get('/api/dashboard', async (req, res) => {
+// Win rate and average P&L of exited positions per new-pool detection signal
+app.get('/api/analytics/signals', withPortfolio, async (req, res) => {
+  try {
+    const performance = await dbService.getSignalPerformance({ portfolioId: req.portfolio.id });
+    res.json(performance);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/dashboard', withPortfolio, async (req, res) => {
   try {
-    const dashboardData = await dbService.getDashboardData();
+    const dashboardData = await dbService.getDashboardData({ portfolioId: req.portfolio.id });
     res.json(dashboardData);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// =================== PORTFOLIOS ENDPOINTS ===================
+
+// Picks the editable portfolio fields from a request body; returns { data } or { error }
+function parsePortfolioInput(body = {}) {
+  const data = {};
+  if (body.description !== undefined) data.description = body.description;
+  if (body.status !== undefined) {
+    if (!PORTFOLIO_CONFIG.statuses.includes(body.status)) {
+      return { error: `status must be one of: ${PORTFOLIO_CONFIG.statuses.join(', ')}` };
+    }
+    data.status = body.status;
+  }
+  if (body.bankrollUsd !== undefined) {
+    const bankrollUsd = Number(body.bankrollUsd);
+    if (!(bankrollUsd > 0)) return { error: 'bankrollUsd must be a positive number' };
+    data.bankrollUsd = bankrollUsd;
+  }
+  if (body.config !== undefined) {
+    const error = validateOverrides(body.config);
+    if (error) return { error: `Invalid config: ${error}` };
+    data.config = body.config;
+  }
+  return { data };
+}
+
+// A portfolio with its latest cycle results
+async function withLatestCycle(portfolio) {
+  const [latest] = await dbService.getPortfolioCycles(portfolio.id, { limit: 1 });
+  return { ...portfolio, isDefault: portfolio.name === PORTFOLIO_CONFIG.defaultName, latestCycle: latest || null };
+}
+
+// Every portfolio with its latest cycle results, for side-by-side comparison
+app.get('/api/portfolios', async (req, res) => {
+  try {
+    const { status } = req.query;
+    const list = await dbService.getPortfolios({ status });
+    res.json(await Promise.all(list.map(withLatestCycle)));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// One portfolio with its overrides resolved against config.js
+app.get('/api/portfolios/:ref', async (req, res) => {
+  try {
+    const portfolio = await portfolios.resolve(req.params.ref);
+    if (!portfolio) {
+      return res.status(404).json({ error: `No portfolio ${req.params.ref}` });
+    }
+    const { config, exitOptions, workflow, sizing, exposureLimits } = portfolios.settings(portfolio);
+    res.json({
+      ...(await withLatestCycle(portfolio)),
+      settings: { strategy: config, exit: exitOptions, workflow, sizing, exposure: exposureLimits }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Per-cycle results of a portfolio, oldest first
+app.get('/api/portfolios/:ref/history', async (req, res) => {
+  try {
+    const portfolio = await portfolios.resolve(req.params.ref);
+    if (!portfolio) {
+      return res.status(404).json({ error: `No portfolio ${req.params.ref}` });
+    }
+    const { since, limit = 500 } = req.query;
+    const history = await dbService.getPortfolioCycles(portfolio.id, { since, limit: parseInt(limit) });
+    res.json(history);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Creates a portfolio, e.g. { "name": "tight-exits", "bankrollUsd": 5000, "config": { "exit": { ... } } };
+// it starts trading in the next cycle
+app.post('/api/portfolios', async (req, res) => {
+  try {
+    const { name } = req.body;
+    if (!name || /^\d+$/.test(String(name))) {
+      return res.status(400).json({ error: 'name is required and must not be a number' });
+    }
+    const { data, error } = parsePortfolioInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (await dbService.getPortfolioByName(name)) {
+      return res.status(409).json({ error: `Portfolio ${name} already exists` });
+    }
+    const portfolio = await dbService.createPortfolio({ bankrollUsd: SIZING_CONFIG.bankrollUsd, ...data, name });
+    res.status(201).json(portfolio);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Updates description, status, bankroll or config; changes apply from the next cycle
+app.put('/api/portfolios/:ref', async (req, res) => {
+  try {
+    const portfolio = await portfolios.resolve(req.params.ref);
+    if (!portfolio) {
+      return res.status(404).json({ error: `No portfolio ${req.params.ref}` });
+    }
+    const { data, error } = parsePortfolioInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const updated = await dbService.updatePortfolio(portfolio.id, data);
+    res.json(updated);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// =================== VAULT ENDPOINTS ===================
+
+// Parses a USD amount or share count from a request body; null when absent
+const parseAmount = (value) => (value === undefined || value === null ? null : Number(value));
+
+// Vaults with their latest price-per-share snapshot
+app.get('/api/vaults', async (req, res) => {
+  try {
+    const list = await dbService.getVaults();
+    const withLatest = await Promise.all(list.map(async (vault) => {
+      const [latest] = await dbService.getVaultSnapshots(vault.id, { limit: 1 });
+      return { ...vault, latestSnapshot: latest || null };
+    }));
+    res.json(withLatest);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Live valuation of a vault with every depositor's holdings and returns
+app.get('/api/vaults/:ref', async (req, res) => {
+  try {
+    const vault = await vaults.resolve(req.params.ref);
+    if (!vault) {
+      return res.status(404).json({ error: `No vault ${req.params.ref}` });
+    }
+    res.json(await vaults.report(vault));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Price-per-share history, oldest first
+app.get('/api/vaults/:ref/history', async (req, res) => {
+  try {
+    const vault = await vaults.resolve(req.params.ref);
+    if (!vault) {
+      return res.status(404).json({ error: `No vault ${req.params.ref}` });
+    }
+    const { since, limit = 500 } = req.query;
+    const history = await dbService.getVaultSnapshots(vault.id, { since, limit: parseInt(limit) });
+    res.json(history);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Deposit and withdrawal ledger, newest first (`depositor` filter)
+app.get('/api/vaults/:ref/transactions', async (req, res) => {
+  try {
+    const vault = await vaults.resolve(req.params.ref);
+    if (!vault) {
+      return res.status(404).json({ error: `No vault ${req.params.ref}` });
+    }
+    const { depositor, limit = 100 } = req.query;
+    const transactions = await dbService.getVaultTransactions(vault.id, { depositor, limit: parseInt(limit) });
+    res.json(transactions);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Opens a vault over a portfolio, e.g. { "name": "sol-vault", "portfolio": "default" }
+app.post('/api/vaults', async (req, res) => {
+  try {
+    const { name, portfolio: portfolioRef, seedDepositor } = req.body;
+    if (!name || /^\d+$/.test(String(name))) {
+      return res.status(400).json({ error: 'name is required and must not be a number' });
+    }
+    const portfolio = await portfolios.resolve(portfolioRef);
+    if (!portfolio) {
+      return res.status(404).json({ error: `No portfolio ${portfolioRef}` });
+    }
+    if (await dbService.getVaultByName(name)) {
+      return res.status(409).json({ error: `Vault ${name} already exists` });
+    }
+    if (await dbService.getVaultByPortfolio(portfolio.id)) {
+      return res.status(409).json({ error: `Portfolio ${portfolio.name} already has a vault` });
+    }
+    const created = await vaults.create({ name, portfolio, ...(seedDepositor ? { seedDepositor } : {}) });
+    res.status(201).json(created);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Mints shares at the current price per share: { "depositor": "alice", "amountUsd": 1000 }
+app.post('/api/vaults/:ref/deposit', async (req, res) => {
+  try {
+    const vault = await vaults.resolve(req.params.ref);
+    if (!vault) {
+      return res.status(404).json({ error: `No vault ${req.params.ref}` });
+    }
+    const { depositor, amountUsd } = req.body;
+    const result = await vaults.deposit(vault, depositor, parseAmount(amountUsd));
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    res.status(201).json({
+      transaction: result.transaction,
+      depositor: depositorReturns(result.depositor, result.transaction.pricePerShare)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Burns shares for their current value: { "depositor": "alice", "shares": 10 } or
+// { "depositor": "alice", "amountUsd": 250 }; neither withdraws everything
+app.post('/api/vaults/:ref/withdraw', async (req, res) => {
+  try {
+    const vault = await vaults.resolve(req.params.ref);
+    if (!vault) {
+      return res.status(404).json({ error: `No vault ${req.params.ref}` });
+    }
+    const { depositor, shares, amountUsd } = req.body;
+    const result = await vaults.withdraw(vault, depositor, {
+      shares: parseAmount(shares),
+      amountUsd: parseAmount(amountUsd)
+    });
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    res.status(201).json({
+      transaction: result.transaction,
+      depositor: depositorReturns(result.depositor, result.transaction.pricePerShare)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // =================== PORTFOLIO SUMMARY ENDPOINTS ===================
 
-app.get('/api/portfolio/summary', async (req, res) => {
+app.get('/api/portfolio/summary', withPortfolio, async (req, res) => {
   try {
     const [activePositions, metrics] = await Promise.all([
-      dbService.getActivePositions(),
-      dbService.getPerformanceMetrics()
+      dbService.getActivePositions({ portfolioId: req.portfolio.id }),
+      dbService.getPerformanceMetrics({ portfolioId: req.portfolio.id })
     ]);
 
     const summary = {
@@ -277,13 +871,45 @@ app.get('/api/portfolio/summary', async (req, res) => {
 
 // =================== MANUAL ACTIONS ENDPOINTS ===================
 
-app.post('/api/positions/:poolId/exit', async (req, res) => {
+// Closes the position through the executor that opened it, valued and charged fees like a
+// workflow exit; it stays active when the close fails (502 with the stored execution)
+app.post('/api/positions/:poolId/exit', withPortfolio, async (req, res) => {
   try {
     const { poolId } = req.params;
-    const { reason = 'manual', profitLoss = 0 } = req.body;
-    
-    await dbService.exitPosition(poolId, { reason, profitLoss });
-    res.json({ message: `Position ${poolId} exited successfully` });
+    const { reason = 'manual' } = req.body;
+    const position = await dbService.getPositionByPoolId(poolId, { portfolioId: req.portfolio.id });
+    if (!position) {
+      return res.status(404).json({ error: `No active position in pool ${poolId}` });
+    }
+
+    const now = new Date(clock.now());
+    const [current, observations, { prices, rewardPrices }] = await Promise.all([
+      fetchPoolById(position.poolId),
+      yieldCalculator.positionObservations(position, now),
+      tokenPrices.positionPrices(position)
+    ]);
+    const exitApy = current?.apy ?? (observations.length ? observations[observations.length - 1].apy : position.entryApy);
+    const yieldData = yieldCalculator.calculateYield(position, { timestamp: now, exitApy, observations, prices, rewardPrices });
+
+    const execution = await positionExecution.close(null, position, { valueUsd: yieldData.finalAmount, prices });
+    if (execution.status !== 'filled') {
+      return res.status(502).json({ error: `${execution.executor} close failed: ${execution.error}`, execution });
+    }
+
+    const fees = await chargeFees(null, position, yieldData, now, { ...portfolios.settings(req.portfolio).fees, exit: true });
+    await dbService.exitPosition(poolId, {
+      reason,
+      reasons: [{ rule: 'manual', value: true, threshold: true, message: `Closed through the API (${reason})` }],
+      exitApy,
+      prices,
+      rewardPrices,
+      profitLoss: yieldData.totalReturn,
+      farmingReturn: yieldData.farmingReturn,
+      rewardReturn: yieldData.rewardReturn,
+      pricePnl: yieldData.pricePnl,
+      impermanentLoss: yieldData.impermanentLoss
+    }, { portfolioId: req.portfolio.id });
+    res.json({ message: `Position ${poolId} exited successfully`, profitLoss: yieldData.totalReturn, fees, execution });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -291,9 +917,9 @@ app.post('/api/positions/:poolId/exit', async (req, res) => {
 
 // =================== YIELD ANALYTICS ENDPOINTS ===================
 
-app.get('/api/yield/analytics', async (req, res) => {
+app.get('/api/yield/analytics', withPortfolio, async (req, res) => {
   try {
-    const positions = await dbService.getAllPositions();
+    const positions = await dbService.getAllPositions({ portfolioId: req.portfolio.id });
     const analytics = await yieldCalculator.generateYieldAnalytics(positions);
     res.json(analytics);
   } catch (error) {
@@ -301,9 +927,9 @@ app.get('/api/yield/analytics', async (req, res) => {
   }
 });
 
-app.get('/api/yield/portfolio', async (req, res) => {
+app.get('/api/yield/portfolio', withPortfolio, async (req, res) => {
   try {
-    const positions = await dbService.getAllPositions();
+    const positions = await dbService.getAllPositions({ portfolioId: req.portfolio.id });
     const portfolioYield = await yieldCalculator.calculatePortfolioYield(positions);
     res.json(portfolioYield);
   } catch (error) {
@@ -311,10 +937,10 @@ app.get('/api/yield/portfolio', async (req, res) => {
   }
 });
 
-app.get('/api/yield/projections', async (req, res) => {
+app.get('/api/yield/projections', withPortfolio, async (req, res) => {
   try {
     const { days = 30 } = req.query;
-    const activePositions = await dbService.getActivePositions();
+    const activePositions = await dbService.getActivePositions({ portfolioId: req.portfolio.id });
     const projections = await yieldCalculator.projectFutureYields(activePositions, parseInt(days));
     res.json(projections);
   } catch (error) {
@@ -341,15 +967,67 @@ app.get('/api/yield/simulate/:poolId', async (req, res) => {
   }
 });
 
-app.get('/api/yield/metrics', async (req, res) => {
+app.get('/api/yield/metrics', withPortfolio, async (req, res) => {
   try {
-    const metrics = await dbService.getYieldMetrics();
+    const metrics = await dbService.getYieldMetrics({ portfolioId: req.portfolio.id });
     res.json(metrics);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// =================== BACKTEST ENDPOINTS ===================
+
+// Saved backtest runs (summaries only), newest first
+app.get('/api/backtests', async (req, res) => {
+  try {
+    const { limit = 20 } = req.query;
+    const runs = await dbService.getBacktestRuns(parseInt(limit));
+    res.json(runs);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// One backtest run with its trades and equity curve
+app.get('/api/backtests/:id', async (req, res) => {
+  try {
+    const run = await dbService.getBacktestRun(parseInt(req.params.id));
+    if (!run) {
+      return res.status(404).json({ error: `No backtest run ${req.params.id}` });
+    }
+    res.json(run);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// =================== OPTIMIZATION ENDPOINTS ===================
+
+// Saved parameter sweeps with their recommended sets, newest first
+app.get('/api/optimizations', async (req, res) => {
+  try {
+    const { limit = 20 } = req.query;
+    const runs = await dbService.getOptimizationRuns(parseInt(limit));
+    res.json(runs);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// One sweep with its ranking and walk-forward folds
+app.get('/api/optimizations/:id', async (req, res) => {
+  try {
+    const run = await dbService.getOptimizationRun(parseInt(req.params.id));
+    if (!run) {
+      return res.status(404).json({ error: `No optimization run ${req.params.id}` });
+    }
+    res.json(run);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Error handling middleware
 app.use((error, req, res, next) => {
   console.error('API Error:', error);
@@ -366,6 +1044,7 @@ async function startServer() {
   try {
     // Connect to database
     await dbService.connect();
+    await portfolios.ensureDefault();
     
     app.listen(PORT, () => {
       console.log(` API Server running on port ${PORT}`);
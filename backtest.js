@@ -0,0 +1,200 @@
+#!/usr/bin/env node
+
+/**
+ * ===================================================================================
+ * Backtest CLI (backtest.js)
+ * ===================================================================================
+ *
+ * Description:
+ * Replays historical pool data through the full strategy pipeline on a simulated
+ * clock (services/backtester.js), prints the summary and trades, and stores the run
+ * in BacktestRun so runs with different settings can be compared.
+ *
+ * ===================================================================================
+ */
+
+import fs from 'fs';
+import logger from './logger.js';
+import { parseArgs } from './cli-args.js';
+import { dbService } from './services/database.js';
+import { protocolRegistry } from './services/protocol-registry.js';
+import { loadHistory, HISTORY_SOURCES } from './services/backtest-history.js';
+import { runBacktest } from './services/backtester.js';
+import { validateOverrides } from './services/workflow-rules.js';
+import { CAPTURE_CONFIG } from './config.js';
+
+// ANSI color codes for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m',
+  white: '\x1b[37m'
+};
+
+function colorize(text, color) {
+  return `${colors[color]}${text}${colors.reset}`;
+}
+
+function formatCurrency(amount) {
+  return '$' + amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+function formatPercent(percent) {
+  const color = percent >= 0 ? 'green' : 'red';
+  return colorize(`${percent.toFixed(2)}%`, color);
+}
+
+function printHeader(title) {
+  console.log('\n' + colorize('='.repeat(60), 'cyan'));
+  console.log(colorize(` ${title} `, 'bright'));
+  console.log(colorize('='.repeat(60), 'cyan'));
+}
+
+function printSection(title) {
+  console.log('\n' + colorize(` ${title}`, 'yellow'));
+  console.log(colorize('-'.repeat(40), 'yellow'));
+}
+
+function readOverrides(file) {
+  if (!file) return {};
+  const overrides = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const error = validateOverrides(overrides);
+  if (error) throw new Error(error);
+  return overrides;
+}
+
+function printSummary(summary) {
+  printSection('Summary');
+  console.log(`${colorize('Period:', 'white')} ${summary.startTime ? new Date(summary.startTime).toISOString() : '-'} -> ${summary.endTime ? new Date(summary.endTime).toISOString() : '-'} (${summary.days} days, ${summary.frames} cycles)`);
+  console.log(`${colorize('Bankroll:', 'white')} ${formatCurrency(summary.bankrollUsd)} -> ${formatCurrency(summary.finalEquity)}`);
+  console.log(`${colorize('Total Return:', 'white')} ${formatCurrency(summary.totalReturn)} (${formatPercent(summary.returnPct)})`);
+  console.log(`${colorize('Max Drawdown:', 'white')} ${summary.maxDrawdownPct.toFixed(2)}%`);
+  console.log(`${colorize('Sharpe Ratio:', 'white')} ${(summary.sharpeRatio ?? 0).toFixed(2)}`);
+  console.log(`${colorize('Trades:', 'white')} ${summary.trades} (win rate ${summary.winRate.toFixed(1)}%, avg ${formatCurrency(summary.avgReturn)} / ${formatPercent(summary.avgReturnPct)}, avg hold ${summary.avgHoldHours.toFixed(1)}h)`);
+  console.log(`${colorize('Farming Yield:', 'white')} ${formatCurrency(summary.totalFarmingReturn)}`);
+  console.log(`${colorize('Costs:', 'white')} ${formatCurrency(summary.totalCosts)} (${summary.harvests ?? 0} harvests, ${formatCurrency(summary.totalHarvestCosts ?? 0)})`);
+  if (summary.bestTrade) {
+    console.log(`${colorize('Best / Worst:', 'white')} ${summary.bestTrade.symbol} ${formatCurrency(summary.bestTrade.netReturn)} / ${summary.worstTrade.symbol} ${formatCurrency(summary.worstTrade.netReturn)}`);
+  }
+  const reasons = Object.entries(summary.exitReasons).map(([reason, count]) => `${reason} ${count}`).join(', ');
+  console.log(`${colorize('Exit Reasons:', 'white')} ${reasons || '-'}`);
+}
+
+function printTrades(trades) {
+  printSection(`Trades (${trades.length})`);
+  trades.forEach(t => {
+    console.log(`${new Date(t.entryTime).toISOString().slice(0, 16)} -> ${new Date(t.exitTime).toISOString().slice(0, 16)} | ${t.symbol.padEnd(18)} | ${formatCurrency(t.principal).padStart(11)} | APY ${t.entryApy.toFixed(1)}% -> ${t.exitApy.toFixed(1)}% | ${t.hoursHeld.toFixed(1)}h | ${formatCurrency(t.netReturn)} (${formatPercent(t.returnPercentage)}) | ${t.reason}`);
+  });
+}
+
+async function listRuns(limit) {
+  const runs = await dbService.getBacktestRuns(limit);
+  printHeader('BACKTEST RUNS');
+  if (runs.length === 0) {
+    console.log(colorize('No saved backtest runs.', 'yellow'));
+    return;
+  }
+  runs.forEach(run => {
+    const s = run.summary;
+    console.log(`#${String(run.id).padEnd(4)} ${run.createdAt.toISOString().slice(0, 16)} | ${(run.name || '-').padEnd(16)} | ${run.source}${run.sourceRef ? `:${run.sourceRef}` : ''} | ${s.days}d | return ${formatCurrency(s.totalReturn)} (${formatPercent(s.returnPct)}) | dd ${s.maxDrawdownPct.toFixed(2)}% | ${s.trades} trades, win ${s.winRate.toFixed(1)}%`);
+  });
+}
+
+async function showRun(id, withTrades) {
+  const run = await dbService.getBacktestRun(id);
+  if (!run) throw new Error(`No backtest run #${id}`);
+  printHeader(`BACKTEST RUN #${run.id}${run.name ? ` (${run.name})` : ''}`);
+  console.log(`${colorize('Source:', 'white')} ${run.source}${run.sourceRef ? ` ${run.sourceRef}` : ''}`);
+  console.log(`${colorize('Overrides:', 'white')} ${JSON.stringify(run.overrides || {})}`);
+  printSummary(run.summary);
+  if (withTrades) printTrades(run.trades);
+}
+
+async function runFromHistory(options) {
+  const source = options.source || 'session';
+  const overrides = readOverrides(options.overrides);
+  const sourceRef = source === 'session' ? options.session || CAPTURE_CONFIG.session : source === 'file' ? options.file : null;
+
+  printHeader('BACKTEST');
+  console.log(`${colorize('Source:', 'white')} ${source}${sourceRef ? ` ${sourceRef}` : ''}`);
+  console.log(`${colorize('Overrides:', 'white')} ${JSON.stringify(overrides)}`);
+
+  const frames = loadHistory({ source, session: options.session || CAPTURE_CONFIG.session, file: options.file, since: options.since, until: options.until });
+  const result = await runBacktest(frames, overrides);
+  if (result.summary.frames === 0) {
+    throw new Error('No historical frames found for the selected source and period');
+  }
+
+  printSummary(result.summary);
+  if (options.trades) printTrades(result.trades);
+
+  if (options.json) {
+    fs.writeFileSync(options.json, JSON.stringify({ source, sourceRef, ...result }, null, 2));
+    console.log(`\nResult written to ${options.json}`);
+  }
+  if (!options['no-save']) {
+    const run = await dbService.addBacktestRun({ name: options.name, source, sourceRef, ...result });
+    console.log(`\nSaved as backtest run #${run.id} (compare with: node backtest.js --list)`);
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.help || process.argv.includes('-h')) {
+    console.log(`
+${colorize('WildNet Strategy Backtester', 'bright')}
+
+Usage: node backtest.js [options]
+
+Options:
+  --source <name>       History source: ${HISTORY_SOURCES.join(', ')} (default: session)
+  --session <name>      Capture session to replay (default: HTTP_CAPTURE_SESSION or today)
+  --file <path>         Frames file for --source file (.json or .ndjson)
+  --since <date>        Skip frames before this time
+  --until <date>        Skip frames after this time
+  --overrides <path>    JSON { strategy, exit, workflow, sizing, harvest } overriding the config for this run
+  --name <label>        Label stored with the run
+  --trades              Print every trade
+  --json <path>         Write the full result (trades, equity curve) to a file
+  --no-save             Do not store the run in the database
+  --verbose             Show the pipeline logs
+  --list                List saved runs
+  --show <id>           Print a saved run (add --trades for its trades)
+
+Examples:
+  node backtest.js --session 2025-07-28
+  node backtest.js --source file --file ./history.ndjson --overrides ./tight-exits.json --name tight-exits
+  node backtest.js --list
+    `);
+    return;
+  }
+
+  logger.setLevel(options.verbose ? 'info' : 'warn');
+  const needsDb = options.list || options.show || options.source === 'db' || !options['no-save'];
+
+  try {
+    if (needsDb) {
+      await dbService.connect();
+      await protocolRegistry.refresh();
+    }
+
+    if (options.list) {
+      await listRuns(Number(options.limit) || 20);
+    } else if (options.show) {
+      await showRun(Number(options.show), options.trades);
+    } else {
+      await runFromHistory(options);
+    }
+  } catch (error) {
+    console.error(colorize(`Backtest failed: ${error.message}`, 'red'));
+    process.exitCode = 1;
+  } finally {
+    if (needsDb) await dbService.disconnect();
+  }
+}
+
+main();
@@ -0,0 +1,32 @@
+/**
+ * ===================================================================================
+ * CLI Arguments (cli-args.js)
+ * ===================================================================================
+ *
+ * Description:
+ * Argument parsing shared by the command line tools (backtest.js, optimize.js,
+ * execute.js, reconcile.js).
+ *
+ * ===================================================================================
+ */
+
+/**
+ * Parses --key value pairs and bare --flags; anything else is ignored.
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} Options by key: the value string, or true for a bare flag
+ */
+export function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const key = argv[i].slice(2);
+    const next = argv[i + 1];
+    if (next !== undefined && !next.startsWith('--')) {
+      options[key] = next;
+      i++;
+    } else {
+      options[key] = true;
+    }
+  }
+  return options;
+}
@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+
+/**
+ * ===================================================================================
+ * Execution Check CLI (execute.js)
+ * ===================================================================================
+ *
+ * Description:
+ * Opens and then closes one position through an executor (services/executors),
+ * outside the workflow and without touching the database. Used to exercise the Orca
+ * executor's real transactions against a local solana-test-validator that clones
+ * the pool's accounts from mainnet (--clone-args prints the commands).
+ *
+ * ===================================================================================
+ */
+
+import logger from './logger.js';
+import { parseArgs } from './cli-args.js';
+import { createExecutor, EXECUTORS } from './services/executors/index.js';
+import { EXECUTION_CONFIG } from './config.js';
+
+// ANSI color codes for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m',
+  white: '\x1b[37m'
+};
+
+function colorize(text, color) {
+  return `${colors[color]}${text}${colors.reset}`;
+}
+
+function printHeader(title) {
+  console.log('\n' + colorize('='.repeat(60), 'cyan'));
+  console.log(colorize(` ${title} `, 'bright'));
+  console.log(colorize('='.repeat(60), 'cyan'));
+}
+
+function printSection(title) {
+  console.log('\n' + colorize(` ${title}`, 'yellow'));
+  console.log(colorize('-'.repeat(40), 'yellow'));
+}
+
+const isLocal = (rpcUrl) => /\/\/(127\.0\.0\.1|localhost)[:/]/.test(rpcUrl);
+
+function printExecution(execution) {
+  const status = execution.status === 'filled' ? colorize('filled', 'green') : colorize(execution.status, 'red');
+  console.log(`${colorize('Status:', 'white')} ${status}`);
+  console.log(`${colorize('Requested:', 'white')} $${execution.amountUsd.toFixed(2)}`);
+  console.log(`${colorize('Filled:', 'white')} ${execution.filledUsd === null ? '-' : `$${execution.filledUsd.toFixed(2)}`}`);
+  execution.signatures.forEach(signature => console.log(`${colorize('Signature:', 'white')} ${signature}`));
+  if (execution.fill) console.log(`${colorize('Fill:', 'white')} ${JSON.stringify(execution.fill)}`);
+  if (execution.error) console.log(`${colorize('Error:', 'white')} ${colorize(execution.error, 'red')}`);
+}
+
+// Tops up the signer on a local validator so the swaps and deposit can pay fees
+async function fundLocalSigner(executor, minSol) {
+  const { web3, connection, owner } = await executor.connect();
+  const balance = await connection.getBalance(owner.publicKey);
+  if (balance >= minSol * web3.LAMPORTS_PER_SOL) return;
+  const signature = await connection.requestAirdrop(owner.publicKey, Math.ceil(minSol * 2 * web3.LAMPORTS_PER_SOL));
+  await connection.confirmTransaction(signature, 'confirmed');
+  console.log(`${colorize('Airdrop:', 'white')} ${minSol * 2} SOL to ${owner.publicKey.toBase58()}`);
+}
+
+async function printCloneArgs(executor, address) {
+  const { programId, accounts } = await executor.localnetAccounts(address);
+  console.log(`
+# Dump the Whirlpool program and start a validator with the pool's accounts cloned from mainnet
+solana program dump -u m ${programId} whirlpool.so
+solana-test-validator --reset --url mainnet-beta \\
+  --bpf-program ${programId} whirlpool.so \\
+${accounts.map(account => `  --clone ${account}`).join(' \\\n')}
+
+# Then run the check against it
+node execute.js --executor orca --pool ${address} --amount 10 --price <SOL price>
+`);
+}
+
+async function run(options) {
+  const name = options.executor || EXECUTION_CONFIG.executor;
+  const symbol = (options.symbol || 'SOL-USDC').toUpperCase();
+  const address = options.pool;
+  const amountUsd = Number(options.amount || 10);
+  const holdSeconds = Number(options.hold || 0);
+  const rpcUrl = options.rpc || EXECUTION_CONFIG.orca.rpcUrl;
+  const executor = createExecutor(name, name === 'orca' ? { rpcUrl } : {});
+
+  if (name === 'orca' && !address) throw new Error('--pool <whirlpool address> is required by the Orca executor');
+
+  if (options['clone-args']) {
+    if (name !== 'orca') throw new Error('--clone-args needs --executor orca');
+    await printCloneArgs(executor, address);
+    return;
+  }
+
+  // The Orca executor trades the whirlpool itself and sizes the swap from the funding token's USD price
+  let pool = { symbol, project: 'paper', chain: 'Solana' };
+  let prices = [];
+  if (name === 'orca') {
+    if (!options.price) throw new Error(`--price is required: the USD price of ${EXECUTION_CONFIG.orca.fundingToken}`);
+    const { funding, other } = await executor.resolvePool(address);
+    pool = { symbol, project: 'orca', chain: 'Solana', address, underlyingTokens: [funding.mint, other.mint] };
+    prices = [{ token: funding.mint, price: Number(options.price) }];
+    if (isLocal(rpcUrl)) await fundLocalSigner(executor, amountUsd / Number(options.price) + 1);
+  }
+  if (!executor.supports(pool)) throw new Error(`The ${name} executor cannot trade ${symbol}`);
+
+  printHeader('EXECUTION CHECK');
+  console.log(`${colorize('Executor:', 'white')} ${name}${name === 'orca' ? ` (${rpcUrl})` : ''}`);
+  console.log(`${colorize('Pool:', 'white')} ${symbol}${address ? ` (${address})` : ''}`);
+
+  printSection('Open');
+  const opened = await executor.open(pool, { principalUsd: amountUsd, prices });
+  printExecution(opened);
+  if (opened.status !== 'filled') {
+    process.exitCode = 1;
+    return;
+  }
+
+  if (holdSeconds > 0) {
+    console.log(`\nHolding for ${holdSeconds}s...`);
+    await new Promise(resolve => setTimeout(resolve, holdSeconds * 1000));
+  }
+
+  printSection('Close');
+  const closed = await executor.close({ symbol, executions: [opened] }, { valueUsd: opened.filledUsd ?? amountUsd, prices });
+  printExecution(closed);
+  if (closed.status !== 'filled') process.exitCode = 1;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.help || process.argv.includes('-h')) {
+    console.log(`
+${colorize('WildNet Execution Check', 'bright')}
+
+Usage: node execute.js [options]
+
+Options:
+  --executor <name>       ${Object.keys(EXECUTORS).join(' or ')} (default: ${EXECUTION_CONFIG.executor})
+  --pool <address>        Whirlpool to open and close a position on, required by the Orca executor
+  --symbol <pair>         Label of the pool (default: SOL-USDC)
+  --amount <usd>          Principal to open with (default: 10)
+  --price <usd>           USD price of ${EXECUTION_CONFIG.orca.fundingToken}, required by the Orca executor
+  --hold <seconds>        Wait between open and close (default: 0)
+  --rpc <url>             Solana RPC (default: ${EXECUTION_CONFIG.orca.rpcUrl})
+  --clone-args            Print the solana-test-validator commands that clone the pool (run with a mainnet --rpc)
+  --verbose               Show the executor logs
+
+Examples:
+  node execute.js --executor orca --pool HJPjoWUrhoZzkNfRpHuieeFk9WcZWjwy6PBjZ81ngndJ --rpc https://api.mainnet-beta.solana.com --clone-args
+  node execute.js --executor orca --pool HJPjoWUrhoZzkNfRpHuieeFk9WcZWjwy6PBjZ81ngndJ --amount 10 --price 150
+  node execute.js --executor paper --amount 25
+    `);
+    return;
+  }
+
+  logger.setLevel(options.verbose ? 'info' : 'warn');
+
+  try {
+    await run(options);
+  } catch (error) {
+    console.error(colorize(`\nExecution check failed: ${error.message}`, 'red'));
+    process.exitCode = 1;
+  }
+}
+
+main();
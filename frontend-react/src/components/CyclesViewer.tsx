@@ -26,6 +26,7 @@ import {
 } from '@mui/icons-material';
 import { formatDate, formatTimeAgo } from '../utils';
 import { apiService } from '../services';
+import { PortfolioCycle } from '../types';
 
 interface DetectionCycle {
   id: number;
@@ -34,6 +35,9 @@ interface DetectionCycle {
   newPoolsFound: number;
   activePositions: number;
   watchlistSize: number;
+  usedStaleData?: boolean;
+  staleSources?: string[] | null;
+  portfolioCycles?: PortfolioCycle[]; // the selected portfolio's results
   logs?: Array<{
     id: number;
     timestamp: string;
@@ -159,6 +163,11 @@ const CyclesViewer: React.FC = () => {
                         color={getStatusColor(cycle)}
                         variant={cycle.newPoolsFound > 0 ? "filled" : "outlined"}
                       />
+                      {cycle.usedStaleData && (
+                        <Tooltip title={`Stale data from: ${(cycle.staleSources || []).join(', ')}`}>
+                          <Chip label="Stale Data" size="small" color="warning" variant="outlined" sx={{ ml: 0.5 }} />
+                        </Tooltip>
+                      )}
                     </TableCell>
                     <TableCell>
                       <Typography variant="body2">
@@ -175,12 +184,12 @@ const CyclesViewer: React.FC = () => {
                     </TableCell>
                     <TableCell>
                       <Typography variant="body2">
-                        {cycle.activePositions}
+                        {cycle.portfolioCycles?.[0]?.activePositions ?? cycle.activePositions}
                       </Typography>
                     </TableCell>
                     <TableCell>
                       <Typography variant="body2">
-                        {cycle.watchlistSize}
+                        {cycle.portfolioCycles?.[0]?.watchlistSize ?? cycle.watchlistSize}
                       </Typography>
                     </TableCell>
                     <TableCell>
@@ -1,11 +1,15 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   Container,
   Typography,
   Box,
   Tabs,
   Tab,
-  Paper
+  Paper,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem
 } from '@mui/material';
 import {
   Dashboard as DashboardIcon,
@@ -13,7 +17,9 @@ import {
   List as LogsIcon,
   Visibility as WatchlistIcon,
   ShowChart as SimulatorIcon,
-  AttachMoney as PriceIcon
+  AttachMoney as PriceIcon,
+  CompareArrows as CompareIcon,
+  AccountBalance as VaultIcon
 } from '@mui/icons-material';
 
 import PortfolioOverview from './PortfolioOverview';
@@ -22,6 +28,10 @@ import LogsViewer from './LogsViewer';
 import Watchlist from './Watchlist';
 import YieldSimulator from './YieldSimulator';
 import CoinGeckoDataViewer from './CoinGeckoDataViewer';
+import PortfolioComparison from './PortfolioComparison';
+import VaultViewer from './VaultViewer';
+import { apiService, setSelectedPortfolio as scopeApiToPortfolio } from '../services';
+import { Portfolio } from '../types';
 
 interface TabPanelProps {
   children?: React.ReactNode;
@@ -58,6 +68,25 @@ function a11yProps(index: number) {
 
 const Dashboard: React.FC = () => {
   const [tabValue, setTabValue] = useState(0);
+  const [chains, setChains] = useState<string[]>([]);
+  const [selectedChain, setSelectedChain] = useState('');
+  const [portfolios, setPortfolios] = useState<Portfolio[]>([]);
+  const [selectedPortfolio, setSelectedPortfolio] = useState(''); // '' is the default portfolio
+
+  useEffect(() => {
+    apiService.getChains()
+      .then(info => setChains(info.enabledChains))
+      .catch(error => console.error('Error loading chains:', error));
+    apiService.getPortfolios()
+      .then(setPortfolios)
+      .catch(error => console.error('Error loading portfolios:', error));
+  }, []);
+
+  // Scope API calls before the tabs remount (they are keyed by portfolio) and refetch
+  const selectPortfolio = (name: string) => {
+    scopeApiToPortfolio(name || null);
+    setSelectedPortfolio(name);
+  };
 
   const handleTabChange = (event: React.SyntheticEvent, newValue: number) => {
     setTabValue(newValue);
@@ -65,13 +94,51 @@ const Dashboard: React.FC = () => {
 
   return (
     <Container maxWidth="xl" sx={{ py: 4 }}>
-      <Box sx={{ mb: 4 }}>
-        <Typography variant="h3" component="h1" gutterBottom>
-          WildNet Yield Farming Bot
-        </Typography>
-        <Typography variant="subtitle1" color="text.secondary">
-          Automated Solana DeFi pool detection and yield farming simulation
-        </Typography>
+      <Box sx={{ mb: 4, display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start' }}>
+        <Box>
+          <Typography variant="h3" component="h1" gutterBottom>
+            WildNet Yield Farming Bot
+          </Typography>
+          <Typography variant="subtitle1" color="text.secondary">
+            Automated multi-chain DeFi pool detection and yield farming simulation
+          </Typography>
+        </Box>
+        <Box sx={{ display: 'flex', gap: 2 }}>
+          {portfolios.length > 1 && (
+            <FormControl size="small" sx={{ minWidth: 160 }}>
+              <InputLabel id="portfolio-select-label">Portfolio</InputLabel>
+              <Select
+                labelId="portfolio-select-label"
+                value={selectedPortfolio}
+                label="Portfolio"
+                displayEmpty
+                onChange={(e) => selectPortfolio(e.target.value)}
+              >
+                {portfolios.map(portfolio => (
+                  <MenuItem key={portfolio.id} value={portfolio.isDefault ? '' : portfolio.name}>
+                    {portfolio.name}{portfolio.status !== 'active' ? ` (${portfolio.status})` : ''}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          )}
+          {chains.length > 1 && (
+            <FormControl size="small" sx={{ minWidth: 160 }}>
+              <InputLabel id="chain-filter-label">Chain</InputLabel>
+              <Select
+                labelId="chain-filter-label"
+                value={selectedChain}
+                label="Chain"
+                onChange={(e) => setSelectedChain(e.target.value)}
+              >
+                <MenuItem value="">All chains</MenuItem>
+                {chains.map(chain => (
+                  <MenuItem key={chain} value={chain}>{chain}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          )}
+        </Box>
       </Box>
 
       <Paper sx={{ width: '100%' }}>
@@ -113,23 +180,33 @@ const Dashboard: React.FC = () => {
               label="Live Prices" 
               {...a11yProps(5)} 
             />
+            <Tab 
+              icon={<CompareIcon />} 
+              label="Portfolios" 
+              {...a11yProps(6)} 
+            />
+            <Tab 
+              icon={<VaultIcon />} 
+              label="Vaults" 
+              {...a11yProps(7)} 
+            />
           </Tabs>
         </Box>
 
         <TabPanel value={tabValue} index={0}>
-          <PortfolioOverview />
+          <PortfolioOverview key={selectedPortfolio} chain={selectedChain || undefined} />
         </TabPanel>
 
         <TabPanel value={tabValue} index={1}>
-          <CyclesViewer />
+          <CyclesViewer key={selectedPortfolio} />
         </TabPanel>
 
         <TabPanel value={tabValue} index={2}>
-          <LogsViewer />
+          <LogsViewer key={selectedPortfolio} />
         </TabPanel>
 
         <TabPanel value={tabValue} index={3}>
-          <Watchlist />
+          <Watchlist key={selectedPortfolio} chain={selectedChain || undefined} />
         </TabPanel>
 
         <TabPanel value={tabValue} index={4}>
@@ -139,6 +216,14 @@ const Dashboard: React.FC = () => {
         <TabPanel value={tabValue} index={5}>
           <CoinGeckoDataViewer />
         </TabPanel>
+
+        <TabPanel value={tabValue} index={6}>
+          <PortfolioComparison selected={selectedPortfolio} onSelect={selectPortfolio} />
+        </TabPanel>
+
+        <TabPanel value={tabValue} index={7}>
+          <VaultViewer />
+        </TabPanel>
       </Paper>
     </Container>
   );
@@ -0,0 +1,192 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Card,
+  CardContent,
+  Typography,
+  Box,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Chip,
+  IconButton,
+  Tooltip,
+  CircularProgress,
+  Alert,
+  Paper
+} from '@mui/material';
+import {
+  Refresh as RefreshIcon,
+  CompareArrows as CompareIcon
+} from '@mui/icons-material';
+import { Portfolio, PortfolioCycle } from '../types';
+import { apiService } from '../services';
+import { formatCurrency, formatPercentage, formatTimeAgo } from '../utils';
+
+// Cycles of history used for the return trend column
+const TREND_CYCLES = 48;
+
+interface PortfolioRow extends Portfolio {
+  history: PortfolioCycle[];
+}
+
+const statusColor = (status: Portfolio['status']): 'success' | 'warning' | 'default' =>
+  status === 'active' ? 'success' : status === 'paused' ? 'warning' : 'default';
+
+// selected and onSelect use '' for the default portfolio, as the dashboard selector does
+const PortfolioComparison: React.FC<{ selected: string; onSelect: (name: string) => void }> = ({ selected, onSelect }) => {
+  const [rows, setRows] = useState<PortfolioRow[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchPortfolios = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const portfolios = await apiService.getPortfolios();
+      const histories = await Promise.all(portfolios.map(p => apiService.getPortfolioHistory(p.id, TREND_CYCLES)));
+      setRows(portfolios.map((p, i) => ({ ...p, history: histories[i] })));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to fetch portfolios');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchPortfolios();
+    // Auto-refresh every 60 seconds
+    const interval = setInterval(fetchPortfolios, 60000);
+    return () => clearInterval(interval);
+  }, []);
+
+  // Change of the return percentage over the fetched history
+  const trend = (history: PortfolioCycle[]) =>
+    history.length > 1 ? history[history.length - 1].returnPct - history[0].returnPct : null;
+
+  if (loading && rows.length === 0) {
+    return (
+      <Card>
+        <CardContent>
+          <Box display="flex" justifyContent="center" alignItems="center" minHeight={200}>
+            <CircularProgress />
+          </Box>
+        </CardContent>
+      </Card>
+    );
+  }
+
+  return (
+    <Card>
+      <CardContent>
+        <Box display="flex" justifyContent="space-between" alignItems="center" mb={2}>
+          <Box display="flex" alignItems="center" gap={1}>
+            <CompareIcon color="primary" />
+            <Typography variant="h6" component="h2">
+              Portfolio Comparison
+            </Typography>
+          </Box>
+          <Tooltip title="Refresh portfolios">
+            <IconButton onClick={fetchPortfolios} disabled={loading}>
+              <RefreshIcon />
+            </IconButton>
+          </Tooltip>
+        </Box>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        {rows.length === 0 && !loading ? (
+          <Alert severity="info">
+            No portfolios found. The workflow manager creates the default portfolio on startup.
+          </Alert>
+        ) : (
+          <TableContainer component={Paper}>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Portfolio</TableCell>
+                  <TableCell>Status</TableCell>
+                  <TableCell align="right">Bankroll</TableCell>
+                  <TableCell align="right">Active Pos.</TableCell>
+                  <TableCell align="right">Invested</TableCell>
+                  <TableCell align="right">Current Value</TableCell>
+                  <TableCell align="right">Returns</TableCell>
+                  <TableCell align="right">Win Rate</TableCell>
+                  <TableCell align="right">Trend ({TREND_CYCLES} cycles)</TableCell>
+                  <TableCell>Last Cycle</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {rows.map((row) => {
+                  const latest = row.latestCycle;
+                  const change = trend(row.history);
+                  const value = row.isDefault ? '' : row.name;
+                  return (
+                    <TableRow
+                      key={row.id}
+                      hover
+                      selected={value === selected}
+                      onClick={() => onSelect(value)}
+                      sx={{ cursor: 'pointer' }}
+                    >
+                      <TableCell>
+                        <Typography variant="body2" fontWeight="bold">{row.name}</Typography>
+                        {row.description && (
+                          <Typography variant="caption" color="text.secondary">{row.description}</Typography>
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        <Chip label={row.status} size="small" color={statusColor(row.status)} variant="outlined" />
+                      </TableCell>
+                      <TableCell align="right">{formatCurrency(row.bankrollUsd)}</TableCell>
+                      <TableCell align="right">{latest ? latest.activePositions : '-'}</TableCell>
+                      <TableCell align="right">{latest ? formatCurrency(latest.totalInvested) : '-'}</TableCell>
+                      <TableCell align="right">{latest ? formatCurrency(latest.currentValue) : '-'}</TableCell>
+                      <TableCell align="right">
+                        {latest ? (
+                          <Typography variant="body2" color={latest.totalReturns >= 0 ? 'success.main' : 'error.main'}>
+                            {formatCurrency(latest.totalReturns)} ({formatPercentage(latest.returnPct)})
+                          </Typography>
+                        ) : '-'}
+                      </TableCell>
+                      <TableCell align="right">{latest ? formatPercentage(latest.winRate, 1) : '-'}</TableCell>
+                      <TableCell align="right">
+                        {change === null ? '-' : (
+                          <Typography variant="body2" color={change >= 0 ? 'success.main' : 'error.main'}>
+                            {change >= 0 ? '+' : ''}{formatPercentage(change)}
+                          </Typography>
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        {latest ? (
+                          <Tooltip title={`${latest.newInvestments} entries, ${latest.positionsExited} exits, ${latest.newPoolsFound} new pools`}>
+                            <Typography variant="caption">#{latest.cycleId} • {formatTimeAgo(latest.timestamp)}</Typography>
+                          </Tooltip>
+                        ) : '-'}
+                      </TableCell>
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+
+        <Box mt={2} display="flex" justifyContent="space-between" alignItems="center">
+          <Typography variant="caption" color="text.secondary">
+            Every active portfolio trades the same pool data each cycle • Select a row to view it in the other tabs
+          </Typography>
+          {loading && <CircularProgress size={16} />}
+        </Box>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default PortfolioComparison;
@@ -27,9 +27,10 @@ import {
   Visibility as WatchlistIcon,
   FiberNew as NewIcon
 } from '@mui/icons-material';
-import { formatCurrency, formatPercentage, formatTimeAgo, getRiskColor, getApyColor } from '../utils';
-import { Position } from '../types';
+import { formatCurrency, formatPercentage, formatTimeAgo, getApyColor, formatSignal } from '../utils';
+import { Position, PRINCIPAL_USD } from '../types';
 import { apiService, yieldCalculator, priceService } from '../services';
+import RiskChip from './RiskChip';
 
 // Component for individual position row with async yield calculation
 const PositionRow: React.FC<{ position: Position }> = ({ position }) => {
@@ -55,6 +56,8 @@ const PositionRow: React.FC<{ position: Position }> = ({ position }) => {
   }, [position]);
 
   const holdTime = formatTimeAgo(position.entryTimestamp);
+  // Active positions whose last close attempt failed are retried next cycle
+  const lastExecution = position.executions?.[position.executions.length - 1];
 
   if (loading || !simulation) {
     return (
@@ -76,7 +79,9 @@ const PositionRow: React.FC<{ position: Position }> = ({ position }) => {
           {position.symbol}
         </Typography>
         {position.isNew && (
-          <Chip label="NEW" size="small" color="success" sx={{ ml: 1 }} />
+          <Tooltip title={(position.detectionSignals || []).map(formatSignal).join('; ')}>
+            <Chip label="NEW" size="small" color="success" sx={{ ml: 1 }} />
+          </Tooltip>
         )}
         {position.detectionReason && (
           <Typography variant="caption" color="text.secondary" display="block">
@@ -88,6 +93,9 @@ const PositionRow: React.FC<{ position: Position }> = ({ position }) => {
         <Typography variant="body2">
           {position.project}
         </Typography>
+        <Typography variant="caption" color="text.secondary">
+          {position.chain}{position.executor && position.executor !== 'paper' && ` • ${position.executor}`}
+        </Typography>
       </TableCell>
       <TableCell>
         <Typography variant="body2" color={getApyColor(position.entryApy)}>
@@ -95,17 +103,19 @@ const PositionRow: React.FC<{ position: Position }> = ({ position }) => {
         </Typography>
       </TableCell>
       <TableCell>
-        <Chip
-          label={position.entryRiskScore || 0}
-          size="small"
-          color={getRiskColor(position.entryRiskScore || 0) as any}
-          variant="outlined"
-        />
+        <RiskChip score={position.entryRiskScore} breakdown={position.riskBreakdown} />
       </TableCell>
       <TableCell>
         <Typography variant="body2">
           {holdTime}
         </Typography>
+        {position.harvestIntervalHours && (
+          <Tooltip title={position.nextHarvestAt ? `Next harvest ${new Date(position.nextHarvestAt).toLocaleString()}` : 'Claims at exit'}>
+            <Typography variant="caption" color="text.secondary" display="block">
+              Harvest every {position.harvestIntervalHours}h • {position.harvests?.length || 0} done
+            </Typography>
+          </Tooltip>
+        )}
       </TableCell>
       <TableCell>
         <Box>
@@ -122,6 +132,7 @@ const PositionRow: React.FC<{ position: Position }> = ({ position }) => {
           {simulation.priceChange !== undefined && Math.abs(simulation.priceChange) > 0.01 && (
             <Typography variant="caption" color="text.secondary" display="block">
               Farming: {formatCurrency(simulation.farmingRewards || 0)} | Price: {formatCurrency(simulation.priceChange)}
+              {simulation.impermanentLoss !== undefined && ` | IL: ${formatCurrency(simulation.impermanentLoss)}`}
             </Typography>
           )}
         </Box>
@@ -133,6 +144,11 @@ const PositionRow: React.FC<{ position: Position }> = ({ position }) => {
           color="success"
           variant="filled"
         />
+        {lastExecution?.status === 'failed' && (
+          <Tooltip title={`${lastExecution.executor} ${lastExecution.side} failed: ${lastExecution.error}`}>
+            <Chip label="Exit failed" size="small" color="error" variant="outlined" sx={{ ml: 1 }} />
+          </Tooltip>
+        )}
       </TableCell>
     </TableRow>
   );
@@ -142,6 +158,7 @@ interface PortfolioMetrics {
   totalValue: number;
   totalReturn: number;
   returnPercentage: number;
+  totalFees: number;  // management and performance fees from the fee ledger
   winRate: number;
   activePositions: number;
   totalPositions: number;
@@ -155,7 +172,7 @@ interface WatchlistStats {
   recentDiscoveries: any[];
 }
 
-const PortfolioOverview: React.FC = () => {
+const PortfolioOverview: React.FC<{ chain?: string }> = ({ chain }) => {
   const [positions, setPositions] = useState<Position[]>([]);
   const [metrics, setMetrics] = useState<PortfolioMetrics | null>(null);
   const [watchlistStats, setWatchlistStats] = useState<WatchlistStats | null>(null);
@@ -168,9 +185,9 @@ const PortfolioOverview: React.FC = () => {
       setError(null);
       
       const [allPositions, activePositions, watchlist] = await Promise.all([
-        apiService.getPositions(),
-        apiService.getActivePositions(),
-        apiService.getWatchlist()
+        apiService.getPositions(chain),
+        apiService.getActivePositions(chain),
+        apiService.getWatchlist(chain)
       ]);
 
       setPositions(allPositions);
@@ -219,8 +236,9 @@ const PortfolioOverview: React.FC = () => {
         return sum;
       }, Promise.resolve(0));
 
-      const principal = allPositions.length * 1000; // $1000 per position
+      const principal = allPositions.reduce((sum, p) => sum + (p.principalUsd ?? PRINCIPAL_USD), 0);
       const returnPercentage = principal > 0 ? (totalReturn / principal) * 100 : 0;
+      const totalFees = allPositions.reduce((sum, p) => sum + (p.fees || []).reduce((s, f) => s + f.amountUsd, 0), 0);
       
       const exitedPositions = allPositions.filter(p => p.status === 'exited');
       const winRate = exitedPositions.length > 0 
@@ -235,6 +253,7 @@ const PortfolioOverview: React.FC = () => {
         totalValue,
         totalReturn,
         returnPercentage,
+        totalFees,
         winRate,
         activePositions: activePositions.length,
         totalPositions: allPositions.length,
@@ -254,7 +273,7 @@ const PortfolioOverview: React.FC = () => {
     // Auto-refresh every 60 seconds
     const interval = setInterval(fetchData, 60000);
     return () => clearInterval(interval);
-  }, []);
+  }, [chain]);
 
   const activePositions = positions.filter(p => p.status === 'active');
 
@@ -366,6 +385,11 @@ const PortfolioOverview: React.FC = () => {
                 <Typography variant="caption" color="text.secondary">
                   {formatPercentage(metrics?.returnPercentage || 0)}
                 </Typography>
+                {metrics && metrics.totalFees > 0 && (
+                  <Typography variant="caption" color="text.secondary" display="block">
+                    {formatCurrency(metrics.totalReturn - metrics.totalFees)} net of {formatCurrency(metrics.totalFees)} fees
+                  </Typography>
+                )}
               </Box>
               {metrics?.totalReturn && metrics.totalReturn >= 0 ? 
                 <TrendingUpIcon color="success" /> : 
@@ -0,0 +1,43 @@
+import React from 'react';
+import { Box, Chip, Tooltip, Typography } from '@mui/material';
+import { RiskBreakdown } from '../types';
+import { formatNumber, getRiskColor } from '../utils';
+
+const formatValue = (value: number | string | null): string =>
+  typeof value === 'number' ? formatNumber(value) : value ?? 'n/a';
+
+// Risk score chip whose tooltip lists the factors that contributed to the score
+const RiskChip: React.FC<{ score?: number; breakdown?: RiskBreakdown }> = ({ score, breakdown }) => {
+  const riskScore = breakdown?.score ?? score ?? 0;
+  const rejected = breakdown ? riskScore > breakdown.maxRiskScore : false;
+  const triggered = breakdown?.factors.filter(f => f.points > 0) || [];
+
+  const details = breakdown ? (
+    <Box>
+      <Typography variant="caption" display="block" fontWeight="bold">
+        Risk {riskScore} / max {breakdown.maxRiskScore}{rejected ? ' (rejected)' : ''}
+      </Typography>
+      {triggered.length === 0 && (
+        <Typography variant="caption" display="block">No risk factors triggered</Typography>
+      )}
+      {triggered.map(f => (
+        <Typography key={f.factor} variant="caption" display="block">
+          +{f.points} {f.factor}: {formatValue(f.value)}{f.threshold !== null ? ` (threshold ${formatNumber(f.threshold)})` : ''}
+        </Typography>
+      ))}
+    </Box>
+  ) : 'No risk breakdown recorded';
+
+  return (
+    <Tooltip title={details}>
+      <Chip
+        label={rejected ? `${riskScore} ✕` : riskScore}
+        size="small"
+        color={getRiskColor(riskScore) as any}
+        variant={rejected ? 'filled' : 'outlined'}
+      />
+    </Tooltip>
+  );
+};
+
+export default RiskChip;
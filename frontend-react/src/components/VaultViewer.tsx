@@ -0,0 +1,354 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import {
+  Card,
+  CardContent,
+  Typography,
+  Box,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Chip,
+  IconButton,
+  Tooltip,
+  CircularProgress,
+  Alert,
+  Paper,
+  Button,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField
+} from '@mui/material';
+import {
+  Refresh as RefreshIcon,
+  AccountBalance as VaultIcon
+} from '@mui/icons-material';
+import { Vault, VaultReport, VaultSnapshot, VaultTransaction } from '../types';
+import { apiService } from '../services';
+import { formatCurrency, formatPercentage, formatNumber, formatDate } from '../utils';
+
+// Price-per-share snapshots and ledger entries shown
+const HISTORY_ROWS = 20;
+
+type DialogMode = 'deposit' | 'withdraw' | null;
+
+// The API answers validation failures with { error }
+const apiError = (err: unknown, fallback: string) =>
+  (axios.isAxiosError(err) && err.response?.data?.error) || (err instanceof Error ? err.message : fallback);
+
+const VaultViewer: React.FC = () => {
+  const [vaults, setVaults] = useState<Vault[]>([]);
+  const [selected, setSelected] = useState<string>('');
+  const [report, setReport] = useState<VaultReport | null>(null);
+  const [history, setHistory] = useState<VaultSnapshot[]>([]);
+  const [transactions, setTransactions] = useState<VaultTransaction[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [dialog, setDialog] = useState<DialogMode>(null);
+  const [depositor, setDepositor] = useState('');
+  const [amount, setAmount] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const fetchVault = useCallback(async (name: string) => {
+    const [vaultReport, snapshots, ledger] = await Promise.all([
+      apiService.getVault(name),
+      apiService.getVaultHistory(name),
+      apiService.getVaultTransactions(name, HISTORY_ROWS)
+    ]);
+    setReport(vaultReport);
+    setHistory(snapshots);
+    setTransactions(ledger);
+  }, []);
+
+  const fetchVaults = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const list = await apiService.getVaults();
+      setVaults(list);
+      const name = selected && list.some(v => v.name === selected) ? selected : list[0]?.name || '';
+      setSelected(name);
+      if (name) await fetchVault(name);
+    } catch (err) {
+      setError(apiError(err, 'Failed to fetch vaults'));
+    } finally {
+      setLoading(false);
+    }
+  }, [selected, fetchVault]);
+
+  useEffect(() => {
+    fetchVaults();
+    // Auto-refresh every 60 seconds
+    const interval = setInterval(fetchVaults, 60000);
+    return () => clearInterval(interval);
+  }, [fetchVaults]);
+
+  const openDialog = (mode: DialogMode, name: string = '') => {
+    setDepositor(name);
+    setAmount('');
+    setDialog(mode);
+  };
+
+  const handleSubmit = async () => {
+    if (!report) return;
+    try {
+      setSubmitting(true);
+      setError(null);
+      if (dialog === 'deposit') {
+        await apiService.depositToVault(report.name, depositor, Number(amount));
+      } else {
+        // An empty amount withdraws the whole balance
+        await apiService.withdrawFromVault(report.name, depositor, amount ? { amountUsd: Number(amount) } : {});
+      }
+      setDialog(null);
+      await fetchVault(report.name);
+    } catch (err) {
+      setError(apiError(err, `Failed to ${dialog}`));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  // Price-per-share change since the first snapshot
+  const ppsChange = history.length > 1
+    ? ((history[history.length - 1].pricePerShare / history[0].pricePerShare) - 1) * 100
+    : null;
+
+  if (loading && vaults.length === 0) {
+    return (
+      <Card>
+        <CardContent>
+          <Box display="flex" justifyContent="center" alignItems="center" minHeight={200}>
+            <CircularProgress />
+          </Box>
+        </CardContent>
+      </Card>
+    );
+  }
+
+  const summary = report ? [
+    { label: 'Net Asset Value', value: formatCurrency(report.navUsd) },
+    { label: 'Price per Share', value: formatNumber(report.pricePerShare, 6) },
+    { label: 'Total Shares', value: formatNumber(report.totalShares, 4) },
+    { label: 'Portfolio Returns', value: formatCurrency(report.returnsUsd), color: report.returnsUsd >= 0 ? 'success.main' : 'error.main' },
+    { label: `PPS Change (${history.length} snapshots)`, value: ppsChange === null ? '-' : formatPercentage(ppsChange, 4), color: (ppsChange ?? 0) >= 0 ? 'success.main' : 'error.main' }
+  ] : [];
+
+  return (
+    <Card>
+      <CardContent>
+        <Box display="flex" justifyContent="space-between" alignItems="center" mb={2}>
+          <Box display="flex" alignItems="center" gap={1}>
+            <VaultIcon color="primary" />
+            <Typography variant="h6" component="h2">
+              Vaults
+            </Typography>
+          </Box>
+          <Box display="flex" alignItems="center" gap={1}>
+            {vaults.length > 0 && (
+              <FormControl size="small" sx={{ minWidth: 180 }}>
+                <InputLabel id="vault-select-label">Vault</InputLabel>
+                <Select
+                  labelId="vault-select-label"
+                  value={selected}
+                  label="Vault"
+                  onChange={(e) => setSelected(e.target.value)}
+                >
+                  {vaults.map(v => (
+                    <MenuItem key={v.id} value={v.name}>{v.name} ({v.portfolio.name})</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            )}
+            <Button variant="outlined" size="small" disabled={!report} onClick={() => openDialog('deposit')}>
+              Deposit
+            </Button>
+            <Tooltip title="Refresh vault">
+              <IconButton onClick={fetchVaults} disabled={loading}>
+                <RefreshIcon />
+              </IconButton>
+            </Tooltip>
+          </Box>
+        </Box>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+
+        {vaults.length === 0 && !loading ? (
+          <Alert severity="info">
+            No vaults yet. Open one over a portfolio with POST /api/vaults {'{ "name": "...", "portfolio": "default" }'}.
+          </Alert>
+        ) : report && (
+          <>
+            <Box display="flex" flexWrap="wrap" gap={2} mb={3}>
+              {summary.map(item => (
+                <Box key={item.label} flex="1 1 160px">
+                  <Paper variant="outlined" sx={{ p: 2 }}>
+                    <Typography variant="caption" color="text.secondary">{item.label}</Typography>
+                    <Typography variant="h6" color={item.color}>{item.value}</Typography>
+                  </Paper>
+                </Box>
+              ))}
+            </Box>
+
+            <Typography variant="subtitle1" gutterBottom>Depositors</Typography>
+            <TableContainer component={Paper} sx={{ mb: 3 }}>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Depositor</TableCell>
+                    <TableCell align="right">Shares</TableCell>
+                    <TableCell align="right">Value</TableCell>
+                    <TableCell align="right">Deposited</TableCell>
+                    <TableCell align="right">Withdrawn</TableCell>
+                    <TableCell align="right">Profit</TableCell>
+                    <TableCell align="right">Return</TableCell>
+                    <TableCell>Since</TableCell>
+                    <TableCell />
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {report.depositors.map(d => (
+                    <TableRow key={d.name}>
+                      <TableCell><Typography variant="body2" fontWeight="bold">{d.name}</Typography></TableCell>
+                      <TableCell align="right">{formatNumber(d.shares, 4)}</TableCell>
+                      <TableCell align="right">{formatCurrency(d.valueUsd)}</TableCell>
+                      <TableCell align="right">{formatCurrency(d.depositedUsd)}</TableCell>
+                      <TableCell align="right">{formatCurrency(d.withdrawnUsd)}</TableCell>
+                      <TableCell align="right">
+                        <Typography variant="body2" color={d.profitUsd >= 0 ? 'success.main' : 'error.main'}>
+                          {formatCurrency(d.profitUsd)}
+                        </Typography>
+                      </TableCell>
+                      <TableCell align="right">{formatPercentage(d.returnPct)}</TableCell>
+                      <TableCell>{formatDate(d.since)}</TableCell>
+                      <TableCell align="right">
+                        <Button size="small" disabled={d.shares <= 0} onClick={() => openDialog('withdraw', d.name)}>
+                          Withdraw
+                        </Button>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+
+            <Box display="flex" flexWrap="wrap" gap={2}>
+              <Box flex="1 1 400px">
+                <Typography variant="subtitle1" gutterBottom>Price per Share History</Typography>
+                <TableContainer component={Paper}>
+                  <Table size="small">
+                    <TableHead>
+                      <TableRow>
+                        <TableCell>Time</TableCell>
+                        <TableCell>Source</TableCell>
+                        <TableCell align="right">NAV</TableCell>
+                        <TableCell align="right">PPS</TableCell>
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {history.slice(-HISTORY_ROWS).reverse().map(s => (
+                        <TableRow key={s.id}>
+                          <TableCell>{formatDate(s.timestamp)}</TableCell>
+                          <TableCell>{s.cycleId ? `cycle #${s.cycleId}` : 'transaction'}</TableCell>
+                          <TableCell align="right">{formatCurrency(s.navUsd)}</TableCell>
+                          <TableCell align="right">{formatNumber(s.pricePerShare, 6)}</TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </TableContainer>
+              </Box>
+              <Box flex="1 1 400px">
+                <Typography variant="subtitle1" gutterBottom>Ledger</Typography>
+                <TableContainer component={Paper}>
+                  <Table size="small">
+                    <TableHead>
+                      <TableRow>
+                        <TableCell>Time</TableCell>
+                        <TableCell>Depositor</TableCell>
+                        <TableCell>Type</TableCell>
+                        <TableCell align="right">Amount</TableCell>
+                        <TableCell align="right">Shares @ PPS</TableCell>
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {transactions.map(t => (
+                        <TableRow key={t.id}>
+                          <TableCell>{formatDate(t.timestamp)}</TableCell>
+                          <TableCell>{t.depositor.name}</TableCell>
+                          <TableCell>
+                            <Chip label={t.type} size="small" variant="outlined" color={t.type === 'deposit' ? 'success' : 'warning'} />
+                          </TableCell>
+                          <TableCell align="right">{formatCurrency(t.amountUsd)}</TableCell>
+                          <TableCell align="right">{formatNumber(t.shares, 4)} @ {formatNumber(t.pricePerShare, 6)}</TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </TableContainer>
+              </Box>
+            </Box>
+          </>
+        )}
+
+        <Box mt={2} display="flex" justifyContent="space-between" alignItems="center">
+          <Typography variant="caption" color="text.secondary">
+            NAV is the portfolio bankroll plus realized and unrealized returns • Yield accrues to the price per share
+          </Typography>
+          {loading && <CircularProgress size={16} />}
+        </Box>
+      </CardContent>
+
+      <Dialog open={dialog !== null} onClose={() => setDialog(null)}>
+        <DialogTitle>{dialog === 'deposit' ? 'Deposit' : 'Withdraw'} {report ? `(${report.name})` : ''}</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" sx={{ mb: 2 }}>
+            {dialog === 'deposit'
+              ? 'Shares are minted at the current price per share.'
+              : 'Shares are burned at the current price per share. Leave the amount empty to withdraw everything.'}
+          </Typography>
+          <TextField
+            label="Depositor"
+            value={depositor}
+            onChange={(e) => setDepositor(e.target.value)}
+            disabled={dialog === 'withdraw'}
+            fullWidth
+            sx={{ mb: 2 }}
+          />
+          <TextField
+            label="Amount (USD)"
+            type="number"
+            value={amount}
+            onChange={(e) => setAmount(e.target.value)}
+            fullWidth
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDialog(null)}>Cancel</Button>
+          <Button
+            onClick={handleSubmit}
+            variant="contained"
+            disabled={submitting || !depositor || (dialog === 'deposit' && !amount)}
+          >
+            {dialog === 'deposit' ? 'Deposit' : 'Withdraw'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Card>
+  );
+};
+
+export default VaultViewer;
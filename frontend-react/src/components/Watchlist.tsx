@@ -33,9 +33,10 @@ import {
 } from '@mui/icons-material';
 import { WatchlistPool } from '../types';
 import { apiService, defiLlamaService } from '../services';
-import { formatCurrency, formatPercentage, formatDate } from '../utils';
+import RiskChip from './RiskChip';
+import { formatCurrency, formatPercentage, formatDate, formatSignal } from '../utils';
 
-const Watchlist: React.FC = () => {
+const Watchlist: React.FC<{ chain?: string }> = ({ chain }) => {
   const [watchlistPools, setWatchlistPools] = useState<WatchlistPool[]>([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
@@ -46,7 +47,7 @@ const Watchlist: React.FC = () => {
   const loadWatchlist = async () => {
     try {
       setLoading(true);
-      const data = await apiService.getWatchlist();
+      const data = await apiService.getWatchlist(chain);
       setWatchlistPools(data);
       setError(null);
     } catch (err) {
@@ -93,7 +94,7 @@ const Watchlist: React.FC = () => {
 
   useEffect(() => {
     loadWatchlist();
-  }, []);
+  }, [chain]);
 
   if (loading) {
     return (
@@ -194,6 +195,7 @@ const Watchlist: React.FC = () => {
               <TableCell>Pool</TableCell>
               <TableCell>Project</TableCell>
               <TableCell>Status</TableCell>
+              <TableCell>Risk</TableCell>
               <TableCell>First Seen</TableCell>
               <TableCell>Last Checked</TableCell>
               <TableCell>New Pool</TableCell>
@@ -203,7 +205,7 @@ const Watchlist: React.FC = () => {
           <TableBody>
             {watchlistPools.length === 0 ? (
               <TableRow>
-                <TableCell colSpan={7} align="center">
+                <TableCell colSpan={8} align="center">
                   <Typography variant="body2" color="textSecondary" sx={{ py: 4 }}>
                     No pools in watchlist. Start the bot to detect new pools!
                   </Typography>
@@ -224,6 +226,9 @@ const Watchlist: React.FC = () => {
                     <Typography variant="body2">
                       {pool.project}
                     </Typography>
+                    <Typography variant="caption" color="text.secondary">
+                      {pool.chain}
+                    </Typography>
                   </TableCell>
                   <TableCell>
                     <Chip
@@ -234,6 +239,13 @@ const Watchlist: React.FC = () => {
                       variant="outlined"
                     />
                   </TableCell>
+                  <TableCell>
+                    {pool.riskBreakdown ? (
+                      <RiskChip score={pool.riskScore} breakdown={pool.riskBreakdown} />
+                    ) : (
+                      <Typography variant="caption" color="text.secondary">Not evaluated</Typography>
+                    )}
+                  </TableCell>
                   <TableCell>
                     <Typography variant="body2">
                       {formatDate(pool.firstSeen)}
@@ -246,12 +258,14 @@ const Watchlist: React.FC = () => {
                   </TableCell>
                   <TableCell>
                     {pool.isNew && (
-                      <Chip
-                        size="small"
-                        label="New"
-                        color="warning"
-                        variant="filled"
-                      />
+                      <Tooltip title={(pool.detectionSignals || []).map(formatSignal).join('; ')}>
+                        <Chip
+                          size="small"
+                          label={pool.detectionSignals?.length ? `New (${pool.detectionSignals.length})` : 'New'}
+                          color="warning"
+                          variant="filled"
+                        />
+                      </Tooltip>
                     )}
                   </TableCell>
                   <TableCell>
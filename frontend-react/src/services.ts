@@ -1,5 +1,5 @@
 import axios from 'axios';
-import { Position, PoolData, YieldAnalytics, PRINCIPAL_USD, DAILY_COMPOUND_RATE } from './types';
+import { Position, PoolData, PoolSnapshot, ChainsInfo, SignalPerformance, YieldAnalytics, YieldCalculation, AccrualCurve, HarvestEvent, PositionHarvests, FeeEntry, FeeTotals, Execution, ReconciliationReport, Reconciliation, BacktestRun, OptimizationRun, Portfolio, PortfolioDetail, PortfolioCycle, Vault, VaultReport, VaultSnapshot, VaultTransaction, VaultDepositorReturns, API_ENDPOINTS, PRINCIPAL_USD, DAILY_COMPOUND_RATE } from './types';
 
 // External API configuration (matches backend config)
 const COINGECKO_CONFIG = {
@@ -56,6 +56,21 @@ const api = axios.create({
   timeout: 10000,
 });
 
+// Portfolio the dashboard shows; the API scopes positions, watchlist, logs and results
+// to it (the default portfolio when none is selected)
+let selectedPortfolio: string | null = null;
+
+export const setSelectedPortfolio = (portfolio: string | null) => {
+  selectedPortfolio = portfolio;
+};
+
+api.interceptors.request.use((config) => {
+  if (selectedPortfolio) {
+    config.params = { portfolio: selectedPortfolio, ...config.params };
+  }
+  return config;
+});
+
 // CoinGecko API instance - using backend proxy to avoid CORS
 const coinGeckoApi = axios.create({
   baseURL: API_BASE_URL, // Use our backend instead of CoinGecko directly
@@ -265,18 +280,138 @@ export const apiService = {
   },
 
   // Positions
-  async getPositions(): Promise<Position[]> {
-    const response = await api.get('/api/positions');
+  async getPositions(chain?: string): Promise<Position[]> {
+    const response = await api.get('/api/positions', { params: chain ? { chain } : undefined });
+    return response.data;
+  },
+
+  async getActivePositions(chain?: string): Promise<Position[]> {
+    const response = await api.get('/api/positions/active', { params: chain ? { chain } : undefined });
+    return response.data;
+  },
+
+  async getExitedPositions(limit: number = 50, chain?: string): Promise<Position[]> {
+    const response = await api.get('/api/positions/exited', { params: { limit, ...(chain ? { chain } : {}) } });
+    return response.data;
+  },
+
+  // Backend valuation of an active position (farming, price PnL, impermanent loss, costs)
+  async getPositionYield(poolId: string): Promise<YieldCalculation> {
+    const response = await api.get(API_ENDPOINTS.positionYield(encodeURIComponent(poolId)));
+    return response.data;
+  },
+
+  async getPositionAccrual(poolId: string): Promise<AccrualCurve> {
+    const response = await api.get(API_ENDPOINTS.positionAccrual(encodeURIComponent(poolId)));
+    return response.data;
+  },
+
+  async getPositionHarvests(poolId: string): Promise<PositionHarvests> {
+    const response = await api.get(API_ENDPOINTS.positionHarvests(encodeURIComponent(poolId)));
+    return response.data;
+  },
+
+  async getHarvests(limit: number = 100): Promise<HarvestEvent[]> {
+    const response = await api.get(API_ENDPOINTS.harvests, { params: { limit } });
+    return response.data;
+  },
+
+  async getFees(limit: number = 100, type?: FeeEntry['type']): Promise<{ totals: FeeTotals; entries: FeeEntry[] }> {
+    const response = await api.get(API_ENDPOINTS.fees, { params: { limit, ...(type ? { type } : {}) } });
+    return response.data;
+  },
+
+  async getExecutions(limit: number = 100, status?: Execution['status'], side?: Execution['side']): Promise<Execution[]> {
+    const response = await api.get(API_ENDPOINTS.executions, { params: { limit, ...(status ? { status } : {}), ...(side ? { side } : {}) } });
+    return response.data;
+  },
+
+  async getReconciliation(): Promise<ReconciliationReport> {
+    const response = await api.get(API_ENDPOINTS.reconciliation);
+    return response.data;
+  },
+
+  async getReconciliationHistory(limit: number = 20, status?: Reconciliation['status']): Promise<Reconciliation[]> {
+    const response = await api.get(API_ENDPOINTS.reconciliationHistory, { params: { limit, ...(status ? { status } : {}) } });
+    return response.data;
+  },
+
+  // Backtests
+  async getBacktestRuns(limit: number = 20): Promise<BacktestRun[]> {
+    const response = await api.get(API_ENDPOINTS.backtests, { params: { limit } });
+    return response.data;
+  },
+
+  async getBacktestRun(id: number): Promise<BacktestRun> {
+    const response = await api.get(API_ENDPOINTS.backtest(id));
+    return response.data;
+  },
+
+  // Parameter sweeps
+  async getOptimizationRuns(limit: number = 20): Promise<OptimizationRun[]> {
+    const response = await api.get(API_ENDPOINTS.optimizations, { params: { limit } });
+    return response.data;
+  },
+
+  async getOptimizationRun(id: number): Promise<OptimizationRun> {
+    const response = await api.get(API_ENDPOINTS.optimization(id));
+    return response.data;
+  },
+
+  // Portfolios with their latest cycle results
+  async getPortfolios(): Promise<Portfolio[]> {
+    const response = await api.get(API_ENDPOINTS.portfolios);
+    return response.data;
+  },
+
+  async getPortfolio(ref: string | number): Promise<PortfolioDetail> {
+    const response = await api.get(API_ENDPOINTS.portfolio(encodeURIComponent(String(ref))));
+    return response.data;
+  },
+
+  // Per-cycle results of a portfolio, oldest first
+  async getPortfolioHistory(ref: string | number, limit: number = 500): Promise<PortfolioCycle[]> {
+    const response = await api.get(API_ENDPOINTS.portfolioHistory(encodeURIComponent(String(ref))), { params: { limit } });
+    return response.data;
+  },
+
+  // Vaults with their latest price-per-share snapshot
+  async getVaults(): Promise<Vault[]> {
+    const response = await api.get(API_ENDPOINTS.vaults);
     return response.data;
   },
 
-  async getActivePositions(): Promise<Position[]> {
-    const response = await api.get('/api/positions/active');
+  // Live valuation with every depositor's returns
+  async getVault(ref: string | number): Promise<VaultReport> {
+    const response = await api.get(API_ENDPOINTS.vault(encodeURIComponent(String(ref))));
     return response.data;
   },
 
-  async getExitedPositions(limit: number = 50): Promise<Position[]> {
-    const response = await api.get(`/api/positions/exited?limit=${limit}`);
+  // Price-per-share history, oldest first
+  async getVaultHistory(ref: string | number, limit: number = 500): Promise<VaultSnapshot[]> {
+    const response = await api.get(API_ENDPOINTS.vaultHistory(encodeURIComponent(String(ref))), { params: { limit } });
+    return response.data;
+  },
+
+  async getVaultTransactions(ref: string | number, limit: number = 100): Promise<VaultTransaction[]> {
+    const response = await api.get(API_ENDPOINTS.vaultTransactions(encodeURIComponent(String(ref))), { params: { limit } });
+    return response.data;
+  },
+
+  async depositToVault(ref: string | number, depositor: string, amountUsd: number): Promise<{ transaction: VaultTransaction; depositor: VaultDepositorReturns }> {
+    const response = await api.post(API_ENDPOINTS.vaultDeposit(encodeURIComponent(String(ref))), { depositor, amountUsd });
+    return response.data;
+  },
+
+  // Without shares or amountUsd the depositor's whole balance is withdrawn
+  async withdrawFromVault(ref: string | number, depositor: string, amount: { shares?: number; amountUsd?: number } = {}): Promise<{ transaction: VaultTransaction; depositor: VaultDepositorReturns }> {
+    const response = await api.post(API_ENDPOINTS.vaultWithdraw(encodeURIComponent(String(ref))), { depositor, ...amount });
+    return response.data;
+  },
+
+  // Chains
+  async getChains(): Promise<ChainsInfo> {
+    const response = await api.get('/api/chains');
     return response.data;
   },
 
@@ -296,12 +431,25 @@ export const apiService = {
     return response.data;
   },
 
+  async getSignalPerformance(): Promise<SignalPerformance[]> {
+    const response = await api.get('/api/analytics/signals');
+    return response.data;
+  },
+
   // Dashboard
   async getDashboardData(): Promise<any> {
     const response = await api.get('/api/dashboard');
     return response.data;
   },
 
+  // Pool history
+  async getPoolHistory(poolId: string, since?: string): Promise<PoolSnapshot[]> {
+    const response = await api.get(`/api/pools/${encodeURIComponent(poolId)}/history`, {
+      params: since ? { since } : undefined
+    });
+    return response.data;
+  },
+
   // Logs
   async getLogs(limit: number = 100): Promise<any[]> {
     const response = await api.get(`/api/logs?limit=${limit}`);
@@ -321,8 +469,8 @@ export const apiService = {
   },
 
   // Watchlist
-  async getWatchlist(): Promise<any[]> {
-    const response = await api.get('/api/watchlist');
+  async getWatchlist(chain?: string): Promise<any[]> {
+    const response = await api.get('/api/watchlist', { params: chain ? { chain } : undefined });
     return response.data;
   },
 
@@ -336,8 +484,11 @@ export const apiService = {
 export const defiLlamaService = {
   async getAllPools(): Promise<PoolData[]> {
     try {
-      const response = await axios.get('https://yields.llama.fi/pools');
-      return response.data.data.filter((pool: any) => pool.chain === 'Solana');
+      const [response, enabledChains] = await Promise.all([
+        axios.get('https://yields.llama.fi/pools'),
+        apiService.getChains().then(info => info.enabledChains).catch(() => ['Solana'])
+      ]);
+      return response.data.data.filter((pool: any) => enabledChains.includes(pool.chain));
     } catch (error) {
       console.error('Error fetching DeFiLlama pools:', error);
       return [];
@@ -369,18 +520,19 @@ export const yieldCalculator = {
     
     // Get real token prices
     const tokens = priceService.extractTokenSymbols(position.symbol);
-    let entryPrice = PRINCIPAL_USD;
-    let currentPrice = PRINCIPAL_USD;
+    const positionPrincipal = position.principalUsd ?? PRINCIPAL_USD;
+    let entryPrice = positionPrincipal;
+    let currentPrice = positionPrincipal;
     
     try {
       if (tokens.length === 2) {
         // For LP tokens, calculate based on token price changes
-        // Simulate entry price as current price (since we don't have historical data)
-        // In production, you'd want to store entry prices
-        entryPrice = PRINCIPAL_USD;
+        // Only reached for positions recorded without entry prices, so entry is taken as current
+        // (positions with stored entry prices are valued by the backend, see simulatePosition)
+        entryPrice = positionPrincipal;
         
         // Current pool value based on token prices
-        currentPrice = await priceService.getPoolValue(position.symbol, PRINCIPAL_USD);
+        currentPrice = await priceService.getPoolValue(position.symbol, positionPrincipal);
       }
     } catch (error) {
       console.error(`Price calculation error for ${position.symbol}:`, error);
@@ -441,7 +593,7 @@ export const yieldCalculator = {
     const avgApy = (position.entryApy + exitApy) / 2;
     
     // Calculate compound interest: A = P(1 + r/n)^(nt)
-    const principal = PRINCIPAL_USD;
+    const principal = position.principalUsd ?? PRINCIPAL_USD;
     const annualRate = avgApy / 100;
     const compoundingFreq = DAILY_COMPOUND_RATE;
     const timeInYears = holdDays / 365;
@@ -476,6 +628,16 @@ export const yieldCalculator = {
   // Use real prices if available, fallback to simulation
   async simulatePosition(position: Position): Promise<any> {
     try {
+      // Positions with stored entry prices are valued by the backend, which splits out impermanent loss
+      if (position.entryPrices && position.status === 'active') {
+        const yieldData = await apiService.getPositionYield(position.poolId);
+        return {
+          ...yieldData,
+          currentValue: yieldData.finalAmount,
+          farmingRewards: yieldData.farmingReturn,
+          priceChange: yieldData.pricePnl
+        };
+      }
       return await this.calculateYieldWithPrices(position);
     } catch (error) {
       console.warn(`Using simulated yield for ${position.symbol}, price data unavailable:`, error);
@@ -9,14 +9,225 @@ export interface Position {
   entryApy: number;
   entryRewardApy?: number;
   entryTvl?: number;
+  entryPrices?: TokenPrice[] | null;
+  entryRewardPrices?: TokenPrice[] | null;
   entryRiskScore?: number;
   isNew: boolean;
   detectionReason?: string;
   exitTimestamp?: string;
   exitApy?: number;
+  exitPrices?: TokenPrice[] | null;
+  exitRewardPrices?: TokenPrice[] | null;
   exitReason?: string;
+  exitReasons?: ExitTrigger[];
+  exitRules?: Record<string, unknown>;
+  peakApy?: number;
   profitLoss?: number;
+  farmingReturn?: number | null;
+  rewardReturn?: number | null;
+  pricePnl?: number | null;
+  impermanentLoss?: number | null;
   cycleId: number;
+  chain: string;
+  underlyingTokens?: string[];
+  rewardTokens?: string[];
+  exposure?: 'single' | 'multi' | null;
+  principalUsd?: number;
+  sizingPolicy?: string | null;
+  detectionSignals?: DetectionSignal[];
+  riskBreakdown?: RiskBreakdown;
+  harvestIntervalHours?: number | null;
+  nextHarvestAt?: string | null;
+  harvests?: HarvestEvent[];
+  fees?: FeeEntry[];
+  executor?: string;
+  executions?: Execution[];
+}
+
+// A claim of accrued rewards, swapped into the pool's tokens and redeposited
+export interface HarvestEvent {
+  id: number;
+  positionId: number;
+  cycleId?: number | null;
+  timestamp: string;
+  rewardsUsd: number;
+  costUsd: number;
+  costs?: HarvestCosts | null;
+  compoundedUsd: number;   // rewards less costs, added to the deployed value
+  valueBeforeUsd?: number | null;
+  apy?: number | null;
+  rewardApy?: number | null;
+  intervalHours?: number | null;
+  position?: Pick<Position, 'poolId' | 'symbol' | 'chain'>;
+}
+
+export interface HarvestCosts {
+  swapFee: number;
+  slippage: number;
+  network: number;
+  total: number;
+}
+
+export interface HarvestPlan {
+  intervalHours: number | null;  // null: claim only at exit
+  policy: string;
+  netRatePct: number | null;
+}
+
+// Harvest schedule of an active position (/api/positions/:poolId/harvests)
+export interface PositionHarvests {
+  poolId: string;
+  symbol: string;
+  intervalHours: number | null;
+  nextHarvestAt: string | null;
+  plan: HarvestPlan;
+  candidates: { hours: number; netRatePct: number | null }[];
+  totals: {
+    harvests: number;
+    rewardsUsd: number;
+    costUsd: number;
+    compoundedUsd: number;
+  };
+  harvests: HarvestEvent[];
+}
+
+// A management or performance fee charged to a position
+export interface FeeEntry {
+  id: number;
+  portfolioId?: number | null;
+  positionId: number;
+  cycleId?: number | null;
+  timestamp: string;
+  type: 'management' | 'performance';
+  source: 'cycle' | 'harvest' | 'exit';
+  amountUsd: number;
+  baseUsd: number;        // management: position value; performance: profit charged on
+  ratePct: number;
+  periodStart?: string | null;
+  periodEnd?: string | null;
+  position?: Pick<Position, 'poolId' | 'symbol' | 'chain'>;
+}
+
+// An open or close attempt by the position's executor (paper or on-chain)
+export interface Execution {
+  id: number;
+  positionId?: number | null; // null for a failed open, which never created a position
+  portfolioId?: number | null;
+  poolId?: string | null;
+  symbol?: string | null;
+  cycleId?: number | null;
+  timestamp: string;
+  executor: string;
+  side: 'open' | 'close';
+  status: 'filled' | 'failed';
+  amountUsd: number;        // requested: principal at open, position value at close
+  filledUsd?: number | null;
+  signatures: string[];     // transactions that landed, also for failed attempts
+  fill?: Record<string, unknown> | null;
+  error?: string | null;
+  position?: Pick<Position, 'poolId' | 'symbol' | 'chain'>;
+}
+
+// Positions of one pool token in a reconciliation, with the amounts expected and held
+export interface ReconciledHolding {
+  mint: string | null;
+  expected: number | null;
+  actual: number | null;
+  difference?: number;
+  differencePct?: number;   // mismatches
+  reason?: string;          // missing
+  positions: (Pick<Position, 'id' | 'poolId' | 'symbol' | 'executor'> & { portfolioId?: number | null })[];
+}
+
+// The signing wallet's balances against active on-chain positions (/api/reconciliation)
+export interface ReconciliationReport {
+  wallet: string;
+  rpcUrl: string;
+  checkedAt: string;
+  status: 'ok' | 'drift' | 'error';
+  sol: number;
+  positions: { checked: number; paper: number };
+  matched: ReconciledHolding[];
+  mismatches: ReconciledHolding[];
+  missing: ReconciledHolding[];
+  working?: { mint: string; amount: number; decimals: number }[]; // reports stored before working balances lack it
+  orphans: { mint: string; amount: number; decimals: number }[];
+  holdings: { mint: string; amount: number; decimals: number; accounts: number }[];
+}
+
+// A stored reconciliation (/api/reconciliation/history)
+export interface Reconciliation {
+  id: number;
+  cycleId?: number | null;
+  timestamp: string;
+  wallet: string;
+  rpcUrl: string;
+  status: 'ok' | 'drift' | 'error';
+  matched: number;
+  mismatches: number;
+  missing: number;
+  orphans: number;
+  report?: ReconciliationReport | null;
+  error?: string | null;
+}
+
+export interface FeeTotals {
+  management: number;
+  performance: number;
+  total: number;
+}
+
+// Portfolio returns before (gross) and after (net) fees
+export interface PortfolioFees extends FeeTotals {
+  grossReturns: number;
+  netReturns: number;
+  grossReturnPercentage: number;
+  netReturnPercentage: number;
+}
+
+// USD price of an underlying token (by address) captured at entry or exit
+export interface TokenPrice {
+  token: string;
+  price: number;
+}
+
+// Exit rule that fired when a position was closed (see EXIT_CONFIG on the backend)
+export interface ExitTrigger {
+  rule: string;
+  value: number | boolean;
+  threshold: number | boolean;
+  message: string;
+}
+
+// Per-factor risk assessment (weights and thresholds from the backend risk model)
+export interface RiskFactor {
+  factor: string;
+  weight: number;
+  threshold: number | null;
+  value: number | string | null;
+  points: number;
+}
+
+export interface RiskBreakdown {
+  score: number;
+  maxRiskScore: number;
+  factors: RiskFactor[];
+}
+
+// New-pool heuristic that fired, with the values and thresholds involved
+export interface DetectionSignal {
+  id: string;
+  values: { [key: string]: unknown };
+  thresholds: { [key: string]: unknown };
+}
+
+export interface SignalPerformance {
+  signal: string;
+  entries: number;
+  profitable: number;
+  totalProfitLoss: number;
+  winRate: number;
+  averageProfitLoss: number;
 }
 
 export interface PoolData {
@@ -39,6 +250,190 @@ export interface WatchlistPool {
   isNew: boolean;
   lastChecked: string;
   status: 'watching' | 'invested' | 'ignored';
+  chain: string;
+  detectionSignals?: DetectionSignal[];
+  riskScore?: number;
+  riskBreakdown?: RiskBreakdown;
+}
+
+export interface ChainsInfo {
+  enabledChains: string[];
+  overrides: { [chain: string]: { [threshold: string]: number } };
+}
+
+export interface TradeCostLeg {
+  swapFee: number;
+  slippage: number;
+  poolFee: number;
+  network: number;
+  total: number;
+}
+
+export interface TradeCosts {
+  entry: TradeCostLeg;
+  exit: TradeCostLeg;
+  harvest?: number;  // costs of the harvests during the hold
+  total: number;
+}
+
+export interface AccrualPoint {
+  timestamp: string;
+  hoursHeld: number;
+  apy: number;
+  value: number;    // principal plus farming yield accrued so far
+  accrued: number;
+}
+
+export interface AccrualCurve {
+  poolId: string;
+  symbol: string;
+  principal: number;
+  accrualMethod: 'observed' | 'twoPoint';
+  observations: number;
+  avgApy: number;   // time-weighted over the hold
+  accrued: number;
+  baseAccrued?: number;
+  rewardAccrued: number;
+  pendingRewards?: number;    // accrued since the last harvest, not yet claimed
+  harvestedRewards?: number;
+  harvestCosts?: number;
+  harvests?: number;
+  deployedValue?: number;     // principal plus compounded base yield and harvests
+  curve: AccrualPoint[];
+}
+
+export interface BacktestTrade {
+  poolId: string;
+  symbol: string;
+  project: string;
+  chain: string;
+  isNew: boolean;
+  entryTime: string;
+  exitTime: string;
+  hoursHeld: number;
+  principal: number;
+  entryApy: number;
+  exitApy: number;
+  avgApy: number;
+  entryRisk: number;
+  reason: string;
+  farmingReturn: number;
+  costs: number;
+  netReturn: number;
+  returnPercentage: number;
+}
+
+export interface BacktestEquityPoint {
+  timestamp: string;
+  equity: number;
+  realizedPnl: number;
+  unrealizedPnl: number;
+  openPositions: number;
+  investedUsd: number;
+}
+
+export interface BacktestTradeBrief {
+  symbol: string;
+  poolId: string;
+  netReturn: number;
+  returnPercentage: number;
+}
+
+export interface BacktestSummary {
+  frames: number;
+  startTime: string | null;
+  endTime: string | null;
+  days: number;
+  bankrollUsd: number;
+  finalEquity: number;
+  totalReturn: number;
+  returnPct: number;
+  maxDrawdownPct: number;
+  sharpeRatio: number;
+  trades: number;
+  wins: number;
+  winRate: number;
+  avgReturn: number;
+  avgReturnPct: number;
+  avgHoldHours: number;
+  totalFarmingReturn: number;
+  totalCosts: number;
+  bestTrade: BacktestTradeBrief | null;
+  worstTrade: BacktestTradeBrief | null;
+  exitReasons: Record<string, number>;
+}
+
+export interface BacktestRun {
+  id: number;
+  name?: string | null;
+  createdAt: string;
+  source: 'session' | 'file' | 'db';
+  sourceRef?: string | null;
+  startTime?: string | null;
+  endTime?: string | null;
+  frames: number;
+  overrides?: Record<string, any> | null;
+  summary: BacktestSummary;
+  trades?: BacktestTrade[];             // only when fetching a single run
+  equityCurve?: BacktestEquityPoint[];
+}
+
+export interface OptimizationMetrics {
+  returnPct: number;
+  annualizedReturnPct: number;
+  maxDrawdownPct: number;
+  sharpeRatio: number;
+  trades: number;
+  winRate: number;
+  days: number;
+}
+
+export type ParameterSet = Record<string, number | string | boolean>;  // override path -> value
+
+export interface RankedParameterSet {
+  params: ParameterSet;
+  metrics: OptimizationMetrics;
+  score: number;
+}
+
+export interface WalkForwardFold {
+  train: { start: string; end: string };
+  test: { start: string; end: string };
+  params: ParameterSet;
+  trainMetrics: OptimizationMetrics;
+  testMetrics: OptimizationMetrics;
+  baselineMetrics: OptimizationMetrics;
+}
+
+export interface WalkForwardResult {
+  folds: WalkForwardFold[];
+  outOfSampleReturnPct: number;
+  baselineReturnPct: number;
+  avgSharpeRatio: number;
+  baselineAvgSharpeRatio: number;
+  maxDrawdownPct: number;
+  efficiency: number | null;
+  distinctSelections: number;
+}
+
+export interface OptimizationRun {
+  id: number;
+  name?: string | null;
+  createdAt: string;
+  source: 'session' | 'file' | 'db';
+  sourceRef?: string | null;
+  startTime?: string | null;
+  endTime?: string | null;
+  method: 'grid' | 'random';
+  objective: 'sharpe' | 'return' | 'calmar';
+  runs: number;
+  recommended?: { params: ParameterSet; overrides: Record<string, any> } | null;
+  // Only when fetching a single run
+  space?: Record<string, any>;
+  baseOverrides?: Record<string, any> | null;
+  baseline?: OptimizationMetrics;
+  ranked?: RankedParameterSet[];
+  walkForward?: WalkForwardResult | null;
 }
 
 export interface YieldCalculation {
@@ -46,10 +441,31 @@ export interface YieldCalculation {
   entryApy: number;
   exitApy: number;
   avgApy: number;
+  accrualMethod?: 'observed' | 'twoPoint';
+  observations?: number;
   holdDays: number;
   timeInYears: number;
   finalAmount: number;
-  totalReturn: number;
+  farmingReturn?: number;      // backend split of the return: farming + price PnL + impermanent loss
+  baseReturn?: number;
+  rewardReturn?: number;       // reward accrual at current reward token prices
+  quotedRewardReturn?: number; // reward accrual at the quoted reward APY
+  rewardPriceRatio?: number | null;
+  pricePnl?: number;
+  impermanentLoss?: number;
+  priceTracked?: boolean;
+  grossReturn?: number;        // before entry/exit costs (backend cost model)
+  grossReturnPercentage?: number;
+  costs?: TradeCosts;
+  harvests?: number;
+  harvestedRewards?: number;
+  pendingRewards?: number;
+  deployedValue?: number;
+  netReturn?: number;
+  fees?: FeeTotals;             // from the fee ledger, not part of totalReturn
+  returnAfterFees?: number;
+  returnPercentageAfterFees?: number;
+  totalReturn: number;         // net of costs when computed by the backend
   returnPercentage: number;
   annualizedReturn: number;
   dailyReturn: number;
@@ -60,7 +476,13 @@ export interface PortfolioYield {
   totalInvested: number;
   totalCurrentValue: number;
   totalReturns: number;
+  totalFarmingReturns?: number;
+  totalPricePnl?: number;
+  totalImpermanentLoss?: number;
+  totalGrossReturns?: number;
+  totalCosts?: number;
   portfolioReturnPercentage: number;
+  fees?: PortfolioFees;
   averageHoldDays: number;
   profitablePositions: number;
   totalPositions: number;
@@ -82,6 +504,8 @@ export interface YieldAnalytics {
   monthlyPerformance: Record<string, {
     invested: number;
     returns: number;
+    fees?: number;
+    returnsAfterFees?: number;
     positions: number;
   }>;
   analytics: {
@@ -89,7 +513,9 @@ export interface YieldAnalytics {
     averageAPY: number;
     totalDaysInvested: number;
     projectedAnnualReturn: number;
+    projectedAnnualReturnAfterFees?: number;
   };
+  fees?: PortfolioFees & { active: number; exited: number };
 }
 
 export interface ApiResponse<T> {
@@ -115,6 +541,25 @@ export interface DetectionCycle {
   newPoolsFound: number;
   activePositions: number;
   watchlistSize: number;
+  usedStaleData?: boolean;
+  staleSources?: string[] | null;
+}
+
+export interface PoolSnapshot {
+  id: number;
+  poolId: string;
+  symbol: string;
+  project: string;
+  source: 'watchlist' | 'position';
+  timestamp: string;
+  apy: number;
+  apyBase?: number;
+  apyReward?: number;
+  tvlUsd?: number;
+  volumeUsd1d?: number;
+  riskScore?: number;
+  riskBreakdown?: RiskBreakdown;
+  cycleId: number;
 }
 
 export interface Log {
@@ -124,10 +569,114 @@ export interface Log {
   timestamp: string;
   details?: any;
   cycleId: number;
+  portfolioId?: number | null; // null for cycle-wide messages
+}
+
+export type PortfolioStatus = 'active' | 'paused' | 'archived';
+
+// A portfolio's results in one detection cycle
+export interface PortfolioCycle {
+  id: number;
+  portfolioId: number;
+  cycleId: number;
+  timestamp: string;
+  activePositions: number;
+  watchlistSize: number;
+  newPoolsFound: number;
+  positionsExited: number;
+  newInvestments: number;
+  totalInvested: number;
+  currentValue: number;
+  totalReturns: number;
+  returnPct: number;
+  winRate: number;
+}
+
+export interface Portfolio {
+  id: number;
+  name: string;
+  description?: string | null;
+  status: PortfolioStatus;
+  bankrollUsd: number;
+  config: Record<string, any>; // { strategy, exit, workflow, sizing } overrides, as in backtests
+  createdAt: string;
+  updatedAt: string;
+  isDefault: boolean; // used by routes that name no portfolio
+  latestCycle: PortfolioCycle | null;
+}
+
+export interface PortfolioDetail extends Portfolio {
+  settings: {
+    strategy: Record<string, any>;
+    exit: Record<string, any>;
+    workflow: Record<string, any>;
+    sizing: Record<string, any>;
+    exposure: Record<string, any>;
+  };
+}
+
+// A vault as listed by /api/vaults
+export interface Vault {
+  id: number;
+  name: string;
+  portfolioId: number;
+  portfolio: { name: string; status: PortfolioStatus; bankrollUsd: number };
+  totalShares: number;
+  createdAt: string;
+  updatedAt: string;
+  latestSnapshot: VaultSnapshot | null;
+}
+
+// A depositor's holdings valued at the current price per share
+export interface VaultDepositorReturns {
+  name: string;
+  shares: number;
+  valueUsd: number;
+  depositedUsd: number;
+  withdrawnUsd: number;
+  profitUsd: number; // value + withdrawn - deposited
+  returnPct: number;
+  since: string;
+}
+
+export interface VaultReport {
+  id: number;
+  name: string;
+  portfolio: string;
+  createdAt: string;
+  bankrollUsd: number;
+  returnsUsd: number;
+  navUsd: number; // bankroll + realized and unrealized returns
+  totalShares: number;
+  pricePerShare: number;
+  depositors: VaultDepositorReturns[];
+}
+
+export interface VaultSnapshot {
+  id: number;
+  vaultId: number;
+  cycleId: number | null; // null for snapshots taken at a deposit or withdrawal
+  timestamp: string;
+  navUsd: number;
+  totalShares: number;
+  pricePerShare: number;
+}
+
+export interface VaultTransaction {
+  id: number;
+  vaultId: number;
+  depositorId: number;
+  depositor: { name: string };
+  type: 'deposit' | 'withdraw';
+  amountUsd: number;
+  shares: number;
+  pricePerShare: number;
+  navUsd: number; // NAV before the transaction
+  timestamp: string;
 }
 
 // Constants
-export const PRINCIPAL_USD = 1000;
+export const PRINCIPAL_USD = 1000; // fallback for positions recorded before position sizing
 export const DAILY_COMPOUND_RATE = 365;
 
 // API endpoints
@@ -136,7 +685,17 @@ export const API_ENDPOINTS = {
   positions: '/api/positions',
   positionsActive: '/api/positions/active',
   positionsExited: '/api/positions/exited',
+  positionYield: (poolId: string) => `/api/positions/${poolId}/yield`,
+  positionAccrual: (poolId: string) => `/api/positions/${poolId}/accrual`,
+  positionHarvests: (poolId: string) => `/api/positions/${poolId}/harvests`,
+  harvests: '/api/harvests',
+  fees: '/api/fees',
+  executions: '/api/executions',
+  reconciliation: '/api/reconciliation',
+  reconciliationHistory: '/api/reconciliation/history',
   watchlist: '/api/watchlist',
+  chains: '/api/chains',
+  signalPerformance: '/api/analytics/signals',
   logs: '/api/logs',
   cycles: '/api/cycles',
   dashboard: '/api/dashboard',
@@ -144,4 +703,18 @@ export const API_ENDPOINTS = {
   yieldPortfolio: '/api/yield/portfolio',
   yieldProjections: '/api/yield/projections',
   yieldMetrics: '/api/yield/metrics',
+  poolHistory: (poolId: string) => `/api/pools/${poolId}/history`,
+  backtests: '/api/backtests',
+  backtest: (id: number) => `/api/backtests/${id}`,
+  optimizations: '/api/optimizations',
+  optimization: (id: number) => `/api/optimizations/${id}`,
+  portfolios: '/api/portfolios',
+  portfolio: (ref: string | number) => `/api/portfolios/${ref}`,
+  portfolioHistory: (ref: string | number) => `/api/portfolios/${ref}/history`,
+  vaults: '/api/vaults',
+  vault: (ref: string | number) => `/api/vaults/${ref}`,
+  vaultHistory: (ref: string | number) => `/api/vaults/${ref}/history`,
+  vaultTransactions: (ref: string | number) => `/api/vaults/${ref}/transactions`,
+  vaultDeposit: (ref: string | number) => `/api/vaults/${ref}/deposit`,
+  vaultWithdraw: (ref: string | number) => `/api/vaults/${ref}/withdraw`,
 } as const;
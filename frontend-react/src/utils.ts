@@ -1,3 +1,5 @@
+import { DetectionSignal } from './types';
+
 // Utility functions for formatting
 export const formatCurrency = (amount: number): string => {
   return new Intl.NumberFormat('en-US', {
@@ -83,3 +85,11 @@ export const formatTimeAgo = (dateString: string): string => {
   if (diffDays < 30) return `${diffDays}d ago`;
   return formatDate(dateString);
 };
+
+// Format a detection signal as "id: value=… (threshold=…)" for tooltips
+export const formatSignal = (signal: DetectionSignal): string => {
+  const format = (entries: { [key: string]: unknown }) => Object.entries(entries)
+    .map(([key, value]) => `${key}=${typeof value === 'number' ? formatNumber(value) : String(value)}`)
+    .join(', ');
+  return `${signal.id}: ${format(signal.values)} (${format(signal.thresholds)})`;
+};
@@ -5,15 +5,18 @@
  *
  * Description:
  * This module provides functions to detect, validate, analyze, and select
- * short-term high-APY incentive-driven pools on Solana, with improved risk,
- * volatility, and reward-sustainability profiling.
+ * short-term high-APY incentive-driven pools on the enabled chains (Solana by
+ * default), with improved risk, volatility, and reward-sustainability profiling.
  *
  * ===================================================================================
  */
 
-import axios from 'axios';
-import { STRATEGY_CONFIG, TIMING_CONFIG, CONFIG_HELPERS, defaultConfig } from './config.js';
+import { STRATEGY_CONFIG, TIMING_CONFIG, RISK_MODEL_CONFIG, EXPOSURE_CONFIG, YIELD_CONFIG, CONFIG_HELPERS, defaultConfig } from './config.js';
 import logger from './logger.js';
+import { getDataSource, crossCheckWithConfiguredSource } from './services/data-sources/index.js';
+import { poolUniverse } from './services/pool-universe.js';
+import { protocolRegistry } from './services/protocol-registry.js';
+import { clock } from './services/clock.js';
 
 // --- Configuration Defaults ---
 export { defaultConfig } from './config.js';
@@ -28,41 +31,123 @@ export const sampleStats = {
 
 // --- Phase 1: Data Fetching & Validation ---
 
+/**
+ * Fetches all pools from a data source (the shared pool universe cache by default).
+ * @param {Object} source - Data source adapter from services/data-sources.
+ * @returns {Promise<Array>} Array of normalized pool objects.
+ */
+export async function fetchAllPools(source = poolUniverse) {
+  return source.fetchPools();
+}
+
 /**
  * Fetches all pools data from DeFiLlama API.
  * @returns {Promise<Array>} Array of pool objects.
  */
 export async function fetchAllLlamaPools() {
-  const response = await axios.get('https://yields.llama.fi/pools');
-  return response.data.data;
+  return fetchAllPools(getDataSource('defillama'));
+}
+
+const NEW_POOL_KEYWORDS = ['new', 'launch', 'genesis', 'fresh'];
+
+/**
+ * Evaluates the new-pool heuristics and returns the ones that fired, with the
+ * values and thresholds involved.
+ * @param {Object} pool - Normalized pool
+ * @param {Object} config - Strategy configuration with chain overrides applied
+ * @returns {Array} [{ id, values, thresholds }]
+ */
+export function detectNewPoolSignals(pool, config = defaultConfig) {
+  const signals = [];
+  const apyReward = pool.apyReward || 0;
+  const rewardRatio = apyReward / Math.max(pool.apy, 1);
+  const ageHours = pool.firstSeenAt ? (clock.now() - new Date(pool.firstSeenAt).getTime()) / 3_600_000 : null;
+
+  // 1. Ultra-fresh window
+  if (CONFIG_HELPERS.isUltraFresh(pool.firstSeenAt)) {
+    signals.push({
+      id: 'ultraFresh',
+      values: { ageHours },
+      thresholds: { minAgeHrs: TIMING_CONFIG.newPoolMinAgeHrs, maxAgeHrs: TIMING_CONFIG.newPoolMaxAgeHrs }
+    });
+  }
+  // 2. Young pool
+  if (ageHours !== null && ageHours / 24 < config.newPoolAgeDays) {
+    signals.push({ id: 'youngPool', values: { ageDays: ageHours / 24 }, thresholds: { newPoolAgeDays: config.newPoolAgeDays } });
+  }
+  // 3. Very high APY
+  if (pool.apy > config.highAPYThreshold) {
+    signals.push({ id: 'veryHighApy', values: { apy: pool.apy }, thresholds: { highAPYThreshold: config.highAPYThreshold } });
+  }
+  // 4. Low TVL + medium APY
+  if (pool.tvlUsd < config.lowTVLThreshold && pool.apy > config.mediumAPYThreshold) {
+    signals.push({
+      id: 'lowTvlMediumApy',
+      values: { tvlUsd: pool.tvlUsd, apy: pool.apy },
+      thresholds: { lowTVLThreshold: config.lowTVLThreshold, mediumAPYThreshold: config.mediumAPYThreshold }
+    });
+  }
+  // 5. High reward ratio
+  if (rewardRatio > config.highRewardRatioThreshold && pool.apy > config.mediumAPYThreshold) {
+    signals.push({
+      id: 'highRewardRatio',
+      values: { rewardRatio, apy: pool.apy },
+      thresholds: { highRewardRatioThreshold: config.highRewardRatioThreshold, mediumAPYThreshold: config.mediumAPYThreshold }
+    });
+  }
+  // 6. Rapid TVL growth
+  if (pool.tvlGrowthPct1d && pool.tvlGrowthPct1d > config.tvlGrowthPctThreshold) {
+    signals.push({ id: 'tvlGrowth', values: { tvlGrowthPct1d: pool.tvlGrowthPct1d }, thresholds: { tvlGrowthPctThreshold: config.tvlGrowthPctThreshold } });
+  }
+  // 7. Keyword indicators
+  const keyword = NEW_POOL_KEYWORDS.find(k => pool.project?.toLowerCase().includes(k) || pool.symbol?.toLowerCase().includes(k));
+  if (keyword) {
+    signals.push({ id: 'keyword', values: { keyword }, thresholds: { keywords: NEW_POOL_KEYWORDS } });
+  }
+
+  return signals;
 }
 
 /**
- * Fetches newly launched incentive-driven pools by analyzing DeFiLlama data for recent entries.
+ * Formats detection signals as a short human-readable reason.
+ * @param {Array} signals - Output of detectNewPoolSignals
+ * @returns {string}
+ */
+export function describeSignals(signals = []) {
+  if (!signals.length) return 'High APY opportunity';
+  return `New incentive pool (${signals.map(s => s.id).join(', ')})`;
+}
+
+/**
+ * Fetches newly launched incentive-driven pools by analyzing data-source pools for recent entries.
  * @param {Object} config - Strategy configuration.
+ * @param {Object} source - Data source adapter (defaults to the shared pool universe cache).
+ * @param {Object} options - { crossCheck: compare against DATA_SOURCE_CONFIG.crossCheck (default true) }
  * @returns {Promise<Array>} Array of prioritized pools.
  */
-export async function fetchNewIncentivePools(config = defaultConfig) {
-  logger.info('Fetching DeFiLlama data to detect new incentive-driven opportunities...');
-  const allPools = await fetchAllLlamaPools();
+export async function fetchNewIncentivePools(config = defaultConfig, source = poolUniverse, { crossCheck = true } = {}) {
+  logger.info(`Fetching ${source.name} data to detect new incentive-driven opportunities...`);
+  const allPools = await fetchAllPools(source);
+  if (crossCheck) await crossCheckWithConfiguredSource(allPools);
 
   const incentivePools = allPools.filter(pool => {
-    if (pool.chain !== 'Solana') return false;
-    if (pool.apy < config.minAPY) return false;
-    if (pool.tvlUsd < config.minTVL) return false;
+    if (!CONFIG_HELPERS.isChainEnabled(pool.chain, config)) return false;
+    const chainConfig = CONFIG_HELPERS.forChain(pool.chain, config);
+    if (pool.apy < chainConfig.minAPY) return false;
+    if (pool.tvlUsd < chainConfig.minTVL) return false;
     const apyReward = pool.apyReward || 0;
-    if (apyReward < config.minRewardAPY) return false;
+    if (apyReward < chainConfig.minRewardAPY) return false;
     const rewardRatio = apyReward / Math.max(pool.apy, 1);
-    return rewardRatio >= config.minRewardAPYRatio;
+    return rewardRatio >= chainConfig.minRewardAPYRatio;
   });
 
-  logger.info(`Found ${incentivePools.length} Solana incentive-driven pools`);
+  logger.info(`Found ${incentivePools.length} incentive-driven pools on ${config.enabledChains.join(', ')}`);
   
   // Log some examples of what we found
   if (incentivePools.length > 0) {
     logger.info(`Pool examples:`);
     incentivePools.slice(0, 3).forEach(pool => {
-      logger.info(`  • ${pool.symbol} (${pool.project}): APY ${pool.apy}%, Reward APY ${pool.apyReward}%, TVL $${pool.tvlUsd?.toLocaleString()}`);
+      logger.info(`  • ${pool.symbol} (${pool.project}, ${pool.chain}): APY ${pool.apy}%, Reward APY ${pool.apyReward}%, TVL $${pool.tvlUsd?.toLocaleString()}`);
     });
   }
 
@@ -70,38 +155,17 @@ export async function fetchNewIncentivePools(config = defaultConfig) {
   const established = [];
 
   incentivePools.forEach(pool => {
-    let isNew = false;
-    const apyReward = pool.apyReward || 0;
-    const rewardRatio = apyReward / Math.max(pool.apy, 1);
+    const chainConfig = CONFIG_HELPERS.forChain(pool.chain, config);
+    const detectionSignals = detectNewPoolSignals(pool, chainConfig);
+    const isNew = detectionSignals.length > 0;
+    const rewardRatio = (pool.apyReward || 0) / Math.max(pool.apy, 1);
 
-    // 1. Ultra-fresh window check (1-4 hours)
-    if (CONFIG_HELPERS.isUltraFresh(pool.firstSeenAt)) {
-      isNew = true;
-      logger.info(`Pool ${pool.symbol} flagged as new: Ultra-fresh (${pool.firstSeenAt})`);
-    }
-    
-    // 2. Age indicator (legacy 7-day check)
-    if (pool.firstSeenAt && !isNew) {
-      const ageDays = (Date.now() - new Date(pool.firstSeenAt).getTime()) / 86400000;
-      if (ageDays < config.newPoolAgeDays) isNew = true;
-    }
-    
-    // 3. Very high APY
-    if (pool.apy > config.highAPYThreshold) isNew = true;
-    // 4. Low TVL + medium APY
-    if (pool.tvlUsd < config.lowTVLThreshold && pool.apy > config.mediumAPYThreshold) isNew = true;
-    // 5. High reward ratio
-    if (rewardRatio > config.highRewardRatioThreshold && pool.apy > config.mediumAPYThreshold) isNew = true;
-    // 6. Rapid TVL growth
-    if (pool.tvlGrowthPct1d && pool.tvlGrowthPct1d > config.tvlGrowthPctThreshold) isNew = true;
-    // 7. Keyword indicators
-    const keywords = ['new', 'launch', 'genesis', 'fresh'];
-    if (keywords.some(k => pool.project?.toLowerCase().includes(k) || pool.symbol?.toLowerCase().includes(k))) {
-      isNew = true;
+    if (isNew) {
+      logger.info(`Pool ${pool.symbol} flagged as new: ${describeSignals(detectionSignals)}`);
     }
 
     const rewardTokens = Array.isArray(pool.rewardTokens) ? pool.rewardTokens : [];
-    const record = { ...pool, isNew, rewardRatio, rewardTokens };
+    const record = { ...pool, isNew, detectionSignals, rewardRatio, rewardTokens };
     (isNew ? newPools : established).push(record);
   });
 
@@ -112,65 +176,75 @@ export async function fetchNewIncentivePools(config = defaultConfig) {
 }
 
 /**
- * Validates new pools against full DeFiLlama data and config criteria.
+ * Validates new pools against the full data-source pool list and config criteria.
  * @param {Array} detectedPools
- * @param {Array} allPools
+ * @param {Array} allPools - Normalized pools as returned by a data source
  * @param {Object} config
- * @returns {Array} validatedPools
+ * @param {Object} registry - Protocol registry used to block denied/unlisted protocols
+ * @returns {Array} validatedPools (with the registry entry attached as `protocol`)
  */
-export function validateAndFilterNewPools(detectedPools, allPools, config = defaultConfig) {
+export function validateAndFilterNewPools(detectedPools, allPools, config = defaultConfig, registry = protocolRegistry) {
   const map = new Map(allPools.map(p => [p.pool, p]));
+  allPools.forEach(p => { if (p.address && !map.has(p.address)) map.set(p.address, p); });
   const result = [];
   let filtered = 0;
-  let reasons = { chain: 0, apy: 0, tvl: 0, rewardApy: 0, rewardRatio: 0 };
+  let reasons = { chain: 0, protocol: 0, apy: 0, tvl: 0, rewardApy: 0, rewardRatio: 0 };
 
   detectedPools.forEach(p => {
-    const data = map.get(p.pool) || map.get(p.address);
+    const data = map.get(p.pool) || map.get(p.poolId) || map.get(p.address);
     if (!data) return;
     
-    // Debug logging for pool validation
-    logger.info(`🔍 Validating pool: ${data.symbol || p.pool}`);
-    logger.info(`   APY: ${data.apy}% (min: ${config.minAPY}%)`);
-    logger.info(`   TVL: $${data.tvlUsd?.toLocaleString()} (min: $${config.minTVL.toLocaleString()})`);
-    logger.info(`   Reward APY: ${data.apyReward || 0}% (min: ${config.minRewardAPY}%)`);
-    
-    if (data.chain !== 'Solana') { 
-      logger.info(`    Failed: Wrong chain (${data.chain})`);
+    if (!CONFIG_HELPERS.isChainEnabled(data.chain, config)) { 
+      logger.info(`    Failed: Chain not enabled (${data.chain})`);
       reasons.chain++; filtered++; return; 
     }
-    if (data.apy < config.minAPY) { 
+    const blockReason = registry.blockReason(data.project);
+    if (blockReason) {
+      logger.info(`    Failed: ${blockReason} (${data.project})`);
+      reasons.protocol++; filtered++; return;
+    }
+    const chainConfig = CONFIG_HELPERS.forChain(data.chain, config);
+
+    // Debug logging for pool validation
+    logger.info(`🔍 Validating pool: ${data.symbol || p.pool} (${data.chain})`);
+    logger.info(`   APY: ${data.apy}% (min: ${chainConfig.minAPY}%)`);
+    logger.info(`   TVL: $${data.tvlUsd?.toLocaleString()} (min: $${chainConfig.minTVL.toLocaleString()})`);
+    logger.info(`   Reward APY: ${data.apyReward || 0}% (min: ${chainConfig.minRewardAPY}%)`);
+    
+    if (data.apy < chainConfig.minAPY) { 
       logger.info(`    Failed: Low APY`);
       reasons.apy++; filtered++; return; 
     }
-    if (data.tvlUsd < config.minTVL) { 
+    if (data.tvlUsd < chainConfig.minTVL) { 
       logger.info(`    Failed: Low TVL`);
       reasons.tvl++; filtered++; return; 
     }
 
     const apyReward = data.apyReward || 0;
-    if (apyReward < config.minRewardAPY) { 
+    if (apyReward < chainConfig.minRewardAPY) { 
       logger.info(`    Failed: Low reward APY`);
       reasons.rewardApy++; filtered++; return; 
     }
     const rewardRatio = apyReward / Math.max(data.apy, 1);
-    logger.info(`   Reward Ratio: ${(rewardRatio * 100).toFixed(1)}% (min: ${(config.minRewardAPYRatio * 100)}%)`);
-    if (rewardRatio < config.minRewardAPYRatio) { 
+    logger.info(`   Reward Ratio: ${(rewardRatio * 100).toFixed(1)}% (min: ${(chainConfig.minRewardAPYRatio * 100)}%)`);
+    if (rewardRatio < chainConfig.minRewardAPYRatio) { 
       logger.info(`    Failed: Low reward ratio`);
       reasons.rewardRatio++; filtered++; return; 
     }
 
     logger.info(`   ✅ Passed validation!`);
     const rewardTokens = Array.isArray(data.rewardTokens) ? data.rewardTokens : [];
-    result.push({ ...data, firstSeenAt: p.firstSeenAt, rewardTokens, rewardRatio });
+    result.push({ ...data, firstSeenAt: p.firstSeenAt, rewardTokens, rewardRatio, protocol: registry.lookup(data.project) });
   });
 
   if (filtered > 0) {
-    logger.info(`Filtered out ${filtered} pools:`);
-    logger.info(`  • Wrong chain: ${reasons.chain}`);
-    logger.info(`  • Low APY (<${config.minAPY}%): ${reasons.apy}`);
-    logger.info(`  • Low TVL (<$${config.minTVL.toLocaleString()}): ${reasons.tvl}`);
-    logger.info(`  • Low reward APY (<${config.minRewardAPY}%): ${reasons.rewardApy}`);
-    logger.info(`  • Low reward ratio (<${(config.minRewardAPYRatio * 100)}%): ${reasons.rewardRatio}`);
+    logger.info(`Filtered out ${filtered} pools (thresholds include per-chain overrides):`);
+    logger.info(`  • Chain not enabled: ${reasons.chain}`);
+    logger.info(`  • Protocol blocked: ${reasons.protocol}`);
+    logger.info(`  • Low APY: ${reasons.apy}`);
+    logger.info(`  • Low TVL: ${reasons.tvl}`);
+    logger.info(`  • Low reward APY: ${reasons.rewardApy}`);
+    logger.info(`  • Low reward ratio: ${reasons.rewardRatio}`);
   }
 
   logger.info(` ${result.length} pools passed validation`);
@@ -180,28 +254,148 @@ export function validateAndFilterNewPools(detectedPools, allPools, config = defa
 
 // --- Phase 2: Analysis Functions ---
 
+// Risk factor evaluators: each returns the observed value and whether the factor fires.
+// Weights and thresholds come from config.riskModel (RISK_MODEL_CONFIG).
+const RISK_FACTORS = {
+  highApy: (pool, { threshold }) => ({ value: pool.apy, triggered: pool.apy > threshold }),
+  lowTvl: (pool, { threshold }) => ({ value: pool.tvlUsd, triggered: pool.tvlUsd < threshold }),
+  rewardDependency: (pool, { threshold }) => {
+    const ratio = (pool.apyReward || 0) / Math.max(pool.apy, 1);
+    return { value: ratio, triggered: ratio > threshold };
+  },
+  multiExposure: (pool) => ({ value: pool.exposure || null, triggered: pool.exposure !== 'single' }),
+  predictedDown: (pool) => {
+    const predicted = pool.predictions?.predictedClass || null;
+    return { value: predicted, triggered: predicted === 'Down' };
+  },
+  ilRisk: (pool) => ({ value: pool.ilRisk || null, triggered: pool.ilRisk === 'yes' }),
+  // Ingested history metrics (pool.history) take precedence over the upstream sigma
+  volatility: (pool, { threshold }) => {
+    const sigma = pool.history?.apyVolatility ?? pool.sigma ?? null;
+    return { value: sigma, triggered: sigma !== null && sigma > threshold };
+  },
+  apyDecay: (pool, { threshold }) => {
+    const halfLife = pool.history?.apyHalfLifeDays ?? null;
+    return { value: halfLife, triggered: halfLife !== null && halfLife < threshold };
+  },
+  tvlDecline: (pool, { threshold }) => {
+    const trend = pool.history?.tvlTrendPctPerDay ?? null;
+    return { value: trend, triggered: trend !== null && trend < -threshold };
+  },
+  // Protocol factors read the registry entry attached as pool.protocol
+  // (null = not registered, undefined = registry not consulted)
+  unknownProtocol: (pool) => ({ value: pool.project || null, triggered: pool.protocol === null }),
+  protocolProbation: (pool) => ({ value: pool.protocol?.status ?? null, triggered: pool.protocol?.status === 'probation' }),
+  unaudited: (pool) => ({ value: pool.protocol?.audited ?? null, triggered: pool.protocol?.audited === false }),
+  youngProtocol: (pool, { threshold }) => {
+    const launchDate = pool.protocol?.launchDate;
+    const ageDays = launchDate ? (clock.now() - new Date(launchDate).getTime()) / CONFIG_HELPERS.daysToMs(1) : null;
+    return { value: ageDays, triggered: ageDays !== null && ageDays < threshold };
+  },
+  lowReputation: (pool, { threshold }) => {
+    const tier = pool.protocol?.reputationTier ?? null;
+    return { value: tier, triggered: tier !== null && tier >= threshold };
+  }
+};
+
+/**
+ * Scores a pool against the configured risk model.
+ * @param {Object} pool - Normalized pool (optionally with history metrics)
+ * @param {Object} config - Strategy configuration with chain overrides applied
+ * @returns {Object} { score, maxRiskScore, factors: [{ factor, weight, threshold, value, points }] }
+ */
+export function assessRisk(pool, config = defaultConfig) {
+  const { maxScore, factors } = config.riskModel || RISK_MODEL_CONFIG;
+
+  const breakdown = Object.entries(factors).map(([factor, factorConfig]) => {
+    const evaluate = RISK_FACTORS[factor];
+    if (!evaluate) throw new Error(`Unknown risk factor "${factor}" in risk model`);
+    const { value, triggered } = evaluate(pool, factorConfig);
+    return {
+      factor,
+      weight: factorConfig.weight,
+      threshold: factorConfig.threshold ?? null,
+      value: value ?? null,
+      points: triggered ? factorConfig.weight : 0
+    };
+  });
+
+  const total = breakdown.reduce((sum, f) => sum + f.points, 0);
+  return {
+    score: Math.min(total, maxScore),
+    maxRiskScore: config.maxRiskScore,
+    factors: breakdown
+  };
+}
+
 /**
  * Calculates a composite risk score (0–10).
  */
 export function calculateRiskScore(pool, config = defaultConfig) {
-  let risk = 0;
-  if (pool.apy > 100) risk += 3;
-  if (pool.tvlUsd < 100_000) risk += 2;
-  if (((pool.apyReward||0) / Math.max(pool.apy, 1)) > config.highRewardRatioThreshold) risk += 2;
-  if (pool.exposure !== 'single') risk += 1;
-  if (pool.predictions?.predictedClass === 'Down') risk += 2;
-  if (pool.ilRisk === 'yes') risk += 1;
-  if (pool.sigma > config.volatilitySigmaThreshold) risk += 1;
-  return Math.min(risk, 10);
+  return assessRisk(pool, config).score;
+}
+
+/**
+ * Formats the triggered factors of a risk breakdown, e.g. "highApy +3, lowTvl +2".
+ * @param {Object} breakdown - Output of assessRisk
+ * @returns {string}
+ */
+export function describeRisk(breakdown) {
+  const triggered = (breakdown?.factors || []).filter(f => f.points > 0);
+  return triggered.length ? triggered.map(f => `${f.factor} +${f.points}`).join(', ') : 'no risk factors';
+}
+
+/**
+ * Share of a pool's APY paid in reward tokens (0-1).
+ * @param {Object} pool - Pool with apy and apyReward
+ * @returns {number}
+ */
+export function rewardShare(pool) {
+  if (!pool.apy || pool.apy <= 0) return 0;
+  return Math.min(Math.max((pool.apyReward || 0) / pool.apy, 0), 1);
+}
+
+/**
+ * Expected reward token price at the end of a hold relative to today, from the
+ * observed decay attached by services/reward-decay.js (1 when none is attached).
+ * Rewards are assumed to be claimed and sold at exit.
+ * @param {Object} pool - Pool with optional rewardDecay { dailyDecayPct }
+ * @param {number} holdDays - Holding period in days
+ * @returns {number}
+ */
+export function rewardPriceMultiplier(pool, holdDays) {
+  const dailyDecayPct = pool.rewardDecay?.dailyDecayPct;
+  if (!dailyDecayPct || dailyDecayPct <= 0 || holdDays <= 0) return 1;
+  return (1 - dailyDecayPct / 100) ** holdDays;
+}
+
+/**
+ * Average APY expected over a holding period given the pool's APY half-life, with the
+ * reward part discounted by the expected reward token price decay.
+ * @param {Object} pool - Pool with optional history metrics and reward decay
+ * @param {number} holdDays - Holding period in days
+ * @returns {number}
+ */
+export function expectedHoldApy(pool, holdDays = TIMING_CONFIG.holdDurationMs / CONFIG_HELPERS.daysToMs(1)) {
+  const apy = pool.apy || 0;
+  const rewardHaircut = 1 - rewardShare(pool) * (1 - rewardPriceMultiplier(pool, holdDays));
+  const halfLife = pool.history?.apyHalfLifeDays;
+  if (!halfLife || holdDays <= 0) return apy * rewardHaircut;
+  // Mean of apy * 2^(-t / halfLife) over [0, holdDays]
+  return apy * (halfLife / (holdDays * Math.LN2)) * (1 - 2 ** (-holdDays / halfLife)) * rewardHaircut;
 }
 
 /**
  * Computes profit potential score normalized by stats.
+ * APY is decayed over the holding period and TVL projected along its trend when
+ * history metrics are available.
  */
 export function calculateProfitPotential(pool, stats = sampleStats) {
   const { apyMin, apyMax, tvlMax, volRatioMax } = stats;
-  const apy = pool.apy || 0;
-  const tvl = pool.tvlUsd || 0;
+  const holdDays = TIMING_CONFIG.holdDurationMs / CONFIG_HELPERS.daysToMs(1);
+  const apy = expectedHoldApy(pool, holdDays);
+  const tvlTrend = pool.history?.tvlTrendPctPerDay || 0;
+  const tvl = Math.max((pool.tvlUsd || 0) * (1 + (tvlTrend / 100) * holdDays), 0);
   const vol1d = pool.volumeUsd1d || 0;
   const normAPY = (apy - apyMin) / (apyMax - apyMin);
   const normTVL = Math.log10(tvl + 1) / Math.log10(tvlMax);
@@ -211,16 +405,21 @@ export function calculateProfitPotential(pool, stats = sampleStats) {
 
 export function enrichPoolData(pools, stats = sampleStats, config = defaultConfig) {
   return pools.map(pool => {
-    const risk = calculateRiskScore(pool, config);
+    const risk = assessRisk(pool, CONFIG_HELPERS.forChain(pool.chain, config));
     const profit = calculateProfitPotential(pool, stats);
-    return { ...pool, riskScore: risk, profitPotential: profit };
+    return { ...pool, riskScore: risk.score, riskBreakdown: risk, profitPotential: profit };
   });
 }
 
 // --- Phase 3: Selection Function ---
 
 export function selectOptimalPools(enrichedPools, config = defaultConfig) {
-  const candidates = enrichedPools.filter(p => p.riskScore <= config.maxRiskScore);
+  const candidates = enrichedPools.filter(p => {
+    const maxRiskScore = CONFIG_HELPERS.forChain(p.chain, config).maxRiskScore;
+    if (p.riskScore <= maxRiskScore) return true;
+    logger.info(`Rejected ${p.symbol}: risk ${p.riskScore} > ${maxRiskScore} (${describeRisk(p.riskBreakdown)})`);
+    return false;
+  });
   const byToken = {};
   candidates.forEach(p => {
     const tok = p.rewardTokens.length > 0 ? p.rewardTokens[0] : 'none';
@@ -239,14 +438,81 @@ export function selectOptimalPools(enrichedPools, config = defaultConfig) {
 }
 
 /**
- * Fetches a single pool by ID (or address) from DeFiLlama and calculates riskScore.
+ * Underlying tokens of a pool or position, falling back to the symbol parts when
+ * the source does not report token addresses.
+ */
+export function exposureTokens(item) {
+  const tokens = Array.isArray(item.underlyingTokens) && item.underlyingTokens.length > 0
+    ? item.underlyingTokens
+    : (item.symbol || '').split('-').filter(Boolean);
+  return [...new Set(tokens.map(t => t.toLowerCase()))];
+}
+
+/**
+ * Tracks portfolio exposure per project, underlying token and exposure type.
+ * Seeded with the active positions; candidates are checked and then added one by
+ * one so limits hold for held and new positions together.
+ * @param {Array} activePositions - Held positions (principalUsd defaults to YIELD_CONFIG.principalUsd)
+ * @param {Object} limits - EXPOSURE_CONFIG
+ * @returns {Object} { check(pool, capitalUsd), add(pool, capitalUsd), totals }
+ */
+export function createExposureTracker(activePositions = [], limits = EXPOSURE_CONFIG) {
+  const totals = { project: {}, token: {}, exposure: {} };
+
+  const bucketsOf = (item) => [
+    ['project', item.project, limits.perProject],
+    ...exposureTokens(item).map(token => ['token', token, limits.perToken]),
+    ['exposure', item.exposure || 'multi', limits.perExposure[item.exposure || 'multi']]
+  ];
+
+  const add = (item, capitalUsd = item.principalUsd ?? YIELD_CONFIG.principalUsd) => {
+    bucketsOf(item).forEach(([dimension, key]) => {
+      const bucket = totals[dimension][key] || { positions: 0, capitalUsd: 0 };
+      totals[dimension][key] = { positions: bucket.positions + 1, capitalUsd: bucket.capitalUsd + capitalUsd };
+    });
+  };
+
+  /**
+   * Returns the first limit the pool would break, or null when it fits.
+   */
+  const check = (pool, capitalUsd = YIELD_CONFIG.principalUsd) => {
+    for (const [dimension, key, limit] of bucketsOf(pool)) {
+      if (!limit) continue;
+      const bucket = totals[dimension][key] || { positions: 0, capitalUsd: 0 };
+      const maxCapitalUsd = limits.portfolioCapitalUsd * (limit.maxCapitalPct / 100);
+      if (bucket.positions + 1 > limit.maxPositions) {
+        return { dimension, key, limit: 'maxPositions', current: bucket.positions, max: limit.maxPositions };
+      }
+      if (bucket.capitalUsd + capitalUsd > maxCapitalUsd) {
+        return { dimension, key, limit: 'maxCapitalPct', current: bucket.capitalUsd, max: maxCapitalUsd };
+      }
+    }
+    return null;
+  };
+
+  activePositions.forEach(position => add(position));
+  return { check, add, totals };
+}
+
+/**
+ * Formats an exposure limit violation, e.g. "token sol at 4/4 positions".
+ */
+export function describeExposureViolation({ dimension, key, limit, current, max }) {
+  return limit === 'maxPositions'
+    ? `${dimension} ${key} at ${current}/${max} positions`
+    : `${dimension} ${key} at $${current.toFixed(0)} of $${max.toFixed(0)} capital`;
+}
+
+/**
+ * Fetches a single pool by ID (or address) from a data source and calculates riskScore.
  * @param {string} poolId
+ * @param {Object} source - Data source adapter (defaults to the shared pool universe cache).
+ * @param {Object} config - Strategy config the risk score is calculated with
  * @returns {Promise<Object|null>}
  */
-export async function fetchPoolById(poolId) {
-  const allPools = await fetchAllLlamaPools();
-  const pool = allPools.find(p => p.pool === poolId || p.address === poolId);
-  if (!pool) return null;
-  pool.riskScore = calculateRiskScore(pool, defaultConfig);
-  return pool;
+export async function fetchPoolById(poolId, source = poolUniverse, config = defaultConfig) {
+  const found = await source.fetchPool(poolId);
+  if (!found) return null;
+  const pool = { ...found, protocol: protocolRegistry.lookup(found.project) };
+  return { ...pool, riskScore: calculateRiskScore(pool, CONFIG_HELPERS.forChain(pool.chain, config)) };
 }
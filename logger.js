@@ -1,8 +1,14 @@
 import fs from 'fs';
 import path from 'path';
+import { LOG_CONFIG } from './config.js';
 
 const LOG_FILE = 'bot_activity.log';
 
+// Messages above the threshold are dropped (LOG_LEVEL=warn keeps warnings and errors)
+const LEVELS = { error: 0, warn: 1, info: 2 };
+let threshold = LEVELS[LOG_CONFIG.level] ?? LEVELS.info;
+const enabled = (level) => LEVELS[level] <= threshold;
+
 const writeToFile = (level, message) => {
   const timestamp = new Date().toISOString();
   const logEntry = `[${timestamp}] ${level.toUpperCase()}: ${message}\n`;
@@ -15,17 +21,24 @@ const writeToFile = (level, message) => {
 };
 
 export default {
+  setLevel: (level) => {
+    if (!(level in LEVELS)) throw new Error(`Unknown log level "${level}" (expected one of: ${Object.keys(LEVELS).join(', ')})`);
+    threshold = LEVELS[level];
+  },
   info: (...args) => {
+    if (!enabled('info')) return;
     const message = args.join(' ');
     console.log(message);
     writeToFile('info', message);
   },
   error: (...args) => {
+    if (!enabled('error')) return;
     const message = args.join(' ');
     console.error(message);
     writeToFile('error', message);
   },
   warn: (...args) => {
+    if (!enabled('warn')) return;
     const message = args.join(' ');
     console.warn(message);
     writeToFile('warn', message);
@@ -0,0 +1,247 @@
+#!/usr/bin/env node
+
+/**
+ * ===================================================================================
+ * Parameter Optimization CLI (optimize.js)
+ * ===================================================================================
+ *
+ * Description:
+ * Sweeps strategy parameters over historical data (services/optimizer.js), ranks the
+ * parameter sets by return, drawdown and Sharpe ratio, validates the choice walk-
+ * forward and stores the sweep in OptimizationRun as the record of the tuning
+ * decision.
+ *
+ * ===================================================================================
+ */
+
+import fs from 'fs';
+import logger from './logger.js';
+import { parseArgs } from './cli-args.js';
+import { dbService } from './services/database.js';
+import { protocolRegistry } from './services/protocol-registry.js';
+import { loadHistory, HISTORY_SOURCES } from './services/backtest-history.js';
+import { validateOverrides } from './services/workflow-rules.js';
+import { optimize, OPTIMIZATION_METHODS, OBJECTIVES } from './services/optimizer.js';
+import { CAPTURE_CONFIG, OPTIMIZER_CONFIG } from './config.js';
+
+// ANSI color codes for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m',
+  white: '\x1b[37m'
+};
+
+function colorize(text, color) {
+  return `${colors[color]}${text}${colors.reset}`;
+}
+
+function formatPercent(percent) {
+  const color = percent >= 0 ? 'green' : 'red';
+  return colorize(`${percent.toFixed(2)}%`, color);
+}
+
+function printHeader(title) {
+  console.log('\n' + colorize('='.repeat(60), 'cyan'));
+  console.log(colorize(` ${title} `, 'bright'));
+  console.log(colorize('='.repeat(60), 'cyan'));
+}
+
+function printSection(title) {
+  console.log('\n' + colorize(` ${title}`, 'yellow'));
+  console.log(colorize('-'.repeat(40), 'yellow'));
+}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 16) : '-');
+
+const formatParams = (params) => {
+  const entries = Object.entries(params);
+  return entries.length ? entries.map(([path, value]) => `${path}=${value}`).join(' ') : colorize('(current config)', 'white');
+};
+
+const formatMetrics = (m) =>
+  `return ${formatPercent(m.returnPct)} (${m.annualizedReturnPct.toFixed(1)}%/yr) | dd ${m.maxDrawdownPct.toFixed(2)}% | sharpe ${m.sharpeRatio.toFixed(2)} | ${m.trades} trades, win ${m.winRate.toFixed(1)}%`;
+
+function printResult(result) {
+  printSection('Baseline (current config)');
+  console.log(formatMetrics(result.baseline));
+
+  const of = result.candidates ? ` of ${result.candidates}` : '';
+  printSection(`Top ${result.ranked.length}${of} parameter sets (by ${result.objective})`);
+  result.ranked.forEach((entry, i) => {
+    console.log(`${colorize(`#${i + 1}`.padEnd(4), 'bright')} ${formatMetrics(entry.metrics)}`);
+    console.log(`     ${formatParams(entry.params)}`);
+  });
+
+  const wf = result.walkForward;
+  if (wf) {
+    printSection(`Walk-forward validation (${wf.folds.length} folds)`);
+    wf.folds.forEach((fold, i) => {
+      console.log(`${colorize(`Fold ${i + 1}`, 'bright')} train ${formatDate(fold.train.start)} -> ${formatDate(fold.train.end)}, test -> ${formatDate(fold.test.end)}`);
+      console.log(`  chosen:   ${formatParams(fold.params)}`);
+      console.log(`  train:    ${formatMetrics(fold.trainMetrics)}`);
+      console.log(`  test:     ${formatMetrics(fold.testMetrics)}`);
+      console.log(`  baseline: ${formatMetrics(fold.baselineMetrics)}`);
+    });
+    console.log(`\n${colorize('Out-of-sample Return:', 'white')} ${formatPercent(wf.outOfSampleReturnPct)} vs baseline ${formatPercent(wf.baselineReturnPct)}`);
+    console.log(`${colorize('Out-of-sample Sharpe:', 'white')} ${wf.avgSharpeRatio.toFixed(2)} vs baseline ${wf.baselineAvgSharpeRatio.toFixed(2)}`);
+    console.log(`${colorize('Worst Drawdown:', 'white')} ${wf.maxDrawdownPct.toFixed(2)}%`);
+    console.log(`${colorize('Efficiency:', 'white')} ${wf.efficiency === null ? '-' : wf.efficiency.toFixed(2)} (out-of-sample / in-sample annualized return)`);
+    console.log(`${colorize('Distinct Choices:', 'white')} ${wf.distinctSelections} of ${wf.folds.length} folds`);
+  }
+
+  printSection('Recommended overrides');
+  console.log(JSON.stringify(result.recommended.overrides, null, 2));
+}
+
+async function listRuns(limit) {
+  const runs = await dbService.getOptimizationRuns(limit);
+  printHeader('OPTIMIZATION RUNS');
+  if (runs.length === 0) {
+    console.log(colorize('No saved optimization runs.', 'yellow'));
+    return;
+  }
+  runs.forEach(run => {
+    console.log(`#${String(run.id).padEnd(4)} ${run.createdAt.toISOString().slice(0, 16)} | ${(run.name || '-').padEnd(16)} | ${run.source}${run.sourceRef ? `:${run.sourceRef}` : ''} | ${run.method}/${run.objective} | ${run.runs} backtests | best ${formatParams(run.recommended?.params || {})}`);
+  });
+}
+
+async function showRun(id) {
+  const run = await dbService.getOptimizationRun(id);
+  if (!run) throw new Error(`No optimization run #${id}`);
+  printHeader(`OPTIMIZATION RUN #${run.id}${run.name ? ` (${run.name})` : ''}`);
+  console.log(`${colorize('Source:', 'white')} ${run.source}${run.sourceRef ? ` ${run.sourceRef}` : ''} (${formatDate(run.startTime)} -> ${formatDate(run.endTime)})`);
+  console.log(`${colorize('Space:', 'white')} ${JSON.stringify(run.space)}`);
+  printResult(run);
+}
+
+async function runSweep(options) {
+  if (!options.space) throw new Error('--space <path> is required');
+  const source = options.source || 'session';
+  const session = options.session || CAPTURE_CONFIG.session;
+  const sourceRef = source === 'session' ? session : source === 'file' ? options.file : null;
+  const space = readJson(options.space);
+  const baseOverrides = options.overrides ? readJson(options.overrides) : {};
+  const error = validateOverrides(baseOverrides);
+  if (error) throw new Error(error);
+
+  const sweep = {
+    space,
+    baseOverrides,
+    history: ({ since, until }) => loadHistory({
+      source,
+      session,
+      file: options.file,
+      since: since || options.since,
+      until: until || options.until
+    }),
+    onProgress: ({ done, total }) => process.stdout.write(`\r  Backtests ${done}/${total}`)
+  };
+  if (options.method) sweep.method = options.method;
+  if (options.samples) sweep.samples = Number(options.samples);
+  if (options.seed) sweep.seed = Number(options.seed);
+  if (options.objective) sweep.objective = options.objective;
+  if (options['min-trades']) sweep.minTrades = Number(options['min-trades']);
+  if (options.folds !== undefined) sweep.folds = Number(options.folds);
+  if (options.rolling) sweep.anchored = false;
+  if (options['max-runs']) sweep.maxRuns = Number(options['max-runs']);
+  if (options.top) sweep.top = Number(options.top);
+
+  printHeader('PARAMETER OPTIMIZATION');
+  console.log(`${colorize('Source:', 'white')} ${source}${sourceRef ? ` ${sourceRef}` : ''}`);
+  console.log(`${colorize('Space:', 'white')} ${JSON.stringify(space)}`);
+
+  const result = await optimize(sweep);
+  process.stdout.write('\n');
+  console.log(`${colorize('Period:', 'white')} ${formatDate(result.period.start)} -> ${formatDate(result.period.end)} (${result.period.frames} cycles)`);
+  console.log(`${colorize('Method:', 'white')} ${result.method}${result.seed !== null ? ` (seed ${result.seed})` : ''}, ${result.runs} backtests`);
+  printResult(result);
+
+  if (options['write-overrides']) {
+    fs.writeFileSync(options['write-overrides'], JSON.stringify(result.recommended.overrides, null, 2));
+    console.log(`\nRecommended overrides written to ${options['write-overrides']} (try: node backtest.js --overrides ${options['write-overrides']})`);
+  }
+  if (options.json) {
+    fs.writeFileSync(options.json, JSON.stringify({ source, sourceRef, space, baseOverrides, ...result }, null, 2));
+    console.log(`\nResult written to ${options.json}`);
+  }
+  if (!options['no-save']) {
+    const run = await dbService.addOptimizationRun({ name: options.name, source, sourceRef, space, baseOverrides, ...result });
+    console.log(`\nSaved as optimization run #${run.id} (list with: node optimize.js --list)`);
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.help || process.argv.includes('-h')) {
+    console.log(`
+${colorize('WildNet Parameter Optimizer', 'bright')}
+
+Usage: node optimize.js --space <path> [options]
+
+Options:
+  --space <path>          JSON { "<section>.<key>": [values] or { min, max, step } }
+  --method <name>         ${OPTIMIZATION_METHODS.join(' or ')} search (default: ${OPTIMIZER_CONFIG.method})
+  --samples <n>           Parameter sets drawn by random search (default: ${OPTIMIZER_CONFIG.samples})
+  --seed <n>              Random search seed, to repeat a sweep
+  --objective <name>      Ranking: ${Object.keys(OBJECTIVES).join(', ')} (default: ${OPTIMIZER_CONFIG.objective})
+  --min-trades <n>        Sets with fewer trades rank last (default: ${OPTIMIZER_CONFIG.minTrades})
+  --folds <n>             Walk-forward folds, 0 to skip (default: ${OPTIMIZER_CONFIG.folds})
+  --rolling               Rolling instead of anchored training windows
+  --max-runs <n>          Backtest budget (default: ${OPTIMIZER_CONFIG.maxRuns})
+  --top <n>               Ranked sets to print and store (default: ${OPTIMIZER_CONFIG.top})
+  --source <name>         History source: ${HISTORY_SOURCES.join(', ')} (default: session)
+  --session <name>        Capture session to replay (default: HTTP_CAPTURE_SESSION or today)
+  --file <path>           Frames file for --source file (.json or .ndjson)
+  --since <date>          Skip frames before this time
+  --until <date>          Skip frames after this time
+  --overrides <path>      Backtest overrides shared by every parameter set
+  --write-overrides <path> Write the recommended overrides for backtest.js
+  --name <label>          Label stored with the sweep
+  --json <path>           Write the full result to a file
+  --no-save               Do not store the sweep in the database
+  --verbose               Show the pipeline logs
+  --list                  List saved sweeps
+  --show <id>             Print a saved sweep
+
+Examples:
+  node optimize.js --space ./space.json --source db --since 2025-07-01
+  node optimize.js --space ./space.json --method random --samples 40 --objective calmar
+  node optimize.js --list
+    `);
+    return;
+  }
+
+  logger.setLevel(options.verbose ? 'info' : 'warn');
+  const needsDb = options.list || options.show || options.source === 'db' || !options['no-save'];
+
+  try {
+    if (needsDb) {
+      await dbService.connect();
+      await protocolRegistry.refresh();
+    }
+
+    if (options.list) {
+      await listRuns(Number(options.limit) || 20);
+    } else if (options.show) {
+      await showRun(Number(options.show));
+    } else {
+      await runSweep(options);
+    }
+  } catch (error) {
+    console.error(colorize(`\nOptimization failed: ${error.message}`, 'red'));
+    process.exitCode = 1;
+  } finally {
+    if (needsDb) await dbService.disconnect();
+  }
+}
+
+main();
@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+
+/**
+ * ===================================================================================
+ * Wallet Reconciliation CLI (reconcile.js)
+ * ===================================================================================
+ *
+ * Description:
+ * Reads the signing wallet's token balances over RPC, matches them against the active
+ * on-chain positions in the database (services/reconciliation.js) and prints matched
+ * pools, quantity mismatches, positions missing from the wallet and orphaned
+ * balances. Exits with code 2 on drift, so it can gate scripts and localnet checks.
+ *
+ * ===================================================================================
+ */
+
+import fs from 'fs';
+import logger from './logger.js';
+import { parseArgs } from './cli-args.js';
+import { dbService } from './services/database.js';
+import { ReconciliationService } from './services/reconciliation.js';
+import { EXECUTION_CONFIG, RECONCILIATION_CONFIG } from './config.js';
+
+// ANSI color codes for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m',
+  white: '\x1b[37m'
+};
+
+function colorize(text, color) {
+  return `${colors[color]}${text}${colors.reset}`;
+}
+
+function printHeader(title) {
+  console.log('\n' + colorize('='.repeat(60), 'cyan'));
+  console.log(colorize(` ${title} `, 'bright'));
+  console.log(colorize('='.repeat(60), 'cyan'));
+}
+
+function printSection(title) {
+  console.log('\n' + colorize(` ${title}`, 'yellow'));
+  console.log(colorize('-'.repeat(40), 'yellow'));
+}
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 16) : '-');
+
+const formatPositions = (positions) => positions.map(p => `${p.symbol} #${p.id}`).join(', ');
+
+function printReport(report) {
+  printHeader('WALLET RECONCILIATION');
+  console.log(`${colorize('Wallet:', 'white')} ${report.wallet}`);
+  console.log(`${colorize('RPC:', 'white')} ${report.rpcUrl}`);
+  console.log(`${colorize('SOL:', 'white')} ${report.sol}`);
+  console.log(`${colorize('Positions:', 'white')} ${report.positions.checked} on chain, ${report.positions.paper} paper (not checked)`);
+
+  printSection('Matched');
+  if (!report.matched.length) console.log('None');
+  report.matched.forEach(m => console.log(`${colorize('✓', 'green')} ${m.mint} ${m.actual} (${formatPositions(m.positions)})`));
+
+  if (report.mismatches.length) {
+    printSection('Quantity Mismatches');
+    report.mismatches.forEach(m => console.log(`${colorize('≠', 'red')} ${m.mint} expected ${m.expected}, holds ${m.actual} (${m.differencePct}%) | ${formatPositions(m.positions)}`));
+  }
+  if (report.missing.length) {
+    printSection('Missing From Wallet');
+    report.missing.forEach(m => console.log(`${colorize('✗', 'red')} ${formatPositions(m.positions)}: ${m.reason}${m.mint ? ` (${m.mint}, expected ${m.expected})` : ''}`));
+  }
+  if (report.working.length) {
+    printSection('Working Balances');
+    report.working.forEach(w => console.log(`${colorize('·', 'white')} ${w.mint} ${w.amount}`));
+  }
+  if (report.orphans.length) {
+    printSection('Orphaned Balances');
+    report.orphans.forEach(o => console.log(`${colorize('?', 'yellow')} ${o.mint} ${o.amount}`));
+  }
+
+  const status = report.status === 'ok' ? colorize('OK', 'green') : colorize('DRIFT', 'red');
+  console.log(`\n${colorize('Status:', 'white')} ${status}`);
+}
+
+async function listReports(limit) {
+  const reports = await dbService.getReconciliations({ limit });
+  printHeader('RECONCILIATION HISTORY');
+  if (!reports.length) {
+    console.log('No stored reconciliations');
+    return;
+  }
+  reports.forEach(r => {
+    const status = r.status === 'ok' ? colorize(r.status, 'green') : colorize(r.status, 'red');
+    const detail = r.error || `${r.matched} matched, ${r.mismatches} mismatched, ${r.missing} missing, ${r.orphans} orphaned`;
+    console.log(`#${r.id} ${formatDate(r.timestamp)} ${status} ${r.wallet} | ${detail}`);
+  });
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.help || process.argv.includes('-h')) {
+    console.log(`
+${colorize('WildNet Wallet Reconciliation', 'bright')}
+
+Usage: node reconcile.js [options]
+
+Options:
+  --address <pubkey>      Wallet to check (default: WALLET_ADDRESS or the executor keypair)
+  --rpc <url>             Solana RPC (default: ${EXECUTION_CONFIG.orca.rpcUrl})
+  --tolerance <pct>       Quantity difference still counted as a match (default: ${RECONCILIATION_CONFIG.tolerancePct})
+  --json <path>           Write the report to a file
+  --no-save               Do not store the report in the database
+  --list                  List stored reports
+  --limit <n>             Reports to list (default: 20)
+
+Examples:
+  node reconcile.js
+  node reconcile.js --rpc http://127.0.0.1:8899 --no-save
+  node reconcile.js --list
+    `);
+    return;
+  }
+
+  logger.setLevel('warn');
+
+  try {
+    await dbService.connect();
+
+    if (options.list) {
+      await listReports(Number(options.limit) || 20);
+      return;
+    }
+
+    const service = new ReconciliationService(dbService, {
+      ...(options.address ? { walletAddress: options.address } : {}),
+      ...(options.rpc ? { rpcUrl: options.rpc } : {}),
+      ...(options.tolerance ? { tolerancePct: Number(options.tolerance) } : {})
+    });
+    const report = await service.run({ save: !options['no-save'] });
+    if (report.status === 'error') throw new Error(report.error);
+
+    printReport(report);
+    if (options.json) {
+      fs.writeFileSync(options.json, JSON.stringify(report, null, 2));
+      console.log(`\nReport written to ${options.json}`);
+    }
+    if (report.status === 'drift') process.exitCode = 2;
+  } catch (error) {
+    console.error(colorize(`\nReconciliation failed: ${error.message}`, 'red'));
+    process.exitCode = 1;
+  } finally {
+    await dbService.disconnect();
+  }
+}
+
+main();
@@ -0,0 +1,152 @@
+/**
+ * ===================================================================================
+ * Backtest History Loaders (services/backtest-history.js)
+ * ===================================================================================
+ *
+ * Description:
+ * Turns stored or imported pool data into the frames the backtester replays:
+ *
+ *   { timestamp: Date, pools: [normalized pools] }   oldest first, one per cycle
+ *
+ * Sources:
+ *   session - a recorded HTTP capture session (HTTP_CAPTURE_DIR/<session>); every
+ *             recorded cycle contributes its DeFiLlama /pools response, timed by
+ *             when it was recorded
+ *   file    - an imported .json file ({ frames: [...] } or a plain array) or .ndjson
+ *             file (one frame per line) of { timestamp, pools } frames, with pools in
+ *             DeFiLlama field names
+ *   db      - PoolSnapshot rows grouped per detection cycle. Only pools the bot
+ *             watched or held were snapshotted, so this replays a narrow universe.
+ *
+ * Frames are produced one at a time so long sessions never sit in memory at once,
+ * and pools are limited to `chains` (the enabled chains by default).
+ *
+ * ===================================================================================
+ */
+
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { CAPTURE_CONFIG, DATA_SOURCE_CONFIG, CHAIN_CONFIG } from '../config.js';
+import { dbService } from './database.js';
+import { normalizePool } from './data-sources/pool-shape.js';
+
+export const HISTORY_SOURCES = ['session', 'file', 'db'];
+
+const CYCLE_FILE = /^cycle-(\d+)\.ndjson$/;
+
+async function* readLines(filePath) {
+  const lines = readline.createInterface({ input: fs.createReadStream(filePath, 'utf8'), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (line.trim()) yield line;
+  }
+}
+
+async function* sessionFrames({ session = CAPTURE_CONFIG.session, dir = CAPTURE_CONFIG.dir } = {}) {
+  const sessionDir = path.resolve(dir, session);
+  if (!fs.existsSync(sessionDir)) {
+    throw new Error(`No capture session at ${sessionDir}`);
+  }
+  const poolsKey = `GET ${DATA_SOURCE_CONFIG.defillama.baseUrl}/pools?`;
+  const cycleFiles = fs.readdirSync(sessionDir).filter(file => CYCLE_FILE.test(file)).sort();
+
+  for (const file of cycleFiles) {
+    for await (const line of readLines(path.join(sessionDir, file))) {
+      if (!line.startsWith(`{"key":"${poolsKey}`)) continue;
+      const entry = JSON.parse(line);
+      if (!Array.isArray(entry.data?.data)) continue;
+      yield {
+        timestamp: new Date(entry.recordedAt),
+        pools: entry.data.data.map(pool => normalizePool(pool, 'defillama'))
+      };
+      break; // one pool list per cycle
+    }
+  }
+}
+
+async function* fileFrames({ file }) {
+  if (!file) throw new Error('The file history source needs a file path');
+  const filePath = path.resolve(file);
+  const toFrame = (frame) => ({
+    timestamp: new Date(frame.timestamp),
+    pools: (frame.pools || []).map(pool => normalizePool(pool, 'backtest'))
+  });
+
+  if (filePath.endsWith('.ndjson')) {
+    for await (const line of readLines(filePath)) yield toFrame(JSON.parse(line));
+    return;
+  }
+
+  const contents = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+  const frames = Array.isArray(contents) ? contents : contents.frames;
+  if (!Array.isArray(frames)) {
+    throw new Error(`History file ${filePath} does not contain a frame array`);
+  }
+  const sorted = frames.map(toFrame).sort((a, b) => a.timestamp - b.timestamp);
+  for (const frame of sorted) yield frame;
+}
+
+async function* dbFrames({ since, until }) {
+  // Snapshots do not store chain or token data; take them from the positions and watchlist
+  const [positions, watchlist] = await Promise.all([dbService.getAllPositions(), dbService.getWatchlist()]);
+  const known = new Map();
+  [...watchlist, ...positions].forEach(item => known.set(item.poolId, item));
+
+  const toPool = (snapshot) => {
+    const item = known.get(snapshot.poolId) || {};
+    return normalizePool({
+      pool: snapshot.poolId,
+      symbol: snapshot.symbol,
+      project: snapshot.project,
+      chain: item.chain,
+      underlyingTokens: item.underlyingTokens,
+      rewardTokens: item.rewardTokens,
+      exposure: item.exposure,
+      apy: snapshot.apy,
+      apyBase: snapshot.apyBase,
+      apyReward: snapshot.apyReward,
+      tvlUsd: snapshot.tvlUsd,
+      volumeUsd1d: snapshot.volumeUsd1d
+    }, 'db');
+  };
+
+  let frame = null;
+  let afterId = 0;
+  for (;;) {
+    const rows = await dbService.getPoolSnapshots({ since, until, afterId });
+    if (rows.length === 0) break;
+    for (const row of rows) {
+      if (frame && frame.cycleId !== row.cycleId) {
+        yield { timestamp: frame.timestamp, pools: frame.pools };
+        frame = null;
+      }
+      frame = frame || { cycleId: row.cycleId, timestamp: row.timestamp, pools: [] };
+      frame.pools.push(toPool(row));
+    }
+    afterId = rows[rows.length - 1].id;
+  }
+  if (frame) yield { timestamp: frame.timestamp, pools: frame.pools };
+}
+
+const LOADERS = { session: sessionFrames, file: fileFrames, db: dbFrames };
+
+/**
+ * Streams historical frames for a backtest.
+ * @param {Object} options - { source, session, dir, file, since, until, chains }
+ * @returns {AsyncGenerator<Object>} Frames { timestamp, pools }, oldest first
+ */
+export async function* loadHistory({ source = 'session', since = null, until = null, chains = CHAIN_CONFIG.enabledChains, ...options } = {}) {
+  const loader = LOADERS[source];
+  if (!loader) {
+    throw new Error(`Unknown history source "${source}" (expected one of: ${HISTORY_SOURCES.join(', ')})`);
+  }
+  const from = since ? new Date(since).getTime() : -Infinity;
+  const to = until ? new Date(until).getTime() : Infinity;
+  const enabled = new Set(chains);
+
+  for await (const frame of loader({ since, until, ...options })) {
+    const time = frame.timestamp.getTime();
+    if (Number.isNaN(time) || time < from || time > to) continue;
+    yield { timestamp: frame.timestamp, pools: frame.pools.filter(pool => enabled.has(pool.chain)) };
+  }
+}
@@ -0,0 +1,499 @@
+/**
+ * ===================================================================================
+ * Strategy Backtester (services/backtester.js)
+ * ===================================================================================
+ *
+ * Description:
+ * Replays historical pool frames (services/backtest-history.js) through the same
+ * pipeline as the live workflow, on a simulated clock. Every frame is one cycle:
+ *
+ *   1. record observations of watched and held pools (PoolSnapshot in live runs)
+ *   2. exit checks with the exit rule engine, then due harvests (services/harvest.js)
+ *   3. fetchNewIncentivePools -> watchlist update and cleanup
+ *   4. matured watchlist -> validateAndFilterNewPools -> enrichPoolData ->
+ *      selectOptimalPools -> rebalancing -> sizing, chain caps and exposure limits
+ *
+ * Watchlist maturation and rebalancing come from services/workflow-rules.js, as in
+ * workflow_manager_db.js. Everything is held in memory; nothing is written to the
+ * live tables. Differences from a live run:
+ *   - history metrics are computed from the replayed frames (daily points since a
+ *     pool was first seen) instead of ingested charts
+ *   - there are no token prices, so price PnL and impermanent loss are not modeled
+ *     and reward decay uses REWARD_DECAY_CONFIG's default
+ *   - positions still open after the last frame are closed there ("endOfData")
+ *
+ * Overrides of STRATEGY_CONFIG (strategy), EXIT_CONFIG (exit, same shape as
+ * Position.exitRules), WORKFLOW_CONFIG (workflow), SIZING_CONFIG (sizing) and
+ * HARVEST_CONFIG (harvest) apply to one run only. Frames before `tradeFrom` only warm up the watchlist and pool
+ * history, so a run over a later window does not start cold.
+ *
+ * ===================================================================================
+ */
+
+import { POOL_HISTORY_CONFIG, CONFIG_HELPERS } from '../config.js';
+import logger from '../logger.js';
+import { clock } from './clock.js';
+import { computeHistoryMetrics } from './pool-history.js';
+import { applyRewardDecay } from './reward-decay.js';
+import { sizePosition } from './position-sizing.js';
+import { planHarvest, nextHarvestAt, isHarvestDue, buildHarvest } from './harvest.js';
+import { evaluateExitRules, describeExitReasons } from './exit-rules.js';
+import { isMatured, isExpired, evaluateRebalance, resolveSettings } from './workflow-rules.js';
+import { protocolRegistry } from './protocol-registry.js';
+import yieldCalculator from '../yield-calculator.js';
+import {
+  fetchNewIncentivePools,
+  validateAndFilterNewPools,
+  enrichPoolData,
+  selectOptimalPools,
+  createExposureTracker,
+  fetchPoolById,
+  sampleStats
+} from '../functional_strategy.js';
+
+const HOUR_MS = CONFIG_HELPERS.hoursToMs(1);
+const DAY_MS = CONFIG_HELPERS.daysToMs(1);
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Data-source adapter serving the pools of one frame
+function frameSource(frame) {
+  const index = new Map();
+  frame.pools.forEach(pool => {
+    index.set(pool.pool, pool);
+    if (pool.address && !index.has(pool.address)) index.set(pool.address, pool);
+  });
+  return {
+    name: 'backtest',
+    fetchPools: async () => frame.pools,
+    fetchPool: async (poolId) => index.get(poolId) || null
+  };
+}
+
+// Last observation of each UTC day, the resolution of the charts live history metrics use
+function dailyPoints(series) {
+  const byDay = new Map();
+  series.forEach(point => byDay.set(Math.floor(point.timestamp.getTime() / DAY_MS), point));
+  return [...byDay.values()];
+}
+
+// Annualized mean / standard deviation of the per-cycle equity returns (no risk-free rate)
+function sharpeRatio(equityCurve) {
+  if (equityCurve.length < 3) return 0;
+  const returns = [];
+  for (let i = 1; i < equityCurve.length; i++) {
+    returns.push(equityCurve[i].equity / equityCurve[i - 1].equity - 1);
+  }
+  const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+  const sd = Math.sqrt(returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length - 1));
+  const spanMs = new Date(equityCurve[equityCurve.length - 1].timestamp) - new Date(equityCurve[0].timestamp);
+  if (!(sd > 0) || !(spanMs > 0)) return 0;
+  const periodsPerYear = (365 * DAY_MS) / (spanMs / returns.length);
+  return (mean / sd) * Math.sqrt(periodsPerYear);
+}
+
+function maxDrawdownPct(equityCurve) {
+  let peak = -Infinity;
+  let maxDrawdown = 0;
+  equityCurve.forEach(({ equity }) => {
+    peak = Math.max(peak, equity);
+    if (peak > 0) maxDrawdown = Math.max(maxDrawdown, ((peak - equity) / peak) * 100);
+  });
+  return maxDrawdown;
+}
+
+export class Backtester {
+
+  constructor({ strategy = {}, exit = {}, workflow = {}, sizing = {}, harvest = {} } = {}) {
+    this.overrides = { strategy, exit, workflow, sizing, harvest };
+    Object.assign(this, resolveSettings(this.overrides));  // config, exitOptions, workflow, sizing, exposureLimits, harvest
+    this.historyWindowMs = Math.max(POOL_HISTORY_CONFIG.volatilityWindowDays, POOL_HISTORY_CONFIG.trendWindowDays) * DAY_MS;
+  }
+
+  reset() {
+    this.positions = [];
+    this.watchlist = new Map();  // poolId -> { poolId, symbol, project, chain, firstSeen, status, ... }
+    this.series = new Map();     // poolId -> [{ timestamp, apy, apyBase, apyReward, tvlUsd }]
+    this.trades = [];
+    this.equityCurve = [];
+    this.realizedPnl = 0;
+    this.nextPositionId = 1;
+    this.frames = 0;
+    this.startTime = null;
+    this.endTime = null;
+  }
+
+  /**
+   * Replays frames and returns the trades, equity curve and summary of the run.
+   * @param {AsyncIterable|Iterable} frames - { timestamp, pools } oldest first
+   * @param {Object} options - { tradeFrom }: frames before this time only warm up
+   * @returns {Promise<Object>} { summary, trades, equityCurve, overrides }
+   */
+  async run(frames, { tradeFrom = null } = {}) {
+    this.reset();
+    const tradeFromMs = tradeFrom ? new Date(tradeFrom).getTime() : -Infinity;
+    let source = null;
+
+    try {
+      for await (const frame of frames) {
+        if (frame.timestamp.getTime() < tradeFromMs) {
+          await this.warmUp(frame);
+          continue;
+        }
+        source = frameSource(frame);
+        await this.step(frame, source);
+      }
+      if (source) await this.closeAll(source, this.endTime, 'endOfData');
+    } finally {
+      clock.reset();
+    }
+
+    return {
+      summary: this.summarize(),
+      trades: this.trades,
+      equityCurve: this.equityCurve,
+      overrides: this.overrides
+    };
+  }
+
+  async step(frame, source) {
+    const time = frame.timestamp;
+    const now = time.getTime();
+    clock.set(now);
+    this.frames++;
+    this.startTime = this.startTime || time;
+    this.endTime = time;
+
+    // Watched and held pools are observed at the start of the cycle, like live snapshots
+    frame.pools.forEach(pool => {
+      if (this.watchlist.has(pool.pool) || this.positions.some(p => p.poolId === pool.pool)) this.observe(pool, time);
+    });
+
+    await this.checkExits(source, time);
+    await this.runHarvests(source, time);
+
+    const detected = await fetchNewIncentivePools(this.config, source, { crossCheck: false });
+    detected.forEach(pool => this.observe(pool, time));
+    this.updateWatchlist(detected, now);
+
+    await this.invest(detected, time);
+    this.markToMarket(source, time);
+  }
+
+  // Detection and observation without trading
+  async warmUp(frame) {
+    const now = frame.timestamp.getTime();
+    clock.set(now);
+    frame.pools.forEach(pool => {
+      if (this.watchlist.has(pool.pool)) this.observe(pool, frame.timestamp);
+    });
+    const detected = await fetchNewIncentivePools(this.config, frameSource(frame), { crossCheck: false });
+    detected.forEach(pool => this.observe(pool, frame.timestamp));
+    this.updateWatchlist(detected, now);
+  }
+
+  observe(pool, time) {
+    const series = this.series.get(pool.pool) || [];
+    if (series.length && series[series.length - 1].timestamp.getTime() === time.getTime()) return;
+    series.push({ timestamp: time, apy: pool.apy, apyBase: pool.apyBase, apyReward: pool.apyReward, tvlUsd: pool.tvlUsd });
+
+    // Pools not held only need the history metric windows
+    const cutoff = time.getTime() - this.historyWindowMs;
+    if (!this.positions.some(p => p.poolId === pool.pool)) {
+      while (series.length && series[0].timestamp.getTime() < cutoff) series.shift();
+    }
+    this.series.set(pool.pool, series);
+  }
+
+  observationsOf(position) {
+    const entry = position.entryTimestamp.getTime();
+    return (this.series.get(position.poolId) || []).filter(o => o.timestamp.getTime() > entry);
+  }
+
+  historyMetrics(poolId) {
+    return computeHistoryMetrics(dailyPoints(this.series.get(poolId) || []));
+  }
+
+  async checkExits(source, time) {
+    for (const pos of [...this.positions]) {
+      const current = await fetchPoolById(pos.poolId, source, this.config);
+      if (!current) continue;
+
+      const hoursHeld = (time.getTime() - pos.entryTimestamp.getTime()) / HOUR_MS;
+      const yieldData = yieldCalculator.calculateYield(pos, {
+        timestamp: time,
+        exitApy: current.apy,
+        observations: this.observationsOf(pos)
+      });
+      pos.peakApy = Math.max(pos.peakApy ?? pos.entryApy, current.apy);
+
+      const decision = evaluateExitRules({
+        position: pos,
+        current,
+        hoursHeld,
+        peakApy: pos.peakApy,
+        accruedReturnPct: yieldData.returnPercentage,
+        protocolBlocked: protocolRegistry.isBlocked(pos.project)
+      }, this.exitOptions);
+
+      if (decision.exit) {
+        this.close(pos, yieldData, describeExitReasons(decision.triggered), decision.triggered, time);
+      }
+    }
+  }
+
+  async runHarvests(source, time) {
+    for (const pos of this.positions) {
+      if (!isHarvestDue(pos, time.getTime())) continue;
+      const current = await fetchPoolById(pos.poolId, source, this.config);
+      if (!current) continue;
+
+      const yieldData = yieldCalculator.calculateYield(pos, {
+        timestamp: time,
+        exitApy: current.apy,
+        observations: this.observationsOf(pos)
+      });
+      const harvest = buildHarvest(pos, yieldData, time, current, this.harvest);
+      if (harvest) pos.harvests.push(harvest);
+
+      // Re-plan from the value after the harvest at the current reward APY
+      const plan = planHarvest({ ...pos, tvlUsd: current.tvlUsd }, {
+        valueUsd: yieldData.deployedValue + (harvest?.compoundedUsd || 0),
+        rewardApy: current.apyReward || 0
+      }, this.harvest);
+      pos.harvestIntervalHours = plan.intervalHours;
+      pos.nextHarvestAt = nextHarvestAt(time, plan.intervalHours);
+    }
+  }
+
+  updateWatchlist(detected, now) {
+    detected.slice(0, this.workflow.watchlistDetectLimit).forEach(pool => {
+      const entry = this.watchlist.get(pool.pool);
+      if (entry) {
+        entry.lastChecked = now;
+        return;
+      }
+      this.watchlist.set(pool.pool, {
+        poolId: pool.pool,
+        symbol: pool.symbol,
+        project: pool.project,
+        chain: pool.chain,
+        isNew: pool.isNew || false,
+        detectionSignals: pool.detectionSignals,
+        firstSeen: now,
+        lastChecked: now,
+        status: 'watching'
+      });
+    });
+
+    for (const [poolId, entry] of this.watchlist) {
+      if (entry.status === 'watching' && isExpired(entry, now, this.workflow)) this.watchlist.delete(poolId);
+    }
+  }
+
+  async invest(detected, time) {
+    const now = time.getTime();
+    let slots = this.workflow.maxPositions - this.positions.length;
+    if (slots <= 0) return;
+
+    const matured = [...this.watchlist.values()].filter(w => w.status === 'watching' && isMatured(w, now, this.workflow));
+    if (!matured.length) return;
+
+    const validated = validateAndFilterNewPools(matured, detected, this.config);
+    if (!validated.length) return;
+
+    const withHistory = validated
+      .slice(0, this.workflow.validationLimit)
+      .map(pool => ({ ...pool, history: this.historyMetrics(pool.pool) }));
+    const enriched = enrichPoolData(applyRewardDecay(withHistory, []), sampleStats, this.config);
+    const optimal = selectOptimalPools(enriched, this.config);
+
+    // Rebalancing: exit at the last observed APY, as the live workflow does
+    for (const cand of optimal) {
+      if (this.positions.length < this.workflow.maxPositions) break;
+
+      const rebalance = evaluateRebalance(this.positions, cand, this.workflow);
+      if (!rebalance?.swap) continue;
+
+      const { worst } = rebalance;
+      const observations = this.observationsOf(worst);
+      const exitApy = observations.length ? observations[observations.length - 1].apy : worst.entryApy;
+      const yieldData = yieldCalculator.calculateYield(worst, { timestamp: time, exitApy, observations });
+      this.close(worst, yieldData, 'rebalanced', [], time);
+      slots++;
+    }
+
+    const chainCounts = {};
+    this.positions.forEach(p => { chainCounts[p.chain] = (chainCounts[p.chain] || 0) + 1; });
+    const exposure = createExposureTracker(this.positions, this.exposureLimits);
+    let investedUsd = this.positions.reduce((sum, p) => sum + p.principalUsd, 0);
+    let investedCount = 0;
+
+    for (const cand of optimal) {
+      if (investedCount >= slots) break;
+
+      const chainLimit = CONFIG_HELPERS.forChain(cand.chain, this.config).maxPositions;
+      if ((chainCounts[cand.chain] || 0) >= chainLimit) continue;
+      if (this.positions.some(p => p.poolId === cand.pool)) continue;
+
+      const sizing = sizePosition(cand, { investedUsd }, this.sizing);
+      if (!sizing.principalUsd) continue;
+      if (exposure.check(cand, sizing.principalUsd)) continue;
+
+      this.open(cand, sizing, time);
+      const entry = this.watchlist.get(cand.pool);
+      if (entry) Object.assign(entry, { status: 'invested', lastChecked: now });
+
+      chainCounts[cand.chain] = (chainCounts[cand.chain] || 0) + 1;
+      exposure.add(cand, sizing.principalUsd);
+      investedUsd += sizing.principalUsd;
+      investedCount++;
+    }
+  }
+
+  open(cand, sizing, time) {
+    const harvestPlan = planHarvest(cand, { valueUsd: sizing.principalUsd, rewardApy: cand.apyReward || 0 }, this.harvest);
+    const position = {
+      id: this.nextPositionId++,
+      poolId: cand.pool,
+      symbol: cand.symbol,
+      project: cand.project,
+      chain: cand.chain,
+      underlyingTokens: cand.underlyingTokens,
+      exposure: cand.exposure,
+      rewardTokens: cand.rewardTokens,
+      principalUsd: sizing.principalUsd,
+      sizingPolicy: sizing.policy,
+      entryTimestamp: time,
+      entryApy: cand.apy,
+      entryRewardApy: cand.apyReward || 0,
+      entryTvl: cand.tvlUsd || 0,
+      entryRisk: cand.riskScore,
+      peakApy: cand.apy,
+      exitRules: null,
+      harvestIntervalHours: harvestPlan.intervalHours,
+      nextHarvestAt: nextHarvestAt(time, harvestPlan.intervalHours),
+      harvests: [],
+      isNew: cand.isNew,
+      status: 'active'
+    };
+    this.positions.push(position);
+    logger.info(` [backtest ${time.toISOString()}] Entering ${cand.symbol} | $${sizing.principalUsd.toFixed(2)} | APY ${cand.apy.toFixed(2)}% | Risk ${cand.riskScore}`);
+  }
+
+  close(position, yieldData, reason, triggered, time) {
+    this.positions.splice(this.positions.indexOf(position), 1);
+    this.realizedPnl += yieldData.totalReturn;
+    this.trades.push({
+      poolId: position.poolId,
+      symbol: position.symbol,
+      project: position.project,
+      chain: position.chain,
+      isNew: position.isNew,
+      entryTime: position.entryTimestamp,
+      exitTime: time,
+      hoursHeld: round((time.getTime() - position.entryTimestamp.getTime()) / HOUR_MS),
+      principal: position.principalUsd,
+      entryApy: position.entryApy,
+      exitApy: yieldData.exitApy,
+      avgApy: round(yieldData.avgApy),
+      entryRisk: position.entryRisk,
+      reason,
+      triggered,
+      farmingReturn: yieldData.farmingReturn,
+      harvests: yieldData.harvests,
+      harvestCosts: yieldData.costs.harvest,
+      costs: yieldData.costs.total,
+      netReturn: yieldData.totalReturn,
+      returnPercentage: yieldData.returnPercentage
+    });
+    logger.info(` [backtest ${time.toISOString()}] Exiting ${position.symbol} | ${reason} | $${yieldData.totalReturn} (${yieldData.returnPercentage}%)`);
+  }
+
+  async closeAll(source, time, reason) {
+    for (const pos of [...this.positions]) {
+      const current = await fetchPoolById(pos.poolId, source, this.config);
+      const observations = this.observationsOf(pos);
+      const exitApy = current?.apy ?? (observations.length ? observations[observations.length - 1].apy : pos.entryApy);
+      const yieldData = yieldCalculator.calculateYield(pos, { timestamp: time, exitApy, observations });
+      this.close(pos, yieldData, reason, [], time);
+    }
+    // The last equity point reflects the forced exits
+    if (this.equityCurve.length) {
+      const last = this.equityCurve[this.equityCurve.length - 1];
+      Object.assign(last, {
+        equity: round(this.sizing.bankrollUsd + this.realizedPnl),
+        realizedPnl: round(this.realizedPnl),
+        unrealizedPnl: 0,
+        openPositions: 0,
+        investedUsd: 0
+      });
+    }
+  }
+
+  markToMarket(source, time) {
+    let unrealizedPnl = 0;
+    this.positions.forEach(pos => {
+      const observations = this.observationsOf(pos);
+      const exitApy = observations.length ? observations[observations.length - 1].apy : pos.entryApy;
+      unrealizedPnl += yieldCalculator.calculateYield(pos, { timestamp: time, exitApy, observations }).totalReturn;
+    });
+
+    this.equityCurve.push({
+      timestamp: time,
+      equity: round(this.sizing.bankrollUsd + this.realizedPnl + unrealizedPnl),
+      realizedPnl: round(this.realizedPnl),
+      unrealizedPnl: round(unrealizedPnl),
+      openPositions: this.positions.length,
+      investedUsd: round(this.positions.reduce((sum, p) => sum + p.principalUsd, 0))
+    });
+  }
+
+  summarize() {
+    const trades = this.trades;
+    const wins = trades.filter(t => t.netReturn > 0).length;
+    const sum = (field) => trades.reduce((total, t) => total + t[field], 0);
+    const byReturn = [...trades].sort((a, b) => b.netReturn - a.netReturn);
+    const exitReasons = {};
+    trades.forEach(t => { exitReasons[t.reason] = (exitReasons[t.reason] || 0) + 1; });
+    const brief = (t) => (t ? { symbol: t.symbol, poolId: t.poolId, netReturn: t.netReturn, returnPercentage: t.returnPercentage } : null);
+    const days = this.startTime ? (this.endTime - this.startTime) / DAY_MS : 0;
+
+    return {
+      frames: this.frames,
+      startTime: this.startTime,
+      endTime: this.endTime,
+      days: round(days),
+      bankrollUsd: this.sizing.bankrollUsd,
+      finalEquity: round(this.sizing.bankrollUsd + this.realizedPnl),
+      totalReturn: round(this.realizedPnl),
+      returnPct: round((this.realizedPnl / this.sizing.bankrollUsd) * 100),
+      maxDrawdownPct: round(maxDrawdownPct(this.equityCurve)),
+      sharpeRatio: round(sharpeRatio(this.equityCurve)),
+      trades: trades.length,
+      wins,
+      winRate: trades.length ? round((wins / trades.length) * 100) : 0,
+      avgReturn: trades.length ? round(sum('netReturn') / trades.length) : 0,
+      avgReturnPct: trades.length ? round(sum('returnPercentage') / trades.length) : 0,
+      avgHoldHours: trades.length ? round(sum('hoursHeld') / trades.length) : 0,
+      totalFarmingReturn: round(sum('farmingReturn')),
+      totalCosts: round(sum('costs')),
+      harvests: sum('harvests'),
+      totalHarvestCosts: round(sum('harvestCosts')),
+      bestTrade: brief(byReturn[0]),
+      worstTrade: brief(byReturn[byReturn.length - 1]),
+      exitReasons
+    };
+  }
+}
+
+/**
+ * Runs one backtest over a set of frames.
+ * @param {AsyncIterable|Iterable} frames - Output of loadHistory
+ * @param {Object} overrides - { strategy, exit, workflow, sizing, harvest }
+ * @param {Object} options - { tradeFrom }
+ * @returns {Promise<Object>} { summary, trades, equityCurve, overrides }
+ */
+export async function runBacktest(frames, overrides = {}, options = {}) {
+  return new Backtester(overrides).run(frames, options);
+}
@@ -0,0 +1,49 @@
+/**
+ * ===================================================================================
+ * Strategy Clock (services/clock.js)
+ * ===================================================================================
+ *
+ * Description:
+ * Source of "now" for the time-dependent strategy checks (pool age, ultra-fresh
+ * window, protocol age, hold time) and the timestamps the workflow stores. It
+ * follows the wall clock unless a simulated time is set, which is how a capture
+ * replay runs each recorded cycle at the time it was recorded and how the
+ * backtester replays historical data on its own clock.
+ *
+ * ===================================================================================
+ */
+
+export class Clock {
+
+  constructor() {
+    this.simulatedTime = null;
+  }
+
+  get isSimulated() {
+    return this.simulatedTime !== null;
+  }
+
+  /**
+   * Current time in milliseconds: the simulated time when set, otherwise Date.now().
+   * @returns {number}
+   */
+  now() {
+    return this.simulatedTime ?? Date.now();
+  }
+
+  /**
+   * Moves the clock to a simulated time.
+   * @param {Date|number|string} time
+   */
+  set(time) {
+    this.simulatedTime = new Date(time).getTime();
+  }
+
+  // Returns to the wall clock
+  reset() {
+    this.simulatedTime = null;
+  }
+}
+
+// Export singleton instance
+export const clock = new Clock();
@@ -0,0 +1,110 @@
+/**
+ * ===================================================================================
+ * Transaction Cost Model (services/cost-model.js)
+ * ===================================================================================
+ *
+ * Description:
+ * Estimates what it costs to enter and exit a pool position, so yields can be
+ * reported net of costs and rebalancing only happens when it pays for itself:
+ *
+ *   swap fee   - project fee schedule on the half of the principal swapped into
+ *                the pair token (multi-asset pools only)
+ *   slippage   - price impact of that swap, estimated from trade size vs TVL
+ *   pool fee   - deposit fee on entry, withdraw fee on exit
+ *   network    - per-transaction fee of the chain
+ *
+ * Harvests (services/harvest.js) pay network fees for the claim, the redeposit and one
+ * swap per pool token, plus swap fee and slippage on the claimed rewards.
+ *
+ * ===================================================================================
+ */
+
+import { COST_CONFIG } from '../config.js';
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Share of the principal swapped on entry/exit: half for a token pair, none for single-asset pools
+function swapShare(pool) {
+  if (pool.exposure) return pool.exposure === 'multi' ? 0.5 : 0;
+  if (pool.underlyingTokens?.length) return pool.underlyingTokens.length > 1 ? 0.5 : 0;
+  return (pool.symbol || '').includes('-') ? 0.5 : 0;
+}
+
+export const feeSchedule = (project, options = COST_CONFIG) => ({
+  ...options.fees.default,
+  ...(options.fees[project] || {})
+});
+
+/**
+ * Estimated price impact, in percent, of swapping tradeUsd in a pool of tvlUsd.
+ * @param {number} tradeUsd
+ * @param {number} tvlUsd
+ * @param {Object} options - COST_CONFIG
+ * @returns {number}
+ */
+export function estimateSlippagePct(tradeUsd, tvlUsd, options = COST_CONFIG) {
+  if (!tradeUsd) return 0;
+  if (!tvlUsd || tvlUsd <= 0) return options.slippage.maxPct;
+  return Math.min(options.slippage.impactFactor * (tradeUsd / tvlUsd) * 100, options.slippage.maxPct);
+}
+
+function legCosts(pool, principalUsd, poolFeePct, options) {
+  const fees = feeSchedule(pool.project, options);
+  const tradeUsd = principalUsd * swapShare(pool);
+  const tvlUsd = pool.tvlUsd ?? pool.entryTvl;
+  const networkFee = options.networkFeeUsd[pool.chain] ?? options.networkFeeUsd.default;
+
+  const costs = {
+    swapFee: tradeUsd * fees.swapFeePct / 100,
+    slippage: tradeUsd * estimateSlippagePct(tradeUsd, tvlUsd, options) / 100,
+    poolFee: principalUsd * poolFeePct / 100,
+    network: networkFee * (tradeUsd > 0 ? 2 : 1)
+  };
+  return {
+    swapFee: round(costs.swapFee),
+    slippage: round(costs.slippage),
+    poolFee: round(costs.poolFee),
+    network: round(costs.network),
+    total: round(costs.swapFee + costs.slippage + costs.poolFee + costs.network)
+  };
+}
+
+/**
+ * Estimates entry and exit costs of a position.
+ * @param {Object} pool - Pool or position (project, chain, tvlUsd or entryTvl, exposure/underlyingTokens/symbol)
+ * @param {number} principalUsd - Capital deployed
+ * @param {Object} options - COST_CONFIG
+ * @returns {Object} { entry, exit, total } with entry/exit broken down into swapFee, slippage, poolFee, network
+ */
+export function estimateTradeCosts(pool, principalUsd, options = COST_CONFIG) {
+  const fees = feeSchedule(pool.project, options);
+  const entry = legCosts(pool, principalUsd, fees.depositFeePct, options);
+  const exit = legCosts(pool, principalUsd, fees.withdrawFeePct, options);
+  return { entry, exit, total: round(entry.total + exit.total) };
+}
+
+/**
+ * Estimates the cost of harvesting: claiming rewards, swapping them into the pool's
+ * tokens (one swap each, at the default fee schedule) and redepositing.
+ * @param {Object} pool - Pool or position (chain, tvlUsd or entryTvl, exposure/underlyingTokens/symbol)
+ * @param {number} rewardsUsd - Value of the claimed rewards
+ * @param {Object} options - COST_CONFIG
+ * @returns {Object} { swapFee, slippage, network, total }
+ */
+export function estimateHarvestCosts(pool, rewardsUsd, options = COST_CONFIG) {
+  const swaps = swapShare(pool) > 0 ? 2 : 1;
+  const tvlUsd = pool.tvlUsd ?? pool.entryTvl;
+  const networkFee = options.networkFeeUsd[pool.chain] ?? options.networkFeeUsd.default;
+
+  const costs = {
+    swapFee: rewardsUsd * options.fees.default.swapFeePct / 100,
+    slippage: rewardsUsd * estimateSlippagePct(rewardsUsd / swaps, tvlUsd, options) / 100,
+    network: networkFee * (options.harvestTransactions + swaps)
+  };
+  return {
+    swapFee: round(costs.swapFee),
+    slippage: round(costs.slippage),
+    network: round(costs.network),
+    total: round(costs.swapFee + costs.slippage + costs.network)
+  };
+}
@@ -0,0 +1,79 @@
+/**
+ * ===================================================================================
+ * DeFiLlama Data Source (defillama.js)
+ * ===================================================================================
+ *
+ * Description:
+ * Adapter for the DeFiLlama yields API. Its /pools schema is the reference
+ * for the normalized pool shape, so records pass through almost unchanged.
+ * It also serves the per-pool daily APY/TVL history from /chart/{pool} and current
+ * token prices from the DeFiLlama coins API.
+ *
+ * ===================================================================================
+ */
+
+import { DATA_SOURCE_CONFIG } from '../../config.js';
+import { httpClient } from '../http-client.js';
+import { normalizePool } from './pool-shape.js';
+
+export function toChartPoint(raw) {
+  return {
+    timestamp: new Date(raw.timestamp),
+    apy: raw.apy ?? null,
+    apyBase: raw.apyBase ?? null,
+    apyReward: raw.apyReward ?? null,
+    tvlUsd: raw.tvlUsd ?? null
+  };
+}
+
+/**
+ * Creates a DeFiLlama pool data source.
+ * @param {Object} options - Overrides for DATA_SOURCE_CONFIG.defillama
+ * @returns {Object} Data source adapter
+ */
+export function createDefiLlamaSource(options = {}) {
+  const { baseUrl, coinsUrl, timeout } = { ...DATA_SOURCE_CONFIG.defillama, ...options };
+
+  async function fetchPools() {
+    const response = await httpClient.get(`${baseUrl}/pools`, { timeout });
+    if (!Array.isArray(response.data?.data)) {
+      throw new Error('DeFiLlama /pools returned an unexpected payload');
+    }
+    return response.data.data.map(pool => normalizePool(pool, 'defillama'));
+  }
+
+  async function fetchPool(poolId) {
+    const pools = await fetchPools();
+    return pools.find(p => p.pool === poolId || p.address === poolId) || null;
+  }
+
+  /**
+   * Fetches the daily APY/TVL history of a pool.
+   * @param {string} poolId - DeFiLlama pool id
+   * @returns {Promise<Array>} [{ timestamp, apy, apyBase, apyReward, tvlUsd }] oldest first
+   */
+  async function fetchPoolChart(poolId) {
+    const response = await httpClient.get(`${baseUrl}/chart/${poolId}`, { timeout });
+    if (!Array.isArray(response.data?.data)) {
+      throw new Error(`DeFiLlama /chart/${poolId} returned an unexpected payload`);
+    }
+    return response.data.data.map(toChartPoint);
+  }
+
+  /**
+   * Fetches current USD prices of tokens.
+   * @param {Array<string>} coinKeys - "<chain>:<address>" keys, chain lowercased (e.g. "solana:So111...")
+   * @returns {Promise<Map>} coinKey -> USD price; tokens without a price are left out
+   */
+  async function fetchTokenPrices(coinKeys) {
+    const prices = new Map();
+    if (coinKeys.length === 0) return prices;
+    const response = await httpClient.get(`${coinsUrl}/prices/current/${coinKeys.join(',')}`, { timeout });
+    Object.entries(response.data?.coins || {}).forEach(([key, coin]) => {
+      if (typeof coin?.price === 'number') prices.set(key, coin.price);
+    });
+    return prices;
+  }
+
+  return { name: 'defillama', fetchPools, fetchPool, fetchPoolChart, fetchTokenPrices };
+}
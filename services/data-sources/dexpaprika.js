@@ -0,0 +1,94 @@
+/**
+ * ===================================================================================
+ * DexPaprika Data Source (dexpaprika.js)
+ * ===================================================================================
+ *
+ * Description:
+ * Adapter for the DexPaprika DEX API. DexPaprika reports pools, tokens, volume and
+ * creation time but no incentive data, so apyReward is always null and apy is a
+ * fee APY estimated from 24h volume when liquidity is known. It is mainly useful as
+ * a cross-check for TVL and as an early signal for freshly created pools.
+ *
+ * ===================================================================================
+ */
+
+import { DATA_SOURCE_CONFIG, CHAIN_CONFIG } from '../../config.js';
+import { httpClient } from '../http-client.js';
+import { normalizePool } from './pool-shape.js';
+
+const capitalize = (value) => value ? value.charAt(0).toUpperCase() + value.slice(1) : value;
+
+function estimateFeeApy(volumeUsd, feeRate, tvlUsd) {
+  if (!volumeUsd || !feeRate || !tvlUsd) return null;
+  // DexPaprika reports fees either as a fraction (0.003) or in percent (0.3)
+  const fraction = feeRate > 0.05 ? feeRate / 100 : feeRate;
+  return (volumeUsd * fraction * 365 / tvlUsd) * 100;
+}
+
+function toPool(raw) {
+  const tokens = Array.isArray(raw.tokens) ? raw.tokens : [];
+  const volumeUsd1d = raw.volume_usd ?? raw['24h']?.volume_usd ?? null;
+  const tvlUsd = raw.liquidity_usd ?? raw.tvl_usd ?? null;
+  const apyBase = estimateFeeApy(volumeUsd1d, raw.fee, tvlUsd);
+
+  return normalizePool({
+    pool: raw.id,
+    address: raw.id,
+    chain: capitalize(raw.chain),
+    project: raw.dex_id,
+    symbol: tokens.map(t => t.symbol).filter(Boolean).join('-'),
+    tvlUsd,
+    apyBase,
+    apyReward: null,
+    apy: apyBase,
+    volumeUsd1d,
+    underlyingTokens: tokens.map(t => t.id).filter(Boolean),
+    exposure: tokens.length > 1 ? 'multi' : 'single',
+    ilRisk: tokens.length > 1 ? 'yes' : 'no',
+    firstSeenAt: raw.created_at || null
+  }, 'dexpaprika');
+}
+
+/**
+ * Creates a DexPaprika pool data source.
+ * @param {Object} options - Overrides for DATA_SOURCE_CONFIG.dexpaprika
+ * @returns {Object} Data source adapter
+ */
+export function createDexPaprikaSource(options = {}) {
+  const { baseUrl, limit, timeout } = { ...DATA_SOURCE_CONFIG.dexpaprika, ...options };
+  // DexPaprika network ids are the lowercase DeFiLlama chain names (solana, arbitrum, base)
+  const networks = options.networks || CHAIN_CONFIG.enabledChains.map(chain => chain.toLowerCase());
+
+  async function fetchNetworkPools(network) {
+    const response = await httpClient.get(`${baseUrl}/networks/${network}/pools`, {
+      params: { order_by: 'created_at', sort: 'desc', limit },
+      timeout
+    });
+    if (!Array.isArray(response.data?.pools)) {
+      throw new Error(`DexPaprika ${network} pools endpoint returned an unexpected payload`);
+    }
+    return response.data.pools.map(pool => toPool({ chain: network, ...pool }));
+  }
+
+  async function fetchPools() {
+    const perNetwork = [];
+    for (const network of networks) {
+      perNetwork.push(...await fetchNetworkPools(network));
+    }
+    return perNetwork;
+  }
+
+  async function fetchPool(poolId) {
+    for (const network of networks) {
+      try {
+        const response = await httpClient.get(`${baseUrl}/networks/${network}/pools/${poolId}`, { timeout });
+        return toPool({ chain: network, ...response.data });
+      } catch (error) {
+        if (error.response?.status !== 404) throw error;
+      }
+    }
+    return null;
+  }
+
+  return { name: 'dexpaprika', fetchPools, fetchPool };
+}
@@ -0,0 +1,65 @@
+/**
+ * ===================================================================================
+ * Fixture Data Source (fixture.js)
+ * ===================================================================================
+ *
+ * Description:
+ * File-backed adapter for running the bot offline. The file may hold a plain array
+ * of pools, a saved DeFiLlama response ({ data: [...] }) or a DexPaprika-style
+ * response ({ pools: [...] }). Records are expected in DeFiLlama field names.
+ * An optional { charts: { <poolId>: [...] } } map holds per-pool chart points in
+ * the DeFiLlama /chart format, and { prices: { "<chain>:<address>": usd } } holds
+ * token prices.
+ *
+ * ===================================================================================
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { DATA_SOURCE_CONFIG } from '../../config.js';
+import { normalizePool } from './pool-shape.js';
+import { toChartPoint } from './defillama.js';
+
+/**
+ * Creates a data source that serves pools from a JSON file.
+ * @param {Object} options - Overrides for DATA_SOURCE_CONFIG.fixture
+ * @returns {Object} Data source adapter
+ */
+export function createFixtureSource(options = {}) {
+  const filePath = path.resolve(options.path || DATA_SOURCE_CONFIG.fixture.path);
+
+  async function readFixture() {
+    return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+  }
+
+  async function fetchPools() {
+    const contents = await readFixture();
+    const records = Array.isArray(contents) ? contents : contents.data || contents.pools;
+    if (!Array.isArray(records)) {
+      throw new Error(`Pool fixture ${filePath} does not contain a pool array`);
+    }
+    return records.map(pool => normalizePool(pool, 'fixture'));
+  }
+
+  async function fetchPool(poolId) {
+    const pools = await fetchPools();
+    return pools.find(p => p.pool === poolId || p.address === poolId) || null;
+  }
+
+  async function fetchPoolChart(poolId) {
+    const contents = await readFixture();
+    const points = contents.charts?.[poolId];
+    return Array.isArray(points) ? points.map(toChartPoint) : [];
+  }
+
+  async function fetchTokenPrices(coinKeys) {
+    const contents = await readFixture();
+    const prices = new Map();
+    coinKeys.forEach(key => {
+      if (typeof contents.prices?.[key] === 'number') prices.set(key, contents.prices[key]);
+    });
+    return prices;
+  }
+
+  return { name: 'fixture', fetchPools, fetchPool, fetchPoolChart, fetchTokenPrices };
+}
@@ -0,0 +1,131 @@
+/**
+ * ===================================================================================
+ * Pool Data Sources (services/data-sources/index.js)
+ * ===================================================================================
+ *
+ * Description:
+ * Registry of pool data-source adapters. Every adapter exposes the same interface
+ * and returns pools in the normalized shape defined in pool-shape.js:
+ *
+ *   {
+ *     name: string,
+ *     fetchPools(): Promise<Array<Pool>>,
+ *     fetchPool(poolId): Promise<Pool|null>,
+ *     fetchPoolChart?(poolId): Promise<Array<ChartPoint>>  // optional daily APY/TVL history
+ *     fetchTokenPrices?(coinKeys): Promise<Map<string, number>> // optional USD prices by "<chain>:<address>"
+ *   }
+ *
+ * ===================================================================================
+ */
+
+import { DATA_SOURCE_CONFIG } from '../../config.js';
+import logger from '../../logger.js';
+import { createDefiLlamaSource } from './defillama.js';
+import { createDexPaprikaSource } from './dexpaprika.js';
+import { createFixtureSource } from './fixture.js';
+
+export { normalizePool } from './pool-shape.js';
+
+export const DATA_SOURCES = {
+  defillama: createDefiLlamaSource,
+  dexpaprika: createDexPaprikaSource,
+  fixture: createFixtureSource
+};
+
+const instances = new Map();
+
+/**
+ * Creates a new adapter instance by name.
+ * @param {string} name - Adapter name (defillama, dexpaprika, fixture)
+ * @param {Object} options - Adapter specific overrides
+ * @returns {Object} Data source adapter
+ */
+export function createDataSource(name, options = {}) {
+  const factory = DATA_SOURCES[name];
+  if (!factory) {
+    throw new Error(`Unknown pool data source "${name}" (expected one of: ${Object.keys(DATA_SOURCES).join(', ')})`);
+  }
+  return factory(options);
+}
+
+/**
+ * Returns the shared adapter instance for a source, defaulting to the configured primary.
+ * @param {string} name - Adapter name
+ * @returns {Object} Data source adapter
+ */
+export function getDataSource(name = DATA_SOURCE_CONFIG.primary) {
+  if (!instances.has(name)) {
+    instances.set(name, createDataSource(name));
+  }
+  return instances.get(name);
+}
+
+const relativeDiffPct = (a, b) => {
+  const base = Math.max(Math.abs(a), Math.abs(b));
+  return base === 0 ? 0 : (Math.abs(a - b) / base) * 100;
+};
+
+/**
+ * Compares APY/TVL readings for pools present in both sources (matched by pool id or address).
+ * @param {Array} primaryPools - Pools from the primary source
+ * @param {Array} referencePools - Pools from the reference source
+ * @param {number} tolerancePct - Relative difference above which a field is reported
+ * @returns {Object} { matched, discrepancies }
+ */
+export function crossCheckPools(primaryPools, referencePools, tolerancePct = DATA_SOURCE_CONFIG.crossCheckTolerancePct) {
+  const index = new Map();
+  referencePools.forEach(p => {
+    index.set(p.pool, p);
+    if (p.address) index.set(p.address, p);
+  });
+
+  let matched = 0;
+  const discrepancies = [];
+
+  primaryPools.forEach(pool => {
+    const ref = index.get(pool.pool) || (pool.address && index.get(pool.address));
+    if (!ref) return;
+    matched++;
+
+    ['apy', 'tvlUsd'].forEach(field => {
+      if (pool[field] === null || ref[field] === null) return;
+      const diffPct = relativeDiffPct(pool[field], ref[field]);
+      if (diffPct > tolerancePct) {
+        discrepancies.push({
+          pool: pool.pool,
+          symbol: pool.symbol,
+          field,
+          primary: pool[field],
+          reference: ref[field],
+          diffPct: Math.round(diffPct * 10) / 10
+        });
+      }
+    });
+  });
+
+  return { matched, discrepancies };
+}
+
+/**
+ * Runs the configured cross-check source against pools already fetched from the primary.
+ * Failures are logged and never interrupt the caller.
+ * @param {Array} primaryPools - Pools from the primary source
+ * @returns {Promise<Object|null>} Cross-check result, or null when disabled or failed
+ */
+export async function crossCheckWithConfiguredSource(primaryPools) {
+  const name = DATA_SOURCE_CONFIG.crossCheck;
+  if (!name || name === DATA_SOURCE_CONFIG.primary) return null;
+
+  try {
+    const referencePools = await getDataSource(name).fetchPools();
+    const result = crossCheckPools(primaryPools, referencePools);
+    logger.info(`Cross-checked ${result.matched} pools against ${name}: ${result.discrepancies.length} discrepancies`);
+    result.discrepancies.slice(0, 5).forEach(d => {
+      logger.warn(`  • ${d.symbol} ${d.field}: ${d.primary} vs ${d.reference} (${d.diffPct}% apart)`);
+    });
+    return result;
+  } catch (error) {
+    logger.warn(`Cross-check against ${name} failed: ${error.message}`);
+    return null;
+  }
+}
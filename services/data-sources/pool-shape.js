@@ -0,0 +1,51 @@
+/**
+ * ===================================================================================
+ * Normalized Pool Shape (pool-shape.js)
+ * ===================================================================================
+ *
+ * Description:
+ * Every data-source adapter maps its upstream records into this shape so the
+ * strategy, workflow and API never depend on a particular provider. Field names
+ * follow DeFiLlama's /pools schema, which the strategy was originally written against.
+ *
+ * ===================================================================================
+ */
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const num = Number(value);
+  return Number.isFinite(num) ? num : null;
+};
+
+/**
+ * Normalizes a partially mapped pool record into the shared pool shape.
+ * @param {Object} fields - Pool fields already mapped to DeFiLlama names
+ * @param {string} source - Name of the adapter that produced the record
+ * @returns {Object} Normalized pool
+ */
+export function normalizePool(fields, source) {
+  const apyBase = toNumber(fields.apyBase);
+  const apyReward = toNumber(fields.apyReward);
+  const apy = toNumber(fields.apy) ?? ((apyBase || 0) + (apyReward || 0));
+
+  return {
+    ...fields,
+    pool: String(fields.pool),
+    address: fields.address || null,
+    chain: fields.chain || 'Solana',
+    project: fields.project || 'unknown',
+    symbol: fields.symbol || 'UNKNOWN',
+    tvlUsd: toNumber(fields.tvlUsd) ?? 0,
+    apy,
+    apyBase,
+    apyReward,
+    volumeUsd1d: toNumber(fields.volumeUsd1d),
+    rewardTokens: Array.isArray(fields.rewardTokens) ? fields.rewardTokens : [],
+    underlyingTokens: Array.isArray(fields.underlyingTokens) ? fields.underlyingTokens : [],
+    exposure: fields.exposure || null,
+    ilRisk: fields.ilRisk || null,
+    sigma: toNumber(fields.sigma),
+    firstSeenAt: fields.firstSeenAt || null,
+    source
+  };
+}
@@ -1,9 +1,37 @@
 import { PrismaClient } from '@prisma/client';
 import dotenv from 'dotenv';
+import { clock } from './clock.js';
+import { CAPTURE_CONFIG } from '../config.js';
 
 dotenv.config();
 
-const prisma = new PrismaClient();
+// Replays write to their own database, never to the live one
+const prisma = CAPTURE_CONFIG.mode === 'replay' && CAPTURE_CONFIG.replayDatabaseUrl
+  ? new PrismaClient({ datasources: { db: { url: CAPTURE_CONFIG.replayDatabaseUrl } } })
+  : new PrismaClient();
+
+// Strategy rows are stamped from the clock, so replayed cycles keep their recorded times
+const now = () => new Date(clock.now());
+
+// Where clause for the portfolio and chain filters of a query (null matches every value)
+const scope = ({ portfolioId = null, chain = null } = {}) => ({
+  ...(portfolioId ? { portfolioId } : {}),
+  ...(chain ? { chain } : {})
+});
+
+// Execution row fields of an executor result (services/executors)
+const executionData = (cycleId, execution) => ({
+  cycleId,
+  timestamp: execution.timestamp,
+  executor: execution.executor,
+  side: execution.side,
+  status: execution.status,
+  amountUsd: execution.amountUsd,
+  filledUsd: execution.filledUsd ?? null,
+  signatures: execution.signatures || [],
+  fill: execution.fill || undefined,
+  error: execution.error || null
+});
 
 export class DatabaseService {
   
@@ -33,6 +61,7 @@ export class DatabaseService {
     try {
       const cycle = await this.prisma.detectionCycle.create({
         data: {
+          cycleTimestamp: now(),
           totalPoolsFound: 0,
           newPoolsFound: 0,
           activePositions: 0,
@@ -54,7 +83,9 @@ export class DatabaseService {
           totalPoolsFound: stats.totalPoolsFound,
           newPoolsFound: stats.newPoolsFound,
           activePositions: stats.activePositions,
-          watchlistSize: stats.watchlistSize
+          watchlistSize: stats.watchlistSize,
+          usedStaleData: stats.usedStaleData || false,
+          staleSources: stats.staleSources || undefined
         }
       });
       return cycle;
@@ -64,29 +95,285 @@ export class DatabaseService {
     }
   }
 
-  async getRecentCycles(limit = 20) {
+  // With a portfolioId, the logs, positions and stats are that portfolio's
+  async getRecentCycles(limit = 20, { portfolioId = null } = {}) {
     return await this.prisma.detectionCycle.findMany({
       orderBy: { cycleTimestamp: 'desc' },
       take: limit,
       include: {
         logs: {
+          where: portfolioId ? { OR: [{ portfolioId }, { portfolioId: null }] } : {},
           orderBy: { timestamp: 'desc' },
           take: 5
         },
         positions: {
+          where: scope({ portfolioId }),
           take: 10
+        },
+        portfolioCycles: {
+          where: scope({ portfolioId }),
+          include: { portfolio: { select: { name: true } } }
         }
       }
     });
   }
 
+  async addPortfolioCycle(cycleId, portfolioId, stats) {
+    try {
+      return await this.prisma.portfolioCycle.create({
+        data: {
+          cycleId,
+          portfolioId,
+          timestamp: now(),
+          activePositions: stats.activePositions,
+          watchlistSize: stats.watchlistSize,
+          newPoolsFound: stats.newPoolsFound,
+          positionsExited: stats.positionsExited,
+          newInvestments: stats.newInvestments,
+          totalInvested: stats.totalInvested,
+          currentValue: stats.currentValue,
+          totalReturns: stats.totalReturns,
+          returnPct: stats.returnPct,
+          winRate: stats.winRate
+        }
+      });
+    } catch (error) {
+      console.error('Error adding portfolio cycle:', error);
+      throw error;
+    }
+  }
+
+  // A portfolio's per-cycle results, oldest first (its equity curve)
+  async getPortfolioCycles(portfolioId, { since = null, limit = 500 } = {}) {
+    const rows = await this.prisma.portfolioCycle.findMany({
+      where: {
+        portfolioId,
+        ...(since ? { timestamp: { gte: new Date(since) } } : {})
+      },
+      orderBy: { timestamp: 'desc' },
+      take: limit
+    });
+    return rows.reverse();
+  }
+
+  // =================== PORTFOLIOS ===================
+
+  async getPortfolios({ status = null } = {}) {
+    return await this.prisma.portfolio.findMany({
+      where: status ? { status } : {},
+      orderBy: { id: 'asc' }
+    });
+  }
+
+  async getPortfolio(id) {
+    return await this.prisma.portfolio.findUnique({
+      where: { id }
+    });
+  }
+
+  async getPortfolioByName(name) {
+    return await this.prisma.portfolio.findUnique({
+      where: { name }
+    });
+  }
+
+  async createPortfolio(portfolio) {
+    try {
+      return await this.prisma.portfolio.create({
+        data: {
+          name: portfolio.name,
+          description: portfolio.description || null,
+          status: portfolio.status || 'active',
+          bankrollUsd: portfolio.bankrollUsd,
+          config: portfolio.config || {}
+        }
+      });
+    } catch (error) {
+      console.error('Error creating portfolio:', error);
+      throw error;
+    }
+  }
+
+  async updatePortfolio(id, data) {
+    try {
+      return await this.prisma.portfolio.update({
+        where: { id },
+        data
+      });
+    } catch (error) {
+      console.error('Error updating portfolio:', error);
+      throw error;
+    }
+  }
+
+  // Positions and watchlist entries recorded before portfolios existed (older logs stay cycle-wide)
+  async adoptUnassignedRows(portfolioId) {
+    try {
+      const where = { portfolioId: null };
+      const [positions, watchlist] = await Promise.all([
+        this.prisma.position.updateMany({ where, data: { portfolioId } }),
+        this.prisma.watchlistPool.updateMany({ where, data: { portfolioId } })
+      ]);
+      return { positions: positions.count, watchlist: watchlist.count };
+    } catch (error) {
+      console.error('Error adopting unassigned rows:', error);
+      throw error;
+    }
+  }
+
+  // =================== VAULTS ===================
+
+  async getVaults() {
+    return await this.prisma.vault.findMany({
+      include: { portfolio: { select: { name: true, status: true, bankrollUsd: true } } },
+      orderBy: { id: 'asc' }
+    });
+  }
+
+  async getVault(id) {
+    return await this.prisma.vault.findUnique({
+      where: { id },
+      include: { portfolio: true, depositors: { orderBy: { name: 'asc' } } }
+    });
+  }
+
+  async getVaultByName(name) {
+    return await this.prisma.vault.findUnique({
+      where: { name },
+      include: { portfolio: true, depositors: { orderBy: { name: 'asc' } } }
+    });
+  }
+
+  async getVaultByPortfolio(portfolioId) {
+    return await this.prisma.vault.findUnique({
+      where: { portfolioId }
+    });
+  }
+
+  async createVault(vault) {
+    try {
+      return await this.prisma.vault.create({
+        data: {
+          name: vault.name,
+          portfolioId: vault.portfolioId
+        }
+      });
+    } catch (error) {
+      console.error('Error creating vault:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Books a deposit or withdrawal in one transaction: the depositor's shares and totals,
+   * the vault's share supply, the ledger entry, the portfolio bankroll and a PPS snapshot.
+   * @param {Object} entry - { vaultId, portfolioId, depositor, type, amountUsd, shares,
+   *                         pricePerShare, navUsd (before), bankrollDeltaUsd }
+   */
+  async addVaultTransaction(entry) {
+    try {
+      const deposit = entry.type === 'deposit';
+      const sharesDelta = deposit ? entry.shares : -entry.shares;
+      return await this.prisma.$transaction(async (tx) => {
+        const depositor = await tx.vaultDepositor.upsert({
+          where: { vaultId_name: { vaultId: entry.vaultId, name: entry.depositor } },
+          update: {
+            shares: { increment: sharesDelta },
+            ...(deposit ? { depositedUsd: { increment: entry.amountUsd } } : { withdrawnUsd: { increment: entry.amountUsd } })
+          },
+          create: {
+            vaultId: entry.vaultId,
+            name: entry.depositor,
+            shares: sharesDelta,
+            depositedUsd: deposit ? entry.amountUsd : 0
+          }
+        });
+        const vault = await tx.vault.update({
+          where: { id: entry.vaultId },
+          data: { totalShares: { increment: sharesDelta } }
+        });
+        const transaction = await tx.vaultTransaction.create({
+          data: {
+            vaultId: entry.vaultId,
+            depositorId: depositor.id,
+            type: entry.type,
+            amountUsd: entry.amountUsd,
+            shares: entry.shares,
+            pricePerShare: entry.pricePerShare,
+            navUsd: entry.navUsd
+          }
+        });
+        if (entry.bankrollDeltaUsd) {
+          await tx.portfolio.update({
+            where: { id: entry.portfolioId },
+            data: { bankrollUsd: { increment: entry.bankrollDeltaUsd } }
+          });
+        }
+        await tx.vaultSnapshot.create({
+          data: {
+            vaultId: entry.vaultId,
+            navUsd: entry.navUsd + (deposit ? entry.amountUsd : -entry.amountUsd),
+            totalShares: vault.totalShares,
+            pricePerShare: entry.pricePerShare
+          }
+        });
+        return { transaction, depositor, vault };
+      });
+    } catch (error) {
+      console.error('Error recording vault transaction:', error);
+      throw error;
+    }
+  }
+
+  async getVaultTransactions(vaultId, { depositor = null, limit = 100 } = {}) {
+    return await this.prisma.vaultTransaction.findMany({
+      where: {
+        vaultId,
+        ...(depositor ? { depositor: { name: depositor } } : {})
+      },
+      include: { depositor: { select: { name: true } } },
+      orderBy: { timestamp: 'desc' },
+      take: limit
+    });
+  }
+
+  async addVaultSnapshot(vaultId, snapshot, cycleId = null) {
+    try {
+      return await this.prisma.vaultSnapshot.create({
+        data: {
+          vaultId,
+          cycleId,
+          navUsd: snapshot.navUsd,
+          totalShares: snapshot.totalShares,
+          pricePerShare: snapshot.pricePerShare
+        }
+      });
+    } catch (error) {
+      console.error('Error adding vault snapshot:', error);
+      throw error;
+    }
+  }
+
+  // Price-per-share history, oldest first
+  async getVaultSnapshots(vaultId, { since = null, limit = 500 } = {}) {
+    const rows = await this.prisma.vaultSnapshot.findMany({
+      where: {
+        vaultId,
+        ...(since ? { timestamp: { gte: new Date(since) } } : {})
+      },
+      orderBy: { timestamp: 'desc' },
+      take: limit
+    });
+    return rows.reverse();
+  }
+
   // =================== POSITIONS ===================
   
-  async getActivePositions() {
+  async getActivePositions({ portfolioId = null, chain = null } = {}) {
     return await this.prisma.position.findMany({
-      where: { status: 'active' },
+      where: { status: 'active', ...scope({ portfolioId, chain }) },
       orderBy: { entryTimestamp: 'desc' },
-      include: { detectionCycle: true }
+      include: { detectionCycle: true, harvests: { orderBy: { timestamp: 'asc' } }, fees: { orderBy: { timestamp: 'asc' } }, executions: { orderBy: { timestamp: 'asc' } } }
     });
   }
   
@@ -97,13 +384,33 @@ export class DatabaseService {
           poolId: position.poolId,
           symbol: position.symbol,
           project: position.project,
+          chain: position.chain || 'Solana',
+          entryTimestamp: now(),
+          underlyingTokens: position.underlyingTokens || [],
+          exposure: position.exposure || null,
+          rewardTokens: position.rewardTokens || [],
+          principalUsd: position.principalUsd,
+          sizingPolicy: position.sizingPolicy || null,
           entryApy: position.entryApy,
           entryRewardApy: position.entryRewardApy || null,
           entryTvl: position.entryTvl || null,
           entryRiskScore: position.entryRisk || null,
+          entryPrices: position.entryPrices || undefined,
+          entryRewardPrices: position.entryRewardPrices || undefined,
+          riskBreakdown: position.riskBreakdown || undefined,
           isNew: position.isNew || false,
           detectionReason: position.detectionReason || 'Standard criteria',
-          cycleId: cycleId
+          detectionSignals: position.detectionSignals || undefined,
+          peakApy: position.entryApy,
+          exitRules: position.exitRules || undefined,
+          harvestIntervalHours: position.harvestIntervalHours ?? null,
+          nextHarvestAt: position.nextHarvestAt || null,
+          executor: position.execution?.executor || 'paper',
+          executions: position.execution
+            ? { create: [{ portfolioId: position.portfolioId, poolId: position.poolId, symbol: position.symbol, ...executionData(cycleId, position.execution) }] }
+            : undefined,
+          cycleId: cycleId,
+          portfolioId: position.portfolioId
         }
       });
       return newPosition;
@@ -113,19 +420,27 @@ export class DatabaseService {
     }
   }
   
-  async exitPosition(poolId, exitData) {
+  async exitPosition(poolId, exitData, { portfolioId = null } = {}) {
     try {
       const position = await this.prisma.position.updateMany({
         where: { 
           poolId: poolId,
-          status: 'active'
+          status: 'active',
+          ...scope({ portfolioId })
         },
         data: {
           status: 'exited',
-          exitTimestamp: new Date(),
+          exitTimestamp: now(),
           exitReason: exitData.reason,
+          exitReasons: exitData.reasons || undefined,
           exitApy: exitData.exitApy || null,
-          profitLoss: exitData.profitLoss || 0
+          exitPrices: exitData.prices || undefined,
+          exitRewardPrices: exitData.rewardPrices || undefined,
+          profitLoss: exitData.profitLoss || 0,
+          farmingReturn: exitData.farmingReturn ?? null,
+          rewardReturn: exitData.rewardReturn ?? null,
+          pricePnl: exitData.pricePnl ?? null,
+          impermanentLoss: exitData.impermanentLoss ?? null
         }
       });
       return position;
@@ -135,36 +450,265 @@ export class DatabaseService {
     }
   }
 
-  async getExitedPositions(limit = 50) {
+  async updatePeakApy(positionId, peakApy) {
+    try {
+      return await this.prisma.position.update({
+        where: { id: positionId },
+        data: { peakApy }
+      });
+    } catch (error) {
+      console.error('Error updating peak APY:', error);
+      throw error;
+    }
+  }
+
+  // Replaces the exit rule overrides of the active position in a pool ({} clears them); returns the number updated
+  async setExitRules(poolId, exitRules, { portfolioId = null } = {}) {
+    try {
+      const result = await this.prisma.position.updateMany({
+        where: { poolId, status: 'active', ...scope({ portfolioId }) },
+        data: { exitRules }
+      });
+      return result.count;
+    } catch (error) {
+      console.error('Error setting exit rules:', error);
+      throw error;
+    }
+  }
+
+  async getExitedPositions(limit = 50, { portfolioId = null, chain = null } = {}) {
     return await this.prisma.position.findMany({
-      where: { status: 'exited' },
+      where: { status: 'exited', ...scope({ portfolioId, chain }) },
       orderBy: { exitTimestamp: 'desc' },
       take: limit,
-      include: { detectionCycle: true }
+      include: { detectionCycle: true, harvests: { orderBy: { timestamp: 'asc' } }, fees: { orderBy: { timestamp: 'asc' } }, executions: { orderBy: { timestamp: 'asc' } } }
     });
   }
   
-  async getAllPositions() {
+  async getAllPositions({ portfolioId = null, chain = null } = {}) {
     return await this.prisma.position.findMany({
+      where: scope({ portfolioId, chain }),
       orderBy: { entryTimestamp: 'desc' },
-      include: { detectionCycle: true }
+      include: { detectionCycle: true, harvests: { orderBy: { timestamp: 'asc' } }, fees: { orderBy: { timestamp: 'asc' } }, executions: { orderBy: { timestamp: 'asc' } } }
     });
   }
 
-  async getPositionByPoolId(poolId) {
+  async getPositionByPoolId(poolId, { portfolioId = null } = {}) {
     return await this.prisma.position.findFirst({
       where: { 
         poolId,
-        status: 'active'
-      }
+        status: 'active',
+        ...scope({ portfolioId })
+      },
+      include: { harvests: { orderBy: { timestamp: 'asc' } }, fees: { orderBy: { timestamp: 'asc' } }, executions: { orderBy: { timestamp: 'asc' } } }
+    });
+  }
+
+  // =================== HARVESTS ===================
+
+  /**
+   * Records a harvest and the position's next scheduled harvest together.
+   * @param {number} cycleId
+   * @param {number} positionId
+   * @param {Object} harvest - buildHarvest() output with apy and rewardApy
+   * @param {Object} schedule - { intervalHours, nextHarvestAt }
+   */
+  async addHarvest(cycleId, positionId, harvest, schedule) {
+    try {
+      const [event] = await this.prisma.$transaction([
+        this.prisma.harvestEvent.create({
+          data: {
+            positionId,
+            cycleId,
+            timestamp: harvest.timestamp,
+            rewardsUsd: harvest.rewardsUsd,
+            costUsd: harvest.costUsd,
+            costs: harvest.costs || undefined,
+            compoundedUsd: harvest.compoundedUsd,
+            valueBeforeUsd: harvest.valueBeforeUsd ?? null,
+            apy: harvest.apy ?? null,
+            rewardApy: harvest.rewardApy ?? null,
+            intervalHours: schedule.intervalHours
+          }
+        }),
+        this.prisma.position.update({
+          where: { id: positionId },
+          data: { harvestIntervalHours: schedule.intervalHours, nextHarvestAt: schedule.nextHarvestAt }
+        })
+      ]);
+      return event;
+    } catch (error) {
+      console.error('Error adding harvest:', error);
+      throw error;
+    }
+  }
+
+  // Moves a position's next harvest, e.g. when a due claim did not cover its costs
+  async scheduleHarvest(positionId, { intervalHours, nextHarvestAt }) {
+    try {
+      return await this.prisma.position.update({
+        where: { id: positionId },
+        data: { harvestIntervalHours: intervalHours, nextHarvestAt }
+      });
+    } catch (error) {
+      console.error('Error scheduling harvest:', error);
+      throw error;
+    }
+  }
+
+  async getHarvests({ positionId = null, portfolioId = null, since = null, limit = 100 } = {}) {
+    return await this.prisma.harvestEvent.findMany({
+      where: {
+        ...(positionId ? { positionId } : {}),
+        ...(portfolioId ? { position: { portfolioId } } : {}),
+        ...(since ? { timestamp: { gte: new Date(since) } } : {})
+      },
+      include: { position: { select: { poolId: true, symbol: true, chain: true } } },
+      orderBy: { timestamp: 'desc' },
+      take: limit
+    });
+  }
+
+  // =================== EXECUTIONS ===================
+
+  /**
+   * Records an attempt to open or close a position.
+   * @param {number|null} cycleId
+   * @param {Object} target - { positionId, portfolioId, poolId, symbol }; a failed open has no positionId
+   * @param {Object} execution - Executor output (services/executors)
+   */
+  async addExecution(cycleId, { positionId = null, portfolioId = null, poolId = null, symbol = null }, execution) {
+    try {
+      return await this.prisma.execution.create({
+        data: { positionId, portfolioId, poolId, symbol, ...executionData(cycleId, execution) }
+      });
+    } catch (error) {
+      console.error('Error adding execution:', error);
+      throw error;
+    }
+  }
+
+  async getExecutions({ positionId = null, portfolioId = null, side = null, status = null, since = null, limit = 100 } = {}) {
+    return await this.prisma.execution.findMany({
+      where: {
+        ...(positionId ? { positionId } : {}),
+        // Rows stored before executions carried their portfolio are found through the position
+        ...(portfolioId ? { OR: [{ portfolioId }, { position: { portfolioId } }] } : {}),
+        ...(side ? { side } : {}),
+        ...(status ? { status } : {}),
+        ...(since ? { timestamp: { gte: new Date(since) } } : {})
+      },
+      include: { position: { select: { poolId: true, symbol: true, chain: true } } },
+      orderBy: { timestamp: 'desc' },
+      take: limit
+    });
+  }
+
+  /**
+   * Fills of every on-chain execution, for the tokens the executors have traded.
+   * @returns {Promise<Array>} [{ fill }]
+   */
+  async getExecutionFills() {
+    const executions = await this.prisma.execution.findMany({
+      where: { executor: { not: 'paper' } },
+      select: { fill: true }
+    });
+    return executions.filter(e => e.fill);
+  }
+
+  // =================== RECONCILIATION ===================
+
+  /**
+   * Stores a wallet reconciliation report.
+   * @param {number|null} cycleId - Cycle of the workflow run, null when run from the CLI
+   * @param {Object} report - reconcileHoldings() report, or { wallet, rpcUrl, error }
+   */
+  async addReconciliation(cycleId, report) {
+    try {
+      return await this.prisma.reconciliation.create({
+        data: {
+          cycleId,
+          timestamp: report.checkedAt ? new Date(report.checkedAt) : new Date(),
+          wallet: report.wallet,
+          rpcUrl: report.rpcUrl,
+          status: report.status,
+          matched: report.matched?.length || 0,
+          mismatches: report.mismatches?.length || 0,
+          missing: report.missing?.length || 0,
+          orphans: report.orphans?.length || 0,
+          report: report.error ? undefined : report,
+          error: report.error || null
+        }
+      });
+    } catch (error) {
+      console.error('Error adding reconciliation:', error);
+      throw error;
+    }
+  }
+
+  async getReconciliations({ status = null, since = null, limit = 20 } = {}) {
+    return await this.prisma.reconciliation.findMany({
+      where: {
+        ...(status ? { status } : {}),
+        ...(since ? { timestamp: { gte: new Date(since) } } : {})
+      },
+      orderBy: { timestamp: 'desc' },
+      take: limit
+    });
+  }
+
+  // =================== FEES ===================
+
+  /**
+   * Records fee entries charged to a position.
+   * @param {number} cycleId
+   * @param {Object} position - { id, portfolioId }
+   * @param {Array} entries - managementFee() / performanceFee() outputs
+   */
+  async addFees(cycleId, position, entries) {
+    try {
+      if (entries.length === 0) return 0;
+      const result = await this.prisma.feeEntry.createMany({
+        data: entries.map(entry => ({
+          portfolioId: position.portfolioId ?? null,
+          positionId: position.id,
+          cycleId,
+          timestamp: entry.timestamp,
+          type: entry.type,
+          source: entry.source,
+          amountUsd: entry.amountUsd,
+          baseUsd: entry.baseUsd,
+          ratePct: entry.ratePct,
+          periodStart: entry.periodStart ?? null,
+          periodEnd: entry.periodEnd ?? null
+        }))
+      });
+      return result.count;
+    } catch (error) {
+      console.error('Error adding fees:', error);
+      throw error;
+    }
+  }
+
+  async getFees({ positionId = null, portfolioId = null, type = null, since = null, limit = 100 } = {}) {
+    return await this.prisma.feeEntry.findMany({
+      where: {
+        ...(positionId ? { positionId } : {}),
+        ...(portfolioId ? { portfolioId } : {}),
+        ...(type ? { type } : {}),
+        ...(since ? { timestamp: { gte: new Date(since) } } : {})
+      },
+      include: { position: { select: { poolId: true, symbol: true, chain: true } } },
+      orderBy: { timestamp: 'desc' },
+      take: limit
     });
   }
 
   // =================== WATCHLIST ===================
   
-  async getWatchlist() {
+  async getWatchlist({ portfolioId = null, chain = null } = {}) {
     return await this.prisma.watchlistPool.findMany({
-      where: { status: 'watching' },
+      where: { status: 'watching', ...scope({ portfolioId, chain }) },
       orderBy: { firstSeen: 'desc' }
     });
   }
@@ -172,15 +716,20 @@ export class DatabaseService {
   async addToWatchlist(pool) {
     try {
       const watchlistPool = await this.prisma.watchlistPool.upsert({
-        where: { poolId: pool.poolId },
+        where: { portfolioId_poolId: { portfolioId: pool.portfolioId, poolId: pool.poolId } },
         update: {
-          lastChecked: new Date()
+          lastChecked: now()
         },
         create: {
+          portfolioId: pool.portfolioId,
           poolId: pool.poolId,
           symbol: pool.symbol,
           project: pool.project,
-          isNew: pool.isNew || false
+          chain: pool.chain || 'Solana',
+          isNew: pool.isNew || false,
+          detectionSignals: pool.detectionSignals || undefined,
+          firstSeen: now(),
+          lastChecked: now()
         }
       });
       return watchlistPool;
@@ -190,13 +739,13 @@ export class DatabaseService {
     }
   }
   
-  async updateWatchlistStatus(poolId, status) {
+  async updateWatchlistStatus(poolId, status, { portfolioId }) {
     try {
       const pool = await this.prisma.watchlistPool.update({
-        where: { poolId },
+        where: { portfolioId_poolId: { portfolioId, poolId } },
         data: { 
           status,
-          lastChecked: new Date()
+          lastChecked: now()
         }
       });
       return pool;
@@ -206,8 +755,21 @@ export class DatabaseService {
     }
   }
 
-  async cleanOldWatchlistEntries(daysOld = 7) {
-    const cutoffDate = new Date();
+  async updateWatchlistRisk(poolId, riskBreakdown, { portfolioId = null } = {}) {
+    try {
+      const result = await this.prisma.watchlistPool.updateMany({
+        where: { poolId, ...scope({ portfolioId }) },
+        data: { riskScore: riskBreakdown.score, riskBreakdown }
+      });
+      return result.count;
+    } catch (error) {
+      console.error('Error updating watchlist risk:', error);
+      throw error;
+    }
+  }
+
+  async cleanOldWatchlistEntries(daysOld = 7, { portfolioId = null } = {}) {
+    const cutoffDate = now();
     cutoffDate.setDate(cutoffDate.getDate() - daysOld);
     
     const deleted = await this.prisma.watchlistPool.deleteMany({
@@ -215,23 +777,304 @@ export class DatabaseService {
         firstSeen: {
           lt: cutoffDate
         },
-        status: 'watching'
+        status: 'watching',
+        ...scope({ portfolioId })
       }
     });
     
     return deleted.count;
   }
 
+  // =================== POOL SNAPSHOTS ===================
+
+  async addPoolSnapshots(cycleId, snapshots) {
+    try {
+      if (!snapshots.length) return 0;
+      const result = await this.prisma.poolSnapshot.createMany({
+        data: snapshots.map(snapshot => ({
+          poolId: snapshot.poolId,
+          symbol: snapshot.symbol,
+          project: snapshot.project,
+          source: snapshot.source || 'watchlist',
+          apy: snapshot.apy,
+          apyBase: snapshot.apyBase ?? null,
+          apyReward: snapshot.apyReward ?? null,
+          tvlUsd: snapshot.tvlUsd ?? null,
+          volumeUsd1d: snapshot.volumeUsd1d ?? null,
+          riskScore: snapshot.riskScore ?? null,
+          riskBreakdown: snapshot.riskBreakdown || undefined,
+          timestamp: now(),
+          cycleId
+        }))
+      });
+      return result.count;
+    } catch (error) {
+      console.error('Error adding pool snapshots:', error);
+      throw error;
+    }
+  }
+
+  async getPoolHistory(poolId, { since = null, until = null, limit = 500 } = {}) {
+    const timestamp = {};
+    if (since) timestamp.gte = new Date(since);
+    if (until) timestamp.lte = new Date(until);
+
+    // Newest first so the limit keeps the most recent snapshots, returned oldest first
+    const rows = await this.prisma.poolSnapshot.findMany({
+      where: {
+        poolId,
+        ...(since || until ? { timestamp } : {})
+      },
+      orderBy: { timestamp: 'desc' },
+      take: limit
+    });
+    return rows.reverse();
+  }
+
+  // Snapshots of every pool in recording order, paged by id (used to replay stored cycles)
+  async getPoolSnapshots({ since = null, until = null, afterId = 0, limit = 5000 } = {}) {
+    const timestamp = {};
+    if (since) timestamp.gte = new Date(since);
+    if (until) timestamp.lte = new Date(until);
+
+    return await this.prisma.poolSnapshot.findMany({
+      where: {
+        id: { gt: afterId },
+        ...(since || until ? { timestamp } : {})
+      },
+      orderBy: { id: 'asc' },
+      take: limit
+    });
+  }
+
+  async addPoolChartPoints(poolId, points, source = 'defillama') {
+    try {
+      if (!points.length) return 0;
+      const result = await this.prisma.poolChartPoint.createMany({
+        data: points.map(point => ({
+          poolId,
+          timestamp: point.timestamp,
+          apy: point.apy ?? null,
+          apyBase: point.apyBase ?? null,
+          apyReward: point.apyReward ?? null,
+          tvlUsd: point.tvlUsd ?? null,
+          source
+        })),
+        skipDuplicates: true
+      });
+      return result.count;
+    } catch (error) {
+      console.error('Error adding pool chart points:', error);
+      throw error;
+    }
+  }
+
+  async getPoolChart(poolId, { since = null } = {}) {
+    return await this.prisma.poolChartPoint.findMany({
+      where: {
+        poolId,
+        ...(since ? { timestamp: { gte: new Date(since) } } : {})
+      },
+      orderBy: { timestamp: 'asc' }
+    });
+  }
+
+  async getPoolChartIngestedAt(poolIds) {
+    const rows = await this.prisma.poolChartPoint.groupBy({
+      by: ['poolId'],
+      where: { poolId: { in: poolIds } },
+      _max: { ingestedAt: true }
+    });
+    return new Map(rows.map(row => [row.poolId, row._max.ingestedAt]));
+  }
+
+  // =================== REWARD TOKEN PRICES ===================
+
+  async addRewardTokenPrices(observations) {
+    try {
+      if (!observations.length) return 0;
+      const result = await this.prisma.rewardTokenPrice.createMany({
+        data: observations.map(o => ({
+          chain: o.chain,
+          token: o.token,
+          project: o.project,
+          price: o.price,
+          timestamp: o.timestamp || now()
+        }))
+      });
+      return result.count;
+    } catch (error) {
+      console.error('Error adding reward token prices:', error);
+      throw error;
+    }
+  }
+
+  // Observations for any of the given tokens or projects since a date, oldest first
+  async getRewardTokenPrices({ tokens = [], projects = [], since = null } = {}) {
+    return await this.prisma.rewardTokenPrice.findMany({
+      where: {
+        OR: [{ token: { in: tokens } }, { project: { in: projects } }],
+        ...(since ? { timestamp: { gte: new Date(since) } } : {})
+      },
+      orderBy: { timestamp: 'asc' }
+    });
+  }
+
+  // =================== PROTOCOLS ===================
+
+  async getProtocols() {
+    return await this.prisma.protocol.findMany({
+      orderBy: { project: 'asc' }
+    });
+  }
+
+  async getProtocol(project) {
+    return await this.prisma.protocol.findUnique({
+      where: { project }
+    });
+  }
+
+  async upsertProtocol(project, data) {
+    try {
+      return await this.prisma.protocol.upsert({
+        where: { project },
+        update: data,
+        create: { project, ...data }
+      });
+    } catch (error) {
+      console.error('Error saving protocol:', error);
+      throw error;
+    }
+  }
+
+  async deleteProtocol(project) {
+    try {
+      const result = await this.prisma.protocol.deleteMany({
+        where: { project }
+      });
+      return result.count;
+    } catch (error) {
+      console.error('Error deleting protocol:', error);
+      throw error;
+    }
+  }
+
+  // =================== BACKTESTS ===================
+
+  async addBacktestRun(run) {
+    try {
+      return await this.prisma.backtestRun.create({
+        data: {
+          name: run.name || null,
+          source: run.source,
+          sourceRef: run.sourceRef || null,
+          startTime: run.summary.startTime || null,
+          endTime: run.summary.endTime || null,
+          frames: run.summary.frames,
+          overrides: run.overrides || undefined,
+          summary: run.summary,
+          trades: run.trades,
+          equityCurve: run.equityCurve
+        }
+      });
+    } catch (error) {
+      console.error('Error saving backtest run:', error);
+      throw error;
+    }
+  }
+
+  // Runs without their trades and equity curve, newest first, for comparison
+  async getBacktestRuns(limit = 20) {
+    return await this.prisma.backtestRun.findMany({
+      select: {
+        id: true,
+        name: true,
+        createdAt: true,
+        source: true,
+        sourceRef: true,
+        startTime: true,
+        endTime: true,
+        frames: true,
+        overrides: true,
+        summary: true
+      },
+      orderBy: { createdAt: 'desc' },
+      take: limit
+    });
+  }
+
+  async getBacktestRun(id) {
+    return await this.prisma.backtestRun.findUnique({
+      where: { id }
+    });
+  }
+
+  // =================== OPTIMIZATIONS ===================
+
+  async addOptimizationRun(run) {
+    try {
+      return await this.prisma.optimizationRun.create({
+        data: {
+          name: run.name || null,
+          source: run.source,
+          sourceRef: run.sourceRef || null,
+          startTime: run.period.start || null,
+          endTime: run.period.end || null,
+          method: run.method,
+          objective: run.objective,
+          runs: run.runs,
+          space: run.space,
+          baseOverrides: run.baseOverrides || undefined,
+          baseline: run.baseline,
+          ranked: run.ranked,
+          walkForward: run.walkForward || undefined,
+          recommended: run.recommended || undefined
+        }
+      });
+    } catch (error) {
+      console.error('Error saving optimization run:', error);
+      throw error;
+    }
+  }
+
+  // Runs without their rankings and folds, newest first
+  async getOptimizationRuns(limit = 20) {
+    return await this.prisma.optimizationRun.findMany({
+      select: {
+        id: true,
+        name: true,
+        createdAt: true,
+        source: true,
+        sourceRef: true,
+        startTime: true,
+        endTime: true,
+        method: true,
+        objective: true,
+        runs: true,
+        recommended: true
+      },
+      orderBy: { createdAt: 'desc' },
+      take: limit
+    });
+  }
+
+  async getOptimizationRun(id) {
+    return await this.prisma.optimizationRun.findUnique({
+      where: { id }
+    });
+  }
+
   // =================== LOGS ===================
   
-  async addLog(cycleId, level, message, details = null) {
+  async addLog(cycleId, level, message, details = null, { portfolioId = null } = {}) {
     try {
       const log = await this.prisma.log.create({
         data: {
           level,
           message,
           details: details ? JSON.parse(JSON.stringify(details)) : null,
-          cycleId
+          cycleId,
+          portfolioId
         }
       });
       return log;
@@ -241,31 +1084,37 @@ export class DatabaseService {
     }
   }
   
-  async getLogs(limit = 100, level = null) {
-    const where = level ? { level } : {};
+  // With a portfolioId, that portfolio's logs and the cycle-wide ones
+  async getLogs(limit = 100, level = null, { portfolioId = null } = {}) {
+    const where = {
+      ...(level ? { level } : {}),
+      ...(portfolioId ? { OR: [{ portfolioId }, { portfolioId: null }] } : {})
+    };
     
     return await this.prisma.log.findMany({
       where,
       orderBy: { timestamp: 'desc' },
       take: limit,
-      include: { cycle: true }
+      include: { cycle: true, portfolio: { select: { name: true } } }
     });
   }
 
   // =================== ANALYTICS & METRICS ===================
   
-  async getYieldMetrics() {
+  async getYieldMetrics({ portfolioId = null } = {}) {
     try {
+      const where = scope({ portfolioId });
       const [
         totalPositions,
         activePositions,
         exitedPositions,
         yieldAggregates
       ] = await Promise.all([
-        this.prisma.position.count(),
-        this.prisma.position.findMany({ where: { status: 'active' } }),
-        this.prisma.position.findMany({ where: { status: 'exited' } }),
+        this.prisma.position.count({ where }),
+        this.prisma.position.findMany({ where: { ...where, status: 'active' } }),
+        this.prisma.position.findMany({ where: { ...where, status: 'exited' } }),
         this.prisma.position.aggregate({
+          where,
           _avg: {
             entryApy: true,
             exitApy: true,
@@ -294,8 +1143,9 @@ export class DatabaseService {
     }
   }
 
-  async getPerformanceMetrics() {
+  async getPerformanceMetrics({ portfolioId = null } = {}) {
     try {
+      const where = scope({ portfolioId });
       const [
         totalPositions,
         activePositions,
@@ -304,25 +1154,27 @@ export class DatabaseService {
         newPoolsData,
         totalWatchlist
       ] = await Promise.all([
-        this.prisma.position.count(),
-        this.prisma.position.count({ where: { status: 'active' } }),
-        this.prisma.position.count({ where: { status: 'exited' } }),
+        this.prisma.position.count({ where }),
+        this.prisma.position.count({ where: { ...where, status: 'active' } }),
+        this.prisma.position.count({ where: { ...where, status: 'exited' } }),
         this.prisma.position.aggregate({
+          where,
           _avg: {
             entryApy: true,
             profitLoss: true
           }
         }),
         this.prisma.position.findMany({
-          where: { isNew: true },
+          where: { ...where, isNew: true },
           select: { id: true }
         }),
-        this.prisma.watchlistPool.count()
+        this.prisma.watchlistPool.count({ where })
       ]);
 
       // Calculate average hold time in hours for completed positions
       const completedWithTimes = await this.prisma.position.findMany({
         where: { 
+          ...where,
           status: 'exited',
           exitTimestamp: { not: null }
         },
@@ -355,14 +1207,47 @@ export class DatabaseService {
     }
   }
   
-  async getDashboardData() {
+  async getSignalPerformance({ portfolioId = null } = {}) {
+    try {
+      const exited = await this.prisma.position.findMany({
+        where: { status: 'exited', ...scope({ portfolioId }) },
+        select: { detectionSignals: true, profitLoss: true }
+      });
+
+      // One bucket per detection heuristic; positions without signals go to "none"
+      const bySignal = {};
+      exited.forEach(position => {
+        const signals = Array.isArray(position.detectionSignals) ? position.detectionSignals : [];
+        const ids = signals.length > 0 ? signals.map(s => s.id) : ['none'];
+        ids.forEach(id => {
+          bySignal[id] = bySignal[id] || { signal: id, entries: 0, profitable: 0, totalProfitLoss: 0 };
+          bySignal[id].entries++;
+          if ((position.profitLoss || 0) > 0) bySignal[id].profitable++;
+          bySignal[id].totalProfitLoss += position.profitLoss || 0;
+        });
+      });
+
+      return Object.values(bySignal)
+        .map(bucket => ({
+          ...bucket,
+          winRate: (bucket.profitable / bucket.entries) * 100,
+          averageProfitLoss: bucket.totalProfitLoss / bucket.entries
+        }))
+        .sort((a, b) => b.averageProfitLoss - a.averageProfitLoss);
+    } catch (error) {
+      console.error('Error getting signal performance:', error);
+      throw error;
+    }
+  }
+
+  async getDashboardData({ portfolioId = null } = {}) {
     try {
       const [activePositions, recentExits, recentLogs, metrics, recentCycles] = await Promise.all([
-        this.getActivePositions(),
-        this.getExitedPositions(10),
-        this.getLogs(20),
-        this.getPerformanceMetrics(),
-        this.getRecentCycles(5)
+        this.getActivePositions({ portfolioId }),
+        this.getExitedPositions(10, { portfolioId }),
+        this.getLogs(20, null, { portfolioId }),
+        this.getPerformanceMetrics({ portfolioId }),
+        this.getRecentCycles(5, { portfolioId })
       ]);
       
       return {
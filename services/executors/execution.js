@@ -0,0 +1,31 @@
+/**
+ * ===================================================================================
+ * Execution Records (services/executors/execution.js)
+ * ===================================================================================
+ *
+ * Description:
+ * The execution record every executor returns (see index.js for its fields).
+ *
+ * ===================================================================================
+ */
+
+import { clock } from '../clock.js';
+
+/**
+ * Starts the record of an execution attempt; executors fill in the rest.
+ * @param {string} executor
+ * @param {string} side - open or close
+ * @param {number} amountUsd - Requested amount
+ * @returns {Object} Execution with status pending
+ */
+export const startExecution = (executor, side, amountUsd) => ({
+  executor,
+  side,
+  status: 'pending',
+  timestamp: new Date(clock.now()),
+  amountUsd,
+  filledUsd: null,
+  signatures: [],
+  fill: null,
+  error: null
+});
@@ -0,0 +1,71 @@
+/**
+ * ===================================================================================
+ * Execution Adapters (services/executors/index.js)
+ * ===================================================================================
+ *
+ * Description:
+ * Registry of executors, which turn the workflow's entry and exit decisions into
+ * trades. Every executor exposes the same interface:
+ *
+ *   {
+ *     name: string,
+ *     supports(pool): boolean,                                  // can it trade the pool
+ *     open(pool, { principalUsd, prices }): Promise<Execution>,
+ *     close(position, { valueUsd, prices }): Promise<Execution>
+ *   }
+ *
+ * and reports every attempt as an execution, filled or failed, without throwing:
+ *
+ *   {
+ *     executor, side,            // open, close
+ *     status,                    // filled, failed
+ *     timestamp,
+ *     amountUsd,                 // requested: principal at open, position value at close
+ *     filledUsd,                 // value actually deposited or withdrawn, null when unknown
+ *     signatures: [string],      // transactions that landed, also for failed attempts
+ *     fill,                      // executor specific: token amounts, position, wallet holdings
+ *     error                      // message of a failed attempt
+ *   }
+ *
+ * Positions remember the executor that opened them and are closed by the same one.
+ *
+ * ===================================================================================
+ */
+
+import { EXECUTION_CONFIG } from '../../config.js';
+import { createPaperExecutor } from './paper.js';
+import { createOrcaExecutor } from './orca.js';
+
+export const EXECUTORS = {
+  paper: createPaperExecutor,
+  orca: createOrcaExecutor
+};
+
+const instances = new Map();
+
+/**
+ * Creates a new executor instance by name.
+ * @param {string} name - Executor name (paper, orca)
+ * @param {Object} options - Executor specific overrides
+ * @returns {Object} Executor
+ */
+export function createExecutor(name, options = {}) {
+  const factory = EXECUTORS[name];
+  if (!factory) {
+    throw new Error(`Unknown executor "${name}" (expected one of: ${Object.keys(EXECUTORS).join(', ')})`);
+  }
+  return factory(options);
+}
+
+/**
+ * Returns the shared executor instance for a name, defaulting to the configured executor.
+ * @param {string} name - Executor name
+ * @returns {Object} Executor
+ */
+export function getExecutor(name = EXECUTION_CONFIG.executor) {
+  if (!instances.has(name)) {
+    instances.set(name, createExecutor(name));
+  }
+  return instances.get(name);
+}
+
@@ -0,0 +1,306 @@
+/**
+ * ===================================================================================
+ * Orca Executor (services/executors/orca.js)
+ * ===================================================================================
+ *
+ * Description:
+ * Opens and closes concentrated liquidity positions on the Orca Whirlpool a pool
+ * record points at (pool.address), with real transactions through
+ * @orca-so/whirlpools-sdk signed by the keypair at EXECUTION_CONFIG.orca.keypairPath:
+ *
+ *   open   swap half of the principal from the funding token (SOL) into the pair
+ *          token on the same whirlpool, then open a position over the current price
+ *          ± rangePct and deposit both sides. The wallet receives the position NFT.
+ *   close  withdraw the liquidity, collect fees and close the position, then swap the
+ *          withdrawn pair token back into the funding token
+ *
+ * Only pools with an address whose underlying tokens include the funding mint are
+ * supported, and the whirlpool's own mints are checked again before trading, so a
+ * position is always executed on the pool it was selected for.
+ *
+ * Every sent transaction's signature is recorded. A step that fails ends the attempt
+ * as failed with the signatures of the steps that landed and a fill of what moved,
+ * so closes can be retried safely: a retry reads the position account first and, if
+ * an earlier attempt's withdraw already landed, only swaps what that attempt withdrew
+ * (capped at the wallet's balance of the pair token).
+ *
+ * The Solana SDKs are imported on first use, so paper trading runs without them.
+ *
+ * ===================================================================================
+ */
+
+import fs from 'fs';
+import os from 'os';
+import { EXECUTION_CONFIG } from '../../config.js';
+import logger from '../../logger.js';
+import { startExecution } from './execution.js';
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const expandHome = (filePath) => (filePath.startsWith('~/') ? `${os.homedir()}${filePath.slice(1)}` : filePath);
+
+// Tick arrays around the current price a local validator needs for swaps and deposits
+const TICK_ARRAY_OFFSETS = [-2, -1, 0, 1, 2];
+
+/**
+ * Creates an executor that trades Orca Whirlpools on chain.
+ * @param {Object} options - Overrides for EXECUTION_CONFIG.orca
+ * @returns {Object} Executor, with connect(), resolvePool(address) and localnetAccounts(address) for tooling
+ */
+export function createOrcaExecutor(options = {}) {
+  const settings = { ...EXECUTION_CONFIG.orca, ...options };
+  let client = null;
+
+  async function connect() {
+    if (client) return client;
+    const [web3, anchor, whirlpools, common, { default: BN }, { default: Decimal }] = await Promise.all([
+      import('@solana/web3.js'),
+      import('@coral-xyz/anchor'),
+      import('@orca-so/whirlpools-sdk'),
+      import('@orca-so/common-sdk'),
+      import('bn.js'),
+      import('decimal.js')
+    ]);
+    const connection = new web3.Connection(settings.rpcUrl, settings.commitment);
+    const secret = JSON.parse(await fs.promises.readFile(expandHome(settings.keypairPath), 'utf8'));
+    const owner = web3.Keypair.fromSecretKey(Uint8Array.from(secret));
+    const ctx = whirlpools.WhirlpoolContext.from(connection, new anchor.Wallet(owner));
+    client = { web3, whirlpools, common, BN, Decimal, connection, owner, ctx, whirlpoolClient: whirlpools.buildWhirlpoolClient(ctx) };
+    logger.info(` Orca executor connected to ${settings.rpcUrl} as ${owner.publicKey.toBase58()}`);
+    return client;
+  }
+
+  const slippage = () => client.common.Percentage.fromFraction(Math.round(settings.slippagePct * 100), 10000);
+
+  const toUnits = (amount, decimals) => new client.BN(new client.Decimal(amount).mul(10 ** decimals).floor().toFixed());
+
+  const fromUnits = (units, decimals) => Number(units.toString()) / 10 ** decimals;
+
+  /**
+   * The whirlpool at an address, with its funding and pair token.
+   * @param {string} address - Whirlpool account
+   * @returns {Promise<Object>} { whirlpool, funding, other, fundingIsA }, tokens as { mint, decimals }
+   */
+  async function resolvePool(address) {
+    const { whirlpools, whirlpoolClient } = await connect();
+    const whirlpool = await whirlpoolClient.getPool(address, whirlpools.IGNORE_CACHE);
+    const [a, b] = [whirlpool.getTokenAInfo(), whirlpool.getTokenBInfo()].map(t => ({ mint: t.mint.toBase58(), decimals: t.decimals }));
+    const fundingIsA = a.mint === settings.fundingMint;
+    if (!fundingIsA && b.mint !== settings.fundingMint) {
+      throw new Error(`Whirlpool ${address} does not contain ${settings.fundingToken}`);
+    }
+    const [funding, other] = fundingIsA ? [a, b] : [b, a];
+    return { whirlpool, funding, other, fundingIsA };
+  }
+
+  // Sends a transaction and records its signature
+  async function send(execution, builder) {
+    const signature = await builder.buildAndExecute();
+    execution.signatures.push(signature);
+    return signature;
+  }
+
+  async function swap(execution, whirlpool, inputMint, units) {
+    const { ctx, whirlpools } = client;
+    const quote = await whirlpools.swapQuoteByInputToken(whirlpool, inputMint, units, slippage(), ctx.program.programId, ctx.fetcher, whirlpools.IGNORE_CACHE);
+    await send(execution, await whirlpool.swap(quote));
+    return quote;
+  }
+
+  // Wallet balance of a token over all its accounts, in token units
+  async function walletBalance(mint) {
+    const { web3, connection, owner } = client;
+    const { value } = await connection.getParsedTokenAccountsByOwner(owner.publicKey, { mint: new web3.PublicKey(mint) });
+    return value.reduce((sum, { account }) => sum + Number(account.data.parsed.info.tokenAmount.uiAmountString), 0);
+  }
+
+  // Initializable ticks of the current price ± rangePct
+  function rangeTicks(whirlpool, data) {
+    const { PriceMath } = client.whirlpools;
+    const [decimalsA, decimalsB] = [whirlpool.getTokenAInfo().decimals, whirlpool.getTokenBInfo().decimals];
+    const price = PriceMath.sqrtPriceX64ToPrice(data.sqrtPrice, decimalsA, decimalsB);
+    const tick = (factor) => PriceMath.priceToInitializableTickIndex(price.mul(factor), decimalsA, decimalsB, data.tickSpacing);
+    const tickLower = tick(1 - settings.rangePct / 100);
+    return { tickLower, tickUpper: Math.max(tick(1 + settings.rangePct / 100), tickLower + data.tickSpacing) };
+  }
+
+  /**
+   * Token amounts withdrawing a position's liquidity returns at the current price.
+   * @returns {Promise<Array<Object>>} [funding, other] token fills
+   */
+  async function quoteWithdraw(whirlpool, account, { funding, other, fundingIsA }, prices) {
+    const { ctx, whirlpools } = client;
+    const data = await whirlpool.refreshData();
+    const quote = whirlpools.decreaseLiquidityQuoteByLiquidityWithParams({
+      liquidity: account.liquidity,
+      tickCurrentIndex: data.tickCurrentIndex,
+      sqrtPrice: data.sqrtPrice,
+      tickLowerIndex: account.tickLowerIndex,
+      tickUpperIndex: account.tickUpperIndex,
+      tokenExtensionCtx: await whirlpools.TokenExtensionUtil.buildTokenExtensionContext(ctx.fetcher, data),
+      slippageTolerance: slippage()
+    });
+    const [fundingOut, otherOut] = fundingIsA ? [quote.tokenEstA, quote.tokenEstB] : [quote.tokenEstB, quote.tokenEstA];
+    return [tokenFill(funding, fromUnits(fundingOut, funding.decimals), prices), tokenFill(other, fromUnits(otherOut, other.decimals), prices)];
+  }
+
+  const priceOf = (prices, mint) => (prices || []).find(p => p.token === mint)?.price ?? null;
+
+  const tokenFill = (token, amount, prices) => {
+    const price = priceOf(prices, token.mint);
+    return { token: token.mint, amount, valueUsd: price === null ? null : round(amount * price) };
+  };
+
+  const valueOf = (tokens) => (tokens.every(t => t.valueUsd !== null) ? round(tokens.reduce((sum, t) => sum + t.valueUsd, 0)) : null);
+
+  const failed = (execution, error) => {
+    logger.error(`Orca ${execution.side} failed after ${execution.signatures.length} transaction(s): ${error.message}`);
+    return { ...execution, status: 'failed', error: error.message };
+  };
+
+  return {
+    name: 'orca',
+
+    supports: (pool) =>
+      settings.projects.includes(pool.project) &&
+      pool.chain === 'Solana' &&
+      Boolean(pool.address) &&
+      (pool.underlyingTokens || []).includes(settings.fundingMint),
+
+    /**
+     * Swaps half the principal into the pair token and deposits both sides into a new position.
+     * @param {Object} pool - Pool being entered (address)
+     * @param {Object} context - { principalUsd, prices: [{ token, price }] with the funding mint's USD price }
+     */
+    async open(pool, { principalUsd, prices }) {
+      const execution = startExecution('orca', 'open', principalUsd);
+      try {
+        const { ctx, whirlpools, web3, Decimal } = await connect();
+        const { whirlpool, funding, other, fundingIsA } = await resolvePool(pool.address);
+        const price = priceOf(prices, funding.mint);
+        if (!price) throw new Error(`No USD price for ${settings.fundingToken}`);
+
+        const half = principalUsd / price / 2;
+        const swapQuote = await swap(execution, whirlpool, funding.mint, toUnits(half, funding.decimals));
+        const received = fromUnits(swapQuote.otherAmountThreshold, other.decimals);
+        execution.fill = { pool: pool.address, swapped: [tokenFill(funding, half, prices), tokenFill(other, received, prices)] };
+
+        // Deposit the pair token received (at least the swap's minimum out) with the funding token it needs
+        const data = await whirlpool.refreshData();
+        const { tickLower, tickUpper } = rangeTicks(whirlpool, data);
+        const tokenExtensionCtx = await whirlpools.TokenExtensionUtil.buildTokenExtensionContext(ctx.fetcher, data);
+        const quote = whirlpools.increaseLiquidityQuoteByInputTokenUsingPriceDeviation(
+          new web3.PublicKey(other.mint), new Decimal(received), tickLower, tickUpper, slippage(), whirlpool, tokenExtensionCtx
+        );
+        const { positionMint, tx } = await whirlpool.openPosition(tickLower, tickUpper, quote);
+        await send(execution, tx);
+
+        const [fundingIn, otherIn] = fundingIsA ? [quote.tokenEstA, quote.tokenEstB] : [quote.tokenEstB, quote.tokenEstA];
+        const tokens = [tokenFill(funding, fromUnits(fundingIn, funding.decimals), prices), tokenFill(other, fromUnits(otherIn, other.decimals), prices)];
+        return {
+          ...execution,
+          status: 'filled',
+          // Without a USD price for the pair token the swap is taken to be at market
+          filledUsd: valueOf(tokens) ?? round(2 * tokens[0].amount * price),
+          fill: {
+            ...execution.fill,
+            position: whirlpools.PDAUtil.getPosition(ctx.program.programId, positionMint).publicKey.toBase58(),
+            positionMint: positionMint.toBase58(),
+            tickLower,
+            tickUpper,
+            liquidity: quote.liquidityAmount.toString(),
+            tokens,
+            // What the wallet holds for the position (services/reconciliation.js)
+            holdings: [{ mint: positionMint.toBase58(), amount: 1 }]
+          }
+        };
+      } catch (error) {
+        return failed(execution, error);
+      }
+    },
+
+    /**
+     * Withdraws and closes the position opened at entry and swaps the pair token back.
+     * Resumes a close an earlier attempt left half done.
+     * @param {Object} position - Position with its executions, oldest first
+     * @param {Object} context - { valueUsd, prices }
+     */
+    async close(position, { valueUsd, prices }) {
+      const execution = startExecution('orca', 'close', valueUsd);
+      try {
+        const { ctx, whirlpools } = await connect();
+        const executions = position.executions || [];
+        const opened = executions.find(e => e.side === 'open' && e.status === 'filled');
+        if (!opened?.fill?.position) throw new Error(`No filled Whirlpool open recorded for ${position.symbol}`);
+        const tokens = await resolvePool(opened.fill.pool);
+        const { whirlpool, funding, other } = tokens;
+
+        // The withdraw of an earlier failed attempt may have landed: the account is gone or empty
+        const account = await ctx.fetcher.getPosition(opened.fill.position, whirlpools.IGNORE_CACHE);
+        const earlier = executions.filter(e => e.side === 'close' && e.status === 'failed' && e.fill?.withdrawn).at(-1)?.fill.withdrawn;
+        const withdrawing = account && (!account.liquidity.isZero() || !earlier);
+        const withdrawn = withdrawing ? await quoteWithdraw(whirlpool, account, tokens, prices) : earlier;
+        if (!withdrawn) throw new Error(`Position ${opened.fill.position} is closed on chain but no close recorded what it withdrew`);
+        execution.fill = { pool: opened.fill.pool, position: opened.fill.position, withdrawn };
+
+        if (account) {
+          // Decrease liquidity, collect fees and rewards, close: one or more transactions
+          for (const builder of await whirlpool.closePosition(opened.fill.position, slippage())) {
+            await send(execution, builder);
+          }
+        } else {
+          logger.info(`Orca close of ${position.symbol}: position already withdrawn, swapping back only`);
+        }
+
+        // Swap back what was withdrawn and is still in the wallet (a landed swap leaves nothing)
+        const pending = Math.min(withdrawn.find(t => t.token === other.mint)?.amount ?? 0, await walletBalance(other.mint));
+        const units = toUnits(Math.max(pending, 0), other.decimals);
+        const swappedBack = units.isZero() ? 0 : fromUnits((await swap(execution, whirlpool, other.mint, units)).estimatedAmountOut, funding.decimals);
+
+        const fundingOut = withdrawn.find(t => t.token === funding.mint)?.amount ?? 0;
+        const received = [tokenFill(funding, fundingOut + swappedBack, prices)];
+        return {
+          ...execution,
+          status: 'filled',
+          filledUsd: valueOf(received),
+          fill: { ...execution.fill, swapped: fromUnits(units, other.decimals), tokens: received }
+        };
+      } catch (error) {
+        return failed(execution, error);
+      }
+    },
+
+    // Exposed for execute.js
+    connect,
+    resolvePool,
+
+    /**
+     * Accounts a local validator has to clone from mainnet to trade a whirlpool:
+     * the pool, its config, mints, vaults, oracle and the tick arrays around the price.
+     * @param {string} address - Whirlpool account
+     * @returns {Promise<Object>} { programId, accounts } of the accounts that exist
+     */
+    async localnetAccounts(address) {
+      const { web3, connection, ctx, whirlpools } = await connect();
+      const { whirlpool } = await resolvePool(address);
+      const data = whirlpool.getData();
+      const programId = ctx.program.programId;
+      const pool = new web3.PublicKey(address);
+      const candidates = [
+        pool,
+        data.whirlpoolsConfig,
+        data.tokenMintA,
+        data.tokenMintB,
+        data.tokenVaultA,
+        data.tokenVaultB,
+        whirlpools.PDAUtil.getOracle(programId, pool).publicKey,
+        ...TICK_ARRAY_OFFSETS.map(offset => whirlpools.PDAUtil.getTickArrayFromTickIndex(data.tickCurrentIndex, data.tickSpacing, pool, programId, offset).publicKey)
+      ];
+      const infos = await connection.getMultipleAccountsInfo(candidates);
+      return {
+        programId: programId.toBase58(),
+        accounts: candidates.filter((_, i) => infos[i]).map(key => key.toBase58())
+      };
+    }
+  };
+}
@@ -0,0 +1,32 @@
+/**
+ * ===================================================================================
+ * Paper Executor (services/executors/paper.js)
+ * ===================================================================================
+ *
+ * Description:
+ * Fills every open and close at the requested amount without touching a chain, which
+ * is how the bot has always simulated its positions. Costs are left to the cost model.
+ *
+ * ===================================================================================
+ */
+
+import { startExecution } from './execution.js';
+
+/**
+ * Creates an executor that records trades without sending transactions.
+ * @returns {Object} Executor
+ */
+export function createPaperExecutor() {
+  const fill = (side, amountUsd) => ({
+    ...startExecution('paper', side, amountUsd),
+    status: 'filled',
+    filledUsd: amountUsd
+  });
+
+  return {
+    name: 'paper',
+    supports: () => true,
+    open: async (pool, { principalUsd }) => fill('open', principalUsd),
+    close: async (position, { valueUsd }) => fill('close', valueUsd)
+  };
+}
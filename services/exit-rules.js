@@ -0,0 +1,146 @@
+/**
+ * ===================================================================================
+ * Exit Rule Engine (services/exit-rules.js)
+ * ===================================================================================
+ *
+ * Description:
+ * Declarative exit rules evaluated per active position each cycle. Every rule in
+ * EXIT_RULES reads the position and its current market state and either returns
+ * null or a trigger { rule, value, threshold, message }. All triggered rules are
+ * recorded on the exit, not just the first one.
+ *
+ * Rules are parameterised by EXIT_CONFIG.rules and can be overridden per position
+ * through Position.exitRules (same shape, partial). Until minHoldHours has elapsed
+ * only emergency rules may exit a position; other triggers are reported as deferred.
+ *
+ * ===================================================================================
+ */
+
+import { EXIT_CONFIG } from '../config.js';
+
+const pctDrop = (from, to) => (from > 0 ? ((from - to) / from) * 100 : 0);
+
+const round = (value) => Math.round(value * 100) / 100;
+
+export const EXIT_RULES = {
+  protocolDenied: {
+    emergency: true,
+    evaluate: ({ protocolBlocked }) =>
+      protocolBlocked ? { value: true, threshold: true, message: 'Protocol denied in the registry' } : null
+  },
+
+  riskLimit: {
+    emergency: true,
+    evaluate: ({ current }, { maxRiskScore }) =>
+      current.riskScore > maxRiskScore
+        ? { value: current.riskScore, threshold: maxRiskScore, message: `Risk ${current.riskScore} above ${maxRiskScore}` }
+        : null
+  },
+
+  maxHold: {
+    evaluate: ({ hoursHeld }, { hours }) =>
+      hoursHeld >= hours ? { value: round(hoursHeld), threshold: hours, message: `Held ${hoursHeld.toFixed(1)}h of ${hours}h` } : null
+  },
+
+  apyDrop: {
+    evaluate: ({ position, current }, { dropPct }) => {
+      const drop = pctDrop(position.entryApy, current.apy);
+      return drop >= dropPct ? { value: round(drop), threshold: dropPct, message: `APY down ${drop.toFixed(1)}% from entry` } : null;
+    }
+  },
+
+  trailingApyStop: {
+    evaluate: ({ peakApy, current }, { dropPct }) => {
+      const drop = pctDrop(peakApy, current.apy);
+      return drop >= dropPct ? { value: round(drop), threshold: dropPct, message: `APY down ${drop.toFixed(1)}% from peak ${peakApy.toFixed(2)}%` } : null;
+    }
+  },
+
+  tvlDrain: {
+    evaluate: ({ position, current }, { drainPct }) => {
+      if (!position.entryTvl || current.tvlUsd === null || current.tvlUsd === undefined) return null;
+      const drain = pctDrop(position.entryTvl, current.tvlUsd);
+      return drain >= drainPct ? { value: round(drain), threshold: drainPct, message: `TVL down ${drain.toFixed(1)}% from entry` } : null;
+    }
+  },
+
+  rewardCliff: {
+    evaluate: ({ position, current }, { dropPct }) => {
+      if (!position.entryRewardApy) return null;
+      const drop = pctDrop(position.entryRewardApy, current.apyReward || 0);
+      return drop >= dropPct ? { value: round(drop), threshold: dropPct, message: `Reward APY down ${drop.toFixed(1)}% from entry` } : null;
+    }
+  },
+
+  takeProfit: {
+    evaluate: ({ accruedReturnPct }, { returnPct }) =>
+      accruedReturnPct >= returnPct
+        ? { value: round(accruedReturnPct), threshold: returnPct, message: `Accrued ${accruedReturnPct.toFixed(2)}% return` }
+        : null
+  }
+};
+
+/**
+ * Merges per-position overrides over the configured rules.
+ * @param {Object} overrides - Position.exitRules, e.g. { minHoldHours: 4, takeProfit: { returnPct: 2 } }
+ * @param {Object} options - EXIT_CONFIG
+ * @returns {Object} { minHoldHours, rules }
+ */
+export function resolveExitRules(overrides = {}, options = EXIT_CONFIG) {
+  const { minHoldHours = options.minHoldHours, ...ruleOverrides } = overrides || {};
+  const rules = Object.fromEntries(Object.entries(options.rules).map(([name, params]) => [
+    name,
+    { ...params, ...(ruleOverrides[name] || {}) }
+  ]));
+  return { minHoldHours, rules };
+}
+
+/**
+ * Validates a per-position override object; returns an error message or null.
+ * @param {Object} overrides
+ * @returns {string|null}
+ */
+export function validateExitRuleOverrides(overrides) {
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) return 'exit rules must be an object';
+  for (const [name, params] of Object.entries(overrides)) {
+    if (name === 'minHoldHours') {
+      if (typeof params !== 'number' || params < 0) return 'minHoldHours must be a non-negative number';
+      continue;
+    }
+    if (!EXIT_RULES[name]) return `Unknown exit rule "${name}" (expected one of: ${Object.keys(EXIT_RULES).join(', ')})`;
+    if (!params || typeof params !== 'object' || Array.isArray(params)) return `${name} must be an object of rule parameters`;
+  }
+  return null;
+}
+
+/**
+ * Evaluates every enabled exit rule for a position.
+ * @param {Object} context - { position, current, hoursHeld, peakApy, accruedReturnPct, protocolBlocked }
+ * @param {Object} options - EXIT_CONFIG
+ * @returns {Object} { exit, triggered: [{ rule, value, threshold, message }], deferred, minHoldHours }
+ */
+export function evaluateExitRules(context, options = EXIT_CONFIG) {
+  const { minHoldHours, rules } = resolveExitRules(context.position.exitRules, options);
+  const withinMinHold = context.hoursHeld < minHoldHours;
+  const triggered = [];
+  const deferred = [];
+
+  for (const [name, params] of Object.entries(rules)) {
+    const rule = EXIT_RULES[name];
+    if (!rule) throw new Error(`Unknown exit rule "${name}" in EXIT_CONFIG`);
+    if (!params.enabled) continue;
+
+    const result = rule.evaluate(context, params);
+    if (!result) continue;
+    (withinMinHold && !rule.emergency ? deferred : triggered).push({ rule: name, ...result });
+  }
+
+  return { exit: triggered.length > 0, triggered, deferred, minHoldHours };
+}
+
+/**
+ * Formats triggered rules for logs and Position.exitReason, e.g. "maxHold+apyDrop".
+ * @param {Array} triggered
+ * @returns {string}
+ */
+export const describeExitReasons = (triggered) => triggered.map(t => t.rule).join('+');
@@ -0,0 +1,140 @@
+/**
+ * ===================================================================================
+ * Fee Accounting (services/fees.js)
+ * ===================================================================================
+ *
+ * Description:
+ * Management and performance fees charged to each position, recorded as ledger
+ * entries (FeeEntry) so returns can be reported gross and net of fees:
+ *
+ *   management   managementFeePct a year on the position's current value, accrued
+ *                every cycle from the end of the previous accrual (or entry) and
+ *                settled at exit
+ *   performance  performanceFeePct of profit: charged on each harvest's compounded
+ *                rewards and at exit on the realized return, above a per-position
+ *                high-water mark so no profit is charged twice
+ *
+ * Fees are booked in the ledger only (chargeFees). Position values and the exit rules
+ * see gross returns; calculatePortfolioYield, the analytics and vault NAVs subtract
+ * the fees.
+ *
+ * ===================================================================================
+ */
+
+import { FEE_CONFIG } from '../config.js';
+import { dbService } from './database.js';
+
+const MS_PER_YEAR = 365 * 24 * 60 * 60 * 1000;
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const entriesOf = (position, type) => (position.fees || []).filter(f => f.type === type);
+
+/**
+ * Management fee a position owes since its last accrual.
+ * @param {Object} position - Position with its fee entries (fees)
+ * @param {number} valueUsd - Current value of the position
+ * @param {Date} time
+ * @param {Object} options - FEE_CONFIG, with source ('cycle' or 'exit')
+ * @returns {Object|null} A fee entry, or null when nothing is due; below minFeeUsd the
+ *                        accrual waits for the next cycle, except at exit
+ */
+export function managementFee(position, valueUsd, time, { source = 'cycle', ...options } = FEE_CONFIG) {
+  if (!(options.managementFeePct > 0) || !(valueUsd > 0)) return null;
+
+  const periodStart = entriesOf(position, 'management')
+    .reduce((latest, f) => (new Date(f.periodEnd) > latest ? new Date(f.periodEnd) : latest), new Date(position.entryTimestamp));
+  const periodEnd = new Date(time);
+  const amountUsd = valueUsd * (options.managementFeePct / 100) * ((periodEnd - periodStart) / MS_PER_YEAR);
+  if (!(amountUsd > 0) || (source !== 'exit' && amountUsd < options.minFeeUsd)) return null;
+
+  return {
+    type: 'management',
+    source,
+    timestamp: periodEnd,
+    amountUsd: round(amountUsd, 6),
+    baseUsd: round(valueUsd),
+    ratePct: options.managementFeePct,
+    periodStart,
+    periodEnd
+  };
+}
+
+/**
+ * Performance fee on the profit a position realized beyond what it was already charged on.
+ * @param {Object} position - Position with its fee entries (fees)
+ * @param {number} realizedUsd - Profit realized so far: compounded harvests, or the return at exit
+ * @param {Date} time
+ * @param {Object} options - FEE_CONFIG, with source ('harvest' or 'exit')
+ * @returns {Object|null} A fee entry, or null below the high-water mark or minFeeUsd
+ */
+export function performanceFee(position, realizedUsd, time, { source = 'harvest', ...options } = FEE_CONFIG) {
+  if (!(options.performanceFeePct > 0)) return null;
+
+  const highWaterUsd = entriesOf(position, 'performance').reduce((sum, f) => sum + f.baseUsd, 0);
+  const baseUsd = realizedUsd - highWaterUsd;
+  const amountUsd = baseUsd * (options.performanceFeePct / 100);
+  if (!(amountUsd >= options.minFeeUsd)) return null;
+
+  return {
+    type: 'performance',
+    source,
+    timestamp: new Date(time),
+    amountUsd: round(amountUsd, 6),
+    baseUsd: round(baseUsd, 6),
+    ratePct: options.performanceFeePct
+  };
+}
+
+/**
+ * Books the fees a valued position owes: the management fee every cycle, and at exit
+ * the final management accrual and the performance fee on the realized return.
+ * @param {number|null} cycleId - Workflow cycle, null for exits outside the workflow
+ * @param {Object} position - Position with its fee entries (fees)
+ * @param {Object} yieldData - calculateYield() result at time
+ * @param {Date} time
+ * @param {Object} options - FEE_CONFIG (the portfolio's fees), with exit when the position closed
+ * @returns {Promise<Object>} { management, performance, total } of the booked entries
+ */
+export async function chargeFees(cycleId, position, yieldData, time, { exit = false, ...options } = FEE_CONFIG) {
+  const source = exit ? 'exit' : 'cycle';
+  const entries = [
+    managementFee(position, yieldData.finalAmount, time, { ...options, source }),
+    exit ? performanceFee(position, yieldData.totalReturn, time, { ...options, source }) : null
+  ].filter(Boolean);
+  await dbService.addFees(cycleId, position, entries);
+  return summarizeFees(entries);
+}
+
+/**
+ * Totals of fee entries by type.
+ * @param {Array} entries - FeeEntry rows
+ * @returns {Object} { management, performance, total }
+ */
+export function summarizeFees(entries = []) {
+  const sum = (type) => entries.filter(f => f.type === type).reduce((total, f) => total + f.amountUsd, 0);
+  const management = sum('management');
+  const performance = sum('performance');
+  return {
+    management: round(management),
+    performance: round(performance),
+    total: round(management + performance)
+  };
+}
+
+/**
+ * Adds a position's fees and its return net of them to a calculateYield() result.
+ * @param {Object} yieldData
+ * @param {Array} entries - The position's FeeEntry rows
+ * @returns {Object} yieldData with fees, returnAfterFees and returnPercentageAfterFees
+ */
+export function withFees(yieldData, entries = []) {
+  const fees = summarizeFees(entries);
+  const returnAfterFees = yieldData.totalReturn - fees.total;
+  return {
+    ...yieldData,
+    fees,
+    returnAfterFees: round(returnAfterFees),
+    returnPercentageAfterFees: yieldData.principal > 0 ? round((returnAfterFees / yieldData.principal) * 100) : 0
+  };
+}
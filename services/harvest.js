@@ -0,0 +1,130 @@
+/**
+ * ===================================================================================
+ * Harvest & Compounding Scheduler (services/harvest.js)
+ * ===================================================================================
+ *
+ * Description:
+ * Reward APY accrues as claimable reward tokens. It only compounds when a harvest
+ * claims the rewards, swaps them into the pool's tokens and redeposits, and every
+ * harvest pays network, swap fee and slippage costs (estimateHarvestCosts in
+ * services/cost-model.js). Base APY (trading fees, lending interest) compounds inside
+ * the pool and needs no harvest.
+ *
+ * Policies are pluggable and registered in HARVEST_POLICIES; each returns the hours
+ * between harvests, or null to claim only at exit:
+ *
+ *   none     - never harvest while held
+ *   fixed    - every fixedIntervalHours
+ *   optimal  - the candidate interval with the highest net reward growth for the
+ *              position's value and reward APY; none when claiming once at the end
+ *              of the hold does at least as well
+ *
+ * Harvests are recorded as events (HarvestEvent in live runs) and calculateYield
+ * replays them, so realized compounding replaces a closed-form compounding rate.
+ *
+ * ===================================================================================
+ */
+
+import { HARVEST_CONFIG, TIMING_CONFIG, CONFIG_HELPERS } from '../config.js';
+import { estimateHarvestCosts } from './cost-model.js';
+
+const HOURS_PER_YEAR = 365 * 24;
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Net reward growth of harvesting every intervalHours, as a continuously compounded
+ * annual rate in percent: one interval's rewards less the harvest costs, reinvested
+ * HOURS_PER_YEAR / intervalHours times a year.
+ * @param {Object} pool - Pool or position (cost model fields)
+ * @param {number} valueUsd - Capital earning rewards
+ * @param {number} rewardApy - Reward APY in percent
+ * @param {number} intervalHours
+ * @returns {number} -Infinity when a harvest does not cover its costs
+ */
+export function harvestGrowthRate(pool, valueUsd, rewardApy, intervalHours) {
+  const rewardsUsd = valueUsd * (rewardApy / 100) * (intervalHours / HOURS_PER_YEAR);
+  const netUsd = rewardsUsd - estimateHarvestCosts(pool, rewardsUsd).total;
+  if (!(netUsd > 0)) return -Infinity;
+  return Math.log(1 + netUsd / valueUsd) * (HOURS_PER_YEAR / intervalHours) * 100;
+}
+
+export const HARVEST_POLICIES = {
+  none: () => null,
+
+  fixed: (pool, context) => context.options.fixedIntervalHours,
+
+  optimal: (pool, context) => {
+    const { valueUsd, rewardApy, holdHours, options } = context;
+    const rate = (hours) => harvestGrowthRate(pool, valueUsd, rewardApy, hours);
+    // Claiming once at the end of the hold is the baseline every interval must beat
+    return options.candidateHours
+      .filter(hours => hours < holdHours)
+      .map(hours => ({ hours, rate: rate(hours) }))
+      .reduce((best, candidate) => (candidate.rate > best.rate ? candidate : best), { hours: null, rate: rate(holdHours) })
+      .hours;
+  }
+};
+
+/**
+ * Picks the harvest interval of a position with the configured policy.
+ * @param {Object} pool - Pool or position, with the current tvlUsd when known
+ * @param {Object} context - { valueUsd, rewardApy }: capital earning rewards, reward APY in percent
+ * @param {Object} options - HARVEST_CONFIG, with holdHours (defaults to the configured hold)
+ * @returns {Object} { intervalHours, policy, netRatePct } with intervalHours null when
+ *                   the position should not be harvested while held
+ */
+export function planHarvest(pool, { valueUsd, rewardApy }, options = HARVEST_CONFIG) {
+  const policy = HARVEST_POLICIES[options.policy];
+  if (!policy) {
+    throw new Error(`Unknown harvest policy "${options.policy}" (expected one of: ${Object.keys(HARVEST_POLICIES).join(', ')})`);
+  }
+
+  const holdHours = options.holdHours ?? TIMING_CONFIG.holdDurationMs / CONFIG_HELPERS.hoursToMs(1);
+  const intervalHours = rewardApy > 0 && valueUsd > 0
+    ? policy(pool, { valueUsd, rewardApy, holdHours, options })
+    : null;
+  const netRatePct = intervalHours ? harvestGrowthRate(pool, valueUsd, rewardApy, intervalHours) : null;
+
+  return {
+    intervalHours,
+    policy: options.policy,
+    netRatePct: Number.isFinite(netRatePct) ? round(netRatePct, 4) : null
+  };
+}
+
+// Time of the next harvest, or null without an interval
+export const nextHarvestAt = (from, intervalHours) =>
+  (intervalHours ? new Date(new Date(from).getTime() + CONFIG_HELPERS.hoursToMs(intervalHours)) : null);
+
+export const isHarvestDue = (position, now) =>
+  Boolean(position.nextHarvestAt) && new Date(position.nextHarvestAt).getTime() <= now;
+
+/**
+ * Turns the rewards a position accrued since its last harvest into a harvest: claimed
+ * at realized reward prices, charged the harvest costs, and the rest redeposited.
+ * @param {Object} position
+ * @param {Object} yieldData - calculateYield() at the harvest time (pendingRewards, deployedValue)
+ * @param {Date} time - Harvest time
+ * @param {Object} pool - Current pool (TVL for slippage); the position's entry TVL without it
+ * @param {Object} options - HARVEST_CONFIG
+ * @returns {Object|null} { timestamp, rewardsUsd, costs, costUsd, compoundedUsd, valueBeforeUsd },
+ *                        or null when the claim is below minHarvestUsd or does not cover its costs
+ */
+export function buildHarvest(position, yieldData, time, pool = null, options = HARVEST_CONFIG) {
+  const rewardsUsd = yieldData.pendingRewards;
+  if (!(rewardsUsd >= options.minHarvestUsd)) return null;
+
+  const costs = estimateHarvestCosts({ ...position, tvlUsd: pool?.tvlUsd ?? position.entryTvl }, rewardsUsd);
+  const compoundedUsd = rewardsUsd - costs.total;
+  if (compoundedUsd <= 0) return null;
+
+  return {
+    timestamp: new Date(time),
+    rewardsUsd: round(rewardsUsd),
+    costs,
+    costUsd: costs.total,
+    compoundedUsd: round(compoundedUsd),
+    valueBeforeUsd: round(yieldData.deployedValue)
+  };
+}
@@ -0,0 +1,206 @@
+/**
+ * ===================================================================================
+ * Resilient HTTP Client (services/http-client.js)
+ * ===================================================================================
+ *
+ * Description:
+ * Shared client for every outbound call (DeFiLlama, DexPaprika, CoinGecko).
+ * Requests are spaced per host, retried with jittered exponential backoff and
+ * guarded by a per-host circuit breaker. When a host stays unavailable, the last
+ * good response for the same request is served instead and marked as stale.
+ *
+ * Responses keep the axios shape ({ data, status, headers }) plus:
+ *   stale     - true when the data came from the last-good-response fallback
+ *   fetchedAt - when the returned data was originally fetched
+ *
+ * Every response passes through httpRecorder, which can save it (record mode) or
+ * serve it back without any network access (replay mode).
+ *
+ * ===================================================================================
+ */
+
+import axios from 'axios';
+import { HTTP_CONFIG } from '../config.js';
+import logger from '../logger.js';
+import { httpRecorder } from './http-recorder.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const isRetryable = (error) => {
+  if (!error.response) return true; // network error or timeout
+  const status = error.response.status;
+  return status === 429 || status >= 500;
+};
+
+export class HttpClient {
+
+  constructor(options = HTTP_CONFIG) {
+    this.options = options;
+    this.hostSlots = new Map();     // host -> timestamp of the next free request slot
+    this.circuits = new Map();      // host -> { failures, openedAt }
+    this.lastGood = new Map();      // request key -> { data, status, headers, fetchedAt }
+    this.staleResponses = [];
+  }
+
+  // =================== RATE LIMITING ===================
+
+  async waitForSlot(host) {
+    const { minIntervalMs } = this.options.hosts[host] || this.options.hosts.default;
+    const now = Date.now();
+    const slot = Math.max(now, this.hostSlots.get(host) || 0);
+    this.hostSlots.set(host, slot + minIntervalMs);
+    if (slot > now) await sleep(slot - now);
+  }
+
+  // =================== CIRCUIT BREAKER ===================
+
+  getCircuit(host) {
+    if (!this.circuits.has(host)) {
+      this.circuits.set(host, { failures: 0, openedAt: null });
+    }
+    return this.circuits.get(host);
+  }
+
+  isCircuitOpen(host) {
+    const circuit = this.getCircuit(host);
+    if (circuit.openedAt === null) return false;
+    // After the cooldown the circuit is half-open: let one trial request through
+    if (Date.now() - circuit.openedAt >= this.options.circuitBreaker.cooldownMs) {
+      circuit.openedAt = Date.now();
+      return false;
+    }
+    return true;
+  }
+
+  recordSuccess(host) {
+    const circuit = this.getCircuit(host);
+    circuit.failures = 0;
+    circuit.openedAt = null;
+  }
+
+  recordFailure(host) {
+    const circuit = this.getCircuit(host);
+    circuit.failures++;
+    if (circuit.failures >= this.options.circuitBreaker.failureThreshold && circuit.openedAt === null) {
+      circuit.openedAt = Date.now();
+      logger.warn(`Circuit opened for ${host} after ${circuit.failures} consecutive failures`);
+    }
+  }
+
+  getCircuitStates() {
+    return Object.fromEntries([...this.circuits.entries()].map(([host, circuit]) => [host, {
+      failures: circuit.failures,
+      open: circuit.openedAt !== null,
+      openedAt: circuit.openedAt ? new Date(circuit.openedAt) : null
+    }]));
+  }
+
+  // =================== REQUESTS ===================
+
+  backoffDelay(attempt, error) {
+    const retryAfter = Number(error.response?.headers?.['retry-after']);
+    if (Number.isFinite(retryAfter) && retryAfter > 0) return retryAfter * 1000;
+    const { baseDelayMs, maxDelayMs } = this.options.retry;
+    // Full jitter: uniform between 0 and the capped exponential delay
+    return Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  }
+
+  async request(host, config) {
+    const { maxRetries } = this.options.retry;
+    let lastError;
+
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      await this.waitForSlot(host);
+      try {
+        const response = await axios.request({ timeout: this.options.timeout, ...config });
+        this.recordSuccess(host);
+        return response;
+      } catch (error) {
+        lastError = error;
+        if (!isRetryable(error)) throw error;
+        if (attempt === maxRetries || this.isCircuitOpen(host)) break;
+        const delay = this.backoffDelay(attempt, error);
+        logger.warn(`${host} request failed (${error.response?.status || error.code || error.message}), retrying in ${Math.round(delay)}ms`);
+        await sleep(delay);
+      }
+    }
+
+    // One failure per request that exhausted its retries, not per attempt
+    this.recordFailure(host);
+    throw lastError;
+  }
+
+  /**
+   * Performs a GET request with rate limiting, retries and stale fallback.
+   * @param {string} url - Absolute URL
+   * @param {Object} config - axios request config (params, headers, timeout)
+   * @returns {Promise<Object>} axios-like response with stale and fetchedAt flags
+   */
+  async get(url, config = {}) {
+    const host = new URL(url).host;
+    const key = `GET ${url}?${JSON.stringify(config.params || {})}`;
+
+    if (httpRecorder.isReplaying) {
+      const response = httpRecorder.replay(key);
+      if (response.stale) this.trackStale(host, url, response.fetchedAt, 'replayed stale response');
+      return response;
+    }
+
+    try {
+      const response = await this.fetchWithFallback(host, url, key, config);
+      if (httpRecorder.isRecording) httpRecorder.record(key, response);
+      return response;
+    } catch (error) {
+      if (httpRecorder.isRecording) httpRecorder.recordError(key, error);
+      throw error;
+    }
+  }
+
+  async fetchWithFallback(host, url, key, config) {
+    let error;
+
+    if (this.isCircuitOpen(host)) {
+      error = new Error(`Circuit open for ${host}`);
+    } else {
+      try {
+        const response = await this.request(host, { ...config, method: 'get', url });
+        const fetchedAt = new Date();
+        this.lastGood.set(key, { data: response.data, status: response.status, headers: response.headers, fetchedAt });
+        return { data: response.data, status: response.status, headers: response.headers, stale: false, fetchedAt };
+      } catch (requestError) {
+        error = requestError;
+      }
+    }
+
+    const fallback = this.getStaleFallback(key);
+    if (!fallback || (error.response && !isRetryable(error))) throw error;
+
+    logger.warn(`Serving stale ${host} data from ${fallback.fetchedAt.toISOString()} (${error.message})`);
+    this.trackStale(host, url, fallback.fetchedAt, error.message);
+    return { ...fallback, stale: true };
+  }
+
+  trackStale(host, url, fetchedAt, reason) {
+    this.staleResponses.push({ host, url, fetchedAt, servedAt: new Date(), error: reason });
+  }
+
+  getStaleFallback(key) {
+    const { enabled, maxAgeMs } = this.options.staleFallback;
+    const cached = this.lastGood.get(key);
+    if (!enabled || !cached) return null;
+    return Date.now() - cached.fetchedAt.getTime() <= maxAgeMs ? cached : null;
+  }
+
+  /**
+   * Returns the stale responses served since the last call and clears the list.
+   * @returns {Array} [{ host, url, fetchedAt, servedAt, error }]
+   */
+  takeStaleResponses() {
+    const served = this.staleResponses;
+    this.staleResponses = [];
+    return served;
+  }
+}
+
+// Export singleton instance
+export const httpClient = new HttpClient();
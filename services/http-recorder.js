@@ -0,0 +1,175 @@
+/**
+ * ===================================================================================
+ * Upstream Record & Replay (services/http-recorder.js)
+ * ===================================================================================
+ *
+ * Description:
+ * Captures every upstream response seen by httpClient and serves it back later
+ * without touching the network, so a bad cycle can be reproduced and strategy
+ * changes can be tested against a captured day.
+ *
+ * Layout: <dir>/<session>/<context>.ndjson, one response per line. Workflow cycles
+ * use the context cycle-0001, cycle-0002, ... in the order they ran; everything
+ * outside a cycle (e.g. the API server's CoinGecko proxy) goes to <process>.ndjson.
+ *
+ * Replay matches requests by method, URL and params within the current context, and
+ * each replayed cycle runs on the strategy clock set to the time it was recorded at.
+ * Repeated requests are served in recorded order; once exhausted the last recorded
+ * response for that request is reused. Recorded failures are thrown again.
+ *
+ * ===================================================================================
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { CAPTURE_CONFIG } from '../config.js';
+import logger from '../logger.js';
+
+const MODES = ['off', 'record', 'replay'];
+const CYCLE_FILE = /^cycle-(\d+)\.ndjson$/;
+
+export class HttpRecorder {
+
+  constructor({ mode, dir, session } = CAPTURE_CONFIG, defaultContext = path.basename(process.argv[1] || 'process', '.js')) {
+    if (!MODES.includes(mode)) {
+      throw new Error(`Unknown HTTP_CAPTURE_MODE "${mode}" (expected one of: ${MODES.join(', ')})`);
+    }
+    this.mode = mode;
+    this.sessionDir = path.resolve(dir, session);
+    this.defaultContext = defaultContext;
+    this.context = defaultContext;
+    this.cycleSeq = 0;
+    this.cycleId = null;
+    this.replayEntries = null; // key -> { entries, served }
+  }
+
+  get isRecording() {
+    return this.mode === 'record';
+  }
+
+  get isReplaying() {
+    return this.mode === 'replay';
+  }
+
+  contextFile(context = this.context) {
+    return path.join(this.sessionDir, `${context}.ndjson`);
+  }
+
+  /**
+   * Lists the recorded cycle contexts of the session in the order they ran.
+   * @returns {Array<string>} Context names (cycle-0001, ...)
+   */
+  listRecordedCycles() {
+    if (!fs.existsSync(this.sessionDir)) return [];
+    return fs.readdirSync(this.sessionDir)
+      .filter(file => CYCLE_FILE.test(file))
+      .sort()
+      .map(file => path.basename(file, '.ndjson'));
+  }
+
+  hasMoreCycles() {
+    return this.cycleSeq < this.listRecordedCycles().length;
+  }
+
+  /**
+   * Time the next recorded cycle ran at: the recordedAt of its first response.
+   * @returns {Date|null} null when no cycles are left or the recording is empty
+   */
+  nextCycleTime() {
+    const context = this.listRecordedCycles()[this.cycleSeq];
+    if (!context) return null;
+    const [first] = fs.readFileSync(this.contextFile(context), 'utf8').split('\n').filter(Boolean);
+    return first ? new Date(JSON.parse(first).recordedAt) : null;
+  }
+
+  /**
+   * Switches to the context of the next workflow cycle.
+   * @param {number} cycleId - DetectionCycle id of the running cycle
+   */
+  beginCycle(cycleId) {
+    if (this.mode === 'off') return;
+    this.cycleSeq++;
+    this.cycleId = cycleId;
+    this.setContext(`cycle-${String(this.cycleSeq).padStart(4, '0')}`);
+  }
+
+  setContext(context) {
+    this.context = context;
+    this.replayEntries = null;
+  }
+
+  append(entry) {
+    fs.mkdirSync(this.sessionDir, { recursive: true });
+    const line = { ...entry, cycleId: this.cycleId, recordedAt: new Date().toISOString() };
+    fs.appendFileSync(this.contextFile(), JSON.stringify(line) + '\n');
+  }
+
+  record(key, response) {
+    this.append({
+      key,
+      status: response.status,
+      headers: response.headers,
+      stale: response.stale,
+      fetchedAt: response.fetchedAt,
+      data: response.data
+    });
+  }
+
+  recordError(key, error) {
+    this.append({
+      key,
+      error: { message: error.message, status: error.response?.status || null }
+    });
+  }
+
+  loadReplayEntries() {
+    const file = this.contextFile();
+    if (!fs.existsSync(file)) {
+      throw new Error(`No recording for context "${this.context}" in ${this.sessionDir}`);
+    }
+
+    const byKey = new Map();
+    fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).forEach(line => {
+      const entry = JSON.parse(line);
+      if (!byKey.has(entry.key)) byKey.set(entry.key, { entries: [], served: 0 });
+      byKey.get(entry.key).entries.push(entry);
+    });
+
+    logger.info(`▶️ Replaying ${this.context} from ${file}`);
+    return byKey;
+  }
+
+  /**
+   * Returns the recorded response for a request in the current context.
+   * @param {string} key - Request key built by httpClient
+   * @returns {Object} axios-like response with stale and fetchedAt flags
+   */
+  replay(key) {
+    if (!this.replayEntries) this.replayEntries = this.loadReplayEntries();
+
+    const recorded = this.replayEntries.get(key);
+    if (!recorded) {
+      throw new Error(`No recorded response for ${key} in ${this.context}`);
+    }
+
+    const entry = recorded.entries[Math.min(recorded.served, recorded.entries.length - 1)];
+    recorded.served++;
+
+    if (entry.error) {
+      const error = new Error(entry.error.message);
+      if (entry.error.status) error.response = { status: entry.error.status };
+      throw error;
+    }
+
+    return {
+      data: entry.data,
+      status: entry.status,
+      headers: entry.headers,
+      stale: entry.stale,
+      fetchedAt: new Date(entry.fetchedAt)
+    };
+  }
+}
+
+// Export singleton instance
+export const httpRecorder = new HttpRecorder();
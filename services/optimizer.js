@@ -0,0 +1,367 @@
+/**
+ * ===================================================================================
+ * Strategy Parameter Optimizer (services/optimizer.js)
+ * ===================================================================================
+ *
+ * Description:
+ * Sweeps strategy parameters over historical data with the backtester and ranks the
+ * parameter sets by return, drawdown and Sharpe ratio. Parameters are addressed by
+ * override path, `<section>.<key>` with the sections of a backtest override:
+ *
+ *   strategy.minAPY                  STRATEGY_CONFIG (defaultConfig) key
+ *   exit.apyDrop.dropPct             EXIT_CONFIG rule parameter (exit.minHoldHours too)
+ *   workflow.watchlistAgeMs          WORKFLOW_CONFIG key
+ *   sizing.kelly.fraction            SIZING_CONFIG key, nested objects allowed
+ *   harvest.policy                   HARVEST_CONFIG key
+ *
+ * Each parameter takes a list of values ([30, 50, 80] or { values: [...] }) or a range
+ * ({ min, max, step }; random search also accepts a range without step, add
+ * integer: true for whole numbers).
+ *
+ * Walk-forward validation splits the period into folds + 1 equal segments. Fold i
+ * picks the best set on its training window (segments up to i when anchored, only
+ * segment i otherwise) and replays it on segment i + 1, which that choice never saw.
+ * Test windows are warmed up from the start of their training window.
+ *
+ * ===================================================================================
+ */
+
+import { defaultConfig, EXIT_CONFIG, WORKFLOW_CONFIG, SIZING_CONFIG, HARVEST_CONFIG, OPTIMIZER_CONFIG } from '../config.js';
+import logger from '../logger.js';
+import { runBacktest } from './backtester.js';
+import { validateOverrides } from './workflow-rules.js';
+
+export const OPTIMIZATION_METHODS = ['grid', 'random'];
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Values each override section is checked against
+const SECTION_BASES = {
+  strategy: defaultConfig,
+  exit: { minHoldHours: EXIT_CONFIG.minHoldHours, ...EXIT_CONFIG.rules },
+  workflow: WORKFLOW_CONFIG,
+  sizing: SIZING_CONFIG,
+  harvest: HARVEST_CONFIG
+};
+
+// Score used for ranking; drawdown is floored at 0.1% so flat curves stay comparable
+export const OBJECTIVES = {
+  sharpe: (metrics) => metrics.sharpeRatio,
+  return: (metrics) => metrics.returnPct,
+  calmar: (metrics) => metrics.returnPct / Math.max(metrics.maxDrawdownPct, 0.1)
+};
+
+const getPath = (object, keys) => keys.reduce((value, key) => (value == null ? undefined : value[key]), object);
+
+// Seeded PRNG (mulberry32) so random sweeps can be repeated
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function listValues(spec) {
+  if (Array.isArray(spec)) return spec;
+  if (Array.isArray(spec.values)) return spec.values;
+  if (spec.step === undefined) return null;
+  const values = [];
+  for (let i = 0; spec.min + i * spec.step <= spec.max + 1e-9; i++) {
+    values.push(round(spec.min + i * spec.step, 10));
+  }
+  return values;
+}
+
+/**
+ * Validates a parameter space; returns an error message or null.
+ * @param {Object} space - { "<section>.<key>": values or range }
+ * @param {string} method - grid or random
+ * @returns {string|null}
+ */
+export function validateSpace(space, method = OPTIMIZER_CONFIG.method) {
+  if (!space || typeof space !== 'object' || Array.isArray(space)) return 'the parameter space must be an object';
+  const paths = Object.keys(space);
+  if (paths.length === 0) return 'the parameter space has no parameters';
+
+  for (const path of paths) {
+    const [section, ...keys] = path.split('.');
+    if (!SECTION_BASES[section] || keys.length === 0) {
+      return `Invalid parameter "${path}" (expected <section>.<key> with section one of: ${Object.keys(SECTION_BASES).join(', ')})`;
+    }
+    const base = getPath(SECTION_BASES[section], keys);
+    if (base === undefined) return `Unknown parameter "${path}"`;
+    if (typeof base === 'object' && base !== null) return `Parameter "${path}" is an object; address one of its keys`;
+
+    const spec = space[path];
+    if (!spec || typeof spec !== 'object') return `${path} must be a list of values or a { min, max, step } range`;
+    const values = listValues(spec);
+    if (values) {
+      if (values.length === 0) return `${path} has no values`;
+      const wrongType = values.find(value => typeof value !== typeof base);
+      if (wrongType !== undefined) return `${path} values must be of type ${typeof base} (got ${JSON.stringify(wrongType)})`;
+      continue;
+    }
+    if (typeof spec.min !== 'number' || typeof spec.max !== 'number' || spec.min > spec.max) {
+      return `${path} needs values or a numeric range with min <= max`;
+    }
+    if (typeof base !== 'number') return `${path} is not numeric and needs a list of values`;
+    if (method === 'grid') return `${path} needs a step (or a list of values) for grid search`;
+  }
+  return null;
+}
+
+/**
+ * Every combination of the listed values.
+ * @param {Object} space - Validated parameter space
+ * @returns {Array<Object>} Parameter sets { path: value }
+ */
+export function gridCandidates(space) {
+  return Object.entries(space).reduce(
+    (sets, [path, spec]) => sets.flatMap(set => listValues(spec).map(value => ({ ...set, [path]: value }))),
+    [{}]
+  );
+}
+
+/**
+ * Distinct parameter sets drawn at random from the space.
+ * @param {Object} space - Validated parameter space
+ * @param {number} samples - Sets to draw
+ * @param {number} seed
+ * @returns {Array<Object>} Parameter sets { path: value }
+ */
+export function randomCandidates(space, samples, seed) {
+  const random = createRandom(seed);
+  const draw = (spec) => {
+    const values = listValues(spec);
+    if (values) return values[Math.floor(random() * values.length)];
+    const value = spec.min + random() * (spec.max - spec.min);
+    return spec.integer ? Math.round(value) : round(value, 4);
+  };
+
+  const sets = new Map();
+  for (let attempt = 0; sets.size < samples && attempt < samples * 20; attempt++) {
+    const set = Object.fromEntries(Object.entries(space).map(([path, spec]) => [path, draw(spec)]));
+    sets.set(JSON.stringify(set), set);
+  }
+  return [...sets.values()];
+}
+
+/**
+ * Turns a parameter set into backtest overrides on top of shared base overrides.
+ * Nested strategy/workflow/sizing objects start from their configured values, since
+ * the backtester merges those sections one level deep.
+ * @param {Object} params - { path: value }
+ * @param {Object} baseOverrides - { strategy, exit, workflow, sizing, harvest }
+ * @returns {Object} Overrides for runBacktest
+ */
+export function toOverrides(params, baseOverrides = {}) {
+  const overrides = JSON.parse(JSON.stringify(baseOverrides));
+  for (const [path, value] of Object.entries(params)) {
+    const [section, ...keys] = path.split('.');
+    let target = overrides[section] = overrides[section] || {};
+    keys.slice(0, -1).forEach((key, i) => {
+      if (!target[key]) {
+        const base = section === 'exit' ? {} : getPath(SECTION_BASES[section], keys.slice(0, i + 1));
+        target[key] = JSON.parse(JSON.stringify(base));
+      }
+      target = target[key];
+    });
+    target[keys[keys.length - 1]] = value;
+  }
+  return overrides;
+}
+
+/**
+ * Splits a period into walk-forward training and test windows.
+ * @param {Date} start
+ * @param {Date} end
+ * @param {number} folds
+ * @param {boolean} anchored - Training windows all start at `start`
+ * @returns {Array<Object>} [{ train: { start, end }, test: { start, end } }]
+ */
+export function walkForwardWindows(start, end, folds, anchored = true) {
+  if (folds <= 0) return [];
+  const segmentMs = (end.getTime() - start.getTime()) / (folds + 1);
+  const at = (i) => new Date(start.getTime() + segmentMs * i);
+  return Array.from({ length: folds }, (_, i) => ({
+    train: { start: anchored ? start : at(i), end: at(i + 1) },
+    test: { start: at(i + 1), end: at(i + 2) }
+  }));
+}
+
+const toMetrics = (summary) => ({
+  returnPct: summary.returnPct,
+  annualizedReturnPct: summary.days > 0 ? round((summary.returnPct / summary.days) * 365) : 0,
+  maxDrawdownPct: summary.maxDrawdownPct,
+  sharpeRatio: summary.sharpeRatio,
+  trades: summary.trades,
+  winRate: summary.winRate,
+  days: summary.days
+});
+
+/**
+ * Orders evaluated sets best first: sets with at least minTrades trades by objective,
+ * then return, then lower drawdown.
+ * @param {Array<Object>} results - [{ params, metrics }]
+ * @param {string} objective
+ * @param {number} minTrades
+ * @returns {Array<Object>} [{ params, metrics, score }]
+ */
+export function rankResults(results, objective = OPTIMIZER_CONFIG.objective, minTrades = OPTIMIZER_CONFIG.minTrades) {
+  return results
+    .map(result => ({ ...result, score: round(OBJECTIVES[objective](result.metrics), 4) }))
+    .sort((a, b) =>
+      (b.metrics.trades >= minTrades) - (a.metrics.trades >= minTrades) ||
+      b.score - a.score ||
+      b.metrics.returnPct - a.metrics.returnPct ||
+      a.metrics.maxDrawdownPct - b.metrics.maxDrawdownPct
+    );
+}
+
+export class Optimizer {
+
+  /**
+   * @param {Object} options
+   * @param {Function} options.history - ({ since, until }) => frames, e.g. a loadHistory wrapper
+   * @param {Object} options.space - Parameter space
+   * @param {Object} options.baseOverrides - Overrides shared by every set
+   * @param {Function} options.onProgress - Called with { done, total } after each backtest
+   *   Remaining options default to OPTIMIZER_CONFIG (method, samples, seed, objective,
+   *   minTrades, folds, anchored, maxRuns, top).
+   */
+  constructor({ history, space, baseOverrides = {}, onProgress = () => {}, ...options }) {
+    this.history = history;
+    this.space = space;
+    this.baseOverrides = baseOverrides;
+    this.onProgress = onProgress;
+    this.options = { ...OPTIMIZER_CONFIG, seed: Date.now() % 2 ** 32, ...options };
+  }
+
+  candidates() {
+    const { method, samples, seed } = this.options;
+    return method === 'random' ? randomCandidates(this.space, samples, seed) : gridCandidates(this.space);
+  }
+
+  // First and last frame time of the selected history
+  async period() {
+    let start = null;
+    let end = null;
+    let frames = 0;
+    for await (const frame of this.history({})) {
+      start = start || frame.timestamp;
+      end = frame.timestamp;
+      frames++;
+    }
+    return { start, end, frames };
+  }
+
+  async evaluate(params, { since, until, tradeFrom } = {}) {
+    const { summary } = await runBacktest(this.history({ since, until }), toOverrides(params, this.baseOverrides), { tradeFrom });
+    this.done++;
+    this.onProgress({ done: this.done, total: this.total });
+    return { params, metrics: toMetrics(summary) };
+  }
+
+  async rank(candidates, range) {
+    const results = [];
+    for (const params of candidates) {
+      results.push(await this.evaluate(params, range));
+    }
+    return rankResults(results, this.options.objective, this.options.minTrades);
+  }
+
+  /**
+   * Runs the sweep and the walk-forward validation.
+   * @returns {Promise<Object>} { method, objective, seed, period, candidates, runs, baseline,
+   *                              ranked, walkForward, recommended }
+   */
+  async run() {
+    const { method, objective, folds, anchored, maxRuns, top, seed } = this.options;
+    if (!OPTIMIZATION_METHODS.includes(method)) throw new Error(`Unknown method "${method}" (expected one of: ${OPTIMIZATION_METHODS.join(', ')})`);
+    if (!OBJECTIVES[objective]) throw new Error(`Unknown objective "${objective}" (expected one of: ${Object.keys(OBJECTIVES).join(', ')})`);
+    const spaceError = validateSpace(this.space, method);
+    if (spaceError) throw new Error(spaceError);
+    const overridesError = validateOverrides(this.baseOverrides);
+    if (overridesError) throw new Error(overridesError);
+
+    const candidates = this.candidates();
+    const period = await this.period();
+    if (period.frames < 2) throw new Error('Not enough historical frames for the selected source and period');
+
+    const windows = walkForwardWindows(period.start, period.end, folds, anchored);
+    this.total = candidates.length + 1 + windows.length * (candidates.length + 2);
+    this.done = 0;
+    if (this.total > maxRuns) {
+      throw new Error(`The sweep needs ${this.total} backtests, above maxRuns ${maxRuns}; narrow the space, use random search or fewer folds`);
+    }
+    logger.info(`🔬 Optimizing ${candidates.length} parameter sets (${method}, ${objective}) over ${period.frames} frames, ${windows.length} walk-forward folds`);
+
+    const baseline = await this.evaluate({});
+    const ranked = await this.rank(candidates, {});
+
+    const foldResults = [];
+    for (const window of windows) {
+      const train = { since: window.train.start, until: window.train.end };
+      const trainRanked = await this.rank(candidates, train);
+      const best = trainRanked[0];
+      const test = { since: window.train.start, until: window.test.end, tradeFrom: window.test.start };
+      const tested = await this.evaluate(best.params, test);
+      const testBaseline = await this.evaluate({}, test);
+      foldResults.push({
+        train: window.train,
+        test: window.test,
+        params: best.params,
+        trainMetrics: best.metrics,
+        testMetrics: tested.metrics,
+        baselineMetrics: testBaseline.metrics
+      });
+    }
+
+    return {
+      method,
+      objective,
+      seed: method === 'random' ? seed : null,
+      period,
+      candidates: candidates.length,
+      runs: this.done,
+      baseline: baseline.metrics,
+      ranked: ranked.slice(0, top),
+      walkForward: foldResults.length ? summarizeWalkForward(foldResults) : null,
+      recommended: { params: ranked[0].params, overrides: toOverrides(ranked[0].params, this.baseOverrides) }
+    };
+  }
+}
+
+// Out-of-sample totals across folds, against the unchanged config on the same windows
+function summarizeWalkForward(folds) {
+  const compound = (key) => round((folds.reduce((growth, f) => growth * (1 + f[key].returnPct / 100), 1) - 1) * 100);
+  const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+  const trainAnnualized = mean(folds.map(f => f.trainMetrics.annualizedReturnPct));
+  const testAnnualized = mean(folds.map(f => f.testMetrics.annualizedReturnPct));
+  const chosen = new Set(folds.map(f => JSON.stringify(f.params)));
+
+  return {
+    folds,
+    outOfSampleReturnPct: compound('testMetrics'),
+    baselineReturnPct: compound('baselineMetrics'),
+    avgSharpeRatio: round(mean(folds.map(f => f.testMetrics.sharpeRatio))),
+    baselineAvgSharpeRatio: round(mean(folds.map(f => f.baselineMetrics.sharpeRatio))),
+    maxDrawdownPct: Math.max(...folds.map(f => f.testMetrics.maxDrawdownPct)),
+    // Out-of-sample over in-sample annualized return; well below 1 suggests overfitting
+    efficiency: trainAnnualized > 0 ? round(testAnnualized / trainAnnualized) : null,
+    distinctSelections: chosen.size
+  };
+}
+
+/**
+ * Runs a parameter sweep.
+ * @param {Object} options - See Optimizer
+ * @returns {Promise<Object>}
+ */
+export async function optimize(options) {
+  return new Optimizer(options).run();
+}
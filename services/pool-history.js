@@ -0,0 +1,163 @@
+/**
+ * ===================================================================================
+ * Pool History Ingestion & Metrics (services/pool-history.js)
+ * ===================================================================================
+ *
+ * Description:
+ * Pulls the daily APY/TVL chart of watchlist candidates from the data source,
+ * stores it in PoolChartPoint and derives our own history metrics from it:
+ *
+ *   apyVolatility      - std dev of day-over-day APY changes (rolling window)
+ *   apyHalfLifeDays    - days for APY to halve, from an exponential fit (null if not decaying)
+ *   tvlTrendPctPerDay  - linear TVL slope relative to the mean TVL
+ *
+ * Incentive pools often have only a few days of history, which the upstream
+ * sigma field does not capture well; these metrics are computed from whatever
+ * history exists and feed calculateRiskScore and calculateProfitPotential.
+ *
+ * ===================================================================================
+ */
+
+import { POOL_HISTORY_CONFIG, CONFIG_HELPERS } from '../config.js';
+import logger from '../logger.js';
+import { dbService } from './database.js';
+import { getDataSource } from './data-sources/index.js';
+import { clock } from './clock.js';
+
+const DAY_MS = CONFIG_HELPERS.daysToMs(1);
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+function stdDev(values) {
+  if (values.length < 2) return null;
+  const avg = mean(values);
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - avg) ** 2, 0) / (values.length - 1));
+}
+
+// Least-squares slope of y over x
+export function slope(xs, ys) {
+  const xAvg = mean(xs);
+  const yAvg = mean(ys);
+  const denominator = xs.reduce((sum, x) => sum + (x - xAvg) ** 2, 0);
+  if (denominator === 0) return null;
+  return xs.reduce((sum, x, i) => sum + (x - xAvg) * (ys[i] - yAvg), 0) / denominator;
+}
+
+const withinDays = (points, days) => {
+  const cutoff = points[points.length - 1].timestamp.getTime() - days * DAY_MS;
+  return points.filter(p => p.timestamp.getTime() >= cutoff);
+};
+
+/**
+ * Computes volatility, APY half-life and TVL trend from chart points.
+ * @param {Array} points - [{ timestamp, apy, tvlUsd }] in any order
+ * @param {Object} options - Overrides for POOL_HISTORY_CONFIG
+ * @returns {Object|null} History metrics, or null when there are too few points
+ */
+export function computeHistoryMetrics(points, options = {}) {
+  const { volatilityWindowDays, trendWindowDays, minPoints } = { ...POOL_HISTORY_CONFIG, ...options };
+
+  const series = points
+    .filter(p => p.apy !== null && p.apy !== undefined)
+    .map(p => ({ ...p, timestamp: new Date(p.timestamp) }))
+    .sort((a, b) => a.timestamp - b.timestamp);
+  if (series.length < minPoints) return null;
+
+  const volatilityWindow = withinDays(series, volatilityWindowDays);
+  const apyChanges = volatilityWindow.slice(1).map((p, i) => p.apy - volatilityWindow[i].apy);
+
+  const trendWindow = withinDays(series, trendWindowDays);
+  const start = trendWindow[0].timestamp.getTime();
+  const dayOf = (p) => (p.timestamp.getTime() - start) / DAY_MS;
+
+  // Exponential fit: ln(apy) = a + k * t, half-life = ln 2 / -k when APY is decaying
+  const positiveApy = trendWindow.filter(p => p.apy > 0);
+  const decayRate = positiveApy.length >= minPoints
+    ? slope(positiveApy.map(dayOf), positiveApy.map(p => Math.log(p.apy)))
+    : null;
+
+  const withTvl = trendWindow.filter(p => p.tvlUsd !== null && p.tvlUsd !== undefined);
+  const tvlSlope = withTvl.length >= minPoints ? slope(withTvl.map(dayOf), withTvl.map(p => p.tvlUsd)) : null;
+  const tvlMean = withTvl.length ? mean(withTvl.map(p => p.tvlUsd)) : 0;
+
+  return {
+    points: series.length,
+    historyDays: (series[series.length - 1].timestamp - series[0].timestamp) / DAY_MS,
+    apyVolatility: stdDev(apyChanges),
+    apyHalfLifeDays: decayRate !== null && decayRate < 0 ? Math.LN2 / -decayRate : null,
+    tvlTrendPctPerDay: tvlSlope !== null && tvlMean > 0 ? (tvlSlope / tvlMean) * 100 : null
+  };
+}
+
+export class PoolHistoryService {
+
+  constructor(source = getDataSource(), options = POOL_HISTORY_CONFIG) {
+    this.source = source;
+    this.options = options;
+    this.lastAttempt = new Map(); // poolId -> timestamp of the last ingestion attempt
+  }
+
+  get supported() {
+    return typeof this.source.fetchPoolChart === 'function';
+  }
+
+  /**
+   * Fetches and stores the chart of each pool not ingested within refreshAfterMs.
+   * @param {Array<string>} poolIds - Candidate pool ids
+   * @returns {Promise<Object>} { ingested, points, skipped, failed }
+   */
+  async ingest(poolIds) {
+    const stats = { ingested: 0, points: 0, skipped: 0, failed: 0 };
+    if (!this.supported) return stats;
+
+    const { maxPoolsPerCycle, refreshAfterMs, lookbackDays } = this.options;
+    const now = clock.now();
+    const ingestedAt = await dbService.getPoolChartIngestedAt(poolIds);
+    const isRecent = (time) => time && now - new Date(time).getTime() < refreshAfterMs;
+
+    const due = poolIds.filter(id => !isRecent(ingestedAt.get(id)) && !isRecent(this.lastAttempt.get(id)));
+    stats.skipped = poolIds.length - Math.min(due.length, maxPoolsPerCycle);
+
+    for (const poolId of due.slice(0, maxPoolsPerCycle)) {
+      this.lastAttempt.set(poolId, now);
+      try {
+        const cutoff = now - lookbackDays * DAY_MS;
+        const points = (await this.source.fetchPoolChart(poolId)).filter(p => p.timestamp.getTime() >= cutoff);
+        stats.points += await dbService.addPoolChartPoints(poolId, points, this.source.name);
+        stats.ingested++;
+      } catch (error) {
+        logger.warn(`Could not ingest chart for ${poolId}: ${error.message}`);
+        stats.failed++;
+      }
+    }
+
+    return stats;
+  }
+
+  /**
+   * Computes history metrics for a pool from its stored chart.
+   * @param {string} poolId
+   * @returns {Promise<Object|null>}
+   */
+  async getMetrics(poolId) {
+    const { volatilityWindowDays, trendWindowDays } = this.options;
+    const since = clock.now() - Math.max(volatilityWindowDays, trendWindowDays) * DAY_MS;
+    const points = await dbService.getPoolChart(poolId, { since });
+    return computeHistoryMetrics(points, this.options);
+  }
+
+  /**
+   * Returns copies of the pools with their history metrics attached as `history`.
+   * @param {Array} pools - Normalized pool objects
+   * @returns {Promise<Array>}
+   */
+  async attachMetrics(pools) {
+    return Promise.all(pools.map(async pool => ({
+      ...pool,
+      history: await this.getMetrics(pool.pool)
+    })));
+  }
+}
+
+// Export singleton instance using the configured primary source
+export const poolHistory = new PoolHistoryService();
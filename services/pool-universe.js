@@ -0,0 +1,110 @@
+/**
+ * ===================================================================================
+ * Pool Universe Cache (services/pool-universe.js)
+ * ===================================================================================
+ *
+ * Description:
+ * Shares one download of the full pool list between every consumer in a cycle or
+ * API request. The universe is indexed by pool id and address, expires after a TTL,
+ * coalesces concurrent loads into a single upstream request and can be invalidated
+ * explicitly (the workflow does so at the start of every cycle). A load still in
+ * flight when the universe is invalidated is discarded, not served to later callers.
+ *
+ * It implements the same interface as a data-source adapter, so it can be passed
+ * anywhere a source is expected.
+ *
+ * ===================================================================================
+ */
+
+import { DATA_SOURCE_CONFIG } from '../config.js';
+import { getDataSource } from './data-sources/index.js';
+
+const indexPools = (pools) => {
+  const index = new Map();
+  pools.forEach(pool => {
+    index.set(pool.pool, pool);
+    if (pool.address && !index.has(pool.address)) index.set(pool.address, pool);
+  });
+  return index;
+};
+
+export class PoolUniverse {
+
+  constructor(source, { ttlMs = DATA_SOURCE_CONFIG.universeTtlMs } = {}) {
+    this.source = source;
+    this.name = source.name;
+    this.ttlMs = ttlMs;
+    this.pools = null;
+    this.index = new Map();
+    this.fetchedAt = 0;
+    this.pending = null;
+    this.generation = 0;
+    this.stats = { fetches: 0, hits: 0, coalesced: 0 };
+  }
+
+  isFresh() {
+    return this.pools !== null && Date.now() - this.fetchedAt < this.ttlMs;
+  }
+
+  async load(generation) {
+    this.stats.fetches++;
+    const pools = await this.source.fetchPools();
+
+    // Only a load started since the last invalidate() may fill the cache
+    if (generation === this.generation) {
+      this.pools = pools;
+      this.index = indexPools(pools);
+      this.fetchedAt = Date.now();
+    }
+    return pools;
+  }
+
+  async fetchPools() {
+    if (this.isFresh()) {
+      this.stats.hits++;
+      return this.pools;
+    }
+
+    if (this.pending) {
+      this.stats.coalesced++;
+      return this.pending;
+    }
+
+    const pending = this.load(this.generation).finally(() => {
+      if (this.pending === pending) this.pending = null;
+    });
+    this.pending = pending;
+    return pending;
+  }
+
+  async fetchPool(poolId) {
+    await this.fetchPools();
+    return this.index.get(poolId) || null;
+  }
+
+  /**
+   * Fixed view of the current universe, so every consumer in a cycle sees the same
+   * pools even if the TTL expires before the cycle ends.
+   * @returns {Promise<Object>} Data-source adapter over the current pools
+   */
+  async snapshot() {
+    const pools = await this.fetchPools();
+    const index = this.pools === pools ? this.index : indexPools(pools);
+    return {
+      name: this.name,
+      fetchPools: async () => pools,
+      fetchPool: async (poolId) => index.get(poolId) || null
+    };
+  }
+
+  invalidate() {
+    this.generation++;
+    this.pending = null;
+    this.pools = null;
+    this.index = new Map();
+    this.fetchedAt = 0;
+  }
+}
+
+// Export singleton instance wrapping the configured primary source
+export const poolUniverse = new PoolUniverse(getDataSource());
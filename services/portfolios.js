@@ -0,0 +1,83 @@
+/**
+ * ===================================================================================
+ * Portfolios (services/portfolios.js)
+ * ===================================================================================
+ *
+ * Description:
+ * A portfolio is one named strategy run by the live workflow: a bankroll and a
+ * settings snapshot ({ strategy, exit, workflow, sizing, harvest, fees, execution }
+ * overrides, the same shape backtests and parameter sweeps use), owning its positions,
+ * watchlist, fee ledger and per-cycle results. Every active portfolio trades the same
+ * pool data each cycle, so portfolios differ only by their settings.
+ *
+ * The default portfolio (PORTFOLIO_CONFIG.defaultName) runs config.js unchanged. It
+ * is created on first start and adopts the positions and watchlist recorded before
+ * portfolios existed.
+ *
+ * ===================================================================================
+ */
+
+import { dbService } from './database.js';
+import { resolveSettings } from './workflow-rules.js';
+import { PORTFOLIO_CONFIG, SIZING_CONFIG } from '../config.js';
+
+export class PortfolioService {
+
+  constructor(db = dbService) {
+    this.db = db;
+  }
+
+  /**
+   * Creates the default portfolio if needed and hands it the unassigned rows.
+   * @returns {Promise<Object>} The default portfolio
+   */
+  async ensureDefault() {
+    let portfolio = await this.db.getPortfolioByName(PORTFOLIO_CONFIG.defaultName);
+    if (!portfolio) {
+      portfolio = await this.db.createPortfolio({
+        name: PORTFOLIO_CONFIG.defaultName,
+        description: 'Runs config.js without overrides',
+        bankrollUsd: SIZING_CONFIG.bankrollUsd,
+        config: {}
+      });
+    }
+    const adopted = await this.db.adoptUnassignedRows(portfolio.id);
+    return { ...portfolio, adopted };
+  }
+
+  async getActive() {
+    return this.db.getPortfolios({ status: 'active' });
+  }
+
+  /**
+   * Looks a portfolio up by id or name; no reference means the default portfolio.
+   * @param {string|number|null} ref
+   * @returns {Promise<Object|null>}
+   */
+  async resolve(ref = null) {
+    if (ref === null || ref === undefined || ref === '') {
+      return this.db.getPortfolioByName(PORTFOLIO_CONFIG.defaultName);
+    }
+    const id = Number(ref);
+    if (Number.isInteger(id) && String(id) === String(ref)) {
+      return this.db.getPortfolio(id);
+    }
+    return this.db.getPortfolioByName(String(ref));
+  }
+
+  /**
+   * Resolves a portfolio's overrides against config.js; its bankroll sizes positions.
+   * @param {Object} portfolio
+   * @returns {Object} resolveSettings() output
+   */
+  settings(portfolio) {
+    const overrides = portfolio.config || {};
+    return resolveSettings({
+      ...overrides,
+      sizing: { ...overrides.sizing, bankrollUsd: portfolio.bankrollUsd }
+    });
+  }
+}
+
+// Export singleton instance
+export const portfolios = new PortfolioService();
@@ -0,0 +1,98 @@
+/**
+ * ===================================================================================
+ * Position Execution (services/position-execution.js)
+ * ===================================================================================
+ *
+ * Description:
+ * Runs position opens and closes through their executor (services/executors) and
+ * stores every attempt as an Execution row, so the workflow's entries, exits and
+ * rebalances and the API's manual exits handle failures the same way:
+ *
+ *   open   a failed open is stored with its portfolio and pool (it has no position)
+ *          and logged; a filled one is returned for addPosition to store
+ *   close  every attempt is stored on the position; a failed one is logged and the
+ *          position stays active until a retry fills. Executors resume a close that
+ *          failed part-way instead of repeating the steps that landed.
+ *
+ * ===================================================================================
+ */
+
+import logger from '../logger.js';
+import { dbService } from './database.js';
+import { getExecutor } from './executors/index.js';
+
+/**
+ * Whether the position's latest attempt is a failed close, which has to be finished
+ * whatever the exit rules say now (it may already have withdrawn the liquidity).
+ * @param {Object} position - Position with its executions, oldest first
+ * @returns {boolean}
+ */
+export function hasPendingClose(position) {
+  const last = (position.executions || []).at(-1);
+  return last?.side === 'close' && last.status === 'failed';
+}
+
+export class PositionExecutionService {
+
+  /**
+   * @param {Object} db - Database service
+   * @param {Function} executorFor - Returns the executor for a name (services/executors getExecutor)
+   */
+  constructor(db = dbService, executorFor = getExecutor) {
+    this.db = db;
+    this.executorFor = executorFor;
+  }
+
+  /**
+   * Opens a position in a pool.
+   * @param {number|null} cycleId
+   * @param {Object} pool - Pool being entered
+   * @param {Object} options - { portfolioId, executor, principalUsd, prices }
+   * @returns {Promise<Object>} Execution, stored here only when it failed
+   */
+  async open(cycleId, pool, { portfolioId, executor, principalUsd, prices }) {
+    const execution = await this.executorFor(executor).open(pool, { principalUsd, prices });
+    if (execution.status !== 'filled') {
+      logger.error(`❌ ${execution.executor} open of ${pool.symbol} failed: ${execution.error}`);
+      await this.db.addExecution(cycleId, { portfolioId, poolId: pool.pool, symbol: pool.symbol }, execution);
+      await this.db.addLog(cycleId, 'error', `Entry execution failed: ${pool.symbol}`, {
+        poolId: pool.pool,
+        executor: execution.executor,
+        amountUsd: execution.amountUsd,
+        signatures: execution.signatures,
+        error: execution.error
+      }, { portfolioId });
+    }
+    return execution;
+  }
+
+  /**
+   * Closes a position through the executor that opened it.
+   * @param {number|null} cycleId
+   * @param {Object} position - Active position with its executions
+   * @param {Object} options - { valueUsd, prices }
+   * @returns {Promise<Object>} Execution, stored on the position
+   */
+  async close(cycleId, position, { valueUsd, prices }) {
+    const execution = await this.executorFor(position.executor).close(position, { valueUsd, prices });
+    await this.db.addExecution(cycleId, {
+      positionId: position.id,
+      portfolioId: position.portfolioId,
+      poolId: position.poolId,
+      symbol: position.symbol
+    }, execution);
+    if (execution.status !== 'filled') {
+      logger.error(`❌ ${execution.executor} close of ${position.symbol} failed: ${execution.error}`);
+      await this.db.addLog(cycleId, 'error', `Exit execution failed: ${position.symbol}`, {
+        poolId: position.poolId,
+        executor: execution.executor,
+        signatures: execution.signatures,
+        error: execution.error
+      }, { portfolioId: position.portfolioId });
+    }
+    return execution;
+  }
+}
+
+// Export singleton instance
+export const positionExecution = new PositionExecutionService();
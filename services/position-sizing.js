@@ -0,0 +1,80 @@
+/**
+ * ===================================================================================
+ * Position Sizing (services/position-sizing.js)
+ * ===================================================================================
+ *
+ * Description:
+ * Decides how much of the bankroll goes into a new position. Policies are pluggable
+ * and registered in SIZING_POLICIES; each returns a raw USD amount which is then
+ * capped at maxPositionPct of the bankroll and at the capital still available.
+ *
+ *   equal            - bankroll / maxPositions for every pool
+ *   inverseRisk      - equal size x referenceRisk / riskScore
+ *   volatilityTarget - equal size x targetSigma / APY volatility
+ *   kelly            - fractional Kelly bet from the expected hold-period return
+ *                      against a loss event whose probability grows with risk
+ *
+ * ===================================================================================
+ */
+
+import { SIZING_CONFIG, STRATEGY_CONFIG, RISK_MODEL_CONFIG, TIMING_CONFIG, CONFIG_HELPERS } from '../config.js';
+import { expectedHoldApy } from '../functional_strategy.js';
+
+const equalSize = ({ bankrollUsd, maxPositions }) => bankrollUsd / maxPositions;
+
+export const SIZING_POLICIES = {
+  equal: (pool, context) => equalSize(context),
+
+  inverseRisk: (pool, context) => {
+    const { referenceRisk } = context.options.inverseRisk;
+    return equalSize(context) * referenceRisk / Math.max(pool.riskScore ?? referenceRisk, 1);
+  },
+
+  volatilityTarget: (pool, context) => {
+    const { targetSigma, minSigma } = context.options.volatilityTarget;
+    const sigma = pool.history?.apyVolatility ?? pool.sigma;
+    if (sigma === null || sigma === undefined) return equalSize(context);
+    return equalSize(context) * targetSigma / Math.max(sigma, minSigma);
+  },
+
+  kelly: (pool, context) => {
+    const { fraction, annualLossProbability, lossFraction } = context.options.kelly;
+    const holdDays = (context.options.holdDurationMs ?? TIMING_CONFIG.holdDurationMs) / CONFIG_HELPERS.daysToMs(1);
+
+    // Win: earn the expected APY over the hold. Loss: lose lossFraction of principal.
+    const gain = (expectedHoldApy(pool, holdDays) / 100) * (holdDays / 365);
+    const riskRatio = Math.min((pool.riskScore ?? RISK_MODEL_CONFIG.maxScore) / RISK_MODEL_CONFIG.maxScore, 1);
+    const lossProbability = Math.min(annualLossProbability * riskRatio * (holdDays / 365), 1);
+    if (gain <= 0) return 0;
+
+    // Kelly for a two-outcome bet: f* = (p * b - q * L) / (b * L)
+    const kellyFraction = ((1 - lossProbability) * gain - lossProbability * lossFraction) / (gain * lossFraction);
+    return Math.max(kellyFraction, 0) * fraction * context.bankrollUsd;
+  }
+};
+
+/**
+ * Sizes a new position with the configured policy.
+ * @param {Object} pool - Enriched pool (riskScore, history)
+ * @param {Object} portfolio - { investedUsd } capital already committed to active positions
+ * @param {Object} options - SIZING_CONFIG overrides, plus the portfolio's holdDurationMs for kelly
+ * @returns {Object} { principalUsd, policy, rawUsd } with principalUsd 0 when the pool should be skipped
+ */
+export function sizePosition(pool, { investedUsd = 0 } = {}, options = SIZING_CONFIG) {
+  const policy = SIZING_POLICIES[options.policy];
+  if (!policy) {
+    throw new Error(`Unknown sizing policy "${options.policy}" (expected one of: ${Object.keys(SIZING_POLICIES).join(', ')})`);
+  }
+
+  const context = {
+    bankrollUsd: options.bankrollUsd,
+    maxPositions: options.maxPositions || STRATEGY_CONFIG.maxPositions,
+    options
+  };
+  const rawUsd = policy(pool, context);
+  const availableUsd = Math.max(options.bankrollUsd - investedUsd, 0);
+  const capped = Math.min(rawUsd, options.bankrollUsd * (options.maxPositionPct / 100), availableUsd);
+  const principalUsd = capped >= options.minPositionUsd ? Math.round(capped * 100) / 100 : 0;
+
+  return { principalUsd, policy: options.policy, rawUsd };
+}
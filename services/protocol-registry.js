@@ -0,0 +1,60 @@
+/**
+ * ===================================================================================
+ * Protocol Registry (services/protocol-registry.js)
+ * ===================================================================================
+ *
+ * Description:
+ * In-memory view of the Protocol table, keyed by DeFiLlama `project`. The workflow
+ * refreshes it at the start of every cycle so a protocol quarantined through the
+ * API (status "denied") is filtered out of new entries and exited on the next cycle.
+ *
+ * Lookups are synchronous so the strategy functions stay pure:
+ *   lookup(project) -> registry entry, null when the project is not registered,
+ *                      undefined while the registry has not been loaded
+ *   isBlocked(project) -> true when the project may not be entered
+ *
+ * ===================================================================================
+ */
+
+import { PROTOCOL_CONFIG } from '../config.js';
+import { dbService } from './database.js';
+
+export class ProtocolRegistry {
+
+  constructor(options = PROTOCOL_CONFIG) {
+    this.options = options;
+    this.protocols = new Map();
+    this.loadedAt = null;
+  }
+
+  async refresh() {
+    const protocols = await dbService.getProtocols();
+    this.protocols = new Map(protocols.map(p => [p.project, p]));
+    this.loadedAt = new Date();
+    return this.protocols.size;
+  }
+
+  lookup(project) {
+    if (!this.loadedAt) return undefined;
+    return this.protocols.get(project) || null;
+  }
+
+  /**
+   * Returns why a project may not be entered, or null when it may.
+   * @param {string} project - DeFiLlama project slug
+   * @returns {string|null}
+   */
+  blockReason(project) {
+    const protocol = this.lookup(project);
+    if (protocol?.status === 'denied') return 'Protocol denied';
+    if (protocol === null && this.options.allowlistOnly) return 'Protocol not on allowlist';
+    return null;
+  }
+
+  isBlocked(project) {
+    return this.blockReason(project) !== null;
+  }
+}
+
+// Export singleton instance
+export const protocolRegistry = new ProtocolRegistry();
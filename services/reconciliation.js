@@ -0,0 +1,223 @@
+/**
+ * ===================================================================================
+ * Wallet Reconciliation (services/reconciliation.js)
+ * ===================================================================================
+ *
+ * Description:
+ * Checks that the wallet the executors sign with holds what the database says it
+ * should. Every active position opened on chain (any executor but paper) expects the
+ * wallet holdings its filled open recorded (Execution.fill.holdings: [{ mint, amount }],
+ * e.g. the Whirlpool position NFT). The wallet's SPL token balances are read with
+ * @solana/web3.js and matched by mint:
+ *
+ *   matched    the wallet holds the expected amount, within tolerancePct
+ *   mismatch   it holds the token in a different amount
+ *   missing    it holds none of it, or the position has no filled open to expect from
+ *   working    a balance of a token the executors trade with: the funding token (SOL)
+ *              and every token recorded in an execution's fill, e.g. the pair token
+ *              left over from a swap. Listed, but not counted as drift.
+ *   orphan     any other balance no active position accounts for: manual deposits,
+ *              airdropped rewards, position tokens of positions exited in the database only
+ *
+ * Positions in the same pool (the same pair traded by several portfolios) are matched
+ * on their combined amount. Paper positions hold nothing and are not checked.
+ *
+ * ===================================================================================
+ */
+
+import fs from 'fs';
+import os from 'os';
+import { dbService } from './database.js';
+import { EXECUTION_CONFIG, RECONCILIATION_CONFIG } from '../config.js';
+
+const round = (value, digits = 6) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const expandHome = (filePath) => (filePath.startsWith('~/') ? `${os.homedir()}${filePath.slice(1)}` : filePath);
+
+// Token mints an execution's fill swapped, deposited or withdrawn
+const fillMints = (fill) => [...(fill?.tokens || []), ...(fill?.withdrawn || [])].map(t => t.token).filter(Boolean);
+
+const positionRef = (position) => ({
+  id: position.id,
+  portfolioId: position.portfolioId,
+  poolId: position.poolId,
+  symbol: position.symbol,
+  executor: position.executor
+});
+
+/**
+ * Whether the wallet is reconciled: as RECONCILE says when it is set, otherwise
+ * whenever an active portfolio trades with an on-chain executor or an active position
+ * was opened with one (e.g. before its portfolio switched back to paper).
+ * @param {Array} executors - Executor names of the active portfolios
+ * @param {Array} positions - Active positions
+ * @param {Object} options - RECONCILIATION_CONFIG
+ * @returns {boolean}
+ */
+export function shouldReconcile(executors, positions, options = RECONCILIATION_CONFIG) {
+  if (options.enabled !== null) return options.enabled;
+  return executors.some(name => name !== 'paper') || positions.some(p => (p.executor || 'paper') !== 'paper');
+}
+
+/**
+ * Matches wallet balances against the holdings of active positions.
+ * @param {Array} positions - Active positions with their executions
+ * @param {Array} holdings - Wallet balances [{ mint, amount, decimals }] in token units
+ * @param {Object} options - RECONCILIATION_CONFIG
+ * @returns {Object} { status, positions: { checked, paper }, matched, mismatches, missing, working, orphans }
+ */
+export function reconcileHoldings(positions, holdings, options = RECONCILIATION_CONFIG) {
+  const onChain = positions.filter(p => (p.executor || 'paper') !== 'paper');
+  const expected = new Map();
+  const missing = [];
+
+  for (const position of onChain) {
+    const opened = (position.executions || []).find(e => e.side === 'open' && e.status === 'filled');
+    const holdings = (opened?.fill?.holdings || []).filter(h => h.amount > 0);
+    if (!holdings.length) {
+      missing.push({ mint: null, expected: null, actual: null, positions: [positionRef(position)], reason: 'No filled open with wallet holdings recorded' });
+      continue;
+    }
+    for (const holding of holdings) {
+      const entry = expected.get(holding.mint) || { mint: holding.mint, expected: 0, positions: [] };
+      entry.expected += holding.amount;
+      entry.positions.push(positionRef(position));
+      expected.set(holding.mint, entry);
+    }
+  }
+
+  const balances = new Map(holdings.filter(h => h.amount > options.dustAmount).map(h => [h.mint, h]));
+  const matched = [];
+  const mismatches = [];
+
+  for (const entry of expected.values()) {
+    const actual = balances.get(entry.mint)?.amount ?? 0;
+    balances.delete(entry.mint);
+    const row = { ...entry, expected: round(entry.expected), actual: round(actual), difference: round(actual - entry.expected) };
+    const differencePct = round(((actual - entry.expected) / entry.expected) * 100, 2);
+
+    if (actual <= options.dustAmount) {
+      missing.push({ ...row, reason: 'Not in wallet' });
+    } else if (Math.abs(differencePct) > options.tolerancePct) {
+      mismatches.push({ ...row, differencePct });
+    } else {
+      matched.push(row);
+    }
+  }
+
+  const tradedMints = new Set([...options.workingMints, ...positions.flatMap(p => (p.executions || []).flatMap(e => fillMints(e.fill)))]);
+  const unexpected = [...balances.values()]
+    .filter(h => !options.ignoreMints.includes(h.mint))
+    .map(h => ({ mint: h.mint, amount: round(h.amount), decimals: h.decimals }));
+  const working = unexpected.filter(h => tradedMints.has(h.mint));
+  const orphans = unexpected.filter(h => !tradedMints.has(h.mint));
+
+  return {
+    status: mismatches.length || missing.length || orphans.length ? 'drift' : 'ok',
+    positions: { checked: onChain.length, paper: positions.length - onChain.length },
+    matched,
+    mismatches,
+    missing,
+    working,
+    orphans
+  };
+}
+
+export class ReconciliationService {
+
+  /**
+   * @param {Object} db - Database service
+   * @param {Object} options - Overrides for RECONCILIATION_CONFIG, plus rpcUrl and keypairPath
+   */
+  constructor(db = dbService, options = {}) {
+    this.db = db;
+    this.settings = {
+      ...RECONCILIATION_CONFIG,
+      rpcUrl: EXECUTION_CONFIG.orca.rpcUrl,
+      commitment: EXECUTION_CONFIG.orca.commitment,
+      keypairPath: EXECUTION_CONFIG.orca.keypairPath,
+      ...options
+    };
+    this.client = null;
+  }
+
+  // @solana/web3.js is imported on first use, so paper-only setups run without it
+  async connect() {
+    if (this.client) return this.client;
+    const web3 = await import('@solana/web3.js');
+    this.client = { web3, connection: new web3.Connection(this.settings.rpcUrl, this.settings.commitment) };
+    return this.client;
+  }
+
+  /**
+   * Address to reconcile: the configured wallet, or the executor keypair's.
+   * @returns {Promise<string>}
+   */
+  async walletAddress() {
+    if (this.settings.walletAddress) return this.settings.walletAddress;
+    const { web3 } = await this.connect();
+    const secret = JSON.parse(await fs.promises.readFile(expandHome(this.settings.keypairPath), 'utf8'));
+    return web3.Keypair.fromSecretKey(Uint8Array.from(secret)).publicKey.toBase58();
+  }
+
+  /**
+   * SOL and token balances of a wallet, summed per mint over its token accounts.
+   * @param {string} address
+   * @returns {Promise<Object>} { sol, holdings: [{ mint, amount, decimals, accounts }] }
+   */
+  async readWallet(address) {
+    const { web3, connection } = await this.connect();
+    const owner = new web3.PublicKey(address);
+    const byMint = new Map();
+
+    for (const programId of this.settings.tokenPrograms) {
+      const { value } = await connection.getParsedTokenAccountsByOwner(owner, { programId: new web3.PublicKey(programId) });
+      for (const { account } of value) {
+        const { mint, tokenAmount } = account.data.parsed.info;
+        const holding = byMint.get(mint) || { mint, amount: 0, decimals: tokenAmount.decimals, accounts: 0 };
+        holding.amount += Number(tokenAmount.uiAmountString ?? tokenAmount.uiAmount ?? 0);
+        holding.accounts++;
+        byMint.set(mint, holding);
+      }
+    }
+
+    const lamports = await connection.getBalance(owner);
+    return { sol: lamports / web3.LAMPORTS_PER_SOL, holdings: [...byMint.values()] };
+  }
+
+  /**
+   * Reconciles the wallet against all active positions. RPC and keypair errors are
+   * reported with status 'error' instead of thrown.
+   * @param {Object} options - { cycleId, save }
+   * @returns {Promise<Object>} Report: { wallet, rpcUrl, checkedAt, status, sol, holdings, ...reconcileHoldings() }
+   */
+  async run({ cycleId = null, save = true } = {}) {
+    const base = { wallet: this.settings.walletAddress, rpcUrl: this.settings.rpcUrl, checkedAt: new Date().toISOString() };
+    let report;
+    try {
+      const wallet = await this.walletAddress();
+      const [positions, fills, balances] = await Promise.all([
+        this.db.getActivePositions(),
+        this.db.getExecutionFills(),
+        this.readWallet(wallet)
+      ]);
+      // Tokens traded for positions closed since are working balances too
+      const workingMints = [...this.settings.workingMints, ...fills.flatMap(e => fillMints(e.fill))];
+      report = {
+        ...base,
+        wallet,
+        sol: round(balances.sol),
+        ...reconcileHoldings(positions, balances.holdings, { ...this.settings, workingMints }),
+        holdings: balances.holdings
+      };
+    } catch (error) {
+      report = { ...base, wallet: base.wallet || 'unknown', status: 'error', error: error.message };
+    }
+
+    if (save) await this.db.addReconciliation(cycleId, report);
+    return report;
+  }
+}
+
+// Export singleton instance
+export const reconciliation = new ReconciliationService();
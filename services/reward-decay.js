@@ -0,0 +1,146 @@
+/**
+ * ===================================================================================
+ * Reward Token Decay (services/reward-decay.js)
+ * ===================================================================================
+ *
+ * Description:
+ * Incentive APY is quoted at today's reward token price, but reward tokens of new
+ * pools tend to fall quickly after launch. This service records reward token prices
+ * every cycle (RewardTokenPrice) and fits an exponential price trend to them:
+ *
+ *   dailyDecayPct - expected daily price decline, from the slope of ln(price)
+ *
+ * The decay of a pool's reward tokens is used when they have enough history, then
+ * the average over the project's reward tokens, then REWARD_DECAY_CONFIG's default.
+ * It is attached to pools as `rewardDecay` and discounts the reward part of the APY
+ * in expectedHoldApy and simulateInvestment.
+ *
+ * ===================================================================================
+ */
+
+import { REWARD_DECAY_CONFIG, CONFIG_HELPERS } from '../config.js';
+import logger from '../logger.js';
+import { dbService } from './database.js';
+import { slope } from './pool-history.js';
+import { clock } from './clock.js';
+import { tokenPrices, coinKey } from './token-prices.js';
+
+const DAY_MS = CONFIG_HELPERS.daysToMs(1);
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+const hasRewards = (pool) => (pool.apyReward || 0) > 0 && (pool.rewardTokens || []).length > 0;
+
+/**
+ * Fits the daily price decay of one token from its price observations.
+ * @param {Array} observations - [{ timestamp, price }]
+ * @param {Object} options - Overrides for REWARD_DECAY_CONFIG
+ * @returns {number|null} Daily decay in percent (0 when the price is flat or rising), null without enough data
+ */
+export function computeDailyDecayPct(observations, options = {}) {
+  const { minPoints, minSpanHours, maxDailyDecayPct } = { ...REWARD_DECAY_CONFIG, ...options };
+  const points = observations
+    .filter(o => o.price > 0)
+    .map(o => ({ time: new Date(o.timestamp).getTime(), price: o.price }))
+    .sort((a, b) => a.time - b.time);
+  if (points.length < minPoints) return null;
+  if (points[points.length - 1].time - points[0].time < CONFIG_HELPERS.hoursToMs(minSpanHours)) return null;
+
+  const start = points[0].time;
+  const rate = slope(points.map(p => (p.time - start) / DAY_MS), points.map(p => Math.log(p.price)));
+  if (rate === null || rate >= 0) return 0;
+  return Math.min((1 - Math.exp(rate)) * 100, maxDailyDecayPct);
+}
+
+/**
+ * Returns copies of the pools with `rewardDecay` { dailyDecayPct, source } attached,
+ * estimated from reward token price observations. Pools without reward APY are
+ * returned unchanged.
+ * @param {Array} pools - Normalized pool objects
+ * @param {Array} observations - [{ chain, token, project, price, timestamp }]
+ * @param {Object} options - REWARD_DECAY_CONFIG
+ * @returns {Array}
+ */
+export function applyRewardDecay(pools, observations, options = REWARD_DECAY_CONFIG) {
+  // Decay per token, and the tokens seen as rewards of each project
+  const byToken = new Map();
+  const projectTokens = new Map();
+  observations.forEach(o => {
+    const key = coinKey(o.chain, o.token);
+    byToken.set(key, [...(byToken.get(key) || []), o]);
+    projectTokens.set(o.project, new Set([...(projectTokens.get(o.project) || []), key]));
+  });
+  const tokenDecay = new Map([...byToken].map(([key, rows]) => [key, computeDailyDecayPct(rows, options)]));
+  const known = (keys) => keys.map(key => tokenDecay.get(key)).filter(d => d !== null && d !== undefined);
+
+  return pools.map(pool => {
+    if (!hasRewards(pool)) return pool;
+    const tokenRates = known(pool.rewardTokens.map(token => coinKey(pool.chain, token)));
+    const projectRates = known([...(projectTokens.get(pool.project) || [])]);
+
+    const rewardDecay = tokenRates.length
+      ? { dailyDecayPct: mean(tokenRates), source: 'token' }
+      : projectRates.length
+        ? { dailyDecayPct: mean(projectRates), source: 'project' }
+        : { dailyDecayPct: options.defaultDailyDecayPct, source: 'default' };
+    return { ...pool, rewardDecay };
+  });
+}
+
+export class RewardDecayService {
+
+  constructor(prices = tokenPrices, options = REWARD_DECAY_CONFIG) {
+    this.prices = prices;
+    this.options = options;
+  }
+
+  /**
+   * Records the current price of every reward token paid by the pools.
+   * @param {Array} pools - Pools with chain, project and rewardTokens
+   * @returns {Promise<number>} Observations stored
+   */
+  async observe(pools) {
+    const byChain = new Map();
+    pools.filter(hasRewards).forEach(pool => {
+      const entries = byChain.get(pool.chain) || new Map();
+      pool.rewardTokens.forEach(token => entries.set(`${token}|${pool.project}`, { token, project: pool.project }));
+      byChain.set(pool.chain, entries);
+    });
+
+    const observations = [];
+    for (const [chain, entries] of byChain) {
+      const list = [...entries.values()];
+      const prices = await this.prices.getPrices(chain, list.map(e => e.token));
+      list.forEach((entry, i) => {
+        if (prices[i] !== null) observations.push({ chain, ...entry, price: prices[i] });
+      });
+    }
+
+    try {
+      return await dbService.addRewardTokenPrices(observations);
+    } catch (error) {
+      logger.warn(`Could not record reward token prices: ${error.message}`);
+      return 0;
+    }
+  }
+
+  /**
+   * Returns copies of the pools with `rewardDecay` attached from the recorded prices.
+   * @param {Array} pools - Normalized pool objects
+   * @returns {Promise<Array>}
+   */
+  async attachDecay(pools) {
+    const rewarded = pools.filter(hasRewards);
+    if (rewarded.length === 0) return pools;
+
+    const observations = await dbService.getRewardTokenPrices({
+      tokens: [...new Set(rewarded.flatMap(p => p.rewardTokens))],
+      projects: [...new Set(rewarded.map(p => p.project))],
+      since: clock.now() - this.options.lookbackDays * DAY_MS
+    });
+    return applyRewardDecay(pools, observations, this.options);
+  }
+}
+
+// Export singleton instance
+export const rewardDecay = new RewardDecayService();
@@ -0,0 +1,92 @@
+/**
+ * ===================================================================================
+ * Token Prices (services/token-prices.js)
+ * ===================================================================================
+ *
+ * Description:
+ * USD prices of a pool's underlying and reward tokens, used to capture entry prices
+ * on new positions and to value positions later on (price PnL, impermanent loss and
+ * reward accrual at realized prices).
+ * Prices come from the primary data source when it implements fetchTokenPrices,
+ * otherwise from DeFiLlama, and are cached for DATA_SOURCE_CONFIG.priceCacheTtlMs.
+ *
+ * ===================================================================================
+ */
+
+import { DATA_SOURCE_CONFIG } from '../config.js';
+import logger from '../logger.js';
+import { getDataSource } from './data-sources/index.js';
+import { clock } from './clock.js';
+
+export const coinKey = (chain, address) => `${String(chain).toLowerCase()}:${address}`;
+
+function defaultPriceSource() {
+  const primary = getDataSource();
+  return typeof primary.fetchTokenPrices === 'function' ? primary : getDataSource('defillama');
+}
+
+export class TokenPriceService {
+
+  constructor(source = defaultPriceSource(), options = DATA_SOURCE_CONFIG) {
+    this.source = source;
+    this.cacheTtlMs = options.priceCacheTtlMs;
+    this.cache = new Map(); // coinKey -> { price, fetchedAt }
+  }
+
+  /**
+   * Returns USD prices for tokens on a chain, aligned with the input order.
+   * Failures are logged and reported as missing prices rather than thrown.
+   * @param {string} chain - Pool chain (e.g. "Solana")
+   * @param {Array<string>} addresses - Token addresses (pool.underlyingTokens)
+   * @returns {Promise<Array<number|null>>}
+   */
+  async getPrices(chain, addresses = []) {
+    const keys = addresses.map(address => coinKey(chain, address));
+    const now = clock.now();
+    const missing = [...new Set(keys.filter(key => {
+      const cached = this.cache.get(key);
+      return !cached || now - cached.fetchedAt > this.cacheTtlMs;
+    }))];
+
+    if (missing.length > 0) {
+      try {
+        const prices = await this.source.fetchTokenPrices(missing);
+        prices.forEach((price, key) => this.cache.set(key, { price, fetchedAt: now }));
+      } catch (error) {
+        logger.warn(`Could not fetch token prices from ${this.source.name}: ${error.message}`);
+      }
+    }
+
+    return keys.map(key => this.cache.get(key)?.price ?? null);
+  }
+
+  /**
+   * Prices tokens in the shape stored on positions: [{ token, price }].
+   * @param {string} chain - Pool chain
+   * @param {Array<string>} tokens - Token addresses
+   * @returns {Promise<Array|null>} null when there are no tokens or any token has no price
+   */
+  async snapshot(chain, tokens = []) {
+    if (tokens.length === 0) return null;
+    const prices = await this.getPrices(chain, tokens);
+    if (prices.some(price => price === null)) return null;
+    return tokens.map((token, i) => ({ token, price: prices[i] }));
+  }
+
+  /**
+   * Current prices needed to value a position, for calculateYield's exit data.
+   * Only tokens whose entry prices were captured are priced.
+   * @param {Object} position - Position with chain, underlyingTokens and rewardTokens
+   * @returns {Promise<Object>} { prices, rewardPrices }
+   */
+  async positionPrices(position) {
+    const [prices, rewardPrices] = await Promise.all([
+      position.entryPrices ? this.snapshot(position.chain, position.underlyingTokens) : null,
+      position.entryRewardPrices ? this.snapshot(position.chain, position.rewardTokens) : null
+    ]);
+    return { prices, rewardPrices };
+  }
+}
+
+// Export singleton instance
+export const tokenPrices = new TokenPriceService();
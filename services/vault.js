@@ -0,0 +1,231 @@
+/**
+ * ===================================================================================
+ * Vault Share Accounting (services/vault.js)
+ * ===================================================================================
+ *
+ * Description:
+ * Simulates a Beefy-style auto-compounding vault on top of a portfolio. Depositors
+ * own shares of the portfolio instead of individual positions:
+ *
+ *   NAV             = portfolio bankroll + realized and unrealized position returns
+ *                     net of management and performance fees (services/fees.js)
+ *   price per share = NAV / total shares
+ *   deposit         mints amount / PPS shares and adds the amount to the bankroll
+ *   withdraw        burns shares for shares * PPS and takes it out of the bankroll
+ *
+ * Yield accrues to the price per share, so every depositor earns the vault's return
+ * from the moment of their deposit. Positions are not exited to fund withdrawals;
+ * a smaller bankroll only sizes later entries smaller.
+ *
+ * ===================================================================================
+ */
+
+import { dbService } from './database.js';
+import yieldCalculator from '../yield-calculator.js';
+import { VAULT_CONFIG } from '../config.js';
+
+// Share balances below this are treated as zero (floating point dust)
+const SHARE_EPSILON = 1e-9;
+
+const round = (value, decimals = 6) => Number(value.toFixed(decimals));
+
+/**
+ * Price per share of a vault; the initial price while no shares exist.
+ * @param {number} navUsd
+ * @param {number} totalShares
+ * @returns {number}
+ */
+export const pricePerShare = (navUsd, totalShares) =>
+  totalShares > SHARE_EPSILON ? navUsd / totalShares : VAULT_CONFIG.initialPricePerShare;
+
+/**
+ * A depositor's position in the vault, reported the way a vault would.
+ * @param {Object} depositor - VaultDepositor row
+ * @param {number} pps - Current price per share
+ * @returns {Object} { name, shares, valueUsd, depositedUsd, withdrawnUsd, profitUsd, returnPct }
+ */
+export function depositorReturns(depositor, pps) {
+  const valueUsd = depositor.shares * pps;
+  const profitUsd = valueUsd + depositor.withdrawnUsd - depositor.depositedUsd;
+  return {
+    name: depositor.name,
+    shares: round(depositor.shares),
+    valueUsd: round(valueUsd, 2),
+    depositedUsd: round(depositor.depositedUsd, 2),
+    withdrawnUsd: round(depositor.withdrawnUsd, 2),
+    profitUsd: round(profitUsd, 2),
+    returnPct: depositor.depositedUsd > 0 ? round((profitUsd / depositor.depositedUsd) * 100, 4) : 0,
+    since: depositor.createdAt
+  };
+}
+
+export class VaultService {
+
+  constructor(db = dbService) {
+    this.db = db;
+  }
+
+  /**
+   * Looks a vault up by id or name, with its portfolio and depositors.
+   * @param {string|number} ref
+   * @returns {Promise<Object|null>}
+   */
+  async resolve(ref) {
+    const id = Number(ref);
+    if (Number.isInteger(id) && String(id) === String(ref)) {
+      return this.db.getVault(id);
+    }
+    return this.db.getVaultByName(String(ref));
+  }
+
+  /**
+   * NAV of a vault's portfolio from the returns of all its positions.
+   * @param {Object} portfolio
+   * @param {number} totalReturns - Realized plus unrealized returns net of fees (calculatePortfolioYield)
+   * @param {number} totalShares
+   * @returns {Object} { bankrollUsd, returnsUsd, navUsd, totalShares, pricePerShare }
+   */
+  valuation(portfolio, totalReturns, totalShares) {
+    const navUsd = portfolio.bankrollUsd + totalReturns;
+    return {
+      bankrollUsd: round(portfolio.bankrollUsd, 2),
+      returnsUsd: round(totalReturns, 2),
+      navUsd: round(navUsd, 2),
+      totalShares: round(totalShares),
+      pricePerShare: round(pricePerShare(navUsd, totalShares), 8)
+    };
+  }
+
+  async value(vault) {
+    const [portfolio, positions] = await Promise.all([
+      this.db.getPortfolio(vault.portfolioId),
+      this.db.getAllPositions({ portfolioId: vault.portfolioId })
+    ]);
+    const { fees } = await yieldCalculator.calculatePortfolioYield(positions);
+    return this.valuation(portfolio, fees.netReturns, vault.totalShares);
+  }
+
+  /**
+   * Opens a vault over a portfolio; the portfolio's current equity is minted to the
+   * seed depositor so earlier capital and returns stay with their owner.
+   * @param {Object} options - { name, portfolio, seedDepositor }
+   * @returns {Promise<Object>} { vault, seed } (seed is null for an empty portfolio)
+   */
+  async create({ name, portfolio, seedDepositor = VAULT_CONFIG.seedDepositor }) {
+    const vault = await this.db.createVault({ name, portfolioId: portfolio.id });
+    const { navUsd } = await this.value(vault);
+    if (navUsd < VAULT_CONFIG.minTransactionUsd) return { vault, seed: null };
+
+    const seed = await this.db.addVaultTransaction({
+      vaultId: vault.id,
+      portfolioId: portfolio.id,
+      depositor: seedDepositor,
+      type: 'deposit',
+      amountUsd: navUsd,
+      shares: navUsd / VAULT_CONFIG.initialPricePerShare,
+      pricePerShare: VAULT_CONFIG.initialPricePerShare,
+      navUsd: 0,
+      bankrollDeltaUsd: 0 // the equity is already in the portfolio
+    });
+    return { vault: seed.vault, seed: seed.transaction };
+  }
+
+  /**
+   * Mints shares for a deposit at the current price per share.
+   * @returns {Promise<Object>} { transaction, depositor, vault } or { error }
+   */
+  async deposit(vault, depositor, amountUsd) {
+    if (!depositor) return { error: 'depositor is required' };
+    if (!(amountUsd >= VAULT_CONFIG.minTransactionUsd)) {
+      return { error: `amountUsd must be at least ${VAULT_CONFIG.minTransactionUsd}` };
+    }
+    const { navUsd, pricePerShare: pps } = await this.value(vault);
+    if (vault.totalShares > SHARE_EPSILON && navUsd <= 0) {
+      return { error: 'Vault NAV is not positive; deposits are closed' };
+    }
+
+    return this.db.addVaultTransaction({
+      vaultId: vault.id,
+      portfolioId: vault.portfolioId,
+      depositor,
+      type: 'deposit',
+      amountUsd,
+      shares: amountUsd / pps,
+      pricePerShare: pps,
+      navUsd,
+      bankrollDeltaUsd: amountUsd
+    });
+  }
+
+  /**
+   * Burns shares for their value at the current price per share. Pass shares, or
+   * amountUsd to withdraw a dollar amount; neither withdraws everything.
+   * @returns {Promise<Object>} { transaction, depositor, vault } or { error }
+   */
+  async withdraw(vault, depositor, { shares = null, amountUsd = null } = {}) {
+    const holder = (vault.depositors || []).find(d => d.name === depositor);
+    if (!holder || holder.shares <= SHARE_EPSILON) {
+      return { error: `${depositor} holds no shares of ${vault.name}` };
+    }
+    const { navUsd, pricePerShare: pps } = await this.value(vault);
+    if (pps <= 0) return { error: 'Vault NAV is not positive; nothing to withdraw' };
+
+    let burned = shares !== null ? shares : amountUsd !== null ? amountUsd / pps : holder.shares;
+    if (!(burned > 0)) return { error: 'shares and amountUsd must be positive' };
+    if (burned > holder.shares + SHARE_EPSILON) {
+      return { error: `${depositor} holds ${round(holder.shares)} shares (${round(holder.shares * pps, 2)} USD)` };
+    }
+    burned = Math.min(burned, holder.shares);
+    const amount = burned * pps;
+
+    return this.db.addVaultTransaction({
+      vaultId: vault.id,
+      portfolioId: vault.portfolioId,
+      depositor,
+      type: 'withdraw',
+      amountUsd: amount,
+      shares: burned,
+      pricePerShare: pps,
+      navUsd,
+      bankrollDeltaUsd: -amount
+    });
+  }
+
+  /**
+   * Current valuation with every depositor's holdings and returns.
+   * @param {Object} vault - Vault with depositors
+   * @returns {Promise<Object>}
+   */
+  async report(vault) {
+    const valuation = await this.value(vault);
+    return {
+      id: vault.id,
+      name: vault.name,
+      portfolio: vault.portfolio?.name,
+      createdAt: vault.createdAt,
+      ...valuation,
+      depositors: (vault.depositors || [])
+        .filter(d => d.shares > SHARE_EPSILON || d.withdrawnUsd > 0)
+        .map(d => depositorReturns(d, valuation.pricePerShare))
+    };
+  }
+
+  /**
+   * Records the PPS of a portfolio's vault after a workflow cycle, if it has one.
+   * @param {number} cycleId
+   * @param {Object} portfolio
+   * @param {number} totalReturns - The portfolio's returns net of fees computed in the cycle
+   * @returns {Promise<Object|null>} The snapshot
+   */
+  async recordCycle(cycleId, portfolio, totalReturns) {
+    const vault = await this.db.getVaultByPortfolio(portfolio.id);
+    if (!vault) return null;
+    // Re-read the bankroll: deposits may have landed since the cycle started
+    const current = await this.db.getPortfolio(portfolio.id);
+    const valuation = this.valuation(current, totalReturns, vault.totalShares);
+    return this.db.addVaultSnapshot(vault.id, valuation, cycleId);
+  }
+}
+
+// Export singleton instance
+export const vaults = new VaultService();
@@ -0,0 +1,133 @@
+/**
+ * ===================================================================================
+ * Workflow Decision Rules (services/workflow-rules.js)
+ * ===================================================================================
+ *
+ * Description:
+ * Watchlist maturation and rebalancing decisions shared by the live workflow
+ * (workflow_manager_db.js) and the backtester, so a replay follows exactly the
+ * rules the bot trades with. The functions are pure; callers do the bookkeeping.
+ *
+ * Settings overrides ({ strategy, exit, workflow, sizing, harvest, fees, execution }) are
+ * resolved here too; backtests, parameter sweeps and portfolios all describe a strategy
+ * that way. Fees and executors only apply to portfolios: backtests report returns gross
+ * of fees and always fill on paper.
+ *
+ * ===================================================================================
+ */
+
+import { defaultConfig, WORKFLOW_CONFIG, EXIT_CONFIG, SIZING_CONFIG, EXPOSURE_CONFIG, YIELD_CONFIG, HARVEST_CONFIG, FEE_CONFIG, EXECUTION_CONFIG, CONFIG_HELPERS } from '../config.js';
+import { estimateTradeCosts } from './cost-model.js';
+import { resolveExitRules, validateExitRuleOverrides } from './exit-rules.js';
+import { HARVEST_POLICIES } from './harvest.js';
+import { EXECUTORS } from './executors/index.js';
+import yieldCalculator from '../yield-calculator.js';
+
+export const OVERRIDE_SECTIONS = ['strategy', 'exit', 'workflow', 'sizing', 'harvest', 'fees', 'execution'];
+
+/**
+ * Validates a settings overrides object; returns an error message or null.
+ * @param {Object} overrides - { strategy, exit, workflow, sizing, harvest, fees, execution }
+ * @returns {string|null}
+ */
+export function validateOverrides(overrides) {
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) return 'overrides must be an object';
+  const unknown = Object.keys(overrides).filter(key => !OVERRIDE_SECTIONS.includes(key));
+  if (unknown.length) {
+    return `Unknown override section(s) ${unknown.join(', ')} (expected ${OVERRIDE_SECTIONS.join(', ')})`;
+  }
+  for (const section of ['strategy', 'workflow', 'sizing', 'harvest', 'fees', 'execution']) {
+    const value = overrides[section];
+    if (value !== undefined && (!value || typeof value !== 'object' || Array.isArray(value))) return `${section} must be an object`;
+  }
+  const policy = overrides.harvest?.policy;
+  if (policy !== undefined && !HARVEST_POLICIES[policy]) {
+    return `Unknown harvest policy "${policy}" (expected one of: ${Object.keys(HARVEST_POLICIES).join(', ')})`;
+  }
+  const executor = overrides.execution?.executor;
+  if (executor !== undefined && !EXECUTORS[executor]) {
+    return `Unknown executor "${executor}" (expected one of: ${Object.keys(EXECUTORS).join(', ')})`;
+  }
+  for (const key of ['managementFeePct', 'performanceFeePct']) {
+    const rate = overrides.fees?.[key];
+    if (rate !== undefined && !(typeof rate === 'number' && rate >= 0 && rate <= 100)) {
+      return `fees.${key} must be a percentage between 0 and 100`;
+    }
+  }
+  if (overrides.exit) {
+    const error = validateExitRuleOverrides(overrides.exit);
+    if (error) return `Invalid exit overrides: ${error}`;
+  }
+  return null;
+}
+
+/**
+ * Resolves settings overrides against config.js.
+ * @param {Object} overrides - { strategy, exit, workflow, sizing, harvest, fees, execution }
+ * @returns {Object} { config, exitOptions, workflow, sizing, exposureLimits, harvest, fees, execution }
+ *                   for the strategy functions, exit rules, workflow rules, sizing, exposure,
+ *                   harvests, fees and the executor
+ */
+export function resolveSettings({ strategy = {}, exit = {}, workflow = {}, sizing = {}, harvest = {}, fees = {}, execution = {} } = {}) {
+  const config = { ...defaultConfig, ...strategy };
+  const resolvedWorkflow = { ...WORKFLOW_CONFIG, maxPositions: config.maxPositions, ...workflow };
+  const resolvedSizing = { maxPositions: resolvedWorkflow.maxPositions, holdDurationMs: resolvedWorkflow.holdDurationMs, ...SIZING_CONFIG, ...sizing };
+  // The emergency risk exit holds positions to the same limit they were entered under
+  const riskLimit = { ...EXIT_CONFIG.rules.riskLimit, maxRiskScore: config.maxRiskScore };
+  const exitDefaults = { ...EXIT_CONFIG, rules: { ...EXIT_CONFIG.rules, riskLimit } };
+  return {
+    config,
+    exitOptions: resolveExitRules(exit, exitDefaults),
+    workflow: resolvedWorkflow,
+    sizing: resolvedSizing,
+    exposureLimits: { ...EXPOSURE_CONFIG, portfolioCapitalUsd: resolvedSizing.bankrollUsd },
+    harvest: { holdHours: resolvedWorkflow.holdDurationMs / CONFIG_HELPERS.hoursToMs(1), ...HARVEST_CONFIG, ...harvest },
+    fees: { ...FEE_CONFIG, ...fees },
+    execution: { executor: EXECUTION_CONFIG.executor, ...execution }
+  };
+}
+
+/**
+ * Whether a watchlist entry has been watched long enough to be validated.
+ * @param {Object} entry - Watchlist entry with firstSeen
+ * @param {number} now - Current time in milliseconds
+ * @param {Object} options - WORKFLOW_CONFIG
+ * @returns {boolean}
+ */
+export const isMatured = (entry, now, options = WORKFLOW_CONFIG) =>
+  now - new Date(entry.firstSeen).getTime() >= options.watchlistAgeMs;
+
+/**
+ * Whether a watchlist entry is past the retention period and should be dropped.
+ * @param {Object} entry - Watchlist entry with firstSeen
+ * @param {number} now - Current time in milliseconds
+ * @param {Object} options - WORKFLOW_CONFIG
+ * @returns {boolean}
+ */
+export const isExpired = (entry, now, options = WORKFLOW_CONFIG) =>
+  now - new Date(entry.firstSeen).getTime() > CONFIG_HELPERS.daysToMs(options.watchlistRetentionDays);
+
+/**
+ * Decides whether a candidate should replace the lowest-APY held position.
+ * @param {Array} positions - Held positions
+ * @param {Object} candidate - Enriched candidate pool
+ * @param {Object} options - WORKFLOW_CONFIG
+ * @returns {Object|null} null when no position is beaten by rebalanceMinApyGain, otherwise
+ *                        { worst, grossImprovement, roundTripCost, netImprovement, swap }
+ */
+export function evaluateRebalance(positions, candidate, options = WORKFLOW_CONFIG) {
+  if (positions.length === 0) return null;
+  const worst = positions.reduce((min, p) => p.entryApy < min.entryApy ? p : min, positions[0]);
+  if (!(candidate.apy > worst.entryApy + options.rebalanceMinApyGain)) return null;
+
+  // Swapping costs exiting the worst position now and entering the candidate with the freed capital;
+  // only swap when the extra yield over one hold period pays for that round trip
+  const principal = worst.principalUsd ?? YIELD_CONFIG.principalUsd;
+  const holdDays = options.holdDurationMs / CONFIG_HELPERS.daysToMs(1);
+  const grossImprovement = yieldCalculator.simulateInvestment(candidate, holdDays, principal).grossReturn
+    - yieldCalculator.simulateInvestment({ ...worst, apy: worst.entryApy }, holdDays, principal).grossReturn;
+  const roundTripCost = estimateTradeCosts(worst, principal).exit.total + estimateTradeCosts(candidate, principal).entry.total;
+  const netImprovement = grossImprovement - roundTripCost;
+
+  return { worst, grossImprovement, roundTripCost, netImprovement, swap: netImprovement > 0 };
+}
@@ -0,0 +1,11 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseArgs } from '../cli-args.js';
+
+test('parseArgs reads --key value pairs and bare flags', () => {
+  assert.deepEqual(
+    parseArgs(['--source', 'file', 'stray', '--no-save', '--limit', '5', '--verbose']),
+    { source: 'file', 'no-save': true, limit: '5', verbose: true }
+  );
+  assert.deepEqual(parseArgs([]), {});
+});
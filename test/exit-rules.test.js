@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateExitRules, describeExitReasons } from '../services/exit-rules.js';
+import { EXIT_CONFIG } from '../config.js';
+
+const position = { entryApy: 100, entryTvl: 1_000_000, entryRewardApy: 60, exitRules: { minHoldHours: 4 } };
+const healthy = { apy: 95, tvlUsd: 950_000, apyReward: 55, riskScore: 3 };
+const context = (overrides) => ({
+  position,
+  current: healthy,
+  hoursHeld: 1,
+  peakApy: 100,
+  accruedReturnPct: 0.1,
+  protocolBlocked: false,
+  ...overrides
+});
+
+test('an emergency rule exits before the minimum hold', () => {
+  const decision = evaluateExitRules(context({
+    current: { ...healthy, riskScore: EXIT_CONFIG.rules.riskLimit.maxRiskScore + 1 },
+    protocolBlocked: true
+  }));
+
+  assert.equal(decision.exit, true);
+  assert.equal(decision.minHoldHours, 4);
+  assert.equal(describeExitReasons(decision.triggered), 'protocolDenied+riskLimit');
+  assert.deepEqual(decision.deferred, []);
+});
+
+test('a non-emergency rule is deferred until the minimum hold has passed', () => {
+  const drained = { ...healthy, apy: 40, tvlUsd: 300_000 };
+
+  const early = evaluateExitRules(context({ current: drained }));
+  assert.equal(early.exit, false);
+  assert.deepEqual(early.triggered, []);
+  assert.equal(describeExitReasons(early.deferred), 'apyDrop+trailingApyStop+tvlDrain');
+
+  const later = evaluateExitRules(context({ current: drained, hoursHeld: 5 }));
+  assert.equal(later.exit, true);
+  assert.equal(describeExitReasons(later.triggered), 'apyDrop+trailingApyStop+tvlDrain');
+  assert.deepEqual(later.deferred, []);
+});
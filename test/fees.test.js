@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { managementFee, performanceFee } from '../services/fees.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const options = { managementFeePct: 2, performanceFeePct: 20, minFeeUsd: 0.01 };
+const entry = new Date('2025-07-28T00:00:00.000Z');
+const at = (hours) => new Date(entry.getTime() + hours * HOUR_MS);
+const position = (fees = []) => ({ id: 1, entryTimestamp: entry, fees });
+
+test('an exit below the high-water mark of earlier harvests owes no performance fee', () => {
+  const harvestFee = performanceFee(position(), 50, at(12), { ...options, source: 'harvest' });
+  assert.equal(harvestFee.amountUsd, 10);
+  assert.equal(harvestFee.baseUsd, 50);
+
+  const harvested = position([harvestFee]);
+  assert.equal(performanceFee(harvested, 40, at(24), { ...options, source: 'exit' }), null);
+
+  const exitFee = performanceFee(harvested, 60, at(24), { ...options, source: 'exit' });
+  assert.equal(exitFee.baseUsd, 10);
+  assert.equal(exitFee.amountUsd, 2);
+  assert.equal(exitFee.source, 'exit');
+});
+
+test('a management accrual below the minimum is carried to the next cycle', () => {
+  // $1000 at 2% a year accrues about $0.0023 an hour
+  assert.equal(managementFee(position(), 1000, at(1), { ...options, source: 'cycle' }), null);
+
+  const fee = managementFee(position(), 1000, at(6), { ...options, source: 'cycle' });
+  assert.deepEqual(fee.periodStart, entry);
+  assert.deepEqual(fee.periodEnd, at(6));
+  assert.equal(fee.amountUsd, 0.013699);
+
+  // The next accrual starts where this one ended
+  const next = managementFee(position([fee]), 1000, at(12), { ...options, source: 'cycle' });
+  assert.deepEqual(next.periodStart, at(6));
+});
+
+test('the exit accrual is booked even below the minimum', () => {
+  const fee = managementFee(position(), 1000, at(1), { ...options, source: 'exit' });
+  assert.equal(fee.source, 'exit');
+  assert.ok(fee.amountUsd > 0 && fee.amountUsd < options.minFeeUsd);
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFixtureSource } from '../services/data-sources/fixture.js';
+
+const source = createFixtureSource({ path: new URL('../fixtures/pools.json', import.meta.url).pathname });
+
+test('fixture source serves the sample pools in the normalized shape', async () => {
+  const pools = await source.fetchPools();
+
+  assert.equal(pools.length, 3);
+  pools.forEach(pool => {
+    assert.equal(pool.source, 'fixture');
+    assert.equal(pool.chain, 'Solana');
+    assert.equal(typeof pool.apy, 'number');
+    assert.ok(pool.underlyingTokens.length > 0);
+  });
+});
+
+test('fixture source looks pools up by id or address', async () => {
+  const byId = await source.fetchPool('fixture-orca-sol-usdc');
+  const byAddress = await source.fetchPool('HJPjoWUrhoZzkNfRpHuieeFk9WcZWjwy6PBjZ81ngndJ');
+
+  assert.equal(byId.symbol, 'SOL-USDC');
+  assert.equal(byAddress.pool, byId.pool);
+  assert.equal(await source.fetchPool('unknown'), null);
+});
+
+test('fixture source serves chart points and token prices', async () => {
+  const chart = await source.fetchPoolChart('fixture-orca-sol-usdc');
+  assert.equal(chart.length, 3);
+  assert.ok(chart[0].timestamp instanceof Date);
+  assert.deepEqual(await source.fetchPoolChart('fixture-meteora-jup-usdc'), []);
+
+  const prices = await source.fetchTokenPrices(['solana:So11111111111111111111111111111111111111112', 'solana:missing']);
+  assert.equal(prices.get('solana:So11111111111111111111111111111111111111112'), 182.35);
+  assert.equal(prices.has('solana:missing'), false);
+});
@@ -0,0 +1,46 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import axios from 'axios';
+import { HttpClient } from '../services/http-client.js';
+
+const originalRequest = axios.request;
+afterEach(() => { axios.request = originalRequest; });
+
+const options = {
+  timeout: 1000,
+  hosts: { default: { minIntervalMs: 0 } },
+  retry: { maxRetries: 3, baseDelayMs: 0, maxDelayMs: 0 },
+  circuitBreaker: { failureThreshold: 2, cooldownMs: 60000 },
+  staleFallback: { enabled: false, maxAgeMs: 0 }
+};
+
+const networkError = () => Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+
+test('a request that exhausts its retries counts as one circuit failure', async () => {
+  let attempts = 0;
+  axios.request = async () => { attempts++; throw networkError(); };
+  const client = new HttpClient(options);
+
+  await assert.rejects(client.request('api.example', { url: 'https://api.example/pools' }), /socket hang up/);
+  assert.equal(attempts, 4);
+  assert.equal(client.getCircuit('api.example').failures, 1);
+  assert.equal(client.isCircuitOpen('api.example'), false);
+
+  await assert.rejects(client.request('api.example', { url: 'https://api.example/pools' }));
+  assert.equal(client.isCircuitOpen('api.example'), true);
+});
+
+test('a request that succeeds on retry resets the failure count', async () => {
+  let attempts = 0;
+  axios.request = async () => {
+    attempts++;
+    if (attempts < 3) throw networkError();
+    return { data: [], status: 200, headers: {} };
+  };
+  const client = new HttpClient(options);
+  client.getCircuit('api.example').failures = 1;
+
+  const response = await client.request('api.example', { url: 'https://api.example/pools' });
+  assert.equal(response.status, 200);
+  assert.equal(client.getCircuit('api.example').failures, 0);
+});
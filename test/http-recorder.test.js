@@ -0,0 +1,32 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { HttpRecorder } from '../services/http-recorder.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wildnet-capture-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('replay walks the recorded cycles and reports when each ran', () => {
+  const recorder = new HttpRecorder({ mode: 'record', dir, session: 'day' }, 'test');
+  recorder.beginCycle(1);
+  recorder.record('GET https://yields.llama.fi/pools', { status: 200, headers: {}, data: { data: [] } });
+  recorder.beginCycle(2);
+  recorder.recordError('GET https://yields.llama.fi/pools', new Error('timeout'));
+
+  const replayer = new HttpRecorder({ mode: 'replay', dir, session: 'day' }, 'test');
+  assert.deepEqual(replayer.listRecordedCycles(), ['cycle-0001', 'cycle-0002']);
+
+  const first = replayer.nextCycleTime();
+  assert.ok(first instanceof Date && !Number.isNaN(first.getTime()));
+  replayer.beginCycle(10);
+  assert.deepEqual(replayer.replay('GET https://yields.llama.fi/pools').data, { data: [] });
+
+  assert.ok(replayer.nextCycleTime() >= first);
+  replayer.beginCycle(11);
+  assert.throws(() => replayer.replay('GET https://yields.llama.fi/pools'), /timeout/);
+
+  assert.equal(replayer.hasMoreCycles(), false);
+  assert.equal(replayer.nextCycleTime(), null);
+});
@@ -0,0 +1,105 @@
+// Runs the Orca executor's real transactions against a local solana-test-validator with
+// a whirlpool cloned from mainnet (node execute.js --executor orca --pool <address>
+// --rpc <mainnet rpc> --clone-args prints the commands). Skipped when no validator is
+// reachable at LOCALNET_RPC_URL or the whirlpool is not on it.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createOrcaExecutor } from '../services/executors/orca.js';
+
+const RPC_URL = process.env.LOCALNET_RPC_URL || 'http://127.0.0.1:8899';
+const WHIRLPOOL = process.env.LOCALNET_WHIRLPOOL || 'HJPjoWUrhoZzkNfRpHuieeFk9WcZWjwy6PBjZ81ngndJ'; // SOL-USDC
+const SOL_PRICE = Number(process.env.LOCALNET_SOL_PRICE || 150);
+
+async function localnet() {
+  try {
+    const web3 = await import('@solana/web3.js');
+    const connection = new web3.Connection(RPC_URL, 'confirmed');
+    await connection.getVersion();
+    if (!await connection.getAccountInfo(new web3.PublicKey(WHIRLPOOL))) {
+      return { skip: `whirlpool ${WHIRLPOOL} is not cloned on ${RPC_URL}` };
+    }
+    return { web3, connection };
+  } catch (error) {
+    return { skip: `no validator at ${RPC_URL} (${error.message})` };
+  }
+}
+
+const setup = await localnet();
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wildnet-localnet-'));
+let executor;
+let pool;
+let prices;
+
+// Position NFT balance of the signer
+const balance = async (mint) => {
+  const { owner } = await executor.connect();
+  const { value } = await setup.connection.getParsedTokenAccountsByOwner(owner.publicKey, { mint: new setup.web3.PublicKey(mint) });
+  return value.reduce((sum, { account }) => sum + Number(account.data.parsed.info.tokenAmount.uiAmountString), 0);
+};
+
+const accountExists = async (address) => Boolean(await setup.connection.getAccountInfo(new setup.web3.PublicKey(address)));
+
+before(async () => {
+  if (setup.skip) return;
+  const { web3, connection } = setup;
+  const signer = web3.Keypair.generate();
+  const keypairPath = path.join(dir, 'signer.json');
+  fs.writeFileSync(keypairPath, JSON.stringify(Array.from(signer.secretKey)));
+  await connection.confirmTransaction(await connection.requestAirdrop(signer.publicKey, 5 * web3.LAMPORTS_PER_SOL), 'confirmed');
+
+  executor = createOrcaExecutor({ rpcUrl: RPC_URL, keypairPath });
+  const { funding, other } = await executor.resolvePool(WHIRLPOOL);
+  pool = { symbol: 'SOL-USDC', project: 'orca-dex', chain: 'Solana', address: WHIRLPOOL, underlyingTokens: [funding.mint, other.mint] };
+  prices = [{ token: funding.mint, price: SOL_PRICE }];
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('orca executor opens and closes a whirlpool position', { skip: setup.skip }, async () => {
+  assert.equal(executor.supports(pool), true);
+
+  const opened = await executor.open(pool, { principalUsd: 20, prices });
+  assert.equal(opened.status, 'filled', opened.error);
+  assert.equal(opened.signatures.length, 2); // swap, then open position with the deposit
+  assert.equal(opened.fill.pool, WHIRLPOOL);
+  assert.ok(BigInt(opened.fill.liquidity) > 0n);
+  assert.ok(opened.fill.tokens.every(t => t.amount > 0));
+  assert.deepEqual(opened.fill.holdings, [{ mint: opened.fill.positionMint, amount: 1 }]);
+  assert.equal(await balance(opened.fill.positionMint), 1);
+  assert.equal(await accountExists(opened.fill.position), true);
+
+  const closed = await executor.close({ symbol: pool.symbol, executions: [opened] }, { valueUsd: opened.filledUsd, prices });
+  assert.equal(closed.status, 'filled', closed.error);
+  assert.ok(closed.signatures.length >= 2); // withdraw and close, then the swap back
+  assert.ok(closed.fill.withdrawn.every(t => t.amount >= 0));
+  assert.ok(closed.fill.tokens[0].amount > 0);
+  assert.equal(await accountExists(opened.fill.position), false);
+  assert.equal(await balance(opened.fill.positionMint), 0);
+});
+
+test('a close retried after its withdraw landed only swaps back', { skip: setup.skip }, async () => {
+  const opened = await executor.open(pool, { principalUsd: 20, prices });
+  assert.equal(opened.status, 'filled', opened.error);
+
+  // The first attempt's withdraw lands and its swap back fails
+  const { whirlpoolClient, common } = await executor.connect();
+  const whirlpool = await whirlpoolClient.getPool(WHIRLPOOL);
+  for (const builder of await whirlpool.closePosition(opened.fill.position, common.Percentage.fromFraction(1, 100))) {
+    await builder.buildAndExecute();
+  }
+  const interrupted = {
+    side: 'close',
+    status: 'failed',
+    fill: { pool: WHIRLPOOL, position: opened.fill.position, withdrawn: opened.fill.tokens },
+    error: 'swap failed'
+  };
+
+  const retried = await executor.close({ symbol: pool.symbol, executions: [opened, interrupted] }, { valueUsd: opened.filledUsd, prices });
+  assert.equal(retried.status, 'filled', retried.error);
+  assert.equal(retried.signatures.length, 1); // the swap only
+  assert.deepEqual(retried.fill.withdrawn, opened.fill.tokens);
+  assert.ok(retried.fill.swapped > 0);
+});
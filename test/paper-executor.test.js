@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPaperExecutor } from '../services/executors/paper.js';
+import { createExecutor, getExecutor } from '../services/executors/index.js';
+
+const pool = { pool: 'pool-1', symbol: 'SOL-USDC', project: 'raydium-amm', chain: 'Solana' };
+
+test('paper executor fills opens and closes at the requested amount', async () => {
+  const executor = createPaperExecutor();
+  assert.equal(executor.supports(pool), true);
+
+  const opened = await executor.open(pool, { principalUsd: 250, prices: [] });
+  assert.equal(opened.executor, 'paper');
+  assert.equal(opened.side, 'open');
+  assert.equal(opened.status, 'filled');
+  assert.equal(opened.amountUsd, 250);
+  assert.equal(opened.filledUsd, 250);
+  assert.deepEqual(opened.signatures, []);
+  assert.equal(opened.error, null);
+  assert.ok(opened.timestamp instanceof Date);
+
+  const closed = await executor.close({ ...pool, executions: [opened] }, { valueUsd: 262.5 });
+  assert.equal(closed.side, 'close');
+  assert.equal(closed.status, 'filled');
+  assert.equal(closed.filledUsd, 262.5);
+});
+
+test('executor registry creates executors by name and shares instances', () => {
+  assert.equal(createExecutor('paper').name, 'paper');
+  assert.equal(getExecutor('paper'), getExecutor('paper'));
+  assert.throws(() => createExecutor('unknown'), /Unknown executor "unknown"/);
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PoolUniverse } from '../services/pool-universe.js';
+
+// Source whose downloads resolve only when the test says so
+function deferredSource() {
+  const loads = [];
+  return {
+    name: 'deferred',
+    loads,
+    fetchPools: () => new Promise(resolve => loads.push(resolve))
+  };
+}
+
+test('concurrent loads share one download', async () => {
+  const source = deferredSource();
+  const universe = new PoolUniverse(source, { ttlMs: 60_000 });
+
+  const first = universe.fetchPools();
+  const second = universe.fetchPools();
+  source.loads[0]([{ pool: 'a' }]);
+
+  assert.deepEqual(await first, [{ pool: 'a' }]);
+  assert.equal(await second, await first);
+  assert.equal(source.loads.length, 1);
+  assert.equal(universe.stats.coalesced, 1);
+});
+
+test('invalidate() discards a download still in flight', async () => {
+  const source = deferredSource();
+  const universe = new PoolUniverse(source, { ttlMs: 60_000 });
+
+  const stale = universe.snapshot();
+  universe.invalidate();
+  const fresh = universe.snapshot();
+  assert.equal(source.loads.length, 2);
+
+  source.loads[1]([{ pool: 'new', address: 'addr-new' }]);
+  source.loads[0]([{ pool: 'old' }]);
+
+  const snapshot = await fresh;
+  assert.deepEqual((await snapshot.fetchPools()).map(p => p.pool), ['new']);
+  assert.equal((await snapshot.fetchPool('addr-new')).pool, 'new');
+
+  // The stale snapshot keeps its own pools but does not repopulate the cache
+  assert.deepEqual((await (await stale).fetchPools()).map(p => p.pool), ['old']);
+  assert.equal((await universe.fetchPool('new')).pool, 'new');
+  assert.equal(source.loads.length, 2);
+});
@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PositionExecutionService, hasPendingClose } from '../services/position-execution.js';
+import { startExecution } from '../services/executors/execution.js';
+
+// Records what the service stores instead of writing to the database
+const createStubDb = () => ({
+  executions: [],
+  logs: [],
+  async addExecution(cycleId, target, execution) {
+    this.executions.push({ cycleId, ...target, ...execution });
+  },
+  async addLog(cycleId, level, message, details, scope) {
+    this.logs.push({ cycleId, level, message, details, scope });
+  }
+});
+
+// Fails or fills every attempt, as configured, and remembers what it was asked
+const createStubExecutor = ({ open = 'filled', close = 'filled' } = {}) => {
+  const calls = [];
+  const attempt = (side, status, amountUsd) => ({
+    ...startExecution('stub', side, amountUsd),
+    status,
+    filledUsd: status === 'filled' ? amountUsd : null,
+    signatures: ['sig-1'],
+    error: status === 'filled' ? null : `${side} reverted`
+  });
+  return {
+    name: 'stub',
+    calls,
+    supports: () => true,
+    open: async (pool, context) => { calls.push({ side: 'open', pool, context }); return attempt('open', open, context.principalUsd); },
+    close: async (position, context) => { calls.push({ side: 'close', position, context }); return attempt('close', close, context.valueUsd); }
+  };
+};
+
+const pool = { pool: 'pool-1', symbol: 'SOL-USDC' };
+const position = { id: 7, portfolioId: 2, poolId: 'pool-1', symbol: 'SOL-USDC', executor: 'stub', executions: [] };
+
+test('a failed open is stored without a position and logged', async () => {
+  const db = createStubDb();
+  const executor = createStubExecutor({ open: 'failed' });
+  const service = new PositionExecutionService(db, () => executor);
+
+  const execution = await service.open(11, pool, { portfolioId: 2, executor: 'stub', principalUsd: 500, prices: [] });
+
+  assert.equal(execution.status, 'failed');
+  assert.deepEqual(executor.calls[0].context, { principalUsd: 500, prices: [] });
+  assert.equal(db.executions.length, 1);
+  assert.equal(db.executions[0].positionId, undefined);
+  assert.equal(db.executions[0].portfolioId, 2);
+  assert.equal(db.executions[0].poolId, 'pool-1');
+  assert.equal(db.executions[0].symbol, 'SOL-USDC');
+  assert.deepEqual(db.executions[0].signatures, ['sig-1']);
+  assert.equal(db.logs[0].level, 'error');
+  assert.deepEqual(db.logs[0].scope, { portfolioId: 2 });
+});
+
+test('a filled open is left for addPosition to store', async () => {
+  const db = createStubDb();
+  const service = new PositionExecutionService(db, () => createStubExecutor());
+
+  const execution = await service.open(11, pool, { portfolioId: 2, executor: 'stub', principalUsd: 500, prices: [] });
+
+  assert.equal(execution.status, 'filled');
+  assert.equal(db.executions.length, 0);
+  assert.equal(db.logs.length, 0);
+});
+
+test('closes go through the position executor and are stored on the position', async () => {
+  const db = createStubDb();
+  const names = [];
+  const executor = createStubExecutor();
+  const service = new PositionExecutionService(db, (name) => { names.push(name); return executor; });
+
+  const execution = await service.close(12, position, { valueUsd: 520, prices: [] });
+
+  assert.equal(execution.status, 'filled');
+  assert.deepEqual(names, ['stub']);
+  assert.equal(executor.calls[0].position, position);
+  assert.equal(db.executions[0].positionId, 7);
+  assert.equal(db.executions[0].portfolioId, 2);
+  assert.equal(db.executions[0].cycleId, 12);
+  assert.equal(db.logs.length, 0);
+});
+
+test('a failed close is stored, logged and left pending', async () => {
+  const db = createStubDb();
+  const service = new PositionExecutionService(db, () => createStubExecutor({ close: 'failed' }));
+
+  const execution = await service.close(12, position, { valueUsd: 520, prices: [] });
+
+  assert.equal(execution.status, 'failed');
+  assert.equal(db.executions[0].positionId, 7);
+  assert.equal(db.logs[0].message, 'Exit execution failed: SOL-USDC');
+  assert.equal(hasPendingClose({ ...position, executions: [...db.executions] }), true);
+});
+
+test('hasPendingClose looks at the latest attempt only', () => {
+  const open = { side: 'open', status: 'filled' };
+  const failedClose = { side: 'close', status: 'failed' };
+  assert.equal(hasPendingClose({ executions: [] }), false);
+  assert.equal(hasPendingClose({}), false);
+  assert.equal(hasPendingClose({ executions: [open] }), false);
+  assert.equal(hasPendingClose({ executions: [open, failedClose] }), true);
+  assert.equal(hasPendingClose({ executions: [open, failedClose, { side: 'close', status: 'filled' }] }), false);
+});
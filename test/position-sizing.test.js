@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sizePosition } from '../services/position-sizing.js';
+import { resolveSettings } from '../services/workflow-rules.js';
+
+const pool = { apy: 80, riskScore: 6 };
+const kellySize = (workflow) => {
+  const { sizing } = resolveSettings({ workflow, sizing: { policy: 'kelly', bankrollUsd: 100000, maxPositionPct: 100 } });
+  return sizePosition(pool, { investedUsd: 0 }, sizing).rawUsd;
+};
+
+test('kelly sizes over the portfolio hold duration', () => {
+  const day = kellySize({ holdDurationMs: 24 * 60 * 60 * 1000 });
+  const week = kellySize({ holdDurationMs: 7 * 24 * 60 * 60 * 1000 });
+
+  assert.ok(day > 0);
+  assert.notEqual(day, week);
+});
+
+test('resolveSettings passes the workflow hold duration to sizing', () => {
+  const { sizing, workflow } = resolveSettings({ workflow: { holdDurationMs: 3600000 } });
+  assert.equal(sizing.holdDurationMs, 3600000);
+  assert.equal(workflow.holdDurationMs, 3600000);
+});
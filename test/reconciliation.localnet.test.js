@@ -0,0 +1,79 @@
+// Reconciles a funded wallet on a local solana-test-validator against stub positions.
+// Skipped when no validator is reachable at LOCALNET_RPC_URL.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ReconciliationService } from '../services/reconciliation.js';
+
+const RPC_URL = process.env.LOCALNET_RPC_URL || 'http://127.0.0.1:8899';
+
+async function localnet() {
+  try {
+    const web3 = await import('@solana/web3.js');
+    const connection = new web3.Connection(RPC_URL, 'confirmed');
+    await connection.getVersion();
+    return { web3, connection, spl: await import('@solana/spl-token') };
+  } catch (error) {
+    return { skip: `no validator at ${RPC_URL} (${error.message})` };
+  }
+}
+
+const setup = await localnet();
+
+// Serves the positions and fills the service reads and keeps what it stores
+const createStubDb = (positions, fills) => ({
+  stored: [],
+  getActivePositions: async () => positions,
+  getExecutionFills: async () => fills,
+  async addReconciliation(cycleId, report) {
+    this.stored.push({ cycleId, report });
+  }
+});
+
+test('reconciles a funded wallet against on-chain positions', { skip: setup.skip }, async () => {
+  const { web3, connection, spl } = setup;
+  const wallet = web3.Keypair.generate();
+  await connection.confirmTransaction(await connection.requestAirdrop(wallet.publicKey, 2 * web3.LAMPORTS_PER_SOL), 'confirmed');
+
+  // A position NFT, the pair token of a closed position and an airdrop; the second
+  // position's NFT is not in the wallet
+  const mint = async (amount, decimals) => {
+    const address = await spl.createMint(connection, wallet, wallet.publicKey, null, decimals);
+    const account = await spl.getOrCreateAssociatedTokenAccount(connection, wallet, address, wallet.publicKey);
+    await spl.mintTo(connection, wallet, address, account.address, wallet, amount * 10 ** decimals);
+    return address.toBase58();
+  };
+  const nft = await mint(1, 0);
+  const pairToken = await mint(3, 6);
+  const airdrop = await mint(50, 6);
+  const withdrawnNft = web3.Keypair.generate().publicKey.toBase58();
+
+  const opened = { side: 'open', status: 'filled', fill: { holdings: [{ mint: nft, amount: 1 }] } };
+  const positions = [
+    { id: 1, portfolioId: 1, poolId: 'pool-1', symbol: 'SOL-USDC', executor: 'orca', executions: [opened] },
+    { id: 2, portfolioId: 1, poolId: 'pool-2', symbol: 'SOL-BONK', executor: 'orca', executions: [{ ...opened, fill: { holdings: [{ mint: withdrawnNft, amount: 1 }] } }] },
+    { id: 3, portfolioId: 2, poolId: 'pool-3', symbol: 'SOL-JUP', executor: 'paper', executions: [] }
+  ];
+  const db = createStubDb(positions, [{ fill: { withdrawn: [{ token: pairToken, amount: 3 }] } }]);
+  const service = new ReconciliationService(db, { rpcUrl: RPC_URL, walletAddress: wallet.publicKey.toBase58() });
+
+  const report = await service.run({ cycleId: 4 });
+
+  assert.equal(report.status, 'drift');
+  assert.ok(report.sol > 0);
+  assert.deepEqual(report.positions, { checked: 2, paper: 1 });
+  assert.deepEqual(report.matched.map(m => m.mint), [nft]);
+  assert.deepEqual(report.missing.map(m => m.positions[0].id), [2]);
+  assert.deepEqual(report.working.map(w => w.mint), [pairToken]);
+  assert.deepEqual(report.orphans, [{ mint: airdrop, amount: 50, decimals: 6 }]);
+  assert.equal(db.stored[0].cycleId, 4);
+  assert.equal(db.stored[0].report, report);
+});
+
+test('an unreachable RPC is reported, not thrown', async () => {
+  const db = createStubDb([], []);
+  const service = new ReconciliationService(db, { rpcUrl: 'http://127.0.0.1:9', walletAddress: '11111111111111111111111111111111' });
+  const report = await service.run({ save: false });
+  assert.equal(report.status, 'error');
+  assert.ok(report.error);
+  assert.equal(db.stored.length, 0);
+});
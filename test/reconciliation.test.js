@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { reconcileHoldings, shouldReconcile } from '../services/reconciliation.js';
+
+const SOL = 'So11111111111111111111111111111111111111112';
+const USDC = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+const options = { tolerancePct: 0.5, dustAmount: 1e-6, workingMints: [SOL], ignoreMints: [] };
+
+// An on-chain position whose filled open left `holdings` in the wallet
+const position = (id, holdings, extra = {}) => ({
+  id,
+  portfolioId: 1,
+  poolId: `pool-${id}`,
+  symbol: 'SOL-USDC',
+  executor: 'orca',
+  executions: [{
+    side: 'open',
+    status: 'filled',
+    fill: { tokens: [{ token: SOL, amount: 0.05 }, { token: USDC, amount: 7.5 }], holdings }
+  }],
+  ...extra
+});
+
+const balance = (mint, amount, decimals = 0) => ({ mint, amount, decimals });
+
+test('holdings in the expected amount are matched', () => {
+  const report = reconcileHoldings([position(1, [{ mint: 'nft-1', amount: 1 }])], [balance('nft-1', 1)], options);
+  assert.equal(report.status, 'ok');
+  assert.equal(report.matched.length, 1);
+  assert.deepEqual(report.matched[0].positions.map(p => p.id), [1]);
+  assert.deepEqual(report.positions, { checked: 1, paper: 0 });
+});
+
+test('positions on the same mint are matched on their combined amount', () => {
+  const positions = [position(1, [{ mint: 'lp', amount: 2 }]), position(2, [{ mint: 'lp', amount: 3 }])];
+  const report = reconcileHoldings(positions, [balance('lp', 5.01, 6)], options);
+  assert.equal(report.status, 'ok');
+  assert.equal(report.matched[0].expected, 5);
+});
+
+test('a different amount beyond the tolerance is a mismatch', () => {
+  const report = reconcileHoldings([position(1, [{ mint: 'lp', amount: 10 }])], [balance('lp', 9, 6)], options);
+  assert.equal(report.status, 'drift');
+  assert.equal(report.mismatches.length, 1);
+  assert.equal(report.mismatches[0].difference, -1);
+  assert.equal(report.mismatches[0].differencePct, -10);
+});
+
+test('positions without their holdings or without a filled open are missing', () => {
+  const unfilled = position(2, [], { executions: [{ side: 'open', status: 'failed', fill: null }] });
+  const report = reconcileHoldings([position(1, [{ mint: 'nft-1', amount: 1 }]), unfilled], [], options);
+  assert.equal(report.status, 'drift');
+  assert.deepEqual(report.missing.map(m => m.reason).sort(), ['No filled open with wallet holdings recorded', 'Not in wallet']);
+});
+
+test('balances no position accounts for are orphans unless the executors trade them', () => {
+  const report = reconcileHoldings([position(1, [{ mint: 'nft-1', amount: 1 }])], [
+    balance('nft-1', 1),
+    balance(SOL, 0.2, 9),
+    balance(USDC, 0.04, 6),
+    balance('airdrop', 100, 6)
+  ], options);
+  assert.equal(report.status, 'drift');
+  assert.deepEqual(report.working.map(w => w.mint).sort(), [USDC, SOL].sort());
+  assert.deepEqual(report.orphans, [{ mint: 'airdrop', amount: 100, decimals: 6 }]);
+  assert.equal(reconcileHoldings([], [balance('airdrop', 100, 6)], { ...options, ignoreMints: ['airdrop'] }).status, 'ok');
+});
+
+test('dust balances and paper positions are not checked', () => {
+  const paper = { ...position(2, [{ mint: 'nft-2', amount: 1 }]), executor: 'paper' };
+  const report = reconcileHoldings([paper], [balance('dust', 1e-7, 9)], options);
+  assert.equal(report.status, 'ok');
+  assert.deepEqual(report.orphans, []);
+  assert.deepEqual(report.positions, { checked: 0, paper: 1 });
+});
+
+test('reconciliation follows RECONCILE, otherwise any on-chain portfolio or position', () => {
+  const auto = { enabled: null };
+  assert.equal(shouldReconcile(['paper'], [], auto), false);
+  assert.equal(shouldReconcile(['paper', 'orca'], [], auto), true);
+  assert.equal(shouldReconcile(['paper'], [{ executor: 'orca' }], auto), true);
+  assert.equal(shouldReconcile(['orca'], [], { enabled: false }), false);
+  assert.equal(shouldReconcile(['paper'], [], { enabled: true }), true);
+});
@@ -0,0 +1,17 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveSettings } from '../services/workflow-rules.js';
+import { EXIT_CONFIG } from '../config.js';
+
+test('the risk exit defaults to the portfolio entry limit', () => {
+  const { config, exitOptions } = resolveSettings({ strategy: { maxRiskScore: 5 } });
+  assert.equal(config.maxRiskScore, 5);
+  assert.equal(exitOptions.rules.riskLimit.maxRiskScore, 5);
+  assert.equal(exitOptions.rules.maxHold.hours, EXIT_CONFIG.rules.maxHold.hours);
+});
+
+test('an exit riskLimit override wins over the entry limit', () => {
+  const { exitOptions } = resolveSettings({ strategy: { maxRiskScore: 5 }, exit: { riskLimit: { maxRiskScore: 7 } } });
+  assert.equal(exitOptions.rules.riskLimit.maxRiskScore, 7);
+  assert.equal(exitOptions.rules.riskLimit.enabled, true);
+});
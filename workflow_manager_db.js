@@ -7,354 +7,855 @@
  * Orchestrates the yield farming simulation with full database integration.
  * Stores all positions, watchlist, logs, and cycles in PostgreSQL.
  *
+ * Every cycle downloads the pool universe once, records snapshots of every tracked
+ * pool, then runs each active portfolio (services/portfolios.js) against that same
+ * data with its own settings: exits, due harvests, watchlist, investments and a
+ * PortfolioCycle row. Management fees accrue on every position valued in the exit
+ * check; performance fees are charged on harvests and exits (services/fees.js).
+ *
+ * Entries and exits are traded by the portfolio's executor (services/executors):
+ * paper fills by default, or real Orca transactions. A failed entry is logged and
+ * skipped; a failed exit keeps the position open until a later cycle's close fills.
+ * When anything executes on chain (or RECONCILE says so), each cycle ends by checking
+ * the signing wallet's balances against the positions (services/reconciliation.js).
+ *
  * ===================================================================================
  */
 
 import logger from './logger.js';
 import { dbService } from './services/database.js';
+import { poolUniverse } from './services/pool-universe.js';
+import { httpClient } from './services/http-client.js';
+import { httpRecorder } from './services/http-recorder.js';
+import { clock } from './services/clock.js';
+import { poolHistory } from './services/pool-history.js';
+import { protocolRegistry } from './services/protocol-registry.js';
+import { portfolios } from './services/portfolios.js';
+import { vaults } from './services/vault.js';
+import { reconciliation, shouldReconcile } from './services/reconciliation.js';
+import { crossCheckWithConfiguredSource } from './services/data-sources/index.js';
+import { sizePosition } from './services/position-sizing.js';
+import { evaluateExitRules, describeExitReasons } from './services/exit-rules.js';
+import { tokenPrices } from './services/token-prices.js';
+import { rewardDecay } from './services/reward-decay.js';
+import { isMatured, evaluateRebalance } from './services/workflow-rules.js';
+import { planHarvest, nextHarvestAt, isHarvestDue, buildHarvest } from './services/harvest.js';
+import { performanceFee, chargeFees } from './services/fees.js';
+import { getExecutor } from './services/executors/index.js';
+import { positionExecution, hasPendingClose } from './services/position-execution.js';
 import yieldCalculator from './yield-calculator.js';
-import { WORKFLOW_CONFIG, TIMING_CONFIG, CONFIG_HELPERS, YIELD_CONFIG } from './config.js';
+import { TIMING_CONFIG, CONFIG_HELPERS, YIELD_CONFIG, CAPTURE_CONFIG } from './config.js';
 import {
   fetchNewIncentivePools,
   validateAndFilterNewPools,
   enrichPoolData,
   selectOptimalPools,
+  assessRisk,
+  describeRisk,
+  describeSignals,
+  createExposureTracker,
+  describeExposureViolation,
   defaultConfig,
   sampleStats,
+  fetchAllPools,
   fetchPoolById
 } from './functional_strategy.js';
 
 // --- Configuration from unified config ---
-const HOLD_DURATION_MS     = TIMING_CONFIG.holdDurationMs;      // 48 hours
 const RUN_INTERVAL_MS      = TIMING_CONFIG.cycleIntervalMs;     // 30 minutes
-const MAX_ACTIVE_POSITIONS = WORKFLOW_CONFIG.maxPositions;     // 5 positions
-const MIN_WATCHLIST_AGE_MS = TIMING_CONFIG.watchlistAgeMs;     // 15 minutes
-const MAX_RISK_SCORE       = WORKFLOW_CONFIG.maxRiskScore;     // Risk threshold 7
-const APY_DROP_THRESHOLD   = WORKFLOW_CONFIG.apyDropThreshold * 100; // 50% (convert to percentage)
 
 // --- Portfolio Lifecycle ---
-async function checkForExits(cycleId) {
-  logger.info('🔍 Checking for positions to exit...');
+// Each phase takes the portfolio context ({ portfolioId, name, ...resolved settings })
+// and the cycle's pool universe snapshot (market)
+async function checkForExits(cycleId, ctx, market) {
+  logger.info(`🔍 [${ctx.name}] Checking for positions to exit...`);
+  const scoped = { portfolioId: ctx.portfolioId };
   
   try {
-    const activePositions = await dbService.getActivePositions();
-    const now = Date.now();
+    const activePositions = await dbService.getActivePositions(scoped);
+    const now = clock.now();
     let exitedCount = 0;
 
     for (const pos of activePositions) {
       const hoursHeld = (now - new Date(pos.entryTimestamp).getTime()) / (1000 * 60 * 60);
-      const current = await fetchPoolById(pos.poolId);
+      const current = await fetchPoolById(pos.poolId, market, ctx.config);
       
       if (!current) {
-        await dbService.addLog(cycleId, 'warn', `Could not fetch current data for ${pos.symbol}`, { poolId: pos.poolId });
+        await dbService.addLog(cycleId, 'warn', `Could not fetch current data for ${pos.symbol}`, { poolId: pos.poolId }, scoped);
         continue;
       }
 
-      // Use unified config helpers for exit decisions
-      const timeExit = CONFIG_HELPERS.shouldExitByTime(pos.entryTimestamp);
-      const apyExit = CONFIG_HELPERS.shouldExitByPerformance(pos.entryApy, current.apy);
-      const highRisk = current.riskScore > MAX_RISK_SCORE;
-      const apyDrop = ((pos.entryApy - current.apy) / pos.entryApy) * 100;
+      // Value at the current APY and token prices, then run the exit rule engine
+      const valuedAt = new Date(clock.now());
+      const { prices, rewardPrices } = await tokenPrices.positionPrices(pos);
+      const yieldData = yieldCalculator.calculateYield(pos, {
+        timestamp: valuedAt,
+        exitApy: current.apy,
+        observations: await yieldCalculator.positionObservations(pos, valuedAt),
+        prices,
+        rewardPrices
+      });
+      const peakApy = Math.max(pos.peakApy ?? pos.entryApy, current.apy);
+      if (peakApy > (pos.peakApy ?? 0)) {
+        await dbService.updatePeakApy(pos.id, peakApy);
+      }
 
-      if (timeExit || apyExit || highRisk) {
-        const reason = timeExit ? 'time_exit_48h' : apyExit ? 'apy_drop_50pct' : 'risk_exit';
-        
-        // Calculate yield for this position
-        const yieldData = yieldCalculator.calculateYield(pos, {
-          timestamp: new Date(),
-          exitApy: current.apy
-        });
+      const decision = evaluateExitRules({
+        position: pos,
+        current,
+        hoursHeld,
+        peakApy,
+        accruedReturnPct: yieldData.returnPercentage,
+        protocolBlocked: protocolRegistry.isBlocked(pos.project)
+      }, ctx.exitOptions);
+
+      // Close through the executor that opened the position; a failed close keeps it
+      // open and is retried next cycle even if no rule fires any more
+      const retrying = !decision.exit && hasPendingClose(pos);
+      const execution = decision.exit || retrying
+        ? await positionExecution.close(cycleId, pos, { valueUsd: yieldData.finalAmount, prices })
+        : null;
+      const exiting = execution?.status === 'filled';
+      const fees = await chargeFees(cycleId, pos, yieldData, valuedAt, { ...ctx.fees, exit: exiting });
+
+      if (decision.deferred.length > 0 && !decision.exit) {
+        logger.info(` Holding ${pos.symbol}: ${describeExitReasons(decision.deferred)} deferred until ${decision.minHoldHours}h minimum hold`);
+      }
+
+      if (exiting) {
+        const reason = retrying ? 'closeRetry' : describeExitReasons(decision.triggered);
         
-        logger.info(`⚡ Exiting ${pos.symbol} | Reason: ${reason} | APY Drop: ${apyDrop.toFixed(1)}% | Risk: ${current.riskScore} | Return: $${yieldData.totalReturn} (${yieldData.returnPercentage}%)`);
+        logger.info(`⚡ [${ctx.name}] Exiting ${pos.symbol} | Reason: ${reason} | ${decision.triggered.map(t => t.message).join('; ')} | Return: $${yieldData.totalReturn} (${yieldData.returnPercentage}%) = farming $${yieldData.farmingReturn} + price $${yieldData.pricePnl} + IL $${yieldData.impermanentLoss} - costs $${yieldData.costs.total}`);
         
         await dbService.exitPosition(pos.poolId, {
-          reason: reason,
+          reason,
+          reasons: decision.triggered,
           exitApy: current.apy,
-          profitLoss: yieldData.totalReturn
-        });
+          prices,
+          rewardPrices,
+          profitLoss: yieldData.totalReturn,
+          farmingReturn: yieldData.farmingReturn,
+          rewardReturn: yieldData.rewardReturn,
+          pricePnl: yieldData.pricePnl,
+          impermanentLoss: yieldData.impermanentLoss
+        }, scoped);
         
         await dbService.addLog(cycleId, 'info', `Exited position: ${pos.symbol}`, {
           reason,
-          apyDrop: apyDrop.toFixed(1),
+          triggered: decision.triggered,
           riskScore: current.riskScore,
           hoursHeld: hoursHeld.toFixed(1),
           entryApy: pos.entryApy,
+          peakApy,
           exitApy: current.apy,
           yieldReturn: yieldData.totalReturn,
           yieldPercentage: yieldData.returnPercentage,
-          principal: yieldCalculator.PRINCIPAL_USD
-        });
+          farmingReturn: yieldData.farmingReturn,
+          pricePnl: yieldData.pricePnl,
+          impermanentLoss: yieldData.impermanentLoss,
+          costs: yieldData.costs.total,
+          fees: fees.total,
+          principal: yieldData.principal,
+          executor: execution.executor,
+          signatures: execution.signatures
+        }, scoped);
         
         exitedCount++;
       }
     }
 
     if (exitedCount > 0) {
-      logger.info(` Exited ${exitedCount} positions`);
+      logger.info(` [${ctx.name}] Exited ${exitedCount} positions`);
     }
     
     return exitedCount;
   } catch (error) {
-    logger.error(`Error checking for exits: ${error.message}`);
-    await dbService.addLog(cycleId, 'error', `Error checking exits: ${error.message}`);
+    logger.error(`[${ctx.name}] Error checking for exits: ${error.message}`);
+    await dbService.addLog(cycleId, 'error', `Error checking exits: ${error.message}`, null, scoped);
+    return 0;
+  }
+}
+
+// Claims, swaps and redeposits the rewards of positions whose harvest is due
+async function processHarvests(cycleId, ctx, market) {
+  logger.info(`🌾 [${ctx.name}] Checking for due harvests...`);
+  const scoped = { portfolioId: ctx.portfolioId };
+
+  try {
+    const activePositions = await dbService.getActivePositions(scoped);
+    const now = new Date(clock.now());
+    let harvestedCount = 0;
+
+    for (const pos of activePositions) {
+      if (!isHarvestDue(pos, now.getTime())) continue;
+      const current = await fetchPoolById(pos.poolId, market, ctx.config);
+      if (!current) continue;
+
+      const yieldData = yieldCalculator.calculateYield(pos, {
+        timestamp: now,
+        exitApy: current.apy,
+        observations: await yieldCalculator.positionObservations(pos, now),
+        ...(await tokenPrices.positionPrices(pos))
+      });
+      const harvest = buildHarvest(pos, yieldData, now, current, ctx.harvest);
+
+      // Re-plan from the value after the harvest at the current reward APY
+      const plan = planHarvest({ ...pos, tvlUsd: current.tvlUsd }, {
+        valueUsd: yieldData.deployedValue + (harvest?.compoundedUsd || 0),
+        rewardApy: current.apyReward || 0
+      }, ctx.harvest);
+      const schedule = { intervalHours: plan.intervalHours, nextHarvestAt: nextHarvestAt(now, plan.intervalHours) };
+
+      if (!harvest) {
+        logger.info(` [${ctx.name}] Deferring harvest of ${pos.symbol}: $${yieldData.pendingRewards} pending rewards do not cover the harvest costs`);
+        await dbService.scheduleHarvest(pos.id, schedule);
+        continue;
+      }
+
+      await dbService.addHarvest(cycleId, pos.id, { ...harvest, apy: current.apy, rewardApy: current.apyReward ?? null }, schedule);
+      const harvestedUsd = pos.harvests.reduce((sum, h) => sum + h.compoundedUsd, 0) + harvest.compoundedUsd;
+      const fee = performanceFee(pos, harvestedUsd, now, { ...ctx.fees, source: 'harvest' });
+      await dbService.addFees(cycleId, pos, fee ? [fee] : []);
+      logger.info(`🌾 [${ctx.name}] Harvested ${pos.symbol} | $${harvest.rewardsUsd} rewards - $${harvest.costUsd} costs = $${harvest.compoundedUsd} compounded | next ${schedule.nextHarvestAt ? `in ${plan.intervalHours}h` : 'at exit'}`);
+      await dbService.addLog(cycleId, 'info', `Harvested ${pos.symbol}`, {
+        poolId: pos.poolId,
+        rewardsUsd: harvest.rewardsUsd,
+        costs: harvest.costs,
+        compoundedUsd: harvest.compoundedUsd,
+        performanceFeeUsd: fee?.amountUsd ?? 0,
+        valueBeforeUsd: harvest.valueBeforeUsd,
+        harvestPolicy: plan.policy,
+        nextIntervalHours: plan.intervalHours,
+        netRewardRatePct: plan.netRatePct
+      }, scoped);
+      harvestedCount++;
+    }
+
+    if (harvestedCount > 0) {
+      logger.info(` [${ctx.name}] Harvested ${harvestedCount} positions`);
+    }
+
+    return harvestedCount;
+  } catch (error) {
+    logger.error(`[${ctx.name}] Error processing harvests: ${error.message}`);
+    await dbService.addLog(cycleId, 'error', `Error processing harvests: ${error.message}`, null, scoped);
     return 0;
   }
 }
 
-async function updateWatchlist(cycleId) {
-  logger.info('👀 Updating watchlist with newest pools...');
+// Pools watched or held by any portfolio
+async function recordPoolSnapshots(cycleId, market) {
+  logger.info('📸 Recording pool snapshots...');
+
+  try {
+    const [activePositions, watchlist] = await Promise.all([
+      dbService.getActivePositions(),
+      dbService.getWatchlist()
+    ]);
+
+    // Held pools take precedence so a pool that is both watched and held is recorded once
+    const tracked = new Map();
+    watchlist.forEach(w => tracked.set(w.poolId, 'watchlist'));
+    activePositions.forEach(p => tracked.set(p.poolId, 'position'));
+    if (tracked.size === 0) return 0;
+
+    const allPools = await fetchAllPools(market);
+    const trackedPools = allPools.filter(pool => tracked.has(pool.pool));
+    const snapshots = trackedPools
+      .map(pool => {
+        const risk = assessRisk({ ...pool, protocol: protocolRegistry.lookup(pool.project) }, CONFIG_HELPERS.forChain(pool.chain, defaultConfig));
+        return {
+          poolId: pool.pool,
+          symbol: pool.symbol,
+          project: pool.project,
+          source: tracked.get(pool.pool),
+          apy: pool.apy,
+          apyBase: pool.apyBase,
+          apyReward: pool.apyReward,
+          tvlUsd: pool.tvlUsd,
+          volumeUsd1d: pool.volumeUsd1d,
+          riskScore: risk.score,
+          riskBreakdown: risk
+        };
+      });
+
+    const recorded = await dbService.addPoolSnapshots(cycleId, snapshots);
+    if (recorded < tracked.size) {
+      await dbService.addLog(cycleId, 'warn', `No current data for ${tracked.size - recorded} tracked pools`);
+    }
+
+    // Reward token prices of watched and held pools feed the reward decay estimate
+    const rewardPrices = await rewardDecay.observe(trackedPools);
+    if (rewardPrices > 0) {
+      logger.info(` Recorded ${rewardPrices} reward token prices`);
+    }
+
+    return recorded;
+  } catch (error) {
+    logger.error(`Error recording pool snapshots: ${error.message}`);
+    await dbService.addLog(cycleId, 'error', `Error recording pool snapshots: ${error.message}`);
+    return 0;
+  }
+}
+
+async function updateWatchlist(cycleId, ctx, market) {
+  logger.info(`👀 [${ctx.name}] Updating watchlist with newest pools...`);
+  const scoped = { portfolioId: ctx.portfolioId };
   
   try {
-    const detected = await fetchNewIncentivePools(defaultConfig);
-    const existingWatchlist = await dbService.getWatchlist();
+    const detected = await fetchNewIncentivePools(ctx.config, market, { crossCheck: false });
+    const existingWatchlist = await dbService.getWatchlist(scoped);
     const existingIds = new Set(existingWatchlist.map(p => p.poolId));
     let added = 0;
     let updated = 0;
 
-    for (const pool of detected.slice(0, 15)) { // Top 15 new pools
+    for (const pool of detected.slice(0, ctx.workflow.watchlistDetectLimit)) { // Newest pools first
       if (!existingIds.has(pool.pool)) {
         // Add new pool
         await dbService.addToWatchlist({
+          portfolioId: ctx.portfolioId,
           poolId: pool.pool,
           symbol: pool.symbol,
           project: pool.project,
-          isNew: pool.isNew || false
+          chain: pool.chain,
+          isNew: pool.isNew || false,
+          detectionSignals: pool.detectionSignals
         });
         added++;
       } else {
         // Update existing pool's lastChecked timestamp
-        await dbService.updateWatchlistStatus(pool.pool, 'watching');
+        await dbService.updateWatchlistStatus(pool.pool, 'watching', scoped);
         updated++;
       }
     }
 
     // Clean up old watchlist entries
-    const cleaned = await dbService.cleanOldWatchlistEntries(7);
+    const cleaned = await dbService.cleanOldWatchlistEntries(ctx.workflow.watchlistRetentionDays, scoped);
 
     if (added > 0) {
-      logger.info(` Added ${added} new pools to watchlist`);
-      await dbService.addLog(cycleId, 'info', `Added ${added} new pools to watchlist`);
+      logger.info(` [${ctx.name}] Added ${added} new pools to watchlist`);
+      await dbService.addLog(cycleId, 'info', `Added ${added} new pools to watchlist`, null, scoped);
     }
     
     if (updated > 0) {
-      logger.info(` Updated ${updated} existing pools in watchlist`);
-      await dbService.addLog(cycleId, 'info', `Updated ${updated} existing pools lastChecked timestamp`);
+      logger.info(` [${ctx.name}] Updated ${updated} existing pools in watchlist`);
+      await dbService.addLog(cycleId, 'info', `Updated ${updated} existing pools lastChecked timestamp`, null, scoped);
     }
     
     if (cleaned > 0) {
-      logger.info(`🧹 Cleaned ${cleaned} old watchlist entries`);
-      await dbService.addLog(cycleId, 'info', `Cleaned ${cleaned} old watchlist entries`);
+      logger.info(`🧹 [${ctx.name}] Cleaned ${cleaned} old watchlist entries`);
+      await dbService.addLog(cycleId, 'info', `Cleaned ${cleaned} old watchlist entries`, null, scoped);
     }
     
     return { added, updated, cleaned };
   } catch (error) {
-    logger.error(`Error updating watchlist: ${error.message}`);
-    await dbService.addLog(cycleId, 'error', `Error updating watchlist: ${error.message}`);
+    logger.error(`[${ctx.name}] Error updating watchlist: ${error.message}`);
+    await dbService.addLog(cycleId, 'error', `Error updating watchlist: ${error.message}`, null, scoped);
     return { added: 0, cleaned: 0 };
   }
 }
 
-async function investFromWatchlist(cycleId) {
-  logger.info('Evaluating watchlist for investment...');
+// Watchlist candidates of every portfolio, each pool once
+async function ingestPoolCharts(cycleId) {
+  if (!poolHistory.supported) return 0;
+  logger.info('📊 Ingesting pool history charts for watchlist candidates...');
+
+  try {
+    const watchlist = await dbService.getWatchlist();
+    const stats = await poolHistory.ingest([...new Set(watchlist.map(w => w.poolId))]);
+
+    if (stats.ingested > 0 || stats.failed > 0) {
+      logger.info(` Ingested charts for ${stats.ingested} pools (${stats.points} new points, ${stats.failed} failed, ${stats.skipped} up to date)`);
+      await dbService.addLog(cycleId, 'info', `Ingested history charts for ${stats.ingested} pools`, stats);
+    }
+    return stats.ingested;
+  } catch (error) {
+    logger.error(`Error ingesting pool charts: ${error.message}`);
+    await dbService.addLog(cycleId, 'error', `Error ingesting pool charts: ${error.message}`);
+    return 0;
+  }
+}
+
+async function investFromWatchlist(cycleId, ctx, market) {
+  logger.info(`[${ctx.name}] Evaluating watchlist for investment...`);
+  const scoped = { portfolioId: ctx.portfolioId };
+  const maxPositions = ctx.workflow.maxPositions;
   
   try {
-    const activePositions = await dbService.getActivePositions();
-    let slots = MAX_ACTIVE_POSITIONS - activePositions.length;
+    const activePositions = await dbService.getActivePositions(scoped);
+    let slots = maxPositions - activePositions.length;
     
     if (slots <= 0) {
-      logger.info('🏦 Portfolio is full. No new investments will be made.');
-      await dbService.addLog(cycleId, 'info', 'Portfolio is full, skipping investments');
+      logger.info(`🏦 [${ctx.name}] Portfolio is full. No new investments will be made.`);
+      await dbService.addLog(cycleId, 'info', 'Portfolio is full, skipping investments', null, scoped);
       return 0;
     }
 
-    const now = Date.now();
-    const watchlist = await dbService.getWatchlist();
-    const matured = watchlist.filter(w => now - new Date(w.firstSeen).getTime() >= MIN_WATCHLIST_AGE_MS);
+    const now = clock.now();
+    const watchlist = await dbService.getWatchlist(scoped);
+    const matured = watchlist.filter(w => isMatured(w, now, ctx.workflow));
     
     if (!matured.length) {
-      logger.info('⏰ No matured pools to validate yet.');
+      logger.info(`⏰ [${ctx.name}] No matured pools to validate yet.`);
       return 0;
     }
 
-    const allPools = await fetchNewIncentivePools(defaultConfig);
-    const validated = validateAndFilterNewPools(matured, allPools, defaultConfig);
+    const allPools = await fetchNewIncentivePools(ctx.config, market, { crossCheck: false });
+    const validated = validateAndFilterNewPools(matured, allPools, ctx.config);
     
     if (!validated.length) {
-      logger.info(' No validated pools meeting criteria.');
-      await dbService.addLog(cycleId, 'info', 'No pools passed validation criteria');
+      logger.info(` [${ctx.name}] No validated pools meeting criteria.`);
+      await dbService.addLog(cycleId, 'info', 'No pools passed validation criteria', null, scoped);
       return 0;
     }
 
-    const enriched = enrichPoolData(validated.slice(0, 20), sampleStats, defaultConfig);
-    const optimal = selectOptimalPools(enriched, defaultConfig);
+    const withHistory = await poolHistory.attachMetrics(validated.slice(0, ctx.workflow.validationLimit));
+    const withDecay = await rewardDecay.attachDecay(withHistory);
+    const enriched = enrichPoolData(withDecay, sampleStats, ctx.config);
+    // Only pools the portfolio's executor can trade are rebalanced into or entered
+    const executor = getExecutor(ctx.execution.executor);
+    const optimal = selectOptimalPools(enriched, ctx.config).filter(pool => {
+      if (executor.supports(pool)) return true;
+      logger.info(` [${ctx.name}] Skipping ${pool.symbol}: the ${executor.name} executor cannot trade ${pool.project} on ${pool.chain}`);
+      return false;
+    });
+
+    // Keep the latest risk assessment on the watchlist so rejections can be explained
+    for (const pool of enriched) {
+      await dbService.updateWatchlistRisk(pool.pool, pool.riskBreakdown, scoped);
+      if (pool.riskScore > pool.riskBreakdown.maxRiskScore) {
+        await dbService.addLog(cycleId, 'info', `Rejected ${pool.symbol}: risk ${pool.riskScore} > ${pool.riskBreakdown.maxRiskScore} (${describeRisk(pool.riskBreakdown)})`, {
+          poolId: pool.pool,
+          riskBreakdown: pool.riskBreakdown
+        }, scoped);
+      }
+    }
 
     // --- Rebalancing Logic ---
     for (const cand of optimal) {
-      if (activePositions.length < MAX_ACTIVE_POSITIONS) break;
+      if (activePositions.length < maxPositions) break;
 
-      const worst = activePositions.reduce(
-        (min, p) => p.entryApy < min.entryApy ? p : min, 
-        activePositions[0]
-      );
-      
-      if (cand.apy > worst.entryApy + 20) { // 20% APY improvement threshold
-        logger.info(` Rebalancing: Replacing ${worst.symbol} (APY ${worst.entryApy}%) with ${cand.symbol} (APY ${cand.apy}%)`);
+      const rebalance = evaluateRebalance(activePositions, cand, ctx.workflow);
+      if (rebalance) {
+        const { worst, grossImprovement, roundTripCost, netImprovement } = rebalance;
+
+        if (!rebalance.swap) {
+          logger.info(` [${ctx.name}] Not rebalancing ${worst.symbol} -> ${cand.symbol}: $${grossImprovement.toFixed(2)} extra yield does not cover $${roundTripCost.toFixed(2)} round-trip costs`);
+          continue;
+        }
+
+        logger.info(` [${ctx.name}] Rebalancing: Replacing ${worst.symbol} (APY ${worst.entryApy}%) with ${cand.symbol} (APY ${cand.apy}%) | Net improvement $${netImprovement.toFixed(2)} after $${roundTripCost.toFixed(2)} costs`);
         
         // Calculate yield for the position being exited
+        const exitTime = new Date(clock.now());
+        const { prices, rewardPrices } = await tokenPrices.positionPrices(worst);
+        const observations = await yieldCalculator.positionObservations(worst, exitTime);
+        // No current pool data here: exit at the last observed APY, or the entry APY without observations
+        const exitApy = observations.length ? observations[observations.length - 1].apy : worst.entryApy;
         const yieldData = yieldCalculator.calculateYield(worst, {
-          timestamp: new Date(),
-          exitApy: worst.entryApy // Use entry APY as we don't have current data
+          timestamp: exitTime,
+          exitApy,
+          observations,
+          prices,
+          rewardPrices
         });
         
+        const execution = await positionExecution.close(cycleId, worst, { valueUsd: yieldData.finalAmount, prices });
+        if (execution.status !== 'filled') continue;
+
+        const fees = await chargeFees(cycleId, worst, yieldData, exitTime, { ...ctx.fees, exit: true });
         await dbService.exitPosition(worst.poolId, {
           reason: 'rebalanced',
-          exitApy: worst.entryApy,
-          profitLoss: yieldData.totalReturn
-        });
+          exitApy,
+          prices,
+          rewardPrices,
+          profitLoss: yieldData.totalReturn,
+          farmingReturn: yieldData.farmingReturn,
+          rewardReturn: yieldData.rewardReturn,
+          pricePnl: yieldData.pricePnl,
+          impermanentLoss: yieldData.impermanentLoss
+        }, scoped);
         
         await dbService.addLog(cycleId, 'info', `Rebalancing: Replacing ${worst.symbol} with ${cand.symbol}`, {
           oldApy: worst.entryApy,
           newApy: cand.apy,
           improvement: cand.apy - worst.entryApy,
+          grossImprovement,
+          roundTripCost,
+          netImprovement,
           exitedReturn: yieldData.totalReturn,
-          exitedPercentage: yieldData.returnPercentage
-        });
+          exitedPercentage: yieldData.returnPercentage,
+          exitedFees: fees.total
+        }, scoped);
         
+        activePositions.splice(activePositions.indexOf(worst), 1);
         slots++;
       }
     }
 
-    const remaining = optimal.slice(0, slots);
+    // Per-chain position caps (STRATEGY_CONFIG.maxPositions with chain overrides)
+    // and portfolio exposure limits, both over what is held after rebalancing
+    const heldPositions = await dbService.getActivePositions(scoped);
+    const chainCounts = {};
+    heldPositions.forEach(p => { chainCounts[p.chain] = (chainCounts[p.chain] || 0) + 1; });
+    const exposure = createExposureTracker(heldPositions, ctx.exposureLimits);
+    let investedUsd = heldPositions.reduce((sum, p) => sum + (p.principalUsd ?? YIELD_CONFIG.principalUsd), 0);
+
     let investedCount = 0;
     
-    for (const cand of remaining) {
-      if (!activePositions.some(p => p.poolId === cand.pool)) {
+    for (const cand of optimal) {
+      if (investedCount >= slots) break;
+
+      const chainLimit = CONFIG_HELPERS.forChain(cand.chain, ctx.config).maxPositions;
+      if ((chainCounts[cand.chain] || 0) >= chainLimit) {
+        logger.info(` [${ctx.name}] Skipping ${cand.symbol}: ${cand.chain} already holds ${chainLimit} positions`);
+        continue;
+      }
+
+      if (!heldPositions.some(p => p.poolId === cand.pool)) {
+        const sizing = sizePosition(cand, { investedUsd }, ctx.sizing);
+        if (!sizing.principalUsd) {
+          logger.info(` [${ctx.name}] Skipping ${cand.symbol}: ${sizing.policy} sizing allocates no capital ($${sizing.rawUsd.toFixed(2)} raw, $${investedUsd.toFixed(2)} invested)`);
+          continue;
+        }
+
+        const violation = exposure.check(cand, sizing.principalUsd);
+        if (violation) {
+          const detail = describeExposureViolation(violation);
+          logger.info(` [${ctx.name}] Skipping ${cand.symbol}: exposure limit (${detail})`);
+          await dbService.addLog(cycleId, 'info', `Exposure limit: skipped ${cand.symbol} (${detail})`, {
+            poolId: cand.pool,
+            violation
+          }, scoped);
+          continue;
+        }
+
         // Simulate investment to show projected returns
-        const simulation = yieldCalculator.simulateInvestment(cand, 1); // 1 day projection
+        const simulation = yieldCalculator.simulateInvestment(cand, 1, sizing.principalUsd, ctx.harvest); // 1 day projection
+        const harvestPlan = planHarvest(cand, { valueUsd: sizing.principalUsd, rewardApy: cand.apyReward || 0 }, ctx.harvest);
+        const [entryPrices, entryRewardPrices] = await Promise.all([
+          tokenPrices.snapshot(cand.chain, cand.underlyingTokens),
+          tokenPrices.snapshot(cand.chain, cand.rewardTokens)
+        ]);
         
-        logger.info(` Entering ${cand.symbol} | APY ${cand.apy.toFixed(2)}% | Risk ${cand.riskScore} | ${cand.isNew ? '🆕 NEW' : '📈 EST'} | Daily Est: $${simulation.totalReturn.toFixed(2)}`);
+        logger.info(` [${ctx.name}] Entering ${cand.symbol} (${cand.chain}) | $${sizing.principalUsd.toFixed(2)} (${sizing.policy}) | APY ${cand.apy.toFixed(2)}% | Risk ${cand.riskScore} | ${cand.isNew ? '🆕 NEW' : '📈 EST'} | Daily Est: $${simulation.totalReturn.toFixed(2)}`);
         
+        const execution = await positionExecution.open(cycleId, cand, {
+          portfolioId: ctx.portfolioId,
+          executor: executor.name,
+          principalUsd: sizing.principalUsd,
+          prices: entryPrices
+        });
+        if (execution.status !== 'filled') continue;
+
         await dbService.addPosition(cycleId, {
+          portfolioId: ctx.portfolioId,
           poolId: cand.pool,
           symbol: cand.symbol,
           project: cand.project,
+          chain: cand.chain,
+          underlyingTokens: cand.underlyingTokens,
+          exposure: cand.exposure,
+          rewardTokens: cand.rewardTokens,
+          principalUsd: sizing.principalUsd,
+          sizingPolicy: sizing.policy,
           entryApy: cand.apy,
           entryRewardApy: cand.apyReward || 0,
           entryTvl: cand.tvlUsd || 0,
           entryRisk: cand.riskScore,
+          entryPrices,
+          entryRewardPrices,
+          riskBreakdown: cand.riskBreakdown,
           isNew: cand.isNew,
-          detectionReason: cand.isNew ? 'New incentive pool' : 'High APY opportunity'
+          detectionReason: describeSignals(cand.detectionSignals),
+          detectionSignals: cand.detectionSignals,
+          harvestIntervalHours: harvestPlan.intervalHours,
+          nextHarvestAt: nextHarvestAt(new Date(clock.now()), harvestPlan.intervalHours),
+          execution
         });
         
         // Update watchlist status
-        await dbService.updateWatchlistStatus(cand.pool, 'invested');
+        await dbService.updateWatchlistStatus(cand.pool, 'invested', scoped);
         
         await dbService.addLog(cycleId, 'info', `New investment: ${cand.symbol}`, {
+          chain: cand.chain,
           apy: cand.apy,
           risk: cand.riskScore,
           isNew: cand.isNew,
+          signals: (cand.detectionSignals || []).map(s => s.id),
           tvl: cand.tvlUsd,
-          principal: yieldCalculator.PRINCIPAL_USD,
+          principal: sizing.principalUsd,
+          sizingPolicy: sizing.policy,
+          harvestIntervalHours: harvestPlan.intervalHours,
+          effectiveApy: simulation.effectiveApy,
+          rewardDecay: cand.rewardDecay,
           projectedDailyReturn: simulation.totalReturn,
-          projectedDailyPercentage: simulation.returnPercentage
-        });
+          projectedDailyPercentage: simulation.returnPercentage,
+          executor: execution.executor,
+          signatures: execution.signatures
+        }, scoped);
         
+        chainCounts[cand.chain] = (chainCounts[cand.chain] || 0) + 1;
+        exposure.add(cand, sizing.principalUsd);
+        investedUsd += sizing.principalUsd;
         investedCount++;
       }
     }
     
     if (investedCount > 0) {
-      logger.info(` Made ${investedCount} new investments`);
+      logger.info(` [${ctx.name}] Made ${investedCount} new investments`);
     }
     
     return investedCount;
   } catch (error) {
-    logger.error(`Error investing from watchlist: ${error.message}`);
-    await dbService.addLog(cycleId, 'error', `Error investing: ${error.message}`);
+    logger.error(`[${ctx.name}] Error investing from watchlist: ${error.message}`);
+    await dbService.addLog(cycleId, 'error', `Error investing: ${error.message}`, null, scoped);
     return 0;
   }
 }
 
+// One portfolio's pass over the cycle's market data
+async function runPortfolio(cycleId, portfolio, market) {
+  const ctx = { portfolioId: portfolio.id, name: portfolio.name, ...portfolios.settings(portfolio) };
+  const scoped = { portfolioId: portfolio.id };
+
+  const exitedCount = await checkForExits(cycleId, ctx, market);
+  const harvestedCount = await processHarvests(cycleId, ctx, market);
+  const watchlistStats = await updateWatchlist(cycleId, ctx, market);
+  const investedCount = await investFromWatchlist(cycleId, ctx, market);
+
+  const [activePositions, allPositions, watchlist] = await Promise.all([
+    dbService.getActivePositions(scoped),
+    dbService.getAllPositions(scoped),
+    dbService.getWatchlist(scoped)
+  ]);
+  const yieldAnalytics = await yieldCalculator.generateYieldAnalytics(allPositions);
+  const overall = yieldAnalytics.overall;
+
+  await dbService.addPortfolioCycle(cycleId, portfolio.id, {
+    activePositions: activePositions.length,
+    watchlistSize: watchlist.length,
+    newPoolsFound: watchlistStats.added,
+    positionsExited: exitedCount,
+    newInvestments: investedCount,
+    totalInvested: overall.totalInvested,
+    currentValue: overall.totalCurrentValue,
+    totalReturns: overall.totalReturns,
+    returnPct: overall.portfolioReturnPercentage,
+    winRate: overall.winRate
+  });
+
+  // Price per share of the portfolio's vault, if it has one
+  try {
+    const snapshot = await vaults.recordCycle(cycleId, portfolio, overall.fees.netReturns);
+    if (snapshot) {
+      logger.info(` [${portfolio.name}] Vault NAV $${snapshot.navUsd} | PPS ${snapshot.pricePerShare}`);
+    }
+  } catch (error) {
+    logger.error(`[${portfolio.name}] Error recording vault snapshot: ${error.message}`);
+    await dbService.addLog(cycleId, 'error', `Error recording vault snapshot: ${error.message}`, null, scoped);
+  }
+
+  // Log yield performance
+  logger.info(`Portfolio Performance [${portfolio.name}]:`);
+  logger.info(`   • Total Invested: $${overall.totalInvested}`);
+  logger.info(`   • Current Value: $${overall.totalCurrentValue}`);
+  logger.info(`   • Total Returns: $${overall.totalReturns} (${overall.portfolioReturnPercentage}%)`);
+  if (overall.fees.total > 0) {
+    logger.info(`   • Fees: $${overall.fees.total} (management $${overall.fees.management}, performance $${overall.fees.performance}) | Net: $${overall.fees.netReturns} (${overall.fees.netReturnPercentage}%)`);
+  }
+  logger.info(`   • Win Rate: ${overall.winRate.toFixed(1)}% (${overall.profitablePositions}/${overall.totalPositions})`);
+  logger.info(`   • Avg Hold: ${overall.averageHoldDays.toFixed(1)} days`);
+
+  await dbService.addLog(cycleId, 'info', 'Portfolio cycle completed', {
+    activePositions: activePositions.length,
+    watchlistSize: watchlist.length,
+    newPoolsAdded: watchlistStats.added,
+    positionsExited: exitedCount,
+    harvests: harvestedCount,
+    newInvestments: investedCount,
+    portfolioValue: overall.totalCurrentValue,
+    portfolioReturns: overall.totalReturns,
+    portfolioReturnPercentage: overall.portfolioReturnPercentage,
+    fees: overall.fees.total,
+    portfolioReturnsAfterFees: overall.fees.netReturns,
+    winRate: overall.winRate
+  }, scoped);
+
+  return {
+    activePositions: activePositions.length,
+    watchlistSize: watchlist.length,
+    added: watchlistStats.added,
+    exited: exitedCount,
+    harvested: harvestedCount,
+    invested: investedCount
+  };
+}
+
+// Compares the signing wallet with the active on-chain positions of every portfolio
+// and logs drift; the report is stored either way
+async function reconcileWallet(cycleId) {
+  const report = await reconciliation.run({ cycleId });
+  if (report.status === 'error') {
+    logger.error(`❌ Wallet reconciliation failed: ${report.error}`);
+    await dbService.addLog(cycleId, 'error', `Wallet reconciliation failed: ${report.error}`, { wallet: report.wallet, rpcUrl: report.rpcUrl });
+    return report;
+  }
+
+  const counts = `${report.matched.length} matched, ${report.mismatches.length} mismatched, ${report.missing.length} missing, ${report.orphans.length} orphaned`;
+  logger.info(`🔎 Wallet ${report.wallet}: ${counts}`);
+  if (report.status === 'drift') {
+    await dbService.addLog(cycleId, 'warn', `Wallet drift: ${counts}`, {
+      wallet: report.wallet,
+      mismatches: report.mismatches,
+      missing: report.missing,
+      orphans: report.orphans
+    });
+  }
+  return report;
+}
+
 // --- Main Loop ---
+// Runs one cycle; resolves false when it failed
 async function workflowLoop() {
   const startTime = Date.now();
-  logger.info(`\n=== 🤖 Workflow Cycle @ ${new Date().toISOString()} ===`);
+  logger.info(`\n=== 🤖 Workflow Cycle @ ${new Date(clock.now()).toISOString()} ===`);
   
   try {
+    // Every cycle works from one fresh download of the pool universe, shared by all portfolios
+    poolUniverse.invalidate();
+    httpClient.takeStaleResponses();
+
+    // Pick up protocols quarantined and portfolios changed through the API since the last cycle
+    await protocolRegistry.refresh();
+    const active = await portfolios.getActive();
+
     // Start a new detection cycle
     const cycle = await dbService.startDetectionCycle();
-    await dbService.addLog(cycle.id, 'info', 'Started new detection cycle');
-    
-    // Execute workflow phases
-    const exitedCount = await checkForExits(cycle.id);
-    const watchlistStats = await updateWatchlist(cycle.id);
-    const investedCount = await investFromWatchlist(cycle.id);
+    httpRecorder.beginCycle(cycle.id);
+    await dbService.addLog(cycle.id, 'info', 'Started new detection cycle', { portfolios: active.map(p => p.name) });
+
+    const market = await poolUniverse.snapshot();
+    await crossCheckWithConfiguredSource(await market.fetchPools());
     
-    // Get final stats and yield analytics
-    const activePositions = await dbService.getActivePositions();
-    const allPositions = await dbService.getAllPositions();
-    const watchlist = await dbService.getWatchlist();
+    // Execute workflow phases: market-wide, then once per portfolio
+    const snapshotCount = await recordPoolSnapshots(cycle.id, market);
+    const results = [];
+    for (const portfolio of active) {
+      results.push(await runPortfolio(cycle.id, portfolio, market));
+    }
+    const chartsIngested = await ingestPoolCharts(cycle.id);
+    const executors = active.map(p => portfolios.settings(p).execution.executor);
+    if (shouldReconcile(executors, await dbService.getActivePositions())) {
+      await reconcileWallet(cycle.id);
+    }
+
+    const totals = results.reduce((sum, r) => {
+      Object.keys(sum).forEach(key => { sum[key] += r[key]; });
+      return sum;
+    }, { activePositions: 0, watchlistSize: 0, added: 0, exited: 0, harvested: 0, invested: 0 });
     const cycleDuration = Date.now() - startTime;
     
-    // Generate yield analytics
-    const yieldAnalytics = await yieldCalculator.generateYieldAnalytics(allPositions);
-    
+    // Flag cycles whose decisions were made on last-good (stale) upstream data
+    const staleResponses = httpClient.takeStaleResponses();
+    const staleSources = [...new Set(staleResponses.map(r => r.host))];
+    if (staleResponses.length > 0) {
+      logger.warn(`⚠️ Cycle ran on stale data from: ${staleSources.join(', ')}`);
+      await dbService.addLog(cycle.id, 'warn', 'Cycle used stale upstream data', {
+        sources: staleSources,
+        responses: staleResponses
+      });
+    }
+
     // Update cycle stats
     await dbService.updateCycleStats(cycle.id, {
-      activePositions: activePositions.length,
-      watchlistSize: watchlist.length,
-      totalPoolsFound: watchlistStats.added + watchlist.length,
-      newPoolsFound: watchlistStats.added
+      activePositions: totals.activePositions,
+      watchlistSize: totals.watchlistSize,
+      totalPoolsFound: totals.added + totals.watchlistSize,
+      newPoolsFound: totals.added,
+      usedStaleData: staleResponses.length > 0,
+      staleSources: staleSources.length > 0 ? staleSources : null
     });
     
-    // Log yield performance
-    logger.info(`Portfolio Performance:`);
-    logger.info(`   • Total Invested: $${yieldAnalytics.overall.totalInvested}`);
-    logger.info(`   • Current Value: $${yieldAnalytics.overall.totalCurrentValue}`);
-    logger.info(`   • Total Returns: $${yieldAnalytics.overall.totalReturns} (${yieldAnalytics.overall.portfolioReturnPercentage}%)`);
-    logger.info(`   • Win Rate: ${yieldAnalytics.overall.winRate.toFixed(1)}% (${yieldAnalytics.overall.profitablePositions}/${yieldAnalytics.overall.totalPositions})`);
-    logger.info(`   • Avg Hold: ${yieldAnalytics.overall.averageHoldDays.toFixed(1)} days`);
-    
     // Log final cycle summary
-    const summary = `Cycle Complete: Active=${activePositions.length}, Watchlist=${watchlist.length}, New=${watchlistStats.added}, Exited=${exitedCount}, Invested=${investedCount}, Duration=${(cycleDuration/1000).toFixed(1)}s, Returns=${yieldAnalytics.overall.portfolioReturnPercentage.toFixed(2)}%`;
+    const summary = `Cycle Complete: Portfolios=${active.length}, Active=${totals.activePositions}, Watchlist=${totals.watchlistSize}, New=${totals.added}, Exited=${totals.exited}, Harvested=${totals.harvested}, Invested=${totals.invested}, Duration=${(cycleDuration/1000).toFixed(1)}s`;
     logger.info(` ${summary}`);
     
     await dbService.addLog(cycle.id, 'info', 'Cycle completed successfully', {
-      activePositions: activePositions.length,
-      watchlistSize: watchlist.length,
-      newPoolsAdded: watchlistStats.added,
-      positionsExited: exitedCount,
-      newInvestments: investedCount,
-      cycleDurationMs: cycleDuration,
-      portfolioValue: yieldAnalytics.overall.totalCurrentValue,
-      portfolioReturns: yieldAnalytics.overall.totalReturns,
-      portfolioReturnPercentage: yieldAnalytics.overall.portfolioReturnPercentage,
-      winRate: yieldAnalytics.overall.winRate
+      portfolios: active.length,
+      activePositions: totals.activePositions,
+      watchlistSize: totals.watchlistSize,
+      newPoolsAdded: totals.added,
+      poolSnapshots: snapshotCount,
+      chartsIngested,
+      positionsExited: totals.exited,
+      harvests: totals.harvested,
+      newInvestments: totals.invested,
+      cycleDurationMs: cycleDuration
     });
+    return true;
     
   } catch (error) {
     logger.error(` Workflow error: ${error.message}`);
     console.error(error);
+    return false;
   }
 }
 
 // --- Startup ---
 async function startWorkflow() {
   try {
+    if (httpRecorder.isReplaying && !CAPTURE_CONFIG.replayDatabaseUrl) {
+      throw new Error('Replay needs REPLAY_DATABASE_URL: recorded cycles are never replayed into the live database');
+    }
+
     // Connect to database
     await dbService.connect();
+    const defaultPortfolio = await portfolios.ensureDefault();
+    const active = await portfolios.getActive();
     
     logger.info('\n Starting Database-Integrated Workflow Manager...');
     logger.info(`Configuration:`);
     logger.info(`   • Interval: ${RUN_INTERVAL_MS/60000} minutes`);
-    logger.info(`   • Hold Duration: ${HOLD_DURATION_MS/3600000} hours`);
-    logger.info(`   • Max Positions: ${MAX_ACTIVE_POSITIONS}`);
-    logger.info(`   • Watchlist Age: ${MIN_WATCHLIST_AGE_MS/60000} minutes`);
-    logger.info(`   • Max Risk Score: ${MAX_RISK_SCORE}`);
-    logger.info(`   • APY Drop Threshold: ${(WORKFLOW_CONFIG.apyDropThreshold * 100)}%`);
     logger.info(`   • Ultra-Fresh Window: ${TIMING_CONFIG.newPoolMinAgeHrs}-${TIMING_CONFIG.newPoolMaxAgeHrs} hours`);
-    logger.info(`   • Principal Per Pool: $${YIELD_CONFIG.principalUsd}`);
+    logger.info(`   • Portfolios: ${active.map(p => p.name).join(', ') || 'none active'}`);
+    // Each portfolio trades with its own resolved settings
+    for (const portfolio of active) {
+      const { config, workflow, exitOptions, sizing } = portfolios.settings(portfolio);
+      const enabledRules = Object.keys(exitOptions.rules).filter(r => exitOptions.rules[r].enabled);
+      logger.info(`   • [${portfolio.name}] Bankroll: $${sizing.bankrollUsd} (${sizing.policy} sizing, max ${sizing.maxPositionPct}% per pool)`);
+      logger.info(`       Hold Duration: ${workflow.holdDurationMs/3600000} hours | Max Positions: ${workflow.maxPositions} | Watchlist Age: ${workflow.watchlistAgeMs/60000} minutes | Max Risk Score: ${config.maxRiskScore}`);
+      logger.info(`       Chains: ${config.enabledChains.map(c => `${c} (max ${CONFIG_HELPERS.forChain(c, config).maxPositions})`).join(', ')}`);
+      logger.info(`       Exit Rules: ${enabledRules.join(', ')} (min hold ${exitOptions.minHoldHours}h, max risk ${exitOptions.rules.riskLimit.maxRiskScore})`);
+    }
+    if (defaultPortfolio.adopted.positions + defaultPortfolio.adopted.watchlist > 0) {
+      logger.info(`   • Assigned ${defaultPortfolio.adopted.positions} positions and ${defaultPortfolio.adopted.watchlist} watchlist pools to ${defaultPortfolio.name}`);
+    }
     
+    // Replay mode re-runs every recorded cycle back to back, without network access,
+    // each on the clock it was recorded at. A failed cycle aborts: the recorder would
+    // not advance past a cycle that failed before it began, and later cycles build on it
+    if (httpRecorder.isReplaying) {
+      const recordedCycles = httpRecorder.listRecordedCycles();
+      logger.info(`   • Replaying ${recordedCycles.length} recorded cycles from ${httpRecorder.sessionDir}`);
+      while (httpRecorder.hasMoreCycles()) {
+        const cycleNumber = httpRecorder.cycleSeq + 1;
+        const recordedAt = httpRecorder.nextCycleTime();
+        if (recordedAt) clock.set(recordedAt);
+        if (!await workflowLoop()) {
+          throw new Error(`Replay aborted: recorded cycle ${cycleNumber} of ${recordedCycles.length} failed`);
+        }
+      }
+      clock.reset();
+      logger.info('\n Replay complete.');
+      await dbService.disconnect();
+      return;
+    }
+
+    if (httpRecorder.isRecording) {
+      logger.info(`   • Recording upstream responses to ${httpRecorder.sessionDir}`);
+    }
+
     // Run initial cycle
     await workflowLoop();
     
@@ -7,13 +7,18 @@
  *
  * Description:
  * Command-line tool to analyze farming yields and calculate returns
- * with the $1000 per pool investment simulation.
+ * from the principal each position was sized with out of the configured bankroll.
+ * Analyzes one portfolio (--portfolio <id or name>, the default portfolio otherwise).
  *
  * ===================================================================================
  */
 
 import { dbService } from './services/database.js';
 import yieldCalculator from './yield-calculator.js';
+import { PORTFOLIO_CONFIG } from './config.js';
+import { tokenPrices } from './services/token-prices.js';
+import { portfolios } from './services/portfolios.js';
+import { withFees } from './services/fees.js';
 
 // ANSI color codes for terminal output
 const colors = {
@@ -52,9 +57,20 @@ function printSection(title) {
   console.log(colorize('-'.repeat(40), 'yellow'));
 }
 
-async function showPortfolioSummary() {
+// Connects and resolves the --portfolio option
+async function connectToPortfolio() {
+  await dbService.connect();
+  const ref = args.includes('--portfolio') ? args[args.indexOf('--portfolio') + 1] : null;
+  const portfolio = await portfolios.resolve(ref);
+  if (!portfolio) {
+    throw new Error(`No portfolio ${ref ?? PORTFOLIO_CONFIG.defaultName}`);
+  }
+  return portfolio;
+}
+
+async function showPortfolioSummary(scoped) {
   try {
-    const positions = await dbService.getAllPositions();
+    const positions = await dbService.getAllPositions(scoped);
     const analytics = await yieldCalculator.generateYieldAnalytics(positions);
     
     printHeader('PORTFOLIO YIELD SUMMARY');
@@ -63,10 +79,23 @@ async function showPortfolioSummary() {
     printSection('Overall Performance');
     console.log(`${colorize('Total Invested:', 'white')} ${formatCurrency(analytics.overall.totalInvested)}`);
     console.log(`${colorize('Current Value:', 'white')} ${formatCurrency(analytics.overall.totalCurrentValue)}`);
+    console.log(`${colorize('Farming Yield:', 'white')} ${formatCurrency(analytics.overall.totalFarmingReturns)}`);
+    console.log(`${colorize('Price Change:', 'white')} ${formatCurrency(analytics.overall.totalPricePnl)}`);
+    console.log(`${colorize('Impermanent Loss:', 'white')} ${formatCurrency(analytics.overall.totalImpermanentLoss)}`);
+    console.log(`${colorize('Gross Return:', 'white')} ${formatCurrency(analytics.overall.totalGrossReturns)}`);
+    console.log(`${colorize('Trading Costs:', 'white')} ${formatCurrency(analytics.overall.totalCosts)}`);
     console.log(`${colorize('Net P&L:', 'white')} ${formatCurrency(analytics.overall.totalReturns)} (${formatPercent(analytics.overall.portfolioReturnPercentage)})`);
     console.log(`${colorize('Win Rate:', 'white')} ${formatPercent(analytics.overall.winRate)} (${analytics.overall.profitablePositions}/${analytics.overall.totalPositions} positions)`);
     console.log(`${colorize('Avg Hold Time:', 'white')} ${analytics.overall.averageHoldDays.toFixed(1)} days`);
     
+    // Gross vs net of management and performance fees
+    const fees = analytics.fees;
+    printSection('Fees');
+    console.log(`${colorize('Management Fees:', 'white')} ${formatCurrency(fees.management)}`);
+    console.log(`${colorize('Performance Fees:', 'white')} ${formatCurrency(fees.performance)}`);
+    console.log(`${colorize('Gross of Fees:', 'white')} ${formatCurrency(fees.grossReturns)} (${formatPercent(fees.grossReturnPercentage)})`);
+    console.log(`${colorize('Net of Fees:', 'white')} ${formatCurrency(fees.netReturns)} (${formatPercent(fees.netReturnPercentage)})`);
+    
     // Active vs Exited
     printSection('Active vs Exited Breakdown');
     console.log(`${colorize('Active Positions:', 'blue')} ${analytics.active.totalPositions} positions, ${formatCurrency(analytics.active.totalCurrentValue)} value`);
@@ -95,7 +124,8 @@ async function showPortfolioSummary() {
     printSection('Monthly Performance');
     Object.entries(analytics.monthlyPerformance).forEach(([month, data]) => {
       const returnPct = data.invested > 0 ? (data.returns / data.invested) * 100 : 0;
-      console.log(`${colorize(month + ':', 'white')} ${data.positions} pos, ${formatCurrency(data.returns)} (${formatPercent(returnPct)})`);
+      const netPct = data.invested > 0 ? (data.returnsAfterFees / data.invested) * 100 : 0;
+      console.log(`${colorize(month + ':', 'white')} ${data.positions} pos, ${formatCurrency(data.returns)} (${formatPercent(returnPct)}) gross, ${formatCurrency(data.returnsAfterFees)} (${formatPercent(netPct)}) net of fees`);
     });
     
     return analytics;
@@ -106,9 +136,9 @@ async function showPortfolioSummary() {
   }
 }
 
-async function showActivePositions() {
+async function showActivePositions(scoped) {
   try {
-    const activePositions = await dbService.getActivePositions();
+    const activePositions = await dbService.getActivePositions(scoped);
     
     if (activePositions.length === 0) {
       console.log(colorize('\nNo active positions to analyze.', 'yellow'));
@@ -118,16 +148,37 @@ async function showActivePositions() {
     printHeader('ACTIVE POSITIONS ANALYSIS');
     
     for (const position of activePositions) {
-      const yieldData = yieldCalculator.calculateYield(position);
+      const now = new Date();
+      const { prices, rewardPrices } = await tokenPrices.positionPrices(position);
+      const observations = await yieldCalculator.positionObservations(position, now);
+      const exitApy = observations.length ? observations[observations.length - 1].apy : position.entryApy;
+      const yieldData = yieldCalculator.calculateYield(position, prices || rewardPrices || observations.length
+        ? { timestamp: now, exitApy, observations, prices, rewardPrices }
+        : null);
       
       printSection(`${position.symbol} (${position.project})`);
       console.log(`${colorize('Pool ID:', 'white')} ${position.poolId}`);
       console.log(`${colorize('Entry Date:', 'white')} ${new Date(position.entryTimestamp).toLocaleDateString()}`);
       console.log(`${colorize('Entry APY:', 'white')} ${position.entryApy.toFixed(2)}%`);
       console.log(`${colorize('Hold Time:', 'white')} ${yieldData.holdDays.toFixed(1)} days`);
+      console.log(`${colorize('Average APY:', 'white')} ${yieldData.avgApy.toFixed(2)}% (${yieldData.accrualMethod === 'observed' ? `time-weighted over ${yieldData.observations} observations` : 'entry/exit mean'})`);
       console.log(`${colorize('Principal:', 'white')} ${formatCurrency(yieldData.principal)}`);
       console.log(`${colorize('Current Value:', 'white')} ${formatCurrency(yieldData.finalAmount)}`);
-      console.log(`${colorize('Unrealized P&L:', 'white')} ${formatCurrency(yieldData.totalReturn)} (${formatPercent(yieldData.returnPercentage)})`);
+      console.log(`${colorize('Farming Yield:', 'white')} ${formatCurrency(yieldData.farmingReturn)}`);
+      if (yieldData.rewardPriceRatio !== null) {
+        console.log(`${colorize('Reward Yield:', 'white')} ${formatCurrency(yieldData.rewardReturn)} at current reward prices (${formatCurrency(yieldData.quotedRewardReturn)} quoted, price ratio ${yieldData.rewardPriceRatio})`);
+      }
+      if (yieldData.priceTracked) {
+        console.log(`${colorize('Price Change:', 'white')} ${formatCurrency(yieldData.pricePnl)} (price ratios ${yieldData.priceRatios.join(' / ')})`);
+        console.log(`${colorize('Impermanent Loss:', 'white')} ${formatCurrency(yieldData.impermanentLoss)}`);
+      }
+      console.log(`${colorize('Gross Return:', 'white')} ${formatCurrency(yieldData.grossReturn)} (${formatPercent(yieldData.grossReturnPercentage)})`);
+      console.log(`${colorize('Costs:', 'white')} ${formatCurrency(yieldData.costs.total)} (entry ${formatCurrency(yieldData.costs.entry.total)}, exit ${formatCurrency(yieldData.costs.exit.total)})`);
+      console.log(`${colorize('Unrealized P&L:', 'white')} ${formatCurrency(yieldData.totalReturn)} (${formatPercent(yieldData.returnPercentage)}, net of costs)`);
+      const { fees, returnAfterFees, returnPercentageAfterFees } = withFees(yieldData, position.fees);
+      if (fees.total > 0) {
+        console.log(`${colorize('Fees Charged:', 'white')} ${formatCurrency(fees.total)} (management ${formatCurrency(fees.management)}, performance ${formatCurrency(fees.performance)}) → ${formatCurrency(returnAfterFees)} (${formatPercent(returnPercentageAfterFees)}) net of fees`);
+      }
       console.log(`${colorize('Daily Return:', 'white')} ${formatPercent(yieldData.dailyReturn)} per day`);
       console.log(`${colorize('Risk Score:', 'white')} ${position.entryRiskScore || 'N/A'}/10`);
       console.log(`${colorize('New Pool:', 'white')} ${position.isNew ? colorize('Yes', 'green') : 'No'}`);
@@ -138,9 +189,9 @@ async function showActivePositions() {
   }
 }
 
-async function showProjections() {
+async function showProjections(scoped) {
   try {
-    const activePositions = await dbService.getActivePositions();
+    const activePositions = await dbService.getActivePositions(scoped);
     
     if (activePositions.length === 0) {
       console.log(colorize('\nNo active positions for projections.', 'yellow'));
@@ -168,21 +219,23 @@ async function showProjections() {
 
 async function main() {
   try {
-    await dbService.connect();
+    const portfolio = await connectToPortfolio();
+    const scoped = { portfolioId: portfolio.id };
+    const { sizing } = portfolios.settings(portfolio);
     
     console.log(colorize('\n WildNet Yield Farming Analysis', 'bright'));
-    console.log(colorize('Investment Simulation: $1000 per pool\n', 'cyan'));
+    console.log(colorize(`Portfolio: ${portfolio.name} | Bankroll: $${portfolio.bankrollUsd} (${sizing.policy} position sizing)\n`, 'cyan'));
     
     // Check if we have any data
-    const positions = await dbService.getAllPositions();
+    const positions = await dbService.getAllPositions(scoped);
     if (positions.length === 0) {
       console.log(colorize('No positions found. Run the workflow manager to start farming!', 'yellow'));
       return;
     }
     
-    await showPortfolioSummary();
-    await showActivePositions();
-    await showProjections();
+    await showPortfolioSummary(scoped);
+    await showActivePositions(scoped);
+    await showProjections(scoped);
     
     console.log('\n' + colorize('Analysis complete! 🎉', 'green'));
     console.log(colorize('💡 Tip: Run this analysis regularly to track your farming performance.', 'cyan'));
@@ -208,28 +261,30 @@ Options:
   --summary, -s  Show only portfolio summary
   --active, -a   Show only active positions
   --proj, -p     Show only projections
+  --portfolio <id or name>  Portfolio to analyze (default: ${PORTFOLIO_CONFIG.defaultName})
 
 Examples:
   node yield-analysis.js              # Full analysis
   node yield-analysis.js --summary    # Portfolio summary only
   node yield-analysis.js --active     # Active positions only
+  node yield-analysis.js --portfolio tight-exits
   `);
   process.exit(0);
 }
 
 if (args.includes('--summary') || args.includes('-s')) {
-  dbService.connect()
-    .then(() => showPortfolioSummary())
+  connectToPortfolio()
+    .then(portfolio => showPortfolioSummary({ portfolioId: portfolio.id }))
     .then(() => dbService.disconnect())
     .catch(console.error);
 } else if (args.includes('--active') || args.includes('-a')) {
-  dbService.connect()
-    .then(() => showActivePositions())
+  connectToPortfolio()
+    .then(portfolio => showActivePositions({ portfolioId: portfolio.id }))
     .then(() => dbService.disconnect())
     .catch(console.error);
 } else if (args.includes('--proj') || args.includes('-p')) {
-  dbService.connect()
-    .then(() => showProjections())
+  connectToPortfolio()
+    .then(portfolio => showProjections({ portfolioId: portfolio.id }))
     .then(() => dbService.disconnect())
     .catch(console.error);
 } else {
@@ -4,47 +4,255 @@
  * ===================================================================================
  *
  * Description:
- * Calculates farming yields and simulates investment returns with a principal of $1000
- * per pool. Tracks entry/exit APYs and computes actual returns based on hold duration.
+ * Calculates farming yields and simulates investment returns from the principal stored
+ * on each position (set by the sizing policy; positions recorded before sizing fall back
+ * to YIELD_CONFIG.principalUsd). Tracks entry/exit APYs and computes actual returns
+ * based on hold duration.
+ *
+ * Farming yield is accrued piecewise over the pool snapshots recorded during the hold
+ * (PoolSnapshot), at the mean APY of each interval's two ends. Without snapshots the
+ * curve is the two points entry and exit. The base part of the APY compounds inside
+ * the pool; the reward part accrues as claimable rewards that only compound through
+ * the position's harvests (HarvestEvent, services/harvest.js), whose costs are
+ * charged with the entry and exit costs.
+ *
+ * Every result splits the return into farming yield, price PnL and impermanent loss
+ * (multi-asset pools with entry token prices), reports the gross return and the net
+ * return after entry and exit costs (services/cost-model.js); totalReturn and
+ * returnPercentage are net. Active positions are valued as if exited now, so their
+ * exit costs are included.
+ *
+ * Management and performance fees (services/fees.js) are not costs of the position:
+ * portfolio results report them from the fee ledger as returns gross and net of fees.
  *
  * ===================================================================================
  */
 
 import logger from './logger.js';
-import { fetchPoolById } from './functional_strategy.js';
-import { YIELD_CONFIG } from './config.js';
+import { fetchPoolById, rewardShare, rewardPriceMultiplier } from './functional_strategy.js';
+import { YIELD_CONFIG, HARVEST_CONFIG } from './config.js';
+import { dbService } from './services/database.js';
+import { estimateTradeCosts, estimateHarvestCosts } from './services/cost-model.js';
+import { planHarvest } from './services/harvest.js';
+import { withFees } from './services/fees.js';
+import { tokenPrices } from './services/token-prices.js';
+import { clock } from './services/clock.js';
 
 // --- Configuration from unified config ---
-export const PRINCIPAL_USD = YIELD_CONFIG.principalUsd;          // $1000 per pool
-export const DAILY_COMPOUND_RATE = YIELD_CONFIG.dailyCompoundRate; // 365 for daily compounding
+export const PRINCIPAL_USD = YIELD_CONFIG.principalUsd;          // fallback for positions without a stored principal
+export const DAILY_COMPOUND_RATE = YIELD_CONFIG.dailyCompoundRate; // base APY compounding periods per year
+
+const isMultiExposure = (position) =>
+  (position.exposure ?? ((position.underlyingTokens?.length || 0) > 1 ? 'multi' : 'single')) === 'multi';
+
+/**
+ * Splits the price effect on a multi-asset position into price PnL and impermanent loss.
+ * The pool is valued as an equal-weight, full-range constant-product LP:
+ *   hold value = P x mean(p1/p0), LP value = P x geometric mean(p1/p0)
+ * so pricePnl = hold value - P and impermanentLoss = LP value - hold value (<= 0).
+ * @param {number} principal - Capital deployed
+ * @param {Array} entryPrices - [{ token, price }] at entry
+ * @param {Array} currentPrices - [{ token, price }] at valuation or exit
+ * @returns {Object|null} { pricePnl, impermanentLoss, priceRatios }, or null when prices are incomplete
+ */
+export function calculatePriceEffects(principal, entryPrices, currentPrices) {
+  if (!Array.isArray(entryPrices) || !Array.isArray(currentPrices) || entryPrices.length < 2) return null;
+  const current = new Map(currentPrices.map(p => [p.token, p.price]));
+  const ratios = entryPrices.map(p => (p.price > 0 && current.get(p.token) > 0 ? current.get(p.token) / p.price : null));
+  if (ratios.some(r => r === null)) return null;
+
+  const holdValue = principal * ratios.reduce((sum, r) => sum + r, 0) / ratios.length;
+  const lpValue = principal * Math.pow(ratios.reduce((product, r) => product * r, 1), 1 / ratios.length);
+  return {
+    pricePnl: holdValue - principal,
+    impermanentLoss: lpValue - holdValue,
+    priceRatios: ratios.map(r => Math.round(r * 10000) / 10000)
+  };
+}
 
 /**
- * Calculates yield for a position based on entry/exit APY and hold duration
- * @param {Object} position - Position object with entry data
- * @param {Object} exitData - Exit data including current APY
+ * Realized over quoted reward token price: mean of current / entry price across reward tokens.
+ * @param {Array} entryRewardPrices - [{ token, price }] at entry
+ * @param {Array} currentRewardPrices - [{ token, price }] at valuation or exit
+ * @returns {number|null} null when no reward token can be compared
+ */
+export function calculateRewardPriceRatio(entryRewardPrices, currentRewardPrices) {
+  if (!Array.isArray(entryRewardPrices) || !Array.isArray(currentRewardPrices)) return null;
+  const current = new Map(currentRewardPrices.map(p => [p.token, p.price]));
+  const ratios = entryRewardPrices
+    .filter(p => p.price > 0 && current.get(p.token) > 0)
+    .map(p => current.get(p.token) / p.price);
+  return ratios.length ? ratios.reduce((sum, r) => sum + r, 0) / ratios.length : null;
+}
+
+// Compound interest growth factor over a period: (1 + r/n)^(nt)
+const compoundGrowth = (apy, days) =>
+  Math.pow(1 + apy / 100 / DAILY_COMPOUND_RATE, DAILY_COMPOUND_RATE * (days / 365));
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * Accrues farming yield piecewise over the APY observed during a hold. The curve runs
+ * from entry (entry APY) through every observation to the valuation time (exit APY, or
+ * the last observed APY); each interval accrues at the mean APY of its two ends. The
+ * base APY compounds on the deployed value; the reward APY accrues pending rewards,
+ * which each harvest moves into the deployed value net of its costs.
+ * @param {Object} position - Position with entryTimestamp, entryApy, entryRewardApy
+ * @param {Array} observations - [{ timestamp, apy, apyReward }] recorded for the pool
+ * @param {Date} exitTime - Valuation or exit time
+ * @param {number} exitApy - APY at exitTime (optional)
+ * @param {number} principal - Capital deployed
+ * @param {Array} harvests - [{ timestamp, rewardsUsd, costUsd, compoundedUsd }] (defaults to position.harvests)
+ * @returns {Object} { accrued, baseAccrued, rewardAccrued, pendingRewards, harvestedRewards,
+ *                   harvestCosts, harvests, deployedValue, avgApy, observations, curve }; without
+ *                   observations the curve is the two points entry and exit. Pending rewards are
+ *                   valued at the quoted reward APY, harvested rewards at their claimed value.
+ */
+export function calculateAccrualCurve(position, observations, exitTime, exitApy, principal, harvests = position.harvests) {
+  const entryTime = new Date(position.entryTimestamp).getTime();
+  const endTime = new Date(exitTime).getTime();
+  const observed = (observations || [])
+    .map(o => ({ time: new Date(o.timestamp).getTime(), apy: o.apy, apyReward: o.apyReward }))
+    .filter(o => o.time > entryTime && o.time < endTime && o.apy !== null && o.apy !== undefined)
+    .sort((a, b) => a.time - b.time);
+
+  // Reward share of each point's APY; observations without a reward APY keep the entry split
+  const entryShare = rewardShare({ apy: position.entryApy, apyReward: position.entryRewardApy });
+  const shareAt = (point) => (point.apyReward === null || point.apyReward === undefined
+    ? entryShare
+    : rewardShare(point));
+  const last = observed[observed.length - 1]
+    || { apy: position.entryApy, apyReward: position.entryRewardApy };
+  const points = [
+    { time: entryTime, apy: position.entryApy, apyReward: position.entryRewardApy },
+    ...observed,
+    { time: endTime, apy: exitApy ?? last.apy, apyReward: last.apyReward }
+  ];
+
+  const events = (harvests || [])
+    .map(h => ({ time: new Date(h.timestamp).getTime(), rewardsUsd: h.rewardsUsd, costUsd: h.costUsd, compoundedUsd: h.compoundedUsd }))
+    .filter(h => h.time > entryTime && h.time <= endTime)
+    .sort((a, b) => a.time - b.time);
+
+  let deployed = principal;
+  let pending = 0;
+  let baseAccrued = 0;
+  let harvestedRewards = 0;
+  let harvestCosts = 0;
+  let harvested = 0;
+  let apyDays = 0;
+  const curve = [{ timestamp: new Date(entryTime), hoursHeld: 0, apy: position.entryApy, value: principal, accrued: 0 }];
+
+  for (let i = 1; i < points.length; i++) {
+    const [from, to] = [points[i - 1], points[i]];
+    const apy = (from.apy + to.apy) / 2;
+    const rewardApy = apy * (shareAt(from) + shareAt(to)) / 2;
+    let time = from.time;
+
+    // Base yield compounds in the pool, rewards accrue simply until harvested
+    const accrueUntil = (until) => {
+      const days = (until - time) / DAY_MS;
+      const interest = deployed * (compoundGrowth(apy - rewardApy, days) - 1);
+      pending += deployed * (rewardApy / 100) * (days / 365);
+      deployed += interest;
+      baseAccrued += interest;
+      time = until;
+    };
+
+    while (harvested < events.length && events[harvested].time <= to.time) {
+      const harvest = events[harvested++];
+      accrueUntil(harvest.time);
+      harvestedRewards += harvest.rewardsUsd;
+      harvestCosts += harvest.costUsd;
+      deployed += harvest.compoundedUsd;
+      pending = 0;
+    }
+    accrueUntil(to.time);
+
+    apyDays += apy * ((to.time - from.time) / DAY_MS);
+    curve.push({
+      timestamp: new Date(to.time),
+      hoursHeld: Math.round(((to.time - entryTime) / (1000 * 60 * 60)) * 100) / 100,
+      apy: to.apy,
+      value: Math.round((deployed + pending) * 100) / 100,
+      accrued: Math.round((deployed + pending - principal) * 100) / 100
+    });
+  }
+
+  const totalDays = (endTime - entryTime) / DAY_MS;
+  return {
+    accrued: baseAccrued + harvestedRewards + pending,
+    baseAccrued,
+    rewardAccrued: harvestedRewards + pending,
+    pendingRewards: pending,
+    harvestedRewards,
+    harvestCosts,
+    harvests: harvested,
+    deployedValue: deployed,
+    avgApy: totalDays > 0 ? apyDays / totalDays : position.entryApy,
+    observations: observed.length,
+    curve
+  };
+}
+
+/**
+ * Loads the APY observations recorded for a position's pool during its hold, for
+ * calculateYield's exit data. Failures are logged and yield no observations, so the
+ * two-point calculation is used instead.
+ * @param {Object} position - Position with poolId and entryTimestamp
+ * @param {Date} until - End of the hold (defaults to the exit time or now)
+ * @returns {Promise<Array>} [{ timestamp, apy, apyReward }]
+ */
+export async function positionObservations(position, until = position.exitTimestamp || new Date(clock.now())) {
+  try {
+    const snapshots = await dbService.getPoolHistory(position.poolId, {
+      since: position.entryTimestamp,
+      until,
+      limit: YIELD_CONFIG.maxAccrualObservations
+    });
+    return snapshots.map(s => ({ timestamp: s.timestamp, apy: s.apy, apyReward: s.apyReward }));
+  } catch (error) {
+    logger.warn(`Could not load APY observations for ${position.symbol}: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Calculates yield for a position based on the APY observed over its hold
+ * @param {Object} position - Position object with entry data and its harvests, if any
+ * @param {Object} exitData - Exit data including current APY, optional APY observations
+ *                            (observations: [{ timestamp, apy, apyReward }]) and optional
+ *                            token prices (prices, rewardPrices: [{ token, price }])
  * @returns {Object} Yield calculation results
  */
 export function calculateYield(position, exitData = null) {
   const entryTime = new Date(position.entryTimestamp);
-  const exitTime = exitData ? new Date(exitData.timestamp) : new Date();
+  const exitTime = exitData ? new Date(exitData.timestamp) : new Date(clock.now());
   const holdDays = (exitTime - entryTime) / (1000 * 60 * 60 * 24);
-  
-  // Use exit APY if provided, otherwise use entry APY
-  const avgApy = exitData ? (position.entryApy + exitData.exitApy) / 2 : position.entryApy;
-  
-  // Calculate compound interest: A = P(1 + r/n)^(nt)
-  // Where: P = principal, r = APY/100, n = compounding frequency, t = time in years
-  const principal = PRINCIPAL_USD;
-  const annualRate = avgApy / 100;
-  const compoundingFreq = DAILY_COMPOUND_RATE;
+  const principal = position.principalUsd ?? PRINCIPAL_USD;
   const timeInYears = holdDays / 365;
+  // Without observations the curve is entry to exit at the mean of entry and exit APY
+  const accrual = calculateAccrualCurve(position, exitData?.observations, exitTime, exitData?.exitApy, principal);
+  const avgApy = accrual.avgApy;
   
-  const finalAmount = principal * Math.pow(
-    (1 + annualRate / compoundingFreq), 
-    compoundingFreq * timeInYears
-  );
-  
-  const totalReturn = finalAmount - principal;
+  // Rewards not yet harvested are valued at the realized rather than the entry reward price;
+  // harvested rewards were valued when claimed
+  const rewardPriceRatio = calculateRewardPriceRatio(position.entryRewardPrices, exitData?.rewardPrices);
+  const baseReturn = accrual.baseAccrued;
+  const pendingRewards = accrual.pendingRewards * (rewardPriceRatio ?? 1);
+  const quotedRewardReturn = accrual.rewardAccrued;
+  const rewardReturn = accrual.harvestedRewards + pendingRewards;
+  const farmingReturn = baseReturn + rewardReturn;
+  const priceEffects = isMultiExposure(position)
+    ? calculatePriceEffects(principal, position.entryPrices, exitData?.prices)
+    : null;
+  const pricePnl = priceEffects?.pricePnl ?? 0;
+  const impermanentLoss = priceEffects?.impermanentLoss ?? 0;
+  const grossReturn = farmingReturn + pricePnl + impermanentLoss;
+  const tradeCosts = estimateTradeCosts(position, principal);
+  const harvestCosts = Math.round(accrual.harvestCosts * 100) / 100;
+  const costs = { ...tradeCosts, harvest: harvestCosts, total: Math.round((tradeCosts.total + harvestCosts) * 100) / 100 };
+  const totalReturn = grossReturn - costs.total;
   const returnPercentage = (totalReturn / principal) * 100;
   const annualizedReturn = returnPercentage / timeInYears;
   const dailyReturn = returnPercentage / holdDays;
@@ -54,9 +262,28 @@ export function calculateYield(position, exitData = null) {
     entryApy: position.entryApy,
     exitApy: exitData?.exitApy || position.entryApy,
     avgApy,
+    accrualMethod: accrual.observations > 0 ? 'observed' : 'twoPoint',
+    observations: accrual.observations,
+    harvests: accrual.harvests,
+    harvestedRewards: Math.round(accrual.harvestedRewards * 100) / 100,
+    pendingRewards: Math.round(pendingRewards * 100) / 100,
+    deployedValue: Math.round(accrual.deployedValue * 100) / 100,
     holdDays: Math.round(holdDays * 100) / 100,
     timeInYears: Math.round(timeInYears * 10000) / 10000,
-    finalAmount: Math.round(finalAmount * 100) / 100,
+    finalAmount: Math.round((principal + totalReturn) * 100) / 100,
+    farmingReturn: Math.round(farmingReturn * 100) / 100,
+    baseReturn: Math.round(baseReturn * 100) / 100,
+    rewardReturn: Math.round(rewardReturn * 100) / 100,
+    quotedRewardReturn: Math.round(quotedRewardReturn * 100) / 100,
+    rewardPriceRatio: rewardPriceRatio === null ? null : Math.round(rewardPriceRatio * 10000) / 10000,
+    pricePnl: Math.round(pricePnl * 100) / 100,
+    impermanentLoss: Math.round(impermanentLoss * 100) / 100,
+    priceRatios: priceEffects?.priceRatios || null,
+    priceTracked: priceEffects !== null,
+    grossReturn: Math.round(grossReturn * 100) / 100,
+    grossReturnPercentage: Math.round((grossReturn / principal) * 10000) / 100,
+    costs,
+    netReturn: Math.round(totalReturn * 100) / 100,
     totalReturn: Math.round(totalReturn * 100) / 100,
     returnPercentage: Math.round(returnPercentage * 100) / 100,
     annualizedReturn: Math.round(annualizedReturn * 100) / 100,
@@ -74,6 +301,13 @@ export async function calculatePortfolioYield(positions) {
   let totalInvested = 0;
   let totalCurrentValue = 0;
   let totalReturns = 0;
+  let totalFarmingReturns = 0;
+  let totalPricePnl = 0;
+  let totalImpermanentLoss = 0;
+  let totalGrossReturns = 0;
+  let totalCosts = 0;
+  let totalManagementFees = 0;
+  let totalPerformanceFees = 0;
   const positionYields = [];
   
   for (const position of positions) {
@@ -82,9 +316,12 @@ export async function calculatePortfolioYield(positions) {
     if (position.status === 'active') {
       // For active positions, fetch current APY
       const currentPool = await fetchPoolById(position.poolId);
+      const now = new Date(clock.now());
       const exitData = currentPool ? {
-        timestamp: new Date(),
-        exitApy: currentPool.apy
+        timestamp: now,
+        exitApy: currentPool.apy,
+        observations: await positionObservations(position, now),
+        ...(await tokenPrices.positionPrices(position))
       } : null;
       
       yieldData = calculateYield(position, exitData);
@@ -92,13 +329,24 @@ export async function calculatePortfolioYield(positions) {
       // For exited positions, use stored exit data
       yieldData = calculateYield(position, {
         timestamp: position.exitTimestamp,
-        exitApy: position.exitApy || position.entryApy
+        exitApy: position.exitApy || position.entryApy,
+        observations: await positionObservations(position),
+        prices: position.exitPrices,
+        rewardPrices: position.exitRewardPrices
       });
     }
+    yieldData = withFees(yieldData, position.fees);
     
     totalInvested += yieldData.principal;
     totalCurrentValue += yieldData.finalAmount;
     totalReturns += yieldData.totalReturn;
+    totalFarmingReturns += yieldData.farmingReturn;
+    totalPricePnl += yieldData.pricePnl;
+    totalImpermanentLoss += yieldData.impermanentLoss;
+    totalGrossReturns += yieldData.grossReturn;
+    totalCosts += yieldData.costs.total;
+    totalManagementFees += yieldData.fees.management;
+    totalPerformanceFees += yieldData.fees.performance;
     
     positionYields.push({
       ...position,
@@ -108,12 +356,29 @@ export async function calculatePortfolioYield(positions) {
   
   const portfolioReturn = totalReturns;
   const portfolioReturnPercentage = totalInvested > 0 ? (portfolioReturn / totalInvested) * 100 : 0;
+  const totalFees = totalManagementFees + totalPerformanceFees;
+  const returnsAfterFees = totalReturns - totalFees;
   
   return {
     totalInvested: Math.round(totalInvested * 100) / 100,
     totalCurrentValue: Math.round(totalCurrentValue * 100) / 100,
     totalReturns: Math.round(totalReturns * 100) / 100,
+    totalFarmingReturns: Math.round(totalFarmingReturns * 100) / 100,
+    totalPricePnl: Math.round(totalPricePnl * 100) / 100,
+    totalImpermanentLoss: Math.round(totalImpermanentLoss * 100) / 100,
+    totalGrossReturns: Math.round(totalGrossReturns * 100) / 100,
+    totalCosts: Math.round(totalCosts * 100) / 100,
     portfolioReturnPercentage: Math.round(portfolioReturnPercentage * 100) / 100,
+    // Returns before (gross) and after (net) management and performance fees
+    fees: {
+      management: Math.round(totalManagementFees * 100) / 100,
+      performance: Math.round(totalPerformanceFees * 100) / 100,
+      total: Math.round(totalFees * 100) / 100,
+      grossReturns: Math.round(totalReturns * 100) / 100,
+      netReturns: Math.round(returnsAfterFees * 100) / 100,
+      grossReturnPercentage: Math.round(portfolioReturnPercentage * 100) / 100,
+      netReturnPercentage: totalInvested > 0 ? Math.round((returnsAfterFees / totalInvested) * 10000) / 100 : 0
+    },
     averageHoldDays: positions.length > 0 
       ? positionYields.reduce((sum, p) => sum + p.yieldData.holdDays, 0) / positions.length 
       : 0,
@@ -126,25 +391,61 @@ export async function calculatePortfolioYield(positions) {
   };
 }
 
+// Projects a hold at constant APY: base yield compounds in the pool, rewards are harvested
+// every intervalHours while they cover the harvest costs and claimed at exit otherwise
+function projectCompounding(pool, principal, days, baseApy, rewardApy, intervalHours) {
+  let deployed = principal;
+  let pending = 0;
+  let harvestCosts = 0;
+  let harvests = 0;
+  const accrue = (period) => {
+    pending += deployed * (rewardApy / 100) * (period / 365);
+    deployed *= compoundGrowth(baseApy, period);
+  };
+
+  const step = intervalHours ? intervalHours / 24 : Infinity;
+  let elapsed = 0;
+  while (elapsed + step < days) {
+    accrue(step);
+    elapsed += step;
+    const cost = estimateHarvestCosts(pool, pending).total;
+    if (pending > cost) {
+      deployed += pending - cost;
+      harvestCosts += cost;
+      harvests++;
+      pending = 0;
+    }
+  }
+  accrue(days - elapsed);
+
+  return { grossReturn: deployed + pending + harvestCosts - principal, harvestCosts, harvests };
+}
+
 /**
  * Simulates investment returns for a specific timeframe
- * @param {Object} pool - Pool data with APY
+ * @param {Object} pool - Pool data with APY (and optional rewardDecay from services/reward-decay.js)
  * @param {number} daysToHold - Number of days to simulate
  * @param {number} customPrincipal - Custom investment amount (optional)
+ * @param {Object} harvestOptions - HARVEST_CONFIG (harvest policy for the reward part)
  * @returns {Object} Simulation results
  */
-export function simulateInvestment(pool, daysToHold, customPrincipal = PRINCIPAL_USD) {
+export function simulateInvestment(pool, daysToHold, customPrincipal = PRINCIPAL_USD, harvestOptions = HARVEST_CONFIG) {
   const principal = customPrincipal;
-  const annualRate = pool.apy / 100;
+  // Reward part of the quoted APY discounted by the expected reward token price decay
+  const rewardMultiplier = rewardPriceMultiplier(pool, daysToHold);
+  const effectiveApy = pool.apy * (1 - rewardShare(pool) * (1 - rewardMultiplier));
+  const rewardApy = pool.apy * rewardShare(pool) * rewardMultiplier;
   const timeInYears = daysToHold / 365;
   
-  // Calculate with daily compounding
-  const finalAmount = principal * Math.pow(
-    (1 + annualRate / DAILY_COMPOUND_RATE), 
-    DAILY_COMPOUND_RATE * timeInYears
-  );
+  // Rewards compound only at the harvests the policy would schedule over this hold
+  const plan = planHarvest(pool, { valueUsd: principal, rewardApy }, { ...harvestOptions, holdHours: daysToHold * 24 });
+  const projected = projectCompounding(pool, principal, daysToHold, effectiveApy - rewardApy, rewardApy, plan.intervalHours);
   
-  const totalReturn = finalAmount - principal;
+  const grossReturn = projected.grossReturn;
+  const tradeCosts = estimateTradeCosts(pool, principal);
+  const harvestCosts = Math.round(projected.harvestCosts * 100) / 100;
+  const costs = { ...tradeCosts, harvest: harvestCosts, total: Math.round((tradeCosts.total + harvestCosts) * 100) / 100 };
+  const totalReturn = grossReturn - costs.total;
   const returnPercentage = (totalReturn / principal) * 100;
   const dailyReturn = returnPercentage / daysToHold;
   
@@ -153,9 +454,17 @@ export function simulateInvestment(pool, daysToHold, customPrincipal = PRINCIPAL
     symbol: pool.symbol,
     project: pool.project,
     apy: pool.apy,
+    effectiveApy: Math.round(effectiveApy * 100) / 100,
+    rewardPriceMultiplier: Math.round(rewardMultiplier * 10000) / 10000,
     principal,
     daysToHold,
-    finalAmount: Math.round(finalAmount * 100) / 100,
+    harvestIntervalHours: plan.intervalHours,
+    harvests: projected.harvests,
+    finalAmount: Math.round((principal + totalReturn) * 100) / 100,
+    grossReturn: Math.round(grossReturn * 100) / 100,
+    grossReturnPercentage: Math.round((grossReturn / principal) * 10000) / 100,
+    costs,
+    netReturn: Math.round(totalReturn * 100) / 100,
     totalReturn: Math.round(totalReturn * 100) / 100,
     returnPercentage: Math.round(returnPercentage * 100) / 100,
     dailyReturn: Math.round(dailyReturn * 10000) / 10000,
@@ -218,7 +527,7 @@ export async function generateYieldAnalytics(positions) {
     const worstPerformer = sortedPositions[sortedPositions.length - 1] || null;
     
     // Monthly performance breakdown
-    const now = new Date();
+    const now = new Date(clock.now());
     const monthlyPerformance = {};
     
     portfolioYield.positionYields.forEach(p => {
@@ -229,12 +538,16 @@ export async function generateYieldAnalytics(positions) {
         monthlyPerformance[monthKey] = {
           invested: 0,
           returns: 0,
+          fees: 0,
+          returnsAfterFees: 0,
           positions: 0
         };
       }
       
       monthlyPerformance[monthKey].invested += p.yieldData.principal;
       monthlyPerformance[monthKey].returns += p.yieldData.totalReturn;
+      monthlyPerformance[monthKey].fees += p.yieldData.fees.total;
+      monthlyPerformance[monthKey].returnsAfterFees += p.yieldData.returnAfterFees;
       monthlyPerformance[monthKey].positions += 1;
     });
     
@@ -246,14 +559,21 @@ export async function generateYieldAnalytics(positions) {
       worstPerformer,
       monthlyPerformance,
       analytics: {
-        totalPrincipal: PRINCIPAL_USD,
+        totalPrincipal: portfolioYield.totalInvested,
         averageAPY: positions.length > 0 
           ? positions.reduce((sum, p) => sum + p.entryApy, 0) / positions.length 
           : 0,
         totalDaysInvested: portfolioYield.positionYields.reduce(
           (sum, p) => sum + p.yieldData.holdDays, 0
         ),
-        projectedAnnualReturn: portfolioYield.portfolioReturnPercentage * (365 / (portfolioYield.averageHoldDays || 1))
+        projectedAnnualReturn: portfolioYield.portfolioReturnPercentage * (365 / (portfolioYield.averageHoldDays || 1)),
+        projectedAnnualReturnAfterFees: portfolioYield.fees.netReturnPercentage * (365 / (portfolioYield.averageHoldDays || 1))
+      },
+      // Gross and net of fees for the whole portfolio, split by active and exited positions
+      fees: {
+        ...portfolioYield.fees,
+        active: activeYield.fees?.total ?? 0,
+        exited: exitedYield.fees?.total ?? 0
       }
     };
     
@@ -279,18 +599,25 @@ export async function projectFutureYields(activePositions, projectionDays = 30)
       if (!currentPool) continue;
       
       // Current yield calculation
+      const now = new Date(clock.now());
+      const currentPrices = await tokenPrices.positionPrices(position);
+      const observations = await positionObservations(position, now);
       const currentYield = calculateYield(position, {
-        timestamp: new Date(),
-        exitApy: currentPool.apy
+        timestamp: now,
+        exitApy: currentPool.apy,
+        observations,
+        ...currentPrices
       });
       
       // Project future yield if held for additional days
-      const futureExitDate = new Date();
+      const futureExitDate = new Date(clock.now());
       futureExitDate.setDate(futureExitDate.getDate() + projectionDays);
       
       const projectedYield = calculateYield(position, {
         timestamp: futureExitDate,
-        exitApy: currentPool.apy // Assuming APY stays constant
+        exitApy: currentPool.apy, // Assuming APY and token prices stay constant
+        observations,
+        ...currentPrices
       });
       
       const additionalReturn = projectedYield.totalReturn - currentYield.totalReturn;
@@ -324,6 +651,9 @@ export async function projectFutureYields(activePositions, projectionDays = 30)
 
 export default {
   calculateYield,
+  calculatePriceEffects,
+  calculateAccrualCurve,
+  positionObservations,
   calculatePortfolioYield,
   simulateInvestment,
   calculateRiskAdjustedReturns,